@@ -0,0 +1,113 @@
+import express from 'express';
+import { httpError, sendError } from './http.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const publicRevocation = (row, email = null) => ({
+  id: row.id,
+  userId: row.user_id,
+  email,
+  sessionId: row.session_id,
+  revokedBefore: row.revoked_before,
+  expiresAt: row.expires_at,
+  reason: row.reason,
+  revokedBy: row.revoked_by,
+  createdAt: row.created_at
+});
+
+/**
+ * Signing out for real (AuthRevocationList in server.js): the caller's own
+ * session on logout, or any user's sessions forced by a mail admin. Either
+ * way the access tokens already handed out stop working on the next request.
+ */
+export default function createAuthSessionsRouter({ authenticateUser, isMailAdmin, supabase, authRevocations }) {
+  const router = express.Router();
+
+  const requireMailAdmin = (req, res, next) => {
+    if (!isMailAdmin(req.user)) {
+      return res.status(403).json({ success: false, error: 'Forced logout is restricted to mailbox admins' });
+    }
+    next();
+  };
+
+  const guard = [authenticateUser, requireMailAdmin];
+
+  // Ends the session the request's token belongs to (tokens without a
+  // session id end every session of the user)
+  router.post('/auth/logout', authenticateUser, async (req, res) => {
+    try {
+      await authRevocations.revoke({
+        userId: req.user.id,
+        sessionId: req.user.sessionId,
+        reason: 'logout',
+        revokedBy: req.user.email
+      });
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to sign out');
+    }
+  });
+
+  // Body: { email } or { userId }, optionally { sessionId, reason }
+  router.post('/admin/auth/revoke', guard, async (req, res) => {
+    try {
+      const { email, sessionId = null, reason = null } = req.body || {};
+      let { userId } = req.body || {};
+      if (sessionId !== null && !UUID_PATTERN.test(String(sessionId))) throw httpError(400, 'sessionId must be a UUID');
+
+      if (!userId) {
+        if (typeof email !== 'string' || !email.trim()) throw httpError(400, 'email or userId is required');
+        const { data, error } = await supabase
+          .from('profiles')
+          .select('id')
+          .eq('email', email.trim().toLowerCase())
+          .maybeSingle();
+        if (error) throw error;
+        if (!data) throw httpError(404, `No user with the email ${email.trim()}`);
+        userId = data.id;
+      } else if (!UUID_PATTERN.test(String(userId))) {
+        throw httpError(400, 'userId must be a UUID');
+      }
+
+      const revocation = await authRevocations.revoke({
+        userId,
+        sessionId,
+        reason: reason ? String(reason).slice(0, 200) : null,
+        revokedBy: req.user.email
+      });
+      res.json({ success: true, revocation: publicRevocation(revocation, email?.trim().toLowerCase() || null) });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke sessions');
+    }
+  });
+
+  // Revocations still in force, newest first
+  router.get('/admin/auth/revocations', guard, async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('auth_revocations')
+        .select('*')
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(200);
+      if (error) throw error;
+
+      const emails = new Map();
+      const userIds = [...new Set(data.map(row => row.user_id))];
+      if (userIds.length) {
+        const { data: profiles, error: profilesError } = await supabase
+          .from('profiles')
+          .select('id, email')
+          .in('id', userIds);
+        if (profilesError) throw profilesError;
+        profiles.forEach(profile => emails.set(profile.id, profile.email));
+      }
+
+      res.json({ success: true, revocations: data.map(row => publicRevocation(row, emails.get(row.user_id) ?? null)) });
+    } catch (error) {
+      sendError(res, error, 'Failed to load revocations');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,278 @@
+import express from 'express';
+import { DSR_FILTERS } from '../src/lib/dsrTemplates.js';
+import { httpError, sendError } from './http.js';
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const FREQUENCIES = ['daily', 'weekly'];
+
+// Accepts an array or a comma-separated string; trims, lowercases and
+// drops blanks and repeats
+const parseAddresses = (value, label) => {
+  const addresses = [...new Set((Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean))];
+  const bad = addresses.find(address => !EMAIL_PATTERN.test(address));
+  if (bad) throw httpError(400, `${label}: "${bad}" is not an email address`);
+  return addresses;
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Maps a form body onto dsr_subscriptions columns. Only fields present in
+ * the body are returned, so PUT can change one setting at a time; the
+ * merged row is checked as a whole.
+ */
+async function parseSubscriptionInput(body, { existing, user, emailConfigManager, supabase }) {
+  const fields = {};
+
+  if (!existing || body.client !== undefined) {
+    const client = String(body.client ?? '').trim();
+    if (!client) throw httpError(400, 'A client is required');
+    fields.client = client;
+  }
+  if (body.enabled !== undefined) fields.enabled = body.enabled === true || body.enabled === 'true';
+  if (!existing || body.recipients !== undefined) {
+    fields.recipients = parseAddresses(body.recipients, 'To');
+    if (!fields.recipients.length) throw httpError(400, 'At least one recipient is required');
+  }
+  if (body.cc !== undefined) fields.cc = parseAddresses(body.cc, 'CC');
+
+  if (!existing || body.accountId !== undefined) {
+    const accountId = parseInt(body.accountId);
+    if (!emailConfigManager.getConfig(accountId)) throw httpError(400, 'Pick a mailbox to send from');
+    if (!emailConfigManager.canUserAccessAccount(user.email, accountId)) {
+      throw httpError(403, 'You can only schedule mail from your own mailboxes');
+    }
+    fields.account_id = accountId;
+  }
+
+  if (body.frequency !== undefined) {
+    if (!FREQUENCIES.includes(body.frequency)) throw httpError(400, `frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    fields.frequency = body.frequency;
+  }
+  if (body.weekday !== undefined) {
+    const weekday = body.weekday === null || body.weekday === '' ? null : parseInt(body.weekday);
+    if (weekday !== null && !(weekday >= 0 && weekday <= 6)) throw httpError(400, 'weekday must be 0 (Sunday) to 6');
+    fields.weekday = weekday;
+  }
+  if (body.sendTime !== undefined) {
+    if (!TIME_PATTERN.test(body.sendTime)) throw httpError(400, 'sendTime must be HH:MM');
+    fields.send_time = body.sendTime;
+  }
+  if (body.timezone !== undefined) {
+    if (!isTimeZone(body.timezone)) throw httpError(400, `Unknown time zone "${body.timezone}"`);
+    fields.timezone = body.timezone;
+  }
+
+  if (body.templateId !== undefined) {
+    const templateId = body.templateId === null || body.templateId === '' ? null : parseInt(body.templateId);
+    if (templateId !== null) {
+      const { data, error } = await supabase.from('dsr_templates').select('id').eq('id', templateId).maybeSingle();
+      if (error) throw error;
+      if (!data) throw httpError(400, `Template ${body.templateId} not found`);
+    }
+    fields.template_id = templateId;
+  }
+  if (body.filter !== undefined) {
+    if (!DSR_FILTERS[body.filter]) throw httpError(400, `filter must be one of: ${Object.keys(DSR_FILTERS).join(', ')}`);
+    fields.filter = body.filter;
+  }
+  if (body.subject !== undefined) fields.subject = String(body.subject ?? '').trim() || null;
+  if (body.body !== undefined) fields.body = String(body.body ?? '').trim() || null;
+
+  const merged = { frequency: 'daily', weekday: null, ...existing, ...fields };
+  if (merged.frequency === 'weekly' && merged.weekday === null) {
+    throw httpError(400, 'Pick the weekday of a weekly report');
+  }
+  if (merged.frequency === 'daily') fields.weekday = null;
+
+  return fields;
+}
+
+const publicSend = (send) => ({
+  id: send.id,
+  subscriptionId: send.subscription_id,
+  client: send.client,
+  trigger: send.trigger,
+  scheduledFor: send.scheduled_for,
+  status: send.status,
+  recordCount: send.record_count,
+  recipients: send.recipients,
+  accepted: send.accepted,
+  rejected: send.rejected,
+  error: send.error,
+  sentByEmail: send.sent_by_email,
+  createdAt: send.created_at
+});
+
+/**
+ * Scheduled DSR emails to clients (dsr_subscriptions). Staff with
+ * dsr.subscriptions manage them here; sending, on schedule or through
+ * "Send now", is sendDsrReport in server.js, which also logs each attempt
+ * to dsr_subscription_sends.
+ */
+export default function createDsrSubscriptionsRouter({ authenticateUser, requirePermission, supabase, emailConfigManager, sendDsrReport, nextRunAt }) {
+  const router = express.Router();
+
+  const guard = [authenticateUser, requirePermission('dsr.subscriptions')];
+
+  const publicSubscription = (row) => ({
+    id: row.id,
+    client: row.client,
+    enabled: row.enabled,
+    accountId: row.account_id,
+    accountEmail: emailConfigManager.getConfig(row.account_id)?.email || null,
+    recipients: row.recipients,
+    cc: row.cc,
+    frequency: row.frequency,
+    weekday: row.weekday,
+    sendTime: row.send_time.slice(0, 5),
+    timezone: row.timezone,
+    templateId: row.template_id,
+    filter: row.filter,
+    subject: row.subject,
+    body: row.body,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastRunFor: row.last_run_for,
+    nextRunAt: nextRunAt(row)
+  });
+
+  const findSubscription = async (id) => {
+    const { data, error } = await supabase.from('dsr_subscriptions').select('*').eq('id', parseInt(id)).maybeSingle();
+    if (error) throw error;
+    if (!data) throw httpError(404, `Subscription ${id} not found`);
+    return data;
+  };
+
+  // Changing a subscription changes mail sent from its mailbox, so it takes
+  // access to that mailbox, not just dsr.subscriptions
+  const findAccessibleSubscription = async (id, user) => {
+    const subscription = await findSubscription(id);
+    if (!emailConfigManager.canUserAccessAccount(user.email, subscription.account_id)) {
+      throw httpError(403, 'Access denied to this mailbox');
+    }
+    return subscription;
+  };
+
+  const allowedAccountIds = (user) => emailConfigManager.getAllowedAccounts(user.email).map(account => account.id);
+
+  // Only subscriptions sent from mailboxes the caller can access
+  router.get('/dsr-subscriptions', guard, async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('dsr_subscriptions')
+        .select('*')
+        .in('account_id', allowedAccountIds(req.user))
+        .order('client')
+        .order('id');
+      if (error) throw error;
+      res.json({ success: true, subscriptions: data.map(publicSubscription) });
+    } catch (error) {
+      sendError(res, error, 'Failed to load DSR subscriptions');
+    }
+  });
+
+  // Newest first; ?subscriptionId= narrows to one subscription. Like the
+  // list, only sends of subscriptions on the caller's mailboxes; sends of
+  // deleted subscriptions have no mailbox left to check and are left out
+  router.get('/dsr-subscriptions/sends', guard, async (req, res) => {
+    try {
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+      let subscriptionIds;
+      if (req.query.subscriptionId) {
+        subscriptionIds = [(await findAccessibleSubscription(req.query.subscriptionId, req.user)).id];
+      } else {
+        const { data: subscriptions, error: subscriptionsError } = await supabase
+          .from('dsr_subscriptions')
+          .select('id')
+          .in('account_id', allowedAccountIds(req.user));
+        if (subscriptionsError) throw subscriptionsError;
+        subscriptionIds = subscriptions.map(subscription => subscription.id);
+      }
+
+      const { data, error } = await supabase
+        .from('dsr_subscription_sends')
+        .select('*')
+        .in('subscription_id', subscriptionIds)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      res.json({ success: true, sends: data.map(publicSend) });
+    } catch (error) {
+      sendError(res, error, 'Failed to load DSR sends');
+    }
+  });
+
+  router.post('/dsr-subscriptions', guard, async (req, res) => {
+    try {
+      const fields = await parseSubscriptionInput(req.body || {}, { user: req.user, emailConfigManager, supabase });
+      const { data, error } = await supabase
+        .from('dsr_subscriptions')
+        .insert({ ...fields, created_by: req.user.email, created_by_id: req.user.id })
+        .select('*')
+        .single();
+      if (error) throw error;
+      console.log(`🗓️ DSR subscription ${data.id} (${data.client}) added by ${req.user.email}`);
+      res.status(201).json({ success: true, subscription: publicSubscription(data) });
+    } catch (error) {
+      sendError(res, error, 'Failed to add DSR subscription');
+    }
+  });
+
+  router.put('/dsr-subscriptions/:id', guard, async (req, res) => {
+    try {
+      const existing = await findAccessibleSubscription(req.params.id, req.user);
+      const fields = await parseSubscriptionInput(req.body || {}, { existing, user: req.user, emailConfigManager, supabase });
+      const { data, error } = await supabase
+        .from('dsr_subscriptions')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select('*')
+        .single();
+      if (error) throw error;
+      console.log(`🗓️ DSR subscription ${data.id} (${data.client}) updated by ${req.user.email}`);
+      res.json({ success: true, subscription: publicSubscription(data) });
+    } catch (error) {
+      sendError(res, error, 'Failed to update DSR subscription');
+    }
+  });
+
+  router.delete('/dsr-subscriptions/:id', guard, async (req, res) => {
+    try {
+      const existing = await findAccessibleSubscription(req.params.id, req.user);
+      const { error } = await supabase.from('dsr_subscriptions').delete().eq('id', existing.id);
+      if (error) throw error;
+      console.log(`🗑️ DSR subscription ${existing.id} (${existing.client}) deleted by ${req.user.email}`);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete DSR subscription');
+    }
+  });
+
+  // Sends the report now, as the caller; the schedule is unaffected
+  router.post('/dsr-subscriptions/:id/send', guard, requirePermission('email.send'), async (req, res) => {
+    try {
+      const subscription = await findAccessibleSubscription(req.params.id, req.user);
+      const send = await sendDsrReport(subscription, { trigger: 'manual', user: req.user });
+      if (send.status === 'failed') {
+        return res.status(502).json({ success: false, error: `DSR not sent: ${send.error}`, send: publicSend(send) });
+      }
+      res.json({ success: true, send: publicSend(send) });
+    } catch (error) {
+      sendError(res, error, 'Failed to send DSR');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,299 @@
+import express from 'express';
+import vm from 'vm';
+import { httpError, badRequest, sendError } from './http.js';
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const SUBJECT_PATTERN_MAX = 200;
+
+// Accepts an array or a comma-separated string; trims and drops blanks
+const parseList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+const REPEAT = /^(?:[+*]|\{\d+(?:,\d*)?\})/;
+
+// Subjects are cut to this length before a pattern sees them, and a test
+// that runs longer than the limit counts as no match
+const SUBJECT_TEST_CHARS = 500;
+const SUBJECT_TEST_TIMEOUT_MS = 50;
+
+// True when a repeated group contains a repeat or an alternation, as in
+// (a+)+, (\w*\s?)* or (a|aa)+. Those are what make a regex backtrack for
+// minutes on an unlucky subject, so such patterns are refused outright.
+const isBacktrackProne = (pattern) => {
+  const groups = []; // per open group: whether anything inside repeats or alternates
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const innerVaries = groups.pop();
+      const repeated = REPEAT.test(pattern.slice(i + 1));
+      if (innerVaries && repeated) return true;
+      if (groups.length && (innerVaries || repeated)) groups[groups.length - 1] = true;
+    } else if (groups.length && (char === '|' || REPEAT.test(pattern.slice(i)))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Subject patterns run against every inbound subject, so they are kept
+ * short and free of nested repeats. Used here to validate admin input and
+ * by EmailRulesManager in server.js to compile stored rules.
+ */
+export const compileSubjectPattern = (pattern) => {
+  if (pattern.length > SUBJECT_PATTERN_MAX) {
+    throw badRequest(`Subject pattern is longer than ${SUBJECT_PATTERN_MAX} characters`);
+  }
+  if (isBacktrackProne(pattern)) {
+    throw badRequest('Subject pattern repeats a group that repeats or has alternatives, like (a+)+ or (a|b)+; simplify it');
+  }
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw badRequest(`Invalid subject pattern: ${error.message}`);
+  }
+};
+
+const patternContext = vm.createContext({});
+
+/**
+ * Tests a compiled subject pattern the way the sync runs it: on at most
+ * SUBJECT_TEST_CHARS of the subject, in a vm context so a pattern that
+ * backtracks anyway is stopped after SUBJECT_TEST_TIMEOUT_MS instead of
+ * blocking the event loop. Returns null when it was stopped.
+ */
+export const testSubjectPattern = (regex, subject) => {
+  patternContext.regex = regex;
+  patternContext.subject = String(subject ?? '').slice(0, SUBJECT_TEST_CHARS);
+  try {
+    return vm.runInContext('regex.test(subject)', patternContext, { timeout: SUBJECT_TEST_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null;
+    throw error;
+  }
+};
+
+function parseConditions(input = {}, accountIds) {
+  const conditions = {};
+
+  const ids = parseList(input.accountIds).map(id => parseInt(id));
+  const unknown = ids.filter(id => !accountIds.includes(id));
+  if (unknown.length) throw badRequest(`Unknown mailbox ${unknown.join(', ')}`);
+  if (ids.length) conditions.accountIds = ids;
+
+  // "@maersk.com" and "Maersk.com" both mean maersk.com
+  const domains = parseList(input.senderDomains).map(domain => domain.replace(/^@/, '').toLowerCase());
+  const badDomain = domains.find(domain => !DOMAIN_PATTERN.test(domain));
+  if (badDomain) throw badRequest(`"${badDomain}" is not a domain`);
+  if (domains.length) conditions.senderDomains = domains;
+
+  const subjectPattern = String(input.subjectPattern ?? '').trim();
+  if (subjectPattern) {
+    compileSubjectPattern(subjectPattern);
+    conditions.subjectPattern = subjectPattern;
+  }
+
+  // Document types or file extensions ("pdf", ".xlsx")
+  const attachmentTypes = parseList(input.attachmentTypes).map(type => type.replace(/^\./, '').toLowerCase());
+  if (attachmentTypes.length) conditions.attachmentTypes = attachmentTypes;
+
+  if (!Object.keys(conditions).length) {
+    throw badRequest('A rule needs at least one condition');
+  }
+  return conditions;
+}
+
+async function parseActions(input = {}, supabase) {
+  const actions = {};
+
+  const labels = [...new Set(parseList(input.labels))];
+  if (labels.some(label => label.length > 50)) throw badRequest('Labels are limited to 50 characters');
+  if (labels.length) actions.labels = labels;
+
+  if (parseBoolean(input.markImportant)) actions.markImportant = true;
+
+  // Same names as jobs.client, so only existing organisations
+  const organization = String(input.organization ?? '').trim();
+  if (organization) {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('name')
+      .eq('name', organization)
+      .limit(1);
+    if (error) throw error;
+    if (!data.length) throw badRequest(`No organisation named "${organization}"`);
+    actions.organization = organization;
+  }
+
+  const forwardTo = [...new Set(parseList(input.forwardTo).map(email => email.toLowerCase()))];
+  const badEmail = forwardTo.find(email => !EMAIL_PATTERN.test(email));
+  if (badEmail) throw badRequest(`"${badEmail}" is not an email address`);
+  if (forwardTo.length) actions.forwardTo = forwardTo;
+
+  if (parseBoolean(input.delete)) actions.delete = true;
+
+  if (!Object.keys(actions).length) {
+    throw badRequest('A rule needs at least one action');
+  }
+  return actions;
+}
+
+/**
+ * Maps an admin form body onto email_rules columns. Only fields present in
+ * the body are returned, so PUT can change one setting at a time.
+ */
+async function parseRuleInput(body, { creating, accountIds, supabase }) {
+  const fields = {};
+
+  if (creating || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) throw badRequest('A rule name is required');
+    fields.name = name;
+  }
+  if (body.enabled !== undefined) fields.enabled = parseBoolean(body.enabled);
+  if (body.priority !== undefined) {
+    const priority = parseInt(body.priority);
+    if (!Number.isInteger(priority)) throw badRequest('Priority must be a whole number');
+    fields.priority = priority;
+  }
+  if (body.stopProcessing !== undefined) fields.stop_processing = parseBoolean(body.stopProcessing);
+  if (creating || body.conditions !== undefined) fields.conditions = parseConditions(body.conditions, accountIds);
+  if (creating || body.actions !== undefined) fields.actions = await parseActions(body.actions, supabase);
+
+  return fields;
+}
+
+const publicRule = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  enabled: rule.enabled,
+  priority: rule.priority,
+  stopProcessing: rule.stopProcessing,
+  conditions: rule.conditions,
+  actions: rule.actions,
+  validPattern: !rule.conditions.subjectPattern || !!rule.subjectRegex,
+  createdBy: rule.createdBy,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+/**
+ * Admin endpoints for inbound email rules and their hit log. Everything here
+ * requires a mail admin (admin role or MAIL_ADMIN_EMAILS). Rules are
+ * evaluated in priority order (lower first) by applyEmailRules in server.js.
+ */
+export default function createEmailRulesRouter({ authenticateUser, isMailAdmin, emailRules, emailConfigManager, supabase }) {
+  const router = express.Router();
+
+  const requireMailAdmin = (req, res, next) => {
+    if (!isMailAdmin(req.user)) {
+      return res.status(403).json({ success: false, error: 'Email rules are restricted to mailbox admins' });
+    }
+    next();
+  };
+
+  const guard = [authenticateUser, requireMailAdmin];
+
+  const findRule = (req) => {
+    const rule = emailRules.getRule(req.params.id);
+    if (!rule) {
+      throw httpError(404, `Rule ${req.params.id} not found`);
+    }
+    return rule;
+  };
+
+  const inputContext = (creating) => ({
+    creating,
+    accountIds: emailConfigManager.getAllConfigs().map(account => account.id),
+    supabase
+  });
+
+  router.get('/admin/email-rules', guard, (req, res) => {
+    res.json({
+      success: true,
+      rules: emailRules.getAllRules().map(publicRule),
+      loadedAt: emailRules.loadedAt
+    });
+  });
+
+  // Newest first; ?ruleId= narrows to one rule
+  router.get('/admin/email-rules/hits', guard, async (req, res) => {
+    try {
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+      let query = supabase
+        .from('email_rule_hits')
+        .select('id, rule_id, rule_name, message_id, account_id, subject, actions, error, created_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (req.query.ruleId) query = query.eq('rule_id', parseInt(req.query.ruleId));
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        hits: data.map(hit => ({
+          id: hit.id,
+          ruleId: hit.rule_id,
+          ruleName: hit.rule_name,
+          messageId: hit.message_id,
+          accountId: hit.account_id,
+          subject: hit.subject,
+          actions: hit.actions,
+          error: hit.error,
+          createdAt: hit.created_at
+        }))
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to load rule hits');
+    }
+  });
+
+  router.post('/admin/email-rules', guard, async (req, res) => {
+    try {
+      const fields = await parseRuleInput(req.body, inputContext(true));
+      const rule = await emailRules.createRule(fields, req.user.email, req.user.id);
+      console.log(`📐 Email rule ${rule.id} (${rule.name}) added by ${req.user.email}`);
+      res.status(201).json({ success: true, rule: publicRule(rule) });
+    } catch (error) {
+      sendError(res, error, 'Failed to add rule');
+    }
+  });
+
+  router.put('/admin/email-rules/:id', guard, async (req, res) => {
+    try {
+      const existing = findRule(req);
+      const fields = await parseRuleInput(req.body, inputContext(false));
+      const rule = await emailRules.updateRule(existing.id, fields);
+      console.log(`📐 Email rule ${rule.id} (${rule.name}) updated by ${req.user.email}`);
+      res.json({ success: true, rule: publicRule(rule) });
+    } catch (error) {
+      sendError(res, error, 'Failed to update rule');
+    }
+  });
+
+  router.delete('/admin/email-rules/:id', guard, async (req, res) => {
+    try {
+      const rule = findRule(req);
+      await emailRules.deleteRule(rule.id);
+      console.log(`🗑️ Email rule ${rule.id} (${rule.name}) deleted by ${req.user.email}`);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete rule');
+    }
+  });
+
+  return router;
+}
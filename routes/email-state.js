@@ -0,0 +1,262 @@
+import express from 'express';
+import { httpError, badRequest, sendError } from './http.js';
+
+const MAX_BULK_EMAILS = 500;
+const USER_LABEL_MAX = 50;
+
+const stateKey = (accountId, messageId) => `${accountId}:${messageId}`;
+
+// An email_user_state row (or none) as the API fields
+export const userStateFields = (row) => ({
+  isRead: !!row?.is_read,
+  isStarred: !!row?.is_starred,
+  isArchived: !!row?.is_archived,
+  snoozedUntil: row?.snoozed_until || null,
+  userLabels: row?.labels || []
+});
+
+export async function loadUserState(supabase, userEmail, accountId, messageId) {
+  const { data, error } = await supabase
+    .from('email_user_state')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .eq('account_id', accountId)
+    .eq('message_id', messageId)
+    .maybeSingle();
+  if (error) throw error;
+  return userStateFields(data);
+}
+
+/**
+ * Archives one email for one user. This is what deleting an email does for
+ * everyone but a purging mail admin; unarchiving brings it back.
+ */
+export async function archiveForUser(supabase, userEmail, accountId, messageId) {
+  const now = new Date();
+  const { error } = await supabase
+    .from('email_user_state')
+    .upsert({
+      user_email: userEmail.toLowerCase(),
+      account_id: accountId,
+      message_id: messageId,
+      is_archived: true,
+      archived_at: now,
+      updated_at: now
+    }, { onConflict: 'user_email,account_id,message_id' });
+  if (error) throw error;
+}
+
+/**
+ * Sets one of a user's read/starred/archived flags without queueing an IMAP
+ * change, for when the value came from the server in the first place.
+ */
+export async function setUserFlag(supabase, userEmail, accountId, messageId, flag, value) {
+  const now = new Date();
+  const fields = { [`is_${flag}`]: value };
+  if (flag === 'read') fields.read_at = value ? now : null;
+  if (flag === 'archived') fields.archived_at = value ? now : null;
+  const { error } = await supabase
+    .from('email_user_state')
+    .upsert({
+      user_email: userEmail.toLowerCase(),
+      account_id: accountId,
+      message_id: messageId,
+      ...fields,
+      updated_at: now
+    }, { onConflict: 'user_email,account_id,message_id' });
+  if (error) throw error;
+}
+
+const parseLabels = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) throw badRequest(`${name} must be an array of labels`);
+  const labels = [...new Set(value.map(label => String(label).trim()).filter(Boolean))];
+  if (labels.some(label => label.length > USER_LABEL_MAX)) {
+    throw badRequest(`Labels are limited to ${USER_LABEL_MAX} characters`);
+  }
+  return labels;
+};
+
+const parseFlag = (value, name) => {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'boolean') throw badRequest(`${name} must be true or false`);
+  return value;
+};
+
+/**
+ * The changes a bulk request asks for. Only the keys present are applied:
+ * { read, starred, archived, snoozedUntil (ISO date or null to wake),
+ *   labels (replace), addLabels, removeLabels }.
+ */
+function parseChanges(body) {
+  const changes = {
+    read: parseFlag(body.read, 'read'),
+    starred: parseFlag(body.starred, 'starred'),
+    archived: parseFlag(body.archived, 'archived'),
+    labels: parseLabels(body.labels, 'labels'),
+    addLabels: parseLabels(body.addLabels, 'addLabels'),
+    removeLabels: parseLabels(body.removeLabels, 'removeLabels')
+  };
+
+  if (body.snoozedUntil !== undefined) {
+    const until = body.snoozedUntil === null ? null : new Date(body.snoozedUntil);
+    if (until && isNaN(until)) throw badRequest('snoozedUntil must be a date or null');
+    changes.snoozedUntil = until;
+  }
+
+  if (Object.values(changes).every(value => value === undefined)) {
+    throw badRequest('Nothing to change');
+  }
+  if (changes.labels && (changes.addLabels || changes.removeLabels)) {
+    throw badRequest('Send labels, or addLabels/removeLabels, not both');
+  }
+  return changes;
+}
+
+// The next row for one email given its current row (or none)
+function applyChanges(current, changes, now) {
+  const row = {
+    is_read: current?.is_read ?? false,
+    is_starred: current?.is_starred ?? false,
+    is_archived: current?.is_archived ?? false,
+    snoozed_until: current?.snoozed_until ?? null,
+    labels: current?.labels ?? [],
+    read_at: current?.read_at ?? null,
+    archived_at: current?.archived_at ?? null,
+    updated_at: now
+  };
+
+  if (changes.read !== undefined) {
+    row.read_at = changes.read ? (row.is_read ? row.read_at : now) : null;
+    row.is_read = changes.read;
+  }
+  if (changes.starred !== undefined) row.is_starred = changes.starred;
+  if (changes.archived !== undefined) {
+    row.archived_at = changes.archived ? (row.is_archived ? row.archived_at : now) : null;
+    row.is_archived = changes.archived;
+  }
+  if (changes.snoozedUntil !== undefined) row.snoozed_until = changes.snoozedUntil;
+
+  if (changes.labels) row.labels = changes.labels;
+  if (changes.addLabels) row.labels = [...new Set([...row.labels, ...changes.addLabels])];
+  if (changes.removeLabels) row.labels = row.labels.filter(label => !changes.removeLabels.includes(label));
+
+  return row;
+}
+
+/**
+ * Per-user read/starred/archived/snoozed state and personal labels on
+ * mailbox email. State belongs to the signed-in user only; the shared
+ * email row is never touched. `onChange(rows, changes, userEmail)` runs
+ * after every write so cached lists pick the change up and mailboxes with
+ * flag sync get it pushed back to the server.
+ */
+export default function createEmailStateRouter({ authenticateUser, supabase, emailConfigManager, onChange }) {
+  const router = express.Router();
+
+  // Body: { emails: [{ messageId, accountId }], ...changes }
+  router.post('/emails/state', authenticateUser, async (req, res) => {
+    try {
+      const userEmail = req.user.email.toLowerCase();
+      const { emails } = req.body || {};
+      if (!Array.isArray(emails) || !emails.length) throw badRequest('emails must be a non-empty array');
+      if (emails.length > MAX_BULK_EMAILS) throw badRequest(`At most ${MAX_BULK_EMAILS} emails per request`);
+
+      const changes = parseChanges(req.body);
+
+      const byAccount = new Map();
+      for (const item of emails) {
+        const accountId = parseInt(item?.accountId);
+        const messageId = item?.messageId;
+        if (!Number.isInteger(accountId) || typeof messageId !== 'string' || !messageId) {
+          throw badRequest('Each email needs a messageId and accountId');
+        }
+        if (!emailConfigManager.canUserAccessAccount(userEmail, accountId)) {
+          throw httpError(403, `Access denied to account ${accountId}`);
+        }
+        if (!byAccount.has(accountId)) byAccount.set(accountId, new Set());
+        byAccount.get(accountId).add(messageId);
+      }
+
+      // Only stored emails get state; the current rows feed label merges
+      const known = new Set();
+      const current = new Map();
+      for (const [accountId, messageIds] of byAccount) {
+        const ids = [...messageIds];
+        const [storedResult, stateResult] = await Promise.all([
+          supabase.from('emails').select('message_id').eq('account_id', accountId).in('message_id', ids),
+          supabase.from('email_user_state').select('*').eq('user_email', userEmail).eq('account_id', accountId).in('message_id', ids)
+        ]);
+        if (storedResult.error) throw storedResult.error;
+        if (stateResult.error) throw stateResult.error;
+
+        storedResult.data.forEach(row => known.add(stateKey(accountId, row.message_id)));
+        stateResult.data.forEach(row => current.set(stateKey(accountId, row.message_id), row));
+      }
+
+      const now = new Date();
+      const rows = [];
+      const missing = [];
+      for (const [accountId, messageIds] of byAccount) {
+        for (const messageId of messageIds) {
+          const key = stateKey(accountId, messageId);
+          if (!known.has(key)) {
+            missing.push({ messageId, accountId });
+            continue;
+          }
+          rows.push({
+            user_email: userEmail,
+            account_id: accountId,
+            message_id: messageId,
+            ...applyChanges(current.get(key), changes, now)
+          });
+        }
+      }
+
+      if (rows.length) {
+        const { error } = await supabase
+          .from('email_user_state')
+          .upsert(rows, { onConflict: 'user_email,account_id,message_id' });
+        if (error) throw error;
+        await onChange?.(rows, changes, userEmail);
+      }
+
+      res.json({
+        success: true,
+        updated: rows.length,
+        missing: missing.length ? missing : undefined,
+        states: rows.map(row => ({ messageId: row.message_id, accountId: row.account_id, ...userStateFields(row) }))
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update email state');
+    }
+  });
+
+  // The caller's personal labels with how many emails carry each
+  router.get('/email-labels', authenticateUser, async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('email_user_state')
+        .select('labels')
+        .eq('user_email', req.user.email.toLowerCase())
+        .neq('labels', '{}');
+      if (error) throw error;
+
+      const counts = new Map();
+      for (const row of data) {
+        for (const label of row.labels) counts.set(label, (counts.get(label) || 0) + 1);
+      }
+
+      res.json({
+        success: true,
+        labels: [...counts.entries()]
+          .map(([name, count]) => ({ name, count }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to load labels');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,120 @@
+import express from 'express';
+import { can } from '../src/lib/permissions.js';
+import { httpError, sendError } from './http.js';
+
+// Signed URLs are fetched right before use, so they only need to outlive the
+// redirect or download that follows.
+const SIGNED_URL_TTL_SECONDS = 120;
+
+const VENDOR_PATH_COLUMNS = ['excel_path', 'pdf_path', 'pan_path', 'cheque_path', 'gst_path', 'msme_path'];
+// The cancelled cheque shows the bank account
+const VENDOR_BANK_COLUMNS = ['cheque_path'];
+
+/**
+ * Authenticated downloads from the private storage buckets. Each bucket has
+ * its own access rule; a caller who passes it gets a short-lived signed URL.
+ */
+export default function createFilesRouter({ authenticateUser, supabase, emailConfigManager }) {
+  const router = express.Router();
+
+  // Mail attachments live under account_N/ (received) or sent/account_N/
+  // (sent); the caller needs a grant on mailbox N.
+  const canReadMailAttachment = async (user, filePath) => {
+    const match = filePath.match(/^(?:sent\/)?account_(\d+)\//);
+    return !!match && emailConfigManager.canUserAccessAccount(user.email, parseInt(match[1]));
+  };
+
+  // Chat attachments live under <uploader id>/. Others may read them once
+  // they are attached to a message they sent, received or whose group
+  // conversation they belong to.
+  const canReadMessageAttachment = async (user, filePath) => {
+    if (filePath.startsWith(`${user.id}/`)) return true;
+
+    const { data: attachments, error } = await supabase
+      .from('message_attachments')
+      .select('message_id')
+      .eq('storage_path', filePath);
+    if (error) throw error;
+    if (!attachments?.length) return false;
+
+    const { data: messages, error: messagesError } = await supabase
+      .from('messages')
+      .select('sender_id, receiver_id, conversation_id')
+      .in('id', attachments.map(att => att.message_id));
+    if (messagesError) throw messagesError;
+
+    if (messages.some(msg => msg.sender_id === user.id || msg.receiver_id === user.id)) return true;
+
+    const conversationIds = messages.map(msg => msg.conversation_id).filter(Boolean);
+    if (!conversationIds.length) return false;
+
+    const { count, error: participantsError } = await supabase
+      .from('conversation_participants')
+      .select('conversation_id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .in('conversation_id', conversationIds);
+    if (participantsError) throw participantsError;
+    return count > 0;
+  };
+
+  // Vendor documents are readable by any signed-in user, as on the Vendors
+  // page, but only files actually recorded against a vendor. Bank documents
+  // need the role that sees bank details.
+  const canReadVendorFile = async (user, filePath) => {
+    const columns = can(user.role, 'vendors.bank')
+      ? VENDOR_PATH_COLUMNS
+      : VENDOR_PATH_COLUMNS.filter(column => !VENDOR_BANK_COLUMNS.includes(column));
+    for (const column of columns) {
+      const { count, error } = await supabase
+        .from('vendor_files')
+        .select('vendor_id', { count: 'exact', head: true })
+        .eq(column, filePath);
+      if (error) throw error;
+      if (count > 0) return true;
+    }
+    return false;
+  };
+
+  const ACCESS_RULES = {
+    'attachments': canReadMailAttachment,
+    'message-attachments': canReadMessageAttachment,
+    'vendor-files': canReadVendorFile
+  };
+
+  // Body: { bucket, path, download? } — download is a filename (or true) to
+  // make the URL serve the file as an attachment instead of inline.
+  router.post('/files/signed-url', authenticateUser, async (req, res) => {
+    try {
+      const { bucket, path: filePath, download } = req.body || {};
+
+      const canRead = ACCESS_RULES[bucket];
+      if (!canRead) throw httpError(400, `Unknown bucket "${bucket}"`);
+      if (typeof filePath !== 'string' || !filePath || filePath.startsWith('/') || filePath.split('/').includes('..')) {
+        throw httpError(400, 'A valid file path is required');
+      }
+
+      if (!await canRead(req.user, filePath)) {
+        console.log(`🚫 ${req.user.email} denied ${bucket}/${filePath}`);
+        throw httpError(403, 'Access denied to this file');
+      }
+
+      const { data, error } = await supabase.storage
+        .from(bucket)
+        .createSignedUrl(filePath, SIGNED_URL_TTL_SECONDS, download ? { download } : undefined);
+
+      if (error) {
+        throw /not.?found/i.test(error.message) ? httpError(404, 'File not found') : error;
+      }
+
+      res.json({
+        success: true,
+        url: data.signedUrl,
+        expiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString()
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create download link');
+    }
+  });
+
+  return router;
+}
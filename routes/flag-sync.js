@@ -0,0 +1,161 @@
+import express from 'express';
+import { httpError, sendError } from './http.js';
+import { setUserFlag } from './email-state.js';
+
+// What the admin page lists unless ?status= asks for something else
+const OPEN_STATUSES = ['pending', 'conflict', 'failed'];
+const ALL_STATUSES = ['pending', 'done', 'skipped', 'conflict', 'failed', 'superseded', 'discarded'];
+
+// The requester's email_user_state flag each queued action mirrors
+const ACTION_FLAGS = { seen: 'read', flagged: 'starred', archive: 'archived' };
+
+const publicItem = (item, subjects) => ({
+  id: item.id,
+  accountId: item.account_id,
+  messageId: item.message_id,
+  subject: subjects.get(`${item.account_id}:${item.message_id}`) ?? null,
+  action: item.action,
+  value: item.value,
+  folder: item.folder,
+  status: item.status,
+  serverValue: item.server_value,
+  attempts: item.attempts,
+  lastError: item.last_error,
+  requestedBy: item.requested_by,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at,
+  appliedAt: item.applied_at
+});
+
+/**
+ * Mail-admin view of the IMAP flag sync queue (FlagSyncManager in
+ * server.js): what is waiting for a server, what failed and the conflicts
+ * where the mailbox and the dashboard disagree. Resolving a conflict keeps
+ * either the dashboard's change (pushed again, without the conflict check)
+ * or the server's value (the change is dropped and the requester's state
+ * goes back to what the server has).
+ */
+export default function createFlagSyncRouter({ authenticateUser, isMailAdmin, supabase, emailConfigManager, flagSync, onStateChange }) {
+  const router = express.Router();
+
+  const requireMailAdmin = (req, res, next) => {
+    if (!isMailAdmin(req.user)) {
+      return res.status(403).json({ success: false, error: 'Flag sync is restricted to mailbox admins' });
+    }
+    next();
+  };
+
+  const guard = [authenticateUser, requireMailAdmin];
+
+  // ?accountId= narrows to one mailbox; ?status= is one status or a
+  // comma-separated list (default pending, conflict and failed)
+  router.get('/admin/flag-sync', guard, async (req, res) => {
+    try {
+      const statuses = req.query.status ? String(req.query.status).split(',') : OPEN_STATUSES;
+      const unknown = statuses.filter(status => !ALL_STATUSES.includes(status));
+      if (unknown.length) throw httpError(400, `Unknown status ${unknown.join(', ')}`);
+
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+      let itemsQuery = supabase
+        .from('email_flag_sync_queue')
+        .select('*')
+        .in('status', statuses)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      let countsQuery = supabase
+        .from('email_flag_sync_queue')
+        .select('account_id, status')
+        .in('status', OPEN_STATUSES);
+      if (req.query.accountId) {
+        const accountId = parseInt(req.query.accountId);
+        if (!emailConfigManager.getConfig(accountId)) throw httpError(404, `Account ${req.query.accountId} not found`);
+        itemsQuery = itemsQuery.eq('account_id', accountId);
+        countsQuery = countsQuery.eq('account_id', accountId);
+      }
+
+      const [itemsResult, countsResult] = await Promise.all([itemsQuery, countsQuery]);
+      if (itemsResult.error) throw itemsResult.error;
+      if (countsResult.error) throw countsResult.error;
+
+      // Subjects for display; purged mail has none left
+      const subjects = new Map();
+      const byAccount = new Map();
+      for (const item of itemsResult.data) {
+        if (!byAccount.has(item.account_id)) byAccount.set(item.account_id, new Set());
+        byAccount.get(item.account_id).add(item.message_id);
+      }
+      for (const [accountId, messageIds] of byAccount) {
+        const { data, error } = await supabase
+          .from('emails')
+          .select('message_id, subject')
+          .eq('account_id', accountId)
+          .in('message_id', [...messageIds]);
+        if (error) throw error;
+        data.forEach(email => subjects.set(`${accountId}:${email.message_id}`, email.subject));
+      }
+
+      // { [accountId]: { pending, conflict, failed } }
+      const counts = {};
+      for (const { account_id, status } of countsResult.data) {
+        counts[account_id] ??= { pending: 0, conflict: 0, failed: 0 };
+        counts[account_id][status]++;
+      }
+
+      res.json({
+        success: true,
+        items: itemsResult.data.map(item => publicItem(item, subjects)),
+        counts
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to load flag sync queue');
+    }
+  });
+
+  // Body: { keep: 'dashboard' | 'server' }. Failed changes can be retried
+  // the same way with keep: 'dashboard'.
+  router.post('/admin/flag-sync/:id/resolve', guard, async (req, res) => {
+    try {
+      const { keep } = req.body || {};
+      if (keep !== 'dashboard' && keep !== 'server') throw httpError(400, 'keep must be "dashboard" or "server"');
+
+      const { data: item, error } = await supabase
+        .from('email_flag_sync_queue')
+        .select('*')
+        .eq('id', parseInt(req.params.id))
+        .maybeSingle();
+      if (error) throw error;
+      if (!item) throw httpError(404, 'Queue entry not found');
+      if (item.status !== 'conflict' && item.status !== 'failed') {
+        throw httpError(409, `Only conflicts and failed changes can be resolved (this one is ${item.status})`);
+      }
+
+      const fields = keep === 'dashboard'
+        ? { status: 'pending', force: true, attempts: 0, last_error: null }
+        : { status: 'discarded', last_error: `Kept the server's value (${req.user.email})` };
+
+      const { data: updated, error: updateError } = await supabase
+        .from('email_flag_sync_queue')
+        .update({ ...fields, updated_at: new Date() })
+        .eq('id', item.id)
+        .select('*')
+        .single();
+      if (updateError) throw updateError;
+
+      if (keep === 'dashboard') flagSync.schedule(item.account_id);
+
+      // Failed changes never read the server, so it still has the old value
+      const flag = ACTION_FLAGS[item.action];
+      if (keep === 'server' && flag && item.requested_by) {
+        const serverValue = item.server_value ?? !item.value;
+        await setUserFlag(supabase, item.requested_by, item.account_id, item.message_id, flag, serverValue);
+        await onStateChange?.(item.requested_by);
+      }
+      console.log(`🔁 Flag sync ${item.id} (${item.action} on ${item.message_id}) resolved for the ${keep} by ${req.user.email}`);
+      res.json({ success: true, item: publicItem(updated, new Map()) });
+    } catch (error) {
+      sendError(res, error, 'Failed to resolve flag sync entry');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,17 @@
+// Error helpers shared by the routers. Handlers throw httpError (or
+// badRequest) for problems the caller should see and pass everything to
+// sendError, which answers { success: false, error, details }: the message
+// for expected errors, `fallback` (and a log line) for anything else.
+
+export const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+export const badRequest = (message) => httpError(400, message);
+
+export const sendError = (res, error, fallback) => {
+  if (!error.status) console.error(`❌ ${fallback}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status ? error.message : fallback,
+    details: process.env.NODE_ENV === 'production' ? undefined : error.message
+  });
+};
@@ -0,0 +1,306 @@
+import express from 'express';
+import { httpError, sendError } from './http.js';
+
+// Booking requests put the useful part up front; sheets can be long
+const DRAFT_SCAN_CHARS = 30000;
+const DRAFT_VALUE_MAX = 200;
+
+// Ports and airports that make a booking an Indian export (when loading) or
+// import (when discharging). Matched as words in the POL/POD values.
+const INDIAN_LOCATIONS = [
+  'india', 'chennai', 'madras', 'kattupalli', 'ennore', 'nhava sheva', 'jnpt', 'mumbai', 'bombay',
+  'mundra', 'pipavav', 'hazira', 'kandla', 'kolkata', 'calcutta', 'haldia', 'tuticorin', 'cochin',
+  'kochi', 'visakhapatnam', 'vizag', 'krishnapatnam', 'mangalore', 'goa', 'delhi', 'tughlakabad',
+  'bangalore', 'bengaluru', 'hyderabad', 'ahmedabad', 'ludhiana', 'maa', 'bom', 'del', 'blr', 'hyd', 'ccu',
+  'inmaa', 'innsa', 'inbom', 'inmun', 'inccu', 'intut', 'incok'
+];
+
+/**
+ * Labels people use in booking mails and sheets, mapped onto ActiveJob's
+ * INITIAL_FORM_DATA keys. One label can fill several keys: the sea, air and
+ * transport forms name the same thing differently. `kind` shapes the value
+ * for the input it lands in.
+ */
+const FIELD_RULES = [
+  { label: /^shipper( name)?$/, fields: ['shipper', 'shipper_name'] },
+  { label: /^consignee( name)?$/, fields: ['consignee'] },
+  { label: /^notify( party)?$/, fields: ['notify_party'] },
+  { label: /^(pol|port of loading|loading port|port of load)$/, fields: ['pol'] },
+  { label: /^(pod|port of discharge|discharge port|destination port)$/, fields: ['pod'] },
+  { label: /^(por|place of receipt)$/, fields: ['por'] },
+  { label: /^(final destination|place of delivery|fpod|destination)$/, fields: ['destination'] },
+  { label: /^(airport of departure|origin airport|aod)$/, fields: ['airport_of_departure'] },
+  { label: /^(airport of destination|destination airport)$/, fields: ['airport_of_destination'] },
+  { label: /^(commodity|cargo|description of goods|goods( description)?|description)$/, fields: ['commodity', 'description'] },
+  { label: /^(gross weight|gr weight|gross wt|g ?w)( kgs?)?$/, fields: ['grWeight', 'grossWeight'], kind: 'number' },
+  { label: /^(net weight|net wt|n ?w)( kgs?)?$/, fields: ['netWeight'], kind: 'number' },
+  { label: /^chargeable (weight|wt)( kgs?)?$/, fields: ['chargeable_weight'], kind: 'number' },
+  { label: /^(volume|cbm|measurement)( cbm)?$/, fields: ['volume'], kind: 'number' },
+  { label: /^(no of (packages|pkgs|cartons|cartoons|boxes)|packages|pkgs|cartons)$/, fields: ['no_of_packages', 'noOfCartoons'], kind: 'number' },
+  { label: /^(dimensions?|dims)( cms?)?$/, fields: ['dimension_cms'] },
+  { label: /^(container type|equipment( type)?|cntr type)$/, fields: ['containerType'] },
+  { label: /^(no of (containers|cntrs?)|containers)$/, fields: ['noOfCntr'], kind: 'number' },
+  { label: /^(container( no)?|cntr no)$/, fields: ['containerNo'] },
+  { label: /^(incoterms?|inco terms?|terms|terms of delivery)$/, fields: ['incoterms', 'terms'] },
+  { label: /^(shipping line|liner|carrier|s line)$/, fields: ['sLine', 'carrier'] },
+  { label: /^(airline|name of airline)$/, fields: ['name_of_airline'] },
+  { label: /^vessel( name)?$/, fields: ['vessel'] },
+  { label: /^(voyage|voy)( no)?$/, fields: ['voy'] },
+  { label: /^(invoice no|invoice number|inv no)$/, fields: ['invoiceNo'] },
+  { label: /^(invoice date|inv date)$/, fields: ['invoiceDate'], kind: 'date' },
+  { label: /^(invoice value|inv value)$/, fields: ['invoiceValue'] },
+  { label: /^(etd|cargo ready( date)?|ready date)$/, fields: ['etd'], kind: 'datetime' },
+  { label: /^eta$/, fields: ['eta', 'flight_eta'], kind: 'datetime' },
+  { label: /^(stuffing date)$/, fields: ['stuffingDate'], kind: 'date' },
+  { label: /^(vehicle type|truck type)$/, fields: ['vehicle_type'] }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Port of Loading (POL)" → "port of loading pol"; "No. of Pkgs" → "no of pkgs"
+const normalizeLabel = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const findRule = (label) => {
+  const normalized = normalizeLabel(label);
+  // A trailing abbreviation in brackets, e.g. "(POL)", is noise
+  const withoutAside = normalizeLabel(label.replace(/\([^)]*\)/g, ''));
+  return FIELD_RULES.find(rule => rule.label.test(normalized) || rule.label.test(withoutAside));
+};
+
+// Dates as typed in India: 05/03/2025 is 5 March. Returns YYYY-MM-DD or null.
+function parseDate(value) {
+  const text = value.trim().toLowerCase();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let [year, month, day] = match ? [+match[1], +match[2], +match[3]] : [];
+
+  if (!match && (match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) {
+    [day, month, year] = [+match[1], +match[2], +match[3]];
+  }
+  if (!match && (match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]*([a-z]{3})[a-z]*[\s,-]*(\d{2,4})/))) {
+    [day, month, year] = [+match[1], MONTHS.indexOf(match[2]) + 1, +match[3]];
+  }
+  if (!match) return null;
+
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "12,500.5 KGS" → "12500.5"
+const parseNumber = (value) => value.replace(/,/g, '').match(/\d+(\.\d+)?/)?.[0] || null;
+
+const shapeValue = (value, kind) => {
+  if (kind === 'number') return parseNumber(value);
+  if (kind === 'date') return parseDate(value);
+  if (kind === 'datetime') {
+    const date = parseDate(value);
+    return date && `${date}T00:00`;
+  }
+  return value.slice(0, DRAFT_VALUE_MAX);
+};
+
+// One CSV row from extractSpreadsheetText, honouring quoted cells
+const splitCsvRow = (line) => [...line.matchAll(/("([^"]|"")*"|[^,]*)(,|$)/g)]
+  .map(([, cell]) => cell.replace(/^"|"$/g, '').replace(/""/g, '"').trim())
+  .slice(0, -1);
+
+/**
+ * Label/value pairs from free text: "Shipper: ACME", "POL - Chennai",
+ * "Gross weight<TAB>1200 kg", sheet rows "Shipper,ACME" and a label alone
+ * on its line followed by the value on the next.
+ */
+function extractPairs(text) {
+  const lines = text.slice(0, DRAFT_SCAN_CHARS).split(/\r?\n/).map(line => line.trim());
+  const pairs = [];
+
+  lines.forEach((line, index) => {
+    let label, value;
+    const separated = line.match(/^([A-Za-z][A-Za-z0-9 .()/&'-]{0,40}?)\s*(?::|=|\t|\s-\s)\s*(.*)$/);
+    if (separated) {
+      [, label, value] = separated;
+    } else if (line.includes(',')) {
+      const cells = splitCsvRow(line).filter(Boolean);
+      if (cells.length >= 2) [label, value] = cells;
+    } else if (/:$/.test(line)) {
+      label = line.slice(0, -1);
+      value = '';
+    }
+    if (!label) return;
+
+    if (!value) value = lines.slice(index + 1, index + 3).find(Boolean) || '';
+    if (value && !findRule(value.replace(/:$/, ''))) pairs.push([label, value]);
+  });
+
+  return pairs;
+}
+
+function guessJobType(text, fields) {
+  if (/\b(air ?freight|by air|airway ?bill|awb|airport|flight)\b/i.test(text) || fields.airport_of_departure) {
+    return 'AIR FREIGHT';
+  }
+  if (/\b(fcl|lcl|container|vessel|sea ?freight|bill of lading|pol|pod)\b/i.test(text) || fields.pol || fields.pod) {
+    return 'SEA FREIGHT';
+  }
+  if (/\b(transport(ation)?|trucking|trailer|truck|vehicle)\b/i.test(text)) return 'TRANSPORT';
+  return null;
+}
+
+// Explicit wording first, then which end of the move is in India
+function guessTradeDirection(text, fields) {
+  const exportHits = (text.match(/\bexports?\b/gi) || []).length;
+  const importHits = (text.match(/\bimports?\b/gi) || []).length;
+  if (exportHits !== importHits) return exportHits > importHits ? 'EXPORT' : 'IMPORT';
+
+  const inIndia = (value) => !!value && INDIAN_LOCATIONS.some(place => new RegExp(`\\b${place}\\b`, 'i').test(value));
+  const loadsInIndia = inIndia(fields.pol) || inIndia(fields.airport_of_departure);
+  const dischargesInIndia = inIndia(fields.pod) || inIndia(fields.airport_of_destination);
+  if (loadsInIndia !== dischargesInIndia) return loadsInIndia ? 'EXPORT' : 'IMPORT';
+  return null;
+}
+
+/**
+ * Builds a job draft from a stored email: form fields keyed like
+ * ActiveJob's INITIAL_FORM_DATA, plus the job type and trade direction when
+ * the mail makes them clear (null otherwise, and the wizard asks). The body
+ * wins over attachment text when both state a field.
+ */
+export function buildJobDraft(email) {
+  const fields = {};
+  const sources = {};
+
+  const sections = [
+    ['body', email.text_content || ''],
+    ['attachment', email.attachment_text || '']
+  ];
+  for (const [source, text] of sections) {
+    for (const [label, value] of extractPairs(text)) {
+      const rule = findRule(label);
+      if (!rule) continue;
+      const shaped = shapeValue(value, rule.kind);
+      if (!shaped) continue;
+      for (const field of rule.fields) {
+        if (fields[field]) continue;
+        fields[field] = shaped;
+        sources[field] = source;
+      }
+    }
+  }
+
+  const allText = `${email.subject || ''}\n${sections.map(([, text]) => text.slice(0, DRAFT_SCAN_CHARS)).join('\n')}`;
+  const jobType = guessJobType(allText, fields);
+  const tradeDirection = guessTradeDirection(allText, fields);
+
+  // "2 x 40HC" is a count and a type
+  const equipment = fields.containerType?.match(/^(\d+)\s*[x×*]\s*(.+)$/i);
+  if (equipment) {
+    fields.noOfCntr = fields.noOfCntr || equipment[1];
+    fields.containerType = equipment[2];
+  }
+
+  const lclFcl = allText.match(/\b(FCL|LCL)\b/i)?.[1].toUpperCase();
+  if (lclFcl) fields.lclFcl = lclFcl;
+
+  // Sea freight asks for the party on our side of the move
+  if (tradeDirection === 'EXPORT' && fields.shipper) fields.exporter = fields.shipper;
+  if (tradeDirection === 'IMPORT' && fields.consignee) fields.importer = fields.consignee;
+  if (jobType === 'TRANSPORT' && fields.pol) fields.from = fields.pol;
+  if (jobType === 'TRANSPORT' && fields.pod) fields.to = fields.pod;
+
+  if (email.client_organization) fields.client = email.client_organization;
+  fields.remarks = `Created from email "${email.subject || '(No Subject)'}" from ${email.from_text || 'unknown sender'}`;
+
+  return {
+    jobType,
+    tradeDirection,
+    fields,
+    sources,
+    email: {
+      messageId: email.message_id,
+      accountId: email.account_id,
+      subject: email.subject,
+      from: email.from_text,
+      date: email.date
+    }
+  };
+}
+
+/**
+ * "Create job from email": a pre-filled draft for ActiveJob's wizard, and
+ * the link from the saved job back to its source email. The job row itself
+ * is written by the browser as for any other job; it carries
+ * source_message_id/source_account_id.
+ */
+export default function createJobDraftsRouter({ authenticateUser, requirePermission, supabase, emailConfigManager }) {
+  const router = express.Router();
+
+  // Drafting and linking a job needs the role that may save one
+  const guard = [authenticateUser, requirePermission('jobs.edit')];
+
+  // A Message-ID can be stored under several mailboxes; accountId picks one
+  const loadEmail = async (user, messageId, accountId) => {
+    const allowedIds = emailConfigManager.getAllowedAccounts(user.email).map(acc => acc.id);
+    const accountIds = accountId ? [parseInt(accountId)] : allowedIds;
+    if (!accountIds.length || !accountIds.every(id => allowedIds.includes(id))) {
+      throw httpError(403, 'Access denied');
+    }
+
+    const { data, error } = await supabase
+      .from('emails')
+      .select('message_id, account_id, subject, from_text, date, text_content, attachment_text, client_organization')
+      .eq('message_id', messageId)
+      .in('account_id', accountIds)
+      .limit(1);
+    if (error) throw error;
+    if (!data?.length) throw httpError(404, 'Email not found');
+    return data[0];
+  };
+
+  router.get('/emails/:messageId/job-draft', guard, async (req, res) => {
+    try {
+      const email = await loadEmail(req.user, req.params.messageId, req.query.accountId);
+      const draft = buildJobDraft(email);
+      console.log(`🧾 Job draft from ${email.message_id}: ${Object.keys(draft.sources).length} fields, ${draft.jobType || '?'} ${draft.tradeDirection || '?'}`);
+      res.json({ success: true, draft });
+    } catch (error) {
+      sendError(res, error, 'Failed to build job draft');
+    }
+  });
+
+  // Called once the job is saved, so it lists the email under its linked mail
+  router.post('/emails/:messageId/job-link', guard, async (req, res) => {
+    try {
+      const { accountId, jobId } = req.body || {};
+      const email = await loadEmail(req.user, req.params.messageId, accountId);
+
+      const { data: job, error } = await supabase
+        .from('jobs')
+        .select('id, job_no, source_message_id, source_account_id')
+        .eq('id', jobId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!job) throw httpError(404, 'Job not found');
+      if (job.source_message_id !== email.message_id || job.source_account_id !== email.account_id) {
+        throw httpError(400, 'This job was not created from this email');
+      }
+
+      const { error: linkError } = await supabase
+        .from('email_links')
+        .upsert({
+          message_id: email.message_id,
+          account_id: email.account_id,
+          entity_type: 'job',
+          entity_id: job.id,
+          matched_field: 'Source email',
+          matched_value: job.job_no || String(job.id)
+        }, { onConflict: 'message_id,account_id,entity_type,entity_id', ignoreDuplicates: true });
+      if (linkError) throw linkError;
+
+      console.log(`🔗 Job ${job.job_no || job.id} created from ${email.message_id} by ${req.user.email}`);
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error, 'Failed to link job to email');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,224 @@
+import express from 'express';
+import { httpError, badRequest, sendError } from './http.js';
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+const parsePort = (value, label) => {
+  const port = parseInt(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw badRequest(`${label} must be a port number`);
+  }
+  return port;
+};
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+const parseFolders = (value) => {
+  const folders = (Array.isArray(value) ? value : String(value).split(','))
+    .map(folder => String(folder).trim())
+    .filter(Boolean);
+  if (!folders.length) throw badRequest('At least one folder is required');
+  return folders;
+};
+
+/**
+ * Maps an admin form body onto mail_accounts columns. Only fields present in
+ * the body are returned, so PUT can change one setting at a time. The
+ * password comes back separately; it is encrypted by EmailConfigManager.
+ */
+function parseAccountInput(body, { creating }) {
+  const fields = {};
+
+  if (creating || body.email !== undefined) {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) throw badRequest('A valid mailbox email is required');
+    fields.email = email;
+  }
+  if (body.displayName !== undefined) fields.display_name = String(body.displayName).trim() || null;
+  if (body.username !== undefined) fields.username = String(body.username).trim() || null;
+  if (body.imapHost !== undefined) fields.imap_host = String(body.imapHost).trim();
+  if (body.imapPort !== undefined) fields.imap_port = parsePort(body.imapPort, 'IMAP port');
+  if (body.imapTls !== undefined) fields.imap_tls = parseBoolean(body.imapTls);
+  if (body.smtpHost !== undefined) fields.smtp_host = String(body.smtpHost).trim();
+  if (body.smtpPort !== undefined) fields.smtp_port = parsePort(body.smtpPort, 'SMTP port');
+  if (body.smtpSecure !== undefined) fields.smtp_secure = parseBoolean(body.smtpSecure);
+  if (body.folders !== undefined) fields.folders = parseFolders(body.folders);
+  if (body.enabled !== undefined) fields.enabled = parseBoolean(body.enabled);
+  if (body.flagSync !== undefined) fields.flag_sync = parseBoolean(body.flagSync);
+
+  if (fields.imap_host === '' || fields.smtp_host === '') {
+    throw badRequest('Server host names cannot be empty');
+  }
+
+  const password = body.password ? String(body.password) : null;
+  if (creating && !password) throw badRequest('A password is required');
+
+  return { fields, password };
+}
+
+// Settings that decide where, and how openly, the stored password is sent
+const CREDENTIAL_SETTINGS = {
+  imap_host: 'imapHost',
+  imap_port: 'imapPort',
+  imap_tls: 'imapTls',
+  smtp_host: 'smtpHost',
+  smtp_port: 'smtpPort',
+  smtp_secure: 'smtpSecure'
+};
+
+// The stored password only goes to the servers and login it was saved for.
+// Pointing an account elsewhere takes the password again, or the form could
+// send the secret to any host it names.
+const requirePasswordForChangedServer = (fields, password, stored) => {
+  if (password || !stored) return;
+  // A blank username logs in with the mailbox address
+  const username = 'username' in fields ? (fields.username || fields.email || stored.email) : stored.username;
+  const changed = username !== stored.username || Object.entries(CREDENTIAL_SETTINGS)
+    .some(([column, key]) => column in fields && fields[column] !== stored[key]);
+  if (changed) {
+    throw badRequest('Enter the password again to change the username, servers, ports or encryption');
+  }
+};
+
+// Never send secrets back to the browser
+const publicAccount = (account, grants) => ({
+  id: account.id,
+  email: account.email,
+  displayName: account.displayName,
+  username: account.username,
+  imapHost: account.imapHost,
+  imapPort: account.imapPort,
+  imapTls: account.imapTls,
+  smtpHost: account.smtpHost,
+  smtpPort: account.smtpPort,
+  smtpSecure: account.smtpSecure,
+  folders: account.folders,
+  enabled: account.enabled,
+  flagSync: account.flagSync,
+  hasPassword: !!account.password,
+  users: grants.filter(grant => grant.accountIds.includes(account.id)).map(grant => grant.userEmail).sort()
+});
+
+/**
+ * Admin endpoints for mailbox accounts and per-user access grants.
+ * Everything here requires a mail admin (admin role or MAIL_ADMIN_EMAILS).
+ */
+export default function createMailAccountsRouter({ authenticateUser, isMailAdmin, emailConfigManager, testMailAccount }) {
+  const router = express.Router();
+
+  const requireMailAdmin = (req, res, next) => {
+    if (!isMailAdmin(req.user)) {
+      return res.status(403).json({ success: false, error: 'Mailbox administration is restricted' });
+    }
+    next();
+  };
+
+  const guard = [authenticateUser, requireMailAdmin];
+
+  const findAccount = (req) => {
+    const account = emailConfigManager.getConfig(req.params.id);
+    if (!account) {
+      throw httpError(404, `Account ${req.params.id} not found`);
+    }
+    return account;
+  };
+
+  router.get('/admin/mail-accounts', guard, (req, res) => {
+    const grants = emailConfigManager.getGrants();
+    res.json({
+      success: true,
+      accounts: emailConfigManager.getAllConfigs().map(account => publicAccount(account, grants)),
+      loadedAt: emailConfigManager.loadedAt
+    });
+  });
+
+  router.post('/admin/mail-accounts', guard, async (req, res) => {
+    try {
+      const { fields, password } = parseAccountInput(req.body, { creating: true });
+      if (emailConfigManager.getAllConfigs().some(acc => acc.email === fields.email)) {
+        throw badRequest(`${fields.email} is already configured`);
+      }
+
+      const account = await emailConfigManager.createAccount(fields, password, req.user.email);
+      console.log(`📬 Mailbox ${account.id} (${account.email}) added by ${req.user.email}`);
+      res.status(201).json({ success: true, account: publicAccount(account, emailConfigManager.getGrants()) });
+    } catch (error) {
+      sendError(res, error, 'Failed to add mailbox');
+    }
+  });
+
+  router.put('/admin/mail-accounts/:id', guard, async (req, res) => {
+    try {
+      const existing = findAccount(req);
+      const { fields, password } = parseAccountInput(req.body, { creating: false });
+      requirePasswordForChangedServer(fields, password, existing);
+
+      const account = await emailConfigManager.updateAccount(existing.id, fields, password);
+      console.log(`📬 Mailbox ${account.id} (${account.email}) updated by ${req.user.email}`);
+      res.json({ success: true, account: publicAccount(account, emailConfigManager.getGrants()) });
+    } catch (error) {
+      sendError(res, error, 'Failed to update mailbox');
+    }
+  });
+
+  // Tests unsaved settings from the form. With an accountId the stored
+  // settings fill in whatever the form leaves out; the stored password only
+  // while the servers and username are the stored ones.
+  router.post('/admin/mail-accounts/test', guard, async (req, res) => {
+    try {
+      const stored = req.body.accountId ? emailConfigManager.getConfig(req.body.accountId) : null;
+      const { fields, password } = parseAccountInput(
+        { ...req.body, email: req.body.email || stored?.email },
+        { creating: false }
+      );
+      requirePasswordForChangedServer(fields, password, stored);
+
+      const account = {
+        ...stored,
+        email: fields.email,
+        username: fields.username ?? stored?.username ?? fields.email,
+        password: password || stored?.password,
+        imapHost: fields.imap_host ?? stored?.imapHost,
+        imapPort: fields.imap_port ?? stored?.imapPort,
+        imapTls: fields.imap_tls ?? stored?.imapTls,
+        smtpHost: fields.smtp_host ?? stored?.smtpHost,
+        smtpPort: fields.smtp_port ?? stored?.smtpPort,
+        smtpSecure: fields.smtp_secure ?? stored?.smtpSecure,
+        folders: fields.folders ?? stored?.folders ?? ['INBOX']
+      };
+      if (!account.password) throw badRequest('A password is required to test the connection');
+
+      const result = await testMailAccount(account);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Connection test failed');
+    }
+  });
+
+  router.post('/admin/mail-accounts/:id/grants', guard, async (req, res) => {
+    try {
+      const account = findAccount(req);
+      const userEmail = String(req.body.userEmail || '').trim().toLowerCase();
+      if (!EMAIL_PATTERN.test(userEmail)) throw badRequest('A valid user email is required');
+
+      await emailConfigManager.grantAccess(account.id, userEmail, req.user.email);
+      console.log(`🔑 ${userEmail} granted mailbox ${account.id} by ${req.user.email}`);
+      res.json({ success: true, account: publicAccount(emailConfigManager.getConfig(account.id), emailConfigManager.getGrants()) });
+    } catch (error) {
+      sendError(res, error, 'Failed to grant access');
+    }
+  });
+
+  router.delete('/admin/mail-accounts/:id/grants/:userEmail', guard, async (req, res) => {
+    try {
+      const account = findAccount(req);
+      await emailConfigManager.revokeAccess(account.id, req.params.userEmail);
+      console.log(`🔒 ${req.params.userEmail} revoked from mailbox ${account.id} by ${req.user.email}`);
+      res.json({ success: true, account: publicAccount(emailConfigManager.getConfig(account.id), emailConfigManager.getGrants()) });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke access');
+    }
+  });
+
+  return router;
+}
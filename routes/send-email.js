@@ -1,64 +1,650 @@
 import express from 'express';
 import nodemailer from 'nodemailer';
 import multer from 'multer';
+import path from 'path';
+import addressparser from 'nodemailer/lib/addressparser/index.js';
 
-const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
+const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024; // Same cap as inbound attachments
+const MAX_ATTACHMENTS = 10;
 
-// Configure your email service (Gmail example)
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    service: 'gmail',
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_ATTACHMENTS }
+});
+
+// Browsers report application/octet-stream (or nothing) for types they do not
+// recognise, so fall back to the file extension before giving up.
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xls': 'application/vnd.ms-excel',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.zip': 'application/zip',
+  '.eml': 'message/rfc822'
+};
+
+export const resolveMimeType = (filename, reported) => {
+  if (reported && reported !== 'application/octet-stream') return reported;
+  return MIME_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+};
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// "a@x.com, Name <b@y.com>; c@z.com" → ['a@x.com', 'Name <b@y.com>', 'c@z.com']
+const splitAddresses = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  return list.map(addr => addr.trim()).filter(Boolean);
+};
+
+const invalidAddresses = (addresses) => addresses.filter(addr => {
+  const bare = addr.match(/<([^>]+)>/)?.[1] || addr;
+  return !EMAIL_PATTERN.test(bare.trim());
+});
+
+const transportOptions = (account) => {
+  const port = account.smtpPort || 465;
+  return {
+    host: account.smtpHost || 'smtp.gmail.com',
+    port,
+    secure: account.smtpSecure ?? port === 465,
     auth: {
-      user: process.env.EMAIL_USER, // Your email
-      pass: process.env.EMAIL_PASSWORD, // Your app password
-    },
-  });
+      user: account.username || account.email,
+      pass: account.password
+    }
+  };
 };
 
-router.post('/send-email', upload.single('file'), async (req, res) => {
+// One pooled SMTP transport per mailbox account
+const transporters = new Map();
+
+const getTransporter = (account) => {
+  if (!transporters.has(account.id)) {
+    transporters.set(account.id, nodemailer.createTransport({
+      ...transportOptions(account),
+      pool: true,
+      maxConnections: 2
+    }));
+  }
+  return transporters.get(account.id);
+};
+
+export const closeTransporter = (accountId) => {
+  transporters.get(accountId)?.close();
+  transporters.delete(accountId);
+};
+
+export const closeTransporters = () => {
+  for (const transporter of transporters.values()) {
+    transporter.close();
+  }
+  transporters.clear();
+};
+
+// Logs in to the account's SMTP server without sending anything
+export async function verifySmtp(account) {
+  const transporter = nodemailer.createTransport({
+    ...transportOptions(account),
+    connectionTimeout: 15000,
+    greetingTimeout: 10000
+  });
   try {
-    const { to, cc, bcc, subject, body } = req.body;
-    const file = req.file;
+    await transporter.verify();
+  } finally {
+    transporter.close();
+  }
+}
 
-    if (!to) {
-      return res.status(400).json({ error: 'Recipient email is required' });
-    }
+async function storeSentAttachments(supabase, accountId, attachments) {
+  const limit = 3;
+  const stored = [];
 
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: to,
-      cc: cc || undefined,
-      bcc: bcc || undefined,
-      subject: subject || 'DSR Report',
-      text: body || 'Please find attached the DSR Report.',
-      attachments: file ? [
-        {
-          filename: file.originalname,
-          content: file.buffer,
-          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        }
-      ] : []
-    };
+  for (let i = 0; i < attachments.length; i += limit) {
+    const batch = attachments.slice(i, i + limit);
+    const results = await Promise.allSettled(batch.map(async (att) => {
+      const ext = path.extname(att.filename || '') || '.bin';
+      const filePath = `sent/account_${accountId}/${Date.now()}_${Math.random().toString(36).substring(2, 11)}${ext}`;
+      const { error } = await supabase.storage
+        .from('attachments')
+        .upload(filePath, att.content, { contentType: att.contentType, upsert: false });
+      if (error) throw error;
+      return {
+        filename: att.filename,
+        path: filePath,
+        size: att.content.length,
+        contentType: att.contentType
+      };
+    }));
 
-    const result = await transporter.sendMail(mailOptions);
-    
-    console.log('Email sent successfully:', result.messageId);
-    res.json({ 
-      success: true, 
-      message: 'Email sent successfully',
-      messageId: result.messageId 
+    results.forEach((r, idx) => {
+      if (r.status === 'fulfilled') {
+        stored.push(r.value);
+      } else {
+        console.error(`⚠️ Failed to store sent attachment ${batch[idx].filename}:`, r.reason?.message);
+        stored.push({ filename: batch[idx].filename, size: batch[idx].content.length, contentType: batch[idx].contentType });
+      }
     });
+  }
+
+  return stored;
+}
+
+// Sends a message through the account's SMTP server and records a copy in
+// `sent_emails`, whether or not delivery succeeded. Throws on send failure
+// after recording it. Shared by the /send-email route and other server-side
+// senders so every outbound message ends up in the same log.
+export async function sendMailFromAccount({ account, user, supabase, message }) {
+  const {
+    to,
+    cc = [],
+    bcc = [],
+    subject,
+    text,
+    html,
+    attachments = [],
+    inReplyTo,
+    references,
+    sourceMessageId,
+    kind = 'compose'
+  } = message;
+
+  const mailOptions = {
+    from: account.displayName ? `"${account.displayName}" <${account.email}>` : account.email,
+    to,
+    cc: cc.length ? cc : undefined,
+    bcc: bcc.length ? bcc : undefined,
+    subject,
+    text,
+    html: html || undefined,
+    inReplyTo: inReplyTo || undefined,
+    references: references?.length ? references : undefined,
+    attachments: attachments.map(att => ({
+      filename: att.filename,
+      content: att.content,
+      contentType: att.contentType
+    }))
+  };
 
+  let info = null;
+  let sendError = null;
+  try {
+    info = await getTransporter(account).sendMail(mailOptions);
+    console.log(`📤 Sent "${subject}" from ${account.email} to ${to.join(', ')} (${info.messageId})`);
   } catch (error) {
-    console.error('Error sending email:', error);
-    res.status(500).json({ 
-      error: 'Failed to send email',
-      details: error.message 
+    sendError = error;
+    console.error(`❌ Send failed from ${account.email}:`, error.message);
+  }
+
+  let sentEmailId = null;
+  if (supabase) {
+    const storedAttachments = info && attachments.length
+      ? await storeSentAttachments(supabase, account.id, attachments)
+      : attachments.map(att => ({ filename: att.filename, size: att.content.length, contentType: att.contentType }));
+
+    const { data, error } = await supabase
+      .from('sent_emails')
+      .insert({
+        account_id: account.id,
+        sent_by: user.id,
+        sent_by_email: user.email,
+        kind,
+        message_id: info?.messageId || null,
+        in_reply_to: inReplyTo || null,
+        source_message_id: sourceMessageId || null,
+        from_text: mailOptions.from,
+        to_text: to.join(', '),
+        cc_text: cc.join(', ') || null,
+        bcc_text: bcc.join(', ') || null,
+        subject,
+        text_content: text || null,
+        html_content: html || null,
+        attachments: storedAttachments,
+        status: info ? 'sent' : 'failed',
+        error: sendError?.message || null,
+        accepted: info?.accepted || [],
+        rejected: info?.rejected || [],
+        sent_at: new Date()
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('❌ Failed to record sent email:', error.message);
+    } else {
+      sentEmailId = data.id;
+    }
+  }
+
+  if (sendError) {
+    sendError.sentEmailId = sentEmailId;
+    throw sendError;
+  }
+
+  return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected, sentEmailId };
+}
+
+// Resolves the sending account for a request: the one named in `accountId`
+// if the caller may use it, or the caller's only account.
+export function resolveSenderAccount(emailConfigManager, userEmail, accountId) {
+  const allowed = emailConfigManager.getAllowedAccounts(userEmail);
+
+  if (!accountId) {
+    if (allowed.length === 1) return { account: allowed[0] };
+    return {
+      status: 400,
+      error: allowed.length ? 'accountId is required when you can send from several accounts' : 'No accounts accessible'
+    };
+  }
+
+  if (!emailConfigManager.canUserAccessAccount(userEmail, accountId)) {
+    return { status: 403, error: 'Access denied to this account' };
+  }
+
+  const account = emailConfigManager.getConfig(accountId);
+  if (!account) {
+    return { status: 400, error: `Account ${accountId} not found` };
+  }
+
+  return { account };
+}
+
+// Multer errors (too many files, file too large) become 400s instead of
+// falling through to the global 500 handler.
+export const handleUpload = (req, res, next) => {
+  upload.fields([
+    { name: 'files', maxCount: MAX_ATTACHMENTS },
+    { name: 'file', maxCount: 1 } // legacy single-file field
+  ])(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err instanceof multer.MulterError ? `Attachment rejected: ${err.message}` : err.message
+      });
+    }
+    next();
+  });
+};
+
+export const uploadedAttachments = (req) =>
+  [...(req.files?.files || []), ...(req.files?.file || [])].map(file => ({
+    filename: file.originalname,
+    content: file.buffer,
+    contentType: resolveMimeType(file.originalname, file.mimetype)
+  }));
+
+// =====================================================
+// REPLY / REPLY-ALL / FORWARD FROM STORED EMAILS
+// =====================================================
+
+export const RESPONSE_TYPES = ['reply', 'reply_all', 'forward'];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const parseAddressList = (text) =>
+  addressparser(text || '', { flatten: true }).filter(entry => entry.address);
+
+const formatAddress = ({ name, address }) =>
+  name ? `"${name.replace(/"/g, '')}" <${address}>` : address;
+
+// Synthetic ids (email-<account>-<uidvalidity>-<uid>) are ours, not the
+// sender's, and must never end up in In-Reply-To/References.
+const isRealMessageId = (id) => /^<[^<>\s]+>$/.test(id || '');
+
+const prefixSubject = (subject, prefix, pattern) => {
+  const trimmed = (subject || '').trim();
+  return pattern.test(trimmed) ? trimmed : `${prefix}: ${trimmed}`.trim();
+};
+
+const plainTextOf = (email) =>
+  email.text_content || (email.html_content || '').replace(/<style[\s\S]*?<\/style>/gi, '').replace(/<[^>]+>/g, '').trim();
+
+// Works out recipients, subject, threading headers and the quoted original
+// for a response to a stored `emails` row.
+export function buildResponseDraft(email, type, account) {
+  const ownAddress = account.email.toLowerCase();
+  const from = parseAddressList(email.from_text);
+  const to = parseAddressList(email.to_text);
+  const cc = parseAddressList(email.cc_text);
+  const replyTo = parseAddressList(email.reply_to_text);
+  const sentByUs = from.some(addr => addr.address.toLowerCase() === ownAddress);
+  // The sender's Reply-To, when set, is where they asked answers to go
+  const sender = replyTo.length ? replyTo : from;
+
+  let toList = [];
+  let ccList = [];
+  if (type === 'reply') {
+    toList = sentByUs ? to : sender;
+  } else if (type === 'reply_all') {
+    toList = sentByUs ? to : sender;
+    const seen = new Set([ownAddress, ...toList.map(addr => addr.address.toLowerCase())]);
+    ccList = [...(sentByUs ? [] : to), ...cc].filter(addr => {
+      const key = addr.address.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
     });
   }
-});
 
-export default router;
\ No newline at end of file
+  const references = [...new Set([
+    ...(email.reference_ids || []),
+    ...(email.reference_ids?.length ? [] : [email.in_reply_to]),
+    email.message_id
+  ].filter(isRealMessageId))];
+
+  const date = email.date ? new Date(email.date).toUTCString() : '';
+  const originalText = plainTextOf(email);
+  let quotedText;
+  let quotedHtml;
+
+  if (type === 'forward') {
+    const header = [
+      '---------- Forwarded message ---------',
+      `From: ${email.from_text || ''}`,
+      `Date: ${date}`,
+      `Subject: ${email.subject || ''}`,
+      `To: ${email.to_text || ''}`,
+      ...(email.cc_text ? [`Cc: ${email.cc_text}`] : [])
+    ];
+    quotedText = `${header.join('\n')}\n\n${originalText}`;
+    quotedHtml = `<div>${header.map(escapeHtml).join('<br>')}</div><br>` +
+      (email.html_content || `<pre>${escapeHtml(originalText)}</pre>`);
+  } else {
+    const attribution = `On ${date}, ${email.from_text || 'the sender'} wrote:`;
+    quotedText = `${attribution}\n${originalText.split('\n').map(line => `> ${line}`).join('\n')}`;
+    quotedHtml = `<div>${escapeHtml(attribution)}</div>` +
+      '<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">' +
+      (email.html_content || `<pre>${escapeHtml(originalText)}</pre>`) +
+      '</blockquote>';
+  }
+
+  return {
+    type,
+    accountId: account.id,
+    from: account.email,
+    to: toList.map(formatAddress),
+    cc: ccList.map(formatAddress),
+    subject: type === 'forward'
+      ? prefixSubject(email.subject, 'Fwd', /^(fwd?|fw):/i)
+      : prefixSubject(email.subject, 'Re', /^re:/i),
+    inReplyTo: type === 'forward' ? null : (isRealMessageId(email.message_id) ? email.message_id : null),
+    references,
+    quotedText,
+    quotedHtml,
+    // Forwards carry the original files by default; replies start without
+    attachments: (email.attachments || []).map(att => ({
+      filename: att.filename,
+      path: att.path,
+      size: att.size,
+      contentType: att.contentType,
+      selected: type === 'forward' && !!att.path
+    }))
+  };
+}
+
+// Loads a stored email the caller may answer. A Message-ID can be stored
+// under several mailboxes, so an explicit accountId picks between them.
+async function loadRespondableEmail(supabase, emailConfigManager, userEmail, messageId, accountId) {
+  const allowedIds = emailConfigManager.getAllowedAccounts(userEmail).map(acc => acc.id);
+  const accountIds = accountId ? [parseInt(accountId)] : allowedIds;
+
+  if (!accountIds.length || !accountIds.every(id => allowedIds.includes(id))) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  const { data, error } = await supabase
+    .from('emails')
+    .select('*')
+    .eq('message_id', messageId)
+    .in('account_id', accountIds)
+    .limit(1);
+
+  if (error) throw error;
+  if (!data?.length) {
+    return { status: 404, error: 'Email not found' };
+  }
+
+  const account = emailConfigManager.getConfig(data[0].account_id);
+  if (!account) {
+    return { status: 400, error: `Account ${data[0].account_id} is not configured for sending` };
+  }
+
+  return { email: data[0], account };
+}
+
+async function downloadStoredAttachments(supabase, email, requestedPaths) {
+  const byPath = new Map((email.attachments || []).filter(att => att.path).map(att => [att.path, att]));
+
+  return Promise.all(requestedPaths.map(async (attPath) => {
+    const att = byPath.get(attPath);
+    if (!att) {
+      const error = new Error(`Attachment ${attPath} does not belong to this email`);
+      error.status = 400;
+      throw error;
+    }
+    const { data, error } = await supabase.storage.from('attachments').download(att.path);
+    if (error) throw error;
+    return {
+      filename: att.filename,
+      content: Buffer.from(await data.arrayBuffer()),
+      contentType: resolveMimeType(att.filename, att.contentType)
+    };
+  }));
+}
+
+export default function createSendEmailRouter({ authenticateUser, requirePermission, emailConfigManager, getSupabase }) {
+  const router = express.Router();
+
+  router.post('/send-email', authenticateUser, requirePermission('email.send'), handleUpload, async (req, res) => {
+    try {
+      const { accountId, subject, body, html } = req.body;
+      const to = splitAddresses(req.body.to);
+      const cc = splitAddresses(req.body.cc);
+      const bcc = splitAddresses(req.body.bcc);
+
+      if (!to.length) {
+        return res.status(400).json({ success: false, error: 'Recipient email is required' });
+      }
+
+      const invalid = invalidAddresses([...to, ...cc, ...bcc]);
+      if (invalid.length) {
+        return res.status(400).json({ success: false, error: `Invalid address: ${invalid.join(', ')}` });
+      }
+
+      const { account, status, error } = resolveSenderAccount(emailConfigManager, req.user.email, accountId);
+      if (!account) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      const result = await sendMailFromAccount({
+        account,
+        user: req.user,
+        supabase: getSupabase(),
+        message: {
+          to,
+          cc,
+          bcc,
+          subject: subject || 'DSR Report',
+          text: body || 'Please find attached the DSR Report.',
+          html,
+          attachments: uploadedAttachments(req)
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Email sent successfully',
+        from: account.email,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('❌ Send email error:', error);
+      res.status(502).json({
+        success: false,
+        error: 'Failed to send email',
+        sentEmailId: error.sentEmailId,
+        details: process.env.NODE_ENV === 'production' ? undefined : error.message
+      });
+    }
+  });
+
+  router.get('/sent-emails', authenticateUser, async (req, res) => {
+    try {
+      const supabase = getSupabase();
+      if (!supabase) {
+        return res.status(500).json({ success: false, error: 'Database unavailable' });
+      }
+
+      const { accountId = 'all', page = 1, limit = 50 } = req.query;
+      const allowedIds = emailConfigManager.getAllowedAccounts(req.user.email).map(acc => acc.id);
+      const pageNum = Math.max(1, parseInt(page) || 1);
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+      const skip = (pageNum - 1) * limitNum;
+
+      if (accountId !== 'all' && !allowedIds.includes(parseInt(accountId))) {
+        return res.status(403).json({ success: false, error: 'Access denied to this account' });
+      }
+
+      const { data, error, count } = await supabase
+        .from('sent_emails')
+        .select('id, account_id, kind, message_id, sent_by_email, to_text, cc_text, subject, attachments, status, error, sent_at', { count: 'exact' })
+        .in('account_id', accountId === 'all' ? allowedIds : [parseInt(accountId)])
+        .order('sent_at', { ascending: false })
+        .range(skip, skip + limitNum - 1);
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        sentEmails: data || [],
+        total: count || 0,
+        hasMore: skip + (data?.length || 0) < (count || 0),
+        page: pageNum,
+        limit: limitNum
+      });
+    } catch (error) {
+      console.error('❌ List sent emails error:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch sent emails' });
+    }
+  });
+
+  router.get('/emails/:messageId/draft', authenticateUser, async (req, res) => {
+    try {
+      const { type = 'reply', accountId } = req.query;
+      if (!RESPONSE_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${RESPONSE_TYPES.join(', ')}` });
+      }
+
+      const supabase = getSupabase();
+      if (!supabase) {
+        return res.status(500).json({ success: false, error: 'Database unavailable' });
+      }
+
+      const { email, account, status, error } = await loadRespondableEmail(
+        supabase, emailConfigManager, req.user.email, req.params.messageId, accountId
+      );
+      if (!email) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      res.json({ success: true, draft: buildResponseDraft(email, type, account) });
+    } catch (error) {
+      console.error('❌ Build draft error:', error);
+      res.status(500).json({ success: false, error: 'Failed to build draft' });
+    }
+  });
+
+  router.post('/emails/:messageId/respond', authenticateUser, requirePermission('email.send'), handleUpload, async (req, res) => {
+    try {
+      const { type = 'reply', accountId, subject, body = '' } = req.body;
+      if (!RESPONSE_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${RESPONSE_TYPES.join(', ')}` });
+      }
+
+      const supabase = getSupabase();
+      if (!supabase) {
+        return res.status(500).json({ success: false, error: 'Database unavailable' });
+      }
+
+      const { email, account, status, error } = await loadRespondableEmail(
+        supabase, emailConfigManager, req.user.email, req.params.messageId, accountId
+      );
+      if (!email) {
+        return res.status(status).json({ success: false, error });
+      }
+
+      const draft = buildResponseDraft(email, type, account);
+      const to = req.body.to !== undefined ? splitAddresses(req.body.to) : draft.to;
+      const cc = req.body.cc !== undefined ? splitAddresses(req.body.cc) : draft.cc;
+      const bcc = splitAddresses(req.body.bcc);
+
+      if (!to.length) {
+        return res.status(400).json({ success: false, error: 'Recipient email is required' });
+      }
+      const invalid = invalidAddresses([...to, ...cc, ...bcc]);
+      if (invalid.length) {
+        return res.status(400).json({ success: false, error: `Invalid address: ${invalid.join(', ')}` });
+      }
+
+      let originalPaths;
+      try {
+        originalPaths = JSON.parse(req.body.originalAttachments || '[]');
+        if (!Array.isArray(originalPaths)) throw new Error();
+      } catch {
+        return res.status(400).json({ success: false, error: 'originalAttachments must be a JSON array of paths' });
+      }
+
+      const attachments = [
+        ...await downloadStoredAttachments(supabase, email, originalPaths),
+        ...uploadedAttachments(req)
+      ];
+
+      const result = await sendMailFromAccount({
+        account,
+        user: req.user,
+        supabase,
+        message: {
+          to,
+          cc,
+          bcc,
+          subject: subject || draft.subject,
+          text: `${body}\n\n${draft.quotedText}`,
+          html: `<div>${escapeHtml(body).replace(/\n/g, '<br>')}</div><br>${draft.quotedHtml}`,
+          attachments,
+          inReplyTo: draft.inReplyTo,
+          references: draft.references,
+          sourceMessageId: email.message_id,
+          kind: type
+        }
+      });
+
+      res.json({
+        success: true,
+        message: type === 'forward' ? 'Email forwarded' : 'Reply sent',
+        from: account.email,
+        ...result
+      });
+    } catch (error) {
+      console.error('❌ Respond to email error:', error);
+      res.status(error.status || 502).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to send email',
+        sentEmailId: error.sentEmailId,
+        details: process.env.NODE_ENV === 'production' ? undefined : error.message
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,92 @@
+import express from 'express';
+import { ROLES, DEFAULT_ROLE } from '../src/lib/permissions.js';
+import { httpError, sendError } from './http.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Staff roles (user_roles). Every signed-in user can read their own row
+ * straight from Supabase; listing everyone and changing roles goes through
+ * here so `onRoleChange(userId)` can drop cached token checks, which carry
+ * the role. There is always at least one admin left.
+ */
+export default function createUserRolesRouter({ authenticateUser, requirePermission, supabase, onRoleChange }) {
+  const router = express.Router();
+
+  const guard = [authenticateUser, requirePermission('users.manage')];
+
+  // Everyone with a profile, with their role (DEFAULT_ROLE when unset)
+  router.get('/admin/users', guard, async (req, res) => {
+    try {
+      const [profilesResult, rolesResult] = await Promise.all([
+        supabase.from('profiles').select('id, email, full_name').order('email'),
+        supabase.from('user_roles').select('*')
+      ]);
+      if (profilesResult.error) throw profilesResult.error;
+      if (rolesResult.error) throw rolesResult.error;
+
+      const roles = new Map(rolesResult.data.map(row => [row.user_id, row]));
+      res.json({
+        success: true,
+        roles: ROLES,
+        users: profilesResult.data.map(profile => {
+          const row = roles.get(profile.id);
+          return {
+            id: profile.id,
+            email: profile.email,
+            name: profile.full_name || null,
+            role: row?.role || DEFAULT_ROLE,
+            updatedAt: row?.updated_at || null,
+            updatedBy: row?.updated_by || null
+          };
+        })
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to load users');
+    }
+  });
+
+  // Body: { role }
+  router.put('/admin/users/:userId/role', guard, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body || {};
+      if (!UUID_PATTERN.test(userId)) throw httpError(400, 'userId must be a UUID');
+      if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+
+      if (role !== 'admin') {
+        const { data: admins, error } = await supabase
+          .from('user_roles')
+          .select('user_id')
+          .eq('role', 'admin');
+        if (error) throw error;
+        if (admins.length === 1 && admins[0].user_id === userId) {
+          throw httpError(409, 'This is the last admin; make someone else admin first');
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('user_roles')
+        .upsert({
+          user_id: userId,
+          role,
+          updated_at: new Date(),
+          updated_by: req.user.email
+        }, { onConflict: 'user_id' })
+        .select('*')
+        .single();
+      if (error) throw error;
+
+      await onRoleChange?.(userId);
+      console.log(`🛡️ Role of ${userId} set to ${role} by ${req.user.email}`);
+      res.json({
+        success: true,
+        user: { id: userId, role: data.role, updatedAt: data.updated_at, updatedBy: data.updated_by }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to change role');
+    }
+  });
+
+  return router;
+}
@@ -5,6 +5,22 @@ import { simpleParser } from "mailparser";
 import path from "path";
 import { createClient } from "@supabase/supabase-js";
 import { fileURLToPath } from 'url';
+import cron from "node-cron";
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import * as XLSX from "xlsx";
+import createSendEmailRouter, { closeTransporters, closeTransporter, verifySmtp, sendMailFromAccount } from "./routes/send-email.js";
+import createMailAccountsRouter from "./routes/mail-accounts.js";
+import createFilesRouter from "./routes/files.js";
+import createEmailRulesRouter, { compileSubjectPattern, testSubjectPattern } from "./routes/email-rules.js";
+import createJobDraftsRouter from "./routes/job-drafts.js";
+import createEmailStateRouter, { loadUserState, archiveForUser } from "./routes/email-state.js";
+import createFlagSyncRouter from "./routes/flag-sync.js";
+import createAuthSessionsRouter from "./routes/auth-sessions.js";
+import createUserRolesRouter from "./routes/user-roles.js";
+import createDsrSubscriptionsRouter from "./routes/dsr-subscriptions.js";
+import { can, ROLES, DEFAULT_ROLE } from "./src/lib/permissions.js";
+import { DEFAULT_TEMPLATE, DSR_FILTERS, dsrSheetRows, normalizeTemplate, toDsrRow } from "./src/lib/dsrTemplates.js";
 
 // =====================================================
 // ENVIRONMENT & CONFIGURATION
@@ -31,27 +47,56 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // =====================================================
-// ENHANCED LRU CACHE
+// CACHE (IN-MEMORY LRU OR SHARED REDIS)
 // =====================================================
+// Every backend has the same async API: get(key), set(key, data, { tags, ttl }),
+// invalidate(tags), clear() and getStats(). A per-entry ttl (ms) can only
+// shorten the default life, never extend it. Entries are dropped by tag
+// rather than wholesale, so a fetch on one mailbox or a change to one
+// user's state leaves everybody else's cached lists alone.
+//
+// CACHE_BACKEND picks the backend:
+//   memory      per-process LRU (the default without a Redis URL)
+//   redis       shared Redis over its REST API (Upstash / Vercel KV), so
+//               every serverless instance sees the same entries and
+//               invalidations; needs REDIS_REST_URL and REDIS_REST_TOKEN
+//               (KV_REST_API_URL/_TOKEN are picked up too)
+//   redis-fake  the redis backend against an in-process stand-in, for
+//               running the shared-cache code locally without Redis
+
+const CACHE_TTL_MS = 300000;
+const CACHE_MAX_ITEMS = 2000;
+const REDIS_TIMEOUT_MS = 2000;
+
+// Tagged onto every entry so clear() is invalidate([CACHE_ALL_TAG])
+const CACHE_ALL_TAG = 'all';
+
+const cacheTags = {
+  account: (accountId) => `account:${accountId}`,
+  message: (accountId, messageId) => `message:${accountId}:${messageId}`,
+  user: (userEmail) => `user:${userEmail.toLowerCase()}`
+};
 
 class LRUCache {
-  constructor(maxSize = 2000, ttl = 300000) {
+  constructor(maxSize = CACHE_MAX_ITEMS, ttl = CACHE_TTL_MS) {
+    this.backend = 'memory';
     this.cache = new Map();
+    this.tags = new Map();
     this.maxSize = maxSize;
     this.ttl = ttl;
     this.hits = 0;
     this.misses = 0;
   }
 
-  get(key) {
+  async get(key) {
     const item = this.cache.get(key);
     if (!item) {
       this.misses++;
       return null;
     }
     
-    if (Date.now() - item.timestamp > this.ttl) {
-      this.cache.delete(key);
+    if (Date.now() > item.expiresAt) {
+      this.delete(key);
       this.misses++;
       return null;
     }
@@ -62,41 +107,309 @@ class LRUCache {
     return item.data;
   }
 
-  set(key, data) {
+  async set(key, data, { tags = [], ttl = this.ttl } = {}) {
+    this.delete(key);
     if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
+      this.delete(this.cache.keys().next().value);
     }
     
     this.cache.set(key, {
       data,
-      timestamp: Date.now()
+      tags,
+      expiresAt: Date.now() + Math.min(ttl, this.ttl)
     });
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+      this.tags.get(tag).add(key);
+    }
   }
 
-  clear() {
-    this.cache.clear();
-    this.hits = 0;
-    this.misses = 0;
+  delete(key) {
+    const item = this.cache.get(key);
+    if (!item) return;
+    this.cache.delete(key);
+    for (const tag of item.tags) {
+      const keys = this.tags.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) this.tags.delete(tag);
+    }
+  }
+
+  async invalidate(tags) {
+    if (tags.includes(CACHE_ALL_TAG)) {
+      const count = this.cache.size;
+      this.cache.clear();
+      this.tags.clear();
+      return count;
+    }
+
+    let count = 0;
+    for (const tag of tags) {
+      for (const key of this.tags.get(tag) || []) {
+        this.delete(key);
+        count++;
+      }
+    }
+    return count;
   }
 
-  size() {
-    return this.cache.size;
+  async clear() {
+    await this.invalidate([CACHE_ALL_TAG]);
+    this.hits = 0;
+    this.misses = 0;
   }
 
   getStats() {
     const total = this.hits + this.misses;
     return {
+      backend: this.backend,
       size: this.cache.size,
       maxSize: this.maxSize,
+      tags: this.tags.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total > 0 ? ((this.hits / total) * 100).toFixed(2) + '%' : '0%'
+    };
+  }
+}
+
+// Redis over HTTP, in the command-array format of the Upstash / Vercel KV
+// REST API: no socket to hold open across serverless invocations
+class RedisRestClient {
+  constructor(url, token) {
+    this.name = 'redis';
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  // Runs the commands as one pipeline and returns their results in order
+  async exec(commands) {
+    const response = await fetch(`${this.url}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commands),
+      signal: AbortSignal.timeout(REDIS_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Redis responded ${response.status}: ${await response.text()}`);
+    }
+
+    const results = await response.json();
+    const failed = results.find(result => result.error);
+    if (failed) throw new Error(`Redis: ${failed.error}`);
+    return results.map(result => result.result);
+  }
+}
+
+// In-process stand-in for RedisRestClient: the same commands, string-only
+// values and expiry, so data round-trips through JSON exactly as it would
+// through Redis
+class FakeRedisClient {
+  constructor() {
+    this.name = 'redis-fake';
+    this.strings = new Map();
+    this.sortedSets = new Map();
+    this.expiry = new Map();
+  }
+
+  async exec(commands) {
+    return commands.map(([name, ...args]) => this.run(String(name).toUpperCase(), args.map(String)));
+  }
+
+  exists(key) {
+    const expiresAt = this.expiry.get(key);
+    if (expiresAt && expiresAt <= Date.now()) {
+      this.strings.delete(key);
+      this.sortedSets.delete(key);
+      this.expiry.delete(key);
+    }
+    return this.strings.has(key) || this.sortedSets.has(key);
+  }
+
+  run(name, args) {
+    switch (name) {
+      case 'GET': {
+        const [key] = args;
+        return this.exists(key) ? this.strings.get(key) ?? null : null;
+      }
+      case 'SET': {
+        const [key, value, ...options] = args;
+        this.strings.set(key, value);
+        this.expiry.delete(key);
+        const expiry = options.findIndex(option => ['EX', 'PX'].includes(option.toUpperCase()));
+        if (expiry >= 0) {
+          const unit = options[expiry].toUpperCase() === 'EX' ? 1000 : 1;
+          this.expiry.set(key, Date.now() + Number(options[expiry + 1]) * unit);
+        }
+        return 'OK';
+      }
+      case 'DEL':
+        return args.filter(key => {
+          const existed = this.exists(key);
+          this.strings.delete(key);
+          this.sortedSets.delete(key);
+          this.expiry.delete(key);
+          return existed;
+        }).length;
+      // Only the forms RedisCache sends: single pairs, and all members
+      case 'ZADD': {
+        const [key, score, member] = args;
+        if (!this.exists(key)) this.sortedSets.set(key, new Map());
+        const set = this.sortedSets.get(key);
+        const added = set.has(member) ? 0 : 1;
+        set.set(member, Number(score));
+        return added;
+      }
+      case 'ZREMRANGEBYSCORE': {
+        const [key, min, max] = args;
+        if (!this.exists(key)) return 0;
+        const set = this.sortedSets.get(key);
+        const bound = (value) => ({ '-inf': -Infinity, '+inf': Infinity, inf: Infinity })[value] ?? Number(value);
+        const removed = [...set].filter(([, score]) => score >= bound(min) && score <= bound(max));
+        removed.forEach(([member]) => set.delete(member));
+        return removed.length;
+      }
+      case 'ZRANGE': {
+        const [key] = args;
+        if (!this.exists(key)) return [];
+        return [...this.sortedSets.get(key)].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+      }
+      case 'EXPIRE': {
+        const [key, seconds] = args;
+        if (!this.exists(key)) return 0;
+        this.expiry.set(key, Date.now() + Number(seconds) * 1000);
+        return 1;
+      }
+      default:
+        throw new Error(`ERR unknown command '${name}'`);
+    }
+  }
+}
+
+/**
+ * Cache entries in Redis as JSON strings under `<prefix>:<key>`, each tag a
+ * sorted set of the keys carrying it, scored by when the entry expires so
+ * writes can prune the ones already gone. A failing Redis never fails a request:
+ * reads count as misses and writes are dropped, with an error logged.
+ */
+class RedisCache {
+  constructor(client, { prefix, ttl = CACHE_TTL_MS }) {
+    this.client = client;
+    this.backend = client.name;
+    this.prefix = prefix;
+    this.ttl = ttl;
+    this.ttlSeconds = Math.ceil(ttl / 1000);
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+  }
+
+  entryKey(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  tagKey(tag) {
+    return `${this.prefix}:tag:${tag}`;
+  }
+
+  failed(operation, error) {
+    this.errors++;
+    console.error(`❌ Cache ${operation} failed (${this.backend}):`, error.message);
+  }
+
+  async get(key) {
+    try {
+      const [value] = await this.client.exec([['GET', this.entryKey(key)]]);
+      if (value === null || value === undefined) {
+        this.misses++;
+        return null;
+      }
+      this.hits++;
+      return JSON.parse(value);
+    } catch (error) {
+      this.failed('read', error);
+      this.misses++;
+      return null;
+    }
+  }
+
+  // Tag sets live as long as the longest an entry can, and drop expired
+  // members whenever they are written to; otherwise a busy tag like
+  // CACHE_ALL_TAG would never go idle long enough to expire
+  async set(key, data, { tags = [], ttl = this.ttl } = {}) {
+    const now = Date.now();
+    const px = Math.max(1, Math.round(Math.min(ttl, this.ttl)));
+    const commands = [['SET', this.entryKey(key), JSON.stringify(data), 'PX', px]];
+    for (const tag of [CACHE_ALL_TAG, ...tags]) {
+      const tagKey = this.tagKey(tag);
+      commands.push(
+        ['ZADD', tagKey, now + px, key],
+        ['ZREMRANGEBYSCORE', tagKey, '-inf', now],
+        ['EXPIRE', tagKey, this.ttlSeconds]
+      );
+    }
+    try {
+      await this.client.exec(commands);
+    } catch (error) {
+      this.failed('write', error);
+    }
+  }
+
+  async invalidate(tags) {
+    const tagKeys = tags.map(tag => this.tagKey(tag));
+    try {
+      const members = await this.client.exec(tagKeys.map(tagKey => ['ZRANGE', tagKey, 0, -1]));
+      const keys = [...new Set(members.flat())];
+      await this.client.exec([['DEL', ...keys.map(key => this.entryKey(key)), ...tagKeys]]);
+      return keys.length;
+    } catch (error) {
+      this.failed('invalidation', error);
+      return 0;
+    }
+  }
+
+  async clear() {
+    await this.invalidate([CACHE_ALL_TAG]);
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Counters are this instance's; the entries are shared
+  getStats() {
+    const total = this.hits + this.misses;
+    return {
+      backend: this.backend,
+      prefix: this.prefix,
+      ttlSeconds: this.ttlSeconds,
       hits: this.hits,
       misses: this.misses,
+      errors: this.errors,
       hitRate: total > 0 ? ((this.hits / total) * 100).toFixed(2) + '%' : '0%'
     };
   }
 }
 
-const cache = new LRUCache(2000, 300000);
+function createCache() {
+  const restUrl = process.env.REDIS_REST_URL || process.env.KV_REST_API_URL;
+  const restToken = process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+  const backend = process.env.CACHE_BACKEND || (restUrl ? 'redis' : 'memory');
+  const options = { prefix: process.env.CACHE_PREFIX || 'mail-api', ttl: CACHE_TTL_MS };
+
+  if (backend === 'redis') {
+    if (restUrl && restToken) return new RedisCache(new RedisRestClient(restUrl, restToken), options);
+    console.error('❌ CACHE_BACKEND=redis needs REDIS_REST_URL and REDIS_REST_TOKEN; using the in-memory cache');
+  } else if (backend === 'redis-fake') {
+    return new RedisCache(new FakeRedisClient(), options);
+  } else if (backend !== 'memory') {
+    console.error(`❌ Unknown CACHE_BACKEND "${backend}"; using the in-memory cache`);
+  }
+  return new LRUCache(CACHE_MAX_ITEMS, CACHE_TTL_MS);
+}
+
+const cache = createCache();
 
 // =====================================================
 // CONCURRENCY LIMITER (p-limit implementation)
@@ -259,49 +572,172 @@ const testSupabaseConnection = async () => {
 initializeSupabase();
 
 // =====================================================
-// USER-EMAIL MAPPING
+// MAILBOX SECRETS (AES-256-GCM)
 // =====================================================
 
-const USER_EMAIL_MAPPING = {
-  "info@seal.co.in": [1],
-  "pankaj.singh@seal.co.in": [2],
-  "anshuman.singh@seal.co.in": [1, 2],
-  "transport@seal.co.in": [1, 2]
+// MAIL_SECRET_KEY is 32 bytes, hex or base64. Secrets are stored as
+// "v1:<iv>:<tag>:<ciphertext>" with base64 parts.
+const loadMailSecretKey = () => {
+  const raw = (process.env.MAIL_SECRET_KEY || '').trim();
+  if (!raw) {
+    console.error("❌ MAIL_SECRET_KEY not set; mailbox passwords cannot be read or saved");
+    return null;
+  }
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    console.error("❌ MAIL_SECRET_KEY must decode to 32 bytes");
+    return null;
+  }
+  return key;
 };
 
+const mailSecretKey = loadMailSecretKey();
+
+function encryptSecret(plain) {
+  if (!mailSecretKey) throw new Error('MAIL_SECRET_KEY is not configured');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', mailSecretKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64')).join(':');
+}
+
+function decryptSecret(payload) {
+  if (!mailSecretKey) throw new Error('MAIL_SECRET_KEY is not configured');
+  const [version, iv, tag, ciphertext] = String(payload || '').split(':');
+  if (version !== 'v1' || !iv || !tag || !ciphertext) throw new Error('Unrecognised secret format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', mailSecretKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
 // =====================================================
 // EMAIL CONFIGURATION MANAGER
 // =====================================================
 
-class EmailConfigManager {
+// MAIL_ADMIN_EMAILS: comma-separated users who may manage mailboxes and
+// grants, besides everyone with the admin role
+const MAIL_ADMIN_EMAILS = (process.env.MAIL_ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// `user` is req.user
+const isMailAdmin = (user) => user?.role === 'admin' || MAIL_ADMIN_EMAILS.includes((user?.email || '').toLowerCase());
+
+const MAIL_ACCOUNTS_RELOAD_MS = 60000;
+
+/**
+ * Mailbox accounts (mail_accounts) and per-user access grants
+ * (mail_account_grants), cached in memory and reloaded every minute so
+ * changes made on another instance show up without a redeploy.
+ * Emits "account-changed" (with the account id) and "grants-changed" after
+ * admin edits.
+ */
+class EmailConfigManager extends EventEmitter {
   constructor() {
+    super();
     this.configs = new Map();
-    this.loadConfigs();
+    this.grants = new Map();
+    this.loadedAt = null;
+    this.reloadTimer = null;
   }
 
-  loadConfigs() {
-    let configIndex = 1;
-    let loadedCount = 0;
-    
-    while (true) {
-      const configValue = process.env[`EMAIL_CONFIG_${configIndex}`];
-      if (!configValue) break;
-
-      const [email, password] = configValue.split(':');
-      if (email && password) {
-        this.configs.set(configIndex, {
-          id: configIndex,
-          email: email.trim(),
-          password: password.trim(),
-          name: `Account ${configIndex} (${email.trim()})`
-        });
-        console.log(`✅ Loaded email config ${configIndex}: ${email.trim()}`);
-        loadedCount++;
+  fromRow(row) {
+    let password = null;
+    try {
+      password = row.password_encrypted ? decryptSecret(row.password_encrypted) : null;
+    } catch (error) {
+      console.error(`❌ Cannot decrypt password for mailbox ${row.id} (${row.email}):`, error.message);
+    }
+
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.display_name || `Account ${row.id} (${row.email})`,
+      displayName: row.display_name || null,
+      username: row.username || row.email,
+      password,
+      imapHost: row.imap_host,
+      imapPort: row.imap_port,
+      imapTls: row.imap_tls,
+      smtpHost: row.smtp_host,
+      smtpPort: row.smtp_port,
+      smtpSecure: row.smtp_secure,
+      folders: row.folders?.length ? row.folders : ['INBOX'],
+      enabled: row.enabled,
+      flagSync: !!row.flag_sync
+    };
+  }
+
+  async load() {
+    if (!supabaseEnabled) {
+      console.error("❌ Mailbox accounts live in the database; Supabase is not configured");
+      return;
+    }
+
+    try {
+      const [accountsResult, grantsResult] = await Promise.all([
+        supabase.from('mail_accounts').select('*').order('id'),
+        supabase.from('mail_account_grants').select('account_id, user_email')
+      ]);
+      if (accountsResult.error) throw accountsResult.error;
+      if (grantsResult.error) throw grantsResult.error;
+
+      if (!accountsResult.data.length && await this.importLegacyEnv()) {
+        return this.load();
+      }
+
+      this.configs = new Map(accountsResult.data.map(row => [row.id, this.fromRow(row)]));
+
+      const grants = new Map();
+      for (const { account_id, user_email } of grantsResult.data) {
+        const key = user_email.toLowerCase();
+        if (!grants.has(key)) grants.set(key, new Set());
+        grants.get(key).add(account_id);
+      }
+      this.grants = grants;
+      this.loadedAt = new Date();
+
+      console.log(`📧 Loaded ${this.configs.size} mailbox accounts, ${grantsResult.data.length} access grants`);
+    } catch (error) {
+      // Keep serving the last good copy
+      console.error("❌ Loading mailbox accounts failed:", error.message);
+    }
+  }
+
+  // One-time move of EMAIL_CONFIG_n ("email:password", split on the first
+  // colon so passwords may contain colons) into mail_accounts.
+  async importLegacyEnv() {
+    const rows = [];
+    for (let index = 1; process.env[`EMAIL_CONFIG_${index}`]; index++) {
+      const value = process.env[`EMAIL_CONFIG_${index}`];
+      const separator = value.indexOf(':');
+      const email = value.slice(0, separator).trim();
+      const password = value.slice(separator + 1);
+      if (separator > 0 && password) {
+        rows.push({ id: index, email, password_encrypted: encryptSecret(password) });
       }
-      configIndex++;
     }
+    if (!rows.length) return false;
+
+    const { error } = await supabase.from('mail_accounts').insert(rows);
+    if (error) {
+      console.error("❌ Importing EMAIL_CONFIG_n accounts failed:", error.message);
+      return false;
+    }
+    console.log(`📥 Imported ${rows.length} mailbox accounts from EMAIL_CONFIG_n; remove those variables now`);
+    return true;
+  }
 
-    console.log(`📧 Loaded ${loadedCount} email configurations`);
+  startAutoReload() {
+    if (this.reloadTimer) return;
+    this.reloadTimer = setInterval(() => this.load(), MAIL_ACCOUNTS_RELOAD_MS);
+    this.reloadTimer.unref();
+  }
+
+  stopAutoReload() {
+    clearInterval(this.reloadTimer);
+    this.reloadTimer = null;
   }
 
   getConfig(configId) {
@@ -312,18 +748,84 @@ class EmailConfigManager {
     return Array.from(this.configs.values());
   }
 
+  // Accounts the scheduler, IDLE watchers and manual fetches may sync
+  getActiveConfigs() {
+    return this.getAllConfigs().filter(config => config.enabled && config.password);
+  }
+
   getAllowedAccounts(userEmail) {
-    const allowedIds = USER_EMAIL_MAPPING[userEmail] || [];
-    return this.getAllConfigs().filter(config => allowedIds.includes(config.id));
+    const allowedIds = this.grants.get((userEmail || '').toLowerCase()) || new Set();
+    return this.getAllConfigs().filter(config => allowedIds.has(config.id));
   }
 
   canUserAccessAccount(userEmail, accountId) {
-    const allowedIds = USER_EMAIL_MAPPING[userEmail] || [];
-    return allowedIds.includes(parseInt(accountId));
+    const allowedIds = this.grants.get((userEmail || '').toLowerCase());
+    return !!allowedIds?.has(parseInt(accountId)) && this.configs.has(parseInt(accountId));
+  }
+
+  getGrants() {
+    return Array.from(this.grants.entries()).map(([userEmail, ids]) => ({ userEmail, accountIds: [...ids] }));
+  }
+
+  // ---- Admin mutations (routes/mail-accounts.js) ----
+
+  async createAccount(fields, password, createdBy) {
+    const nextId = Math.max(0, ...this.configs.keys()) + 1;
+    const { data, error } = await supabase
+      .from('mail_accounts')
+      .insert({ id: nextId, ...fields, password_encrypted: encryptSecret(password), created_by: createdBy })
+      .select('id')
+      .single();
+    if (error) throw error;
+
+    await this.load();
+    this.emit('account-changed', data.id);
+    return this.getConfig(data.id);
+  }
+
+  async updateAccount(accountId, fields, password) {
+    const { error } = await supabase
+      .from('mail_accounts')
+      .update({
+        ...fields,
+        ...(password && { password_encrypted: encryptSecret(password) }),
+        updated_at: new Date()
+      })
+      .eq('id', accountId);
+    if (error) throw error;
+
+    await this.load();
+    this.emit('account-changed', accountId);
+    return this.getConfig(accountId);
+  }
+
+  async grantAccess(accountId, userEmail, grantedBy) {
+    const { error } = await supabase
+      .from('mail_account_grants')
+      .upsert(
+        { account_id: accountId, user_email: userEmail.toLowerCase(), granted_by: grantedBy },
+        { onConflict: 'account_id,user_email', ignoreDuplicates: true }
+      );
+    if (error) throw error;
+    await this.load();
+    this.emit('grants-changed', accountId);
+  }
+
+  async revokeAccess(accountId, userEmail) {
+    const { error } = await supabase
+      .from('mail_account_grants')
+      .delete()
+      .eq('account_id', accountId)
+      .eq('user_email', userEmail.toLowerCase());
+    if (error) throw error;
+    await this.load();
+    this.emit('grants-changed', accountId);
   }
 }
 
 const emailConfigManager = new EmailConfigManager();
+await emailConfigManager.load();
+emailConfigManager.startAutoReload();
 
 // =====================================================
 // OPTIMIZED DUPLICATE CHECKING
@@ -335,7 +837,7 @@ async function checkDuplicatesBatch(messageIds, accountId) {
   }
 
   const cacheKey = `dupes:${accountId}:${messageIds.slice(0, 5).join(',')}`;
-  const cached = cache.get(cacheKey);
+  const cached = await cache.get(cacheKey);
   if (cached) return cached;
 
   try {
@@ -361,7 +863,7 @@ async function checkDuplicatesBatch(messageIds, accountId) {
       [id]: existingSet.has(id)
     }), {});
 
-    cache.set(cacheKey, result);
+    await cache.set(cacheKey, result, { tags: [cacheTags.account(accountId)] });
     
     const duplicateCount = Object.values(result).filter(Boolean).length;
     console.log(`🔍 Duplicate check: ${duplicateCount}/${messageIds.length} existing (${queryTime}ms)`);
@@ -373,6 +875,37 @@ async function checkDuplicatesBatch(messageIds, accountId) {
   }
 }
 
+// A message already stored from another folder (e.g. a self-addressed mail
+// seen in both INBOX and Sent) is not stored twice; the folder is added to
+// its `folders` list instead.
+async function recordFolderMembership(accountId, folder, messageIds) {
+  if (!messageIds.length || !supabaseEnabled) return;
+
+  try {
+    const { data, error } = await supabase
+      .from('emails')
+      .select('message_id, folders')
+      .eq('account_id', accountId)
+      .in('message_id', messageIds);
+
+    if (error) throw error;
+
+    const missing = (data || []).filter(row => !(row.folders || []).includes(folder));
+    if (!missing.length) return;
+
+    const limit = pLimit(5);
+    await Promise.all(missing.map(row => limit(() => supabase
+      .from('emails')
+      .update({ folders: [...(row.folders || []), folder] })
+      .eq('account_id', accountId)
+      .eq('message_id', row.message_id))));
+
+    console.log(`📁 ${missing.length} existing emails also in ${folder}`);
+  } catch (error) {
+    console.error(`⚠️ Folder membership update failed (${folder}):`, error.message);
+  }
+}
+
 // =====================================================
 // ATTACHMENT UPLOAD WITH RETRY
 // =====================================================
@@ -395,14 +928,10 @@ async function uploadAttachmentWithRetry(attachment, messageId, accountId, retri
 
       if (error) throw error;
 
-      const { data: { publicUrl } } = supabase.storage
-        .from('attachments')
-        .getPublicUrl(filePath);
-
+      // The bucket is private; downloads go through POST /api/files/signed-url
       return {
         filename: attachment.filename || 'unnamed',
         path: filePath,
-        url: publicUrl,
         size: attachment.size || 0,
         contentType: attachment.contentType || 'application/octet-stream'
       };
@@ -417,40 +946,257 @@ async function uploadAttachmentWithRetry(attachment, messageId, accountId, retri
   return null;
 }
 
+// =====================================================
+// ATTACHMENT PROCESSING (TEXT EXTRACTION & CLASSIFICATION)
+// =====================================================
+// Runs on each attachment once it is stored: pulls out its text for the
+// search index and tags it with a document type for filtering.
+
+const ATTACHMENT_TEXT_LIMIT = 30000;        // chars kept per attachment
+const EMAIL_ATTACHMENT_TEXT_LIMIT = 100000; // chars kept per email
+const PDF_PAGE_LIMIT = 30;
+const EXTRACT_TIMEOUT_MS = 15000;
+
+// Extraction is CPU-bound; cap it across all emails being processed
+const extractLimit = pLimit(2);
+
+const PDF_TYPES = ['application/pdf'];
+const SPREADSHEET_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'text/csv'
+];
+const TEXT_TYPES = ['text/plain'];
+
+function attachmentKind(attachment) {
+  const type = (attachment.contentType || '').toLowerCase();
+  const ext = path.extname(attachment.filename || '').toLowerCase();
+  if (PDF_TYPES.includes(type) || ext === '.pdf') return 'pdf';
+  if (SPREADSHEET_TYPES.includes(type) || ['.xlsx', '.xls', '.csv'].includes(ext)) return 'spreadsheet';
+  if (TEXT_TYPES.includes(type) || ext === '.txt') return 'text';
+  return null;
+}
+
+// pdf.js is large and only needed for PDFs, so it loads on first use
+let pdfjsPromise = null;
+const loadPdfjs = () => (pdfjsPromise ??= import("pdfjs-dist/legacy/build/pdf.mjs"));
+
+async function extractPdfText(buffer) {
+  const { getDocument } = await loadPdfjs();
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    let length = 0;
+    for (let n = 1; n <= Math.min(pdf.numPages, PDF_PAGE_LIMIT) && length < ATTACHMENT_TEXT_LIMIT; n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      const text = content.items.map(item => item.str).join(' ');
+      pages.push(text);
+      length += text.length;
+    }
+    return pages.join('\n');
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+function extractSpreadsheetText(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', sheetRows: 2000 });
+  return workbook.SheetNames
+    .map(name => `${name}\n${XLSX.utils.sheet_to_csv(workbook.Sheets[name], { blankrows: false })}`)
+    .join('\n');
+}
+
+const EXTRACTORS = {
+  pdf: extractPdfText,
+  spreadsheet: extractSpreadsheetText,
+  text: (buffer) => buffer.toString('utf8')
+};
+
+/**
+ * Plain text of a PDF, spreadsheet or text attachment, or null for other
+ * types. Failures (encrypted PDFs, corrupt files, timeouts)
+ * are logged and yield null; they never block ingestion.
+ */
+async function extractAttachmentText(attachment) {
+  const kind = attachmentKind(attachment);
+  if (!kind || !attachment.content) return null;
+
+  let timer;
+  try {
+    const extraction = Promise.resolve().then(() => EXTRACTORS[kind](attachment.content));
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${EXTRACT_TIMEOUT_MS}ms`)), EXTRACT_TIMEOUT_MS);
+    });
+
+    const text = (await Promise.race([extraction, timeout]))
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return text ? text.slice(0, ATTACHMENT_TEXT_LIMIT) : null;
+  } catch (error) {
+    console.error(`⚠️ Text extraction failed for ${attachment.filename}:`, error.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Document types operators filter by. Each has strong title phrases and
+// weaker supporting terms; the filename counts too because agents often
+// send "INV_2291.pdf" or "HBL SEL123.pdf" with little text (scans).
+const DOCUMENT_TYPES = ['invoice', 'bill_of_lading', 'shipping_bill', 'packing_list', 'other'];
+
+const DOCUMENT_RULES = {
+  bill_of_lading: {
+    title: [/\bbill\s+of\s+lading\b/i, /\b(sea\s*way\s*bill|seawaybill)\b/i, /\b[hm]?b\/l\s*(no|number)\b/i],
+    terms: [/\bnotify\s+party\b/i, /\bport\s+of\s+loading\b/i, /\bport\s+of\s+discharge\b/i, /\bplace\s+of\s+receipt\b/i,
+      /\bvessel\b/i, /\bvoyage\b/i, /\bfreight\s+(prepaid|collect)\b/i, /\bshipped\s+on\s+board\b/i],
+    filename: /(^|[^a-z])([hm]?bl|b[-_ ]?l|bill[-_ ]?of[-_ ]?lading|obl|draft[-_ ]?bl)([^a-z]|$)/i
+  },
+  shipping_bill: {
+    title: [/\bshipping\s+bill\b/i, /\bs\/?b\s*(no|number)\b/i],
+    terms: [/\bicegate\b/i, /\blet\s+export\s+order\b/i, /\bleo\s+date\b/i, /\bport\s+code\b/i, /\biec\b/i,
+      /\bdrawback\b/i, /\bcustoms\s+house\b/i, /\bfob\s+value\b/i],
+    filename: /(^|[^a-z])(sb|shipping[-_ ]?bill|checklist)([^a-z]|$)/i
+  },
+  packing_list: {
+    title: [/\bpacking\s+list\b/i, /\bpacking\s+slip\b/i],
+    terms: [/\bgross\s+w(eigh)?t\b/i, /\bnet\s+w(eigh)?t\b/i, /\bno\.?\s+of\s+(packages|pkgs|cartons)\b/i,
+      /\bcartons?\b/i, /\bdimensions?\b/i, /\bcbm\b/i, /\bpallets?\b/i],
+    filename: /(^|[^a-z])(pl|packing[-_ ]?list)([^a-z]|$)/i
+  },
+  invoice: {
+    // "Invoice No" turns up on packing lists and B/Ls too, so only an
+    // invoice heading counts as a title
+    title: [/\b(tax|commercial|pro-?forma|freight|gst)\s+invoice\b/i, /^\W*invoice\b/i],
+    terms: [/\binvoice\s*(no|number|date)\b/i, /\bgstin\b/i, /\bhsn\b/i, /\b[cis]gst\b/i, /\bamount\s+due\b/i, /\bgrand\s+total\b/i,
+      /\bbill\s+to\b/i, /\bdue\s+date\b/i, /\bin\s+words\b/i],
+    filename: /(^|[^a-z])(inv|invoice|bill)([^a-z0-9]|\d|$)/i
+  }
+};
+
+// A title phrase in the first part of the document is worth more than one
+// buried in the small print of another document type.
+const TITLE_WEIGHT = 4;
+const HEADER_BONUS = 2;
+const TERM_WEIGHT = 1;
+const FILENAME_WEIGHT = 4;
+const CLASSIFY_THRESHOLD = 4;
+
+/**
+ * Best-matching DOCUMENT_TYPES entry for an attachment, or 'other' when no
+ * type scores CLASSIFY_THRESHOLD. Pure keyword scoring, so it is cheap
+ * enough to run on every attachment at ingest.
+ */
+function classifyDocument(filename, text) {
+  const body = (text || '').slice(0, 20000);
+  const header = body.slice(0, 600);
+  const name = path.basename(filename || '', path.extname(filename || ''));
+
+  let best = { type: 'other', score: 0 };
+  for (const [type, rules] of Object.entries(DOCUMENT_RULES)) {
+    let score = rules.filename.test(name) ? FILENAME_WEIGHT : 0;
+    for (const pattern of rules.title) {
+      if (pattern.test(body)) score += TITLE_WEIGHT + (pattern.test(header) ? HEADER_BONUS : 0);
+    }
+    score += rules.terms.filter(pattern => pattern.test(body)).length * TERM_WEIGHT;
+
+    if (score > best.score) best = { type, score };
+  }
+
+  return best.score >= CLASSIFY_THRESHOLD ? best.type : 'other';
+}
+
+/**
+ * The processing stage for one email's stored attachments: `stored` pairs
+ * each upload result with the mailparser attachment it came from. Returns
+ * the attachments with documentType/textExtracted added, the combined text
+ * for emails.attachment_text and the distinct types for
+ * emails.document_types.
+ */
+async function processStoredAttachments(stored) {
+  const texts = await Promise.all(
+    stored.map(({ source }) => extractLimit(() => extractAttachmentText(source)))
+  );
+
+  const attachments = stored.map(({ upload }, i) => ({
+    ...upload,
+    documentType: classifyDocument(upload.filename, texts[i]),
+    textExtracted: !!texts[i]
+  }));
+
+  const attachmentText = attachments
+    .map((att, i) => texts[i] && `[${att.filename}]\n${texts[i]}`)
+    .filter(Boolean)
+    .join('\n\n');
+
+  return {
+    attachments,
+    attachmentText: attachmentText ? attachmentText.slice(0, EMAIL_ATTACHMENT_TEXT_LIMIT) : null,
+    documentTypes: [...new Set(attachments.map(att => att.documentType))]
+  };
+}
+
 // =====================================================
 // PROCESS EMAIL WITH PARALLEL ATTACHMENTS
 // =====================================================
 
-async function processEmailFast(parsed, messageId, accountId) {
+async function processEmailFast(parsed, messageId, accountId, imapInfo = {}) {
   const emailData = {
     messageId,
     accountId,
+    uid: imapInfo.uid ?? null,
+    uidValidity: imapInfo.uidValidity ?? null,
+    folder: imapInfo.folder || 'INBOX',
+    imapFlags: imapInfo.flags ?? null,
     subject: parsed.subject || '(No Subject)',
     from: parsed.from?.text || "",
     to: parsed.to?.text || "",
+    cc: parsed.cc?.text || "",
+    replyTo: parsed.replyTo?.text || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references: [].concat(parsed.references || []),
     date: parsed.date || new Date(),
     text: parsed.text || "",
     html: parsed.html || "",
     attachments: [],
     hasAttachments: false,
-    attachmentsCount: 0
+    attachmentsCount: 0,
+    attachmentText: null,
+    documentTypes: [],
+    links: []
   };
 
+  try {
+    emailData.links = await findLinkedRecords(extractReferenceCandidates(parsed.subject, parsed.text));
+  } catch (error) {
+    console.error(`⚠️ Reference matching failed for ${messageId}:`, error.message);
+  }
+
   if (parsed.attachments?.length > 0) {
     const limit = pLimit(3);
-    const uploadPromises = parsed.attachments
-      .filter(att => att.content && att.size < 25 * 1024 * 1024) // Max 25MB
-      .map(att => limit(() => uploadAttachmentWithRetry(att, messageId, accountId)));
+    const storable = parsed.attachments.filter(att => att.content && att.size < 25 * 1024 * 1024); // Max 25MB
+    const uploadPromises = storable.map(att => limit(() => uploadAttachmentWithRetry(att, messageId, accountId)));
     
     const results = await Promise.allSettled(uploadPromises);
-    
-    emailData.attachments = results
-      .filter(r => r.status === 'fulfilled' && r.value)
-      .map(r => ({
-        ...r.value,
-        accountId,
-        messageId
-      }));
+    const stored = results
+      .map((r, i) => r.status === 'fulfilled' && r.value && {
+        upload: { ...r.value, accountId, messageId },
+        source: storable[i]
+      })
+      .filter(Boolean);
+
+    const { attachments, attachmentText, documentTypes } = await processStoredAttachments(stored);
+    emailData.attachments = attachments;
+    emailData.attachmentText = attachmentText;
+    emailData.documentTypes = documentTypes;
     
     emailData.hasAttachments = emailData.attachments.length > 0;
     emailData.attachmentsCount = emailData.attachments.length;
@@ -464,483 +1210,2673 @@ async function processEmailFast(parsed, messageId, accountId) {
 }
 
 // =====================================================
-// BATCH UPSERT EMAILS
+// EMAIL THREADING
 // =====================================================
 
-async function upsertEmailsBatch(emails, batchSize = 10) {
-  if (!emails.length || !supabaseEnabled) {
-    return { saved: 0, updated: 0, failed: 0 };
+// Reply/forward prefixes in the languages our carriers and agents write in
+const SUBJECT_PREFIX_RE = /^\s*(re|fwd?|aw|wg|sv|vs|tr|rif|antw)(\[\d+\])?\s*:\s*/i;
+const THREAD_SUBJECT_WINDOW_DAYS = 30;
+
+function normalizeSubject(subject) {
+  let normalized = (subject || '').trim();
+  while (SUBJECT_PREFIX_RE.test(normalized)) {
+    normalized = normalized.replace(SUBJECT_PREFIX_RE, '');
   }
+  return normalized.replace(/\s+/g, ' ').toLowerCase();
+}
 
-  let saved = 0, failed = 0;
-  const startTime = Date.now();
+// Subject fallback for replies whose client dropped In-Reply-To/References:
+// the latest thread in the same mailbox with the same normalised subject
+// within the last THREAD_SUBJECT_WINDOW_DAYS.
+async function findThreadBySubject(accountId, normalizedSubject, date) {
+  const until = new Date(date);
+  const since = new Date(until.getTime() - THREAD_SUBJECT_WINDOW_DAYS * 86400000);
+
+  const { data, error } = await supabase
+    .from('emails')
+    .select('thread_id')
+    .eq('account_id', accountId)
+    .eq('normalized_subject', normalizedSubject)
+    .not('thread_id', 'is', null)
+    .gte('date', since.toISOString())
+    .lte('date', until.toISOString())
+    .order('date', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('❌ Thread subject lookup error:', error.message);
+    return null;
+  }
+  return data?.[0]?.thread_id || null;
+}
 
-  for (let i = 0; i < emails.length; i += batchSize) {
-    const batch = emails.slice(i, i + batchSize);
-    
-    try {
-      const { error } = await supabase
-        .from('emails')
-        .upsert(
-          batch.map(email => ({
-            message_id: email.messageId,
-            account_id: email.accountId,
-            subject: email.subject,
-            from_text: email.from,
-            to_text: email.to,
-            date: email.date,
-            text_content: email.text,
-            html_content: email.html,
-            attachments: email.attachments || [],
-            has_attachments: email.hasAttachments || false,
-            attachments_count: email.attachmentsCount || 0,
-            updated_at: new Date()
-          })),
-          { 
-            onConflict: 'message_id,account_id',
-            ignoreDuplicates: false 
-          }
-        );
+/**
+ * Sets threadId/normalizedSubject on processed emails before they are saved.
+ * A message joins the thread of the nearest ancestor already stored (its
+ * In-Reply-To, then References newest-first). Otherwise the root of its
+ * References chain names the thread, so replies that arrive before their
+ * parent still group with it. Replies without any headers fall back to the
+ * normalised subject; everything else starts its own thread.
+ */
+async function assignThreads(accountId, emails) {
+  const ordered = [...emails].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const known = new Map();
+  const recentBySubject = new Map();
+
+  const headerIds = [...new Set(ordered.flatMap(e => [e.inReplyTo, ...e.references]).filter(Boolean))];
+  for (let i = 0; supabaseEnabled && i < headerIds.length; i += 100) {
+    const { data, error } = await supabase
+      .from('emails')
+      .select('message_id, thread_id')
+      .eq('account_id', accountId)
+      .in('message_id', headerIds.slice(i, i + 100))
+      .not('thread_id', 'is', null);
 
-      if (error) {
-        console.error(`❌ Batch ${Math.floor(i / batchSize) + 1} error:`, error.message);
-        failed += batch.length;
-      } else {
-        saved += batch.length;
-      }
-    } catch (error) {
-      console.error(`❌ Batch error:`, error.message);
-      failed += batch.length;
+    if (error) {
+      console.error('❌ Thread lookup error:', error.message);
+      break;
     }
+    data.forEach(row => known.set(row.message_id, row.thread_id));
+  }
 
-    if (i + batchSize < emails.length) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+  for (const email of ordered) {
+    email.normalizedSubject = normalizeSubject(email.subject);
+    const isReply = SUBJECT_PREFIX_RE.test(email.subject || '');
+    const ancestors = [email.inReplyTo, ...[...email.references].reverse()].filter(Boolean);
+    const parent = ancestors.find(id => known.has(id));
+
+    if (parent) {
+      email.threadId = known.get(parent);
+    } else if (ancestors.length) {
+      email.threadId = email.references[0] || email.inReplyTo;
+    } else if (isReply && email.normalizedSubject) {
+      email.threadId = recentBySubject.get(email.normalizedSubject) ||
+        (supabaseEnabled && await findThreadBySubject(accountId, email.normalizedSubject, email.date)) ||
+        email.messageId;
+    } else {
+      email.threadId = email.messageId;
     }
-  }
 
-  const totalTime = Date.now() - startTime;
-  console.log(`💾 Upsert complete: ${saved} saved, ${failed} failed in ${totalTime}ms`);
+    known.set(email.messageId, email.threadId);
+    if (email.normalizedSubject) {
+      recentBySubject.set(email.normalizedSubject, email.threadId);
+    }
+  }
 
-  return { saved, updated: 0, failed };
+  return emails;
 }
 
 // =====================================================
-// AUTHENTICATION MIDDLEWARE
+// EMAIL → SHIPMENT / JOB LINKING
 // =====================================================
 
-const authenticateUser = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false, 
+// Reference columns per table. shipments keeps several of these in
+// camelCase (see NewShipments.jsx), jobs in snake_case (ActiveJob.jsx).
+// find_reference_links (sql/email_links_schema.sql) searches the same
+// columns and reports the same labels.
+const LINK_TARGETS = {
+  job: {
+    table: 'jobs',
+    columns: { job_no: 'Job No', hbl_no: 'HBL', mbl_no: 'MBL', awb: 'AWB', container_no: 'Container', sb_no: 'Shipping Bill' }
+  },
+  shipment: {
+    table: 'shipments',
+    columns: { job_no: 'Job No', hbl_no: 'HBL', mblNo: 'MBL', awb: 'AWB', containerNo: 'Container', sbNo: 'Shipping Bill' }
+  }
+};
+
+const LINK_SCAN_CHARS = 20000;
+const LINK_MAX_CANDIDATES = 150;
+
+const compactReference = (value) => String(value ?? '').toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Pulls reference-number candidates out of a subject and body. Every token
+ * with three or more digits is a candidate; containers (ABCU 123456 7) and
+ * AWBs (176-1234 5675) are also joined across the spaces people type.
+ * Candidates only become links when they equal a stored reference (case
+ * and spaces aside), so the net is deliberately wide.
+ */
+function extractReferenceCandidates(subject, text) {
+  const source = `${subject || ''}\n${(text || '').slice(0, LINK_SCAN_CHARS)}`.toUpperCase();
+  const candidates = new Set();
+
+  for (const raw of source.split(/[^A-Z0-9/-]+/)) {
+    const token = raw.replace(/^[/-]+|[/-]+$/g, '');
+    if (token.length >= 5 && token.length <= 25 && (token.match(/\d/g) || []).length >= 3) {
+      candidates.add(token);
+    }
+  }
+
+  for (const [, owner, serial, check] of source.matchAll(/\b([A-Z]{3}[UJZ])\s?(\d{6})\s?(\d)\b/g)) {
+    candidates.add(`${owner}${serial}${check}`);
+  }
+
+  for (const [, prefix, first, second] of source.matchAll(/\b(\d{3})[-\s]?(\d{4})\s?(\d{4})\b/g)) {
+    candidates.add(`${prefix}${first}${second}`);
+    candidates.add(`${prefix}-${first}${second}`);
+  }
+
+  return [...candidates].slice(0, LINK_MAX_CANDIDATES);
+}
+
+// Matching happens in find_reference_links (sql/email_links_schema.sql),
+// which compares compacted values on both sides, so "abcu 123456 7" stored
+// on a job still matches ABCU1234567 in a subject. A record matching on
+// several columns is linked once, by its first column in LINK_TARGETS order.
+async function findLinkedRecords(candidates) {
+  if (!candidates.length || !supabaseEnabled) return [];
+
+  const { data, error } = await supabase.rpc('find_reference_links', {
+    p_candidates: [...new Set(candidates.map(compactReference))]
+  });
+
+  if (error) {
+    console.error('❌ Link lookup failed:', error.message);
+    return [];
+  }
+
+  const seen = new Set();
+  return (data || []).filter(link => {
+    const key = `${link.entity_type}:${link.entity_id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+async function saveEmailLinks(emails) {
+  const rows = emails.flatMap(email => (email.links || []).map(link => ({
+    message_id: email.messageId,
+    account_id: email.accountId,
+    ...link
+  })));
+
+  if (!rows.length || !supabaseEnabled) return 0;
+
+  const { error } = await supabase
+    .from('email_links')
+    .upsert(rows, { onConflict: 'message_id,account_id,entity_type,entity_id', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('❌ Saving email links failed:', error.message);
+    return 0;
+  }
+
+  console.log(`🔗 Linked ${rows.length} email references to shipments/jobs`);
+  return rows.length;
+}
+
+// =====================================================
+// EMAIL RULES ENGINE
+// =====================================================
+
+const RULE_FORWARD_TEXT_LIMIT = 4000;
+
+/**
+ * Inbound mail rules (email_rules), cached in memory and reloaded on the
+ * same schedule as the mailbox accounts. A rule whose subject pattern no
+ * longer compiles is kept for the admin screen but never matches.
+ */
+class EmailRulesManager {
+  constructor() {
+    this.rules = [];
+    this.loadedAt = null;
+    this.reloadTimer = null;
+  }
+
+  fromRow(row) {
+    const conditions = row.conditions || {};
+    const actions = row.actions || {};
+
+    let subjectRegex = null;
+    if (conditions.subjectPattern) {
+      try {
+        subjectRegex = compileSubjectPattern(conditions.subjectPattern);
+      } catch (error) {
+        console.error(`❌ Rule ${row.id} (${row.name}) has an invalid subject pattern:`, error.message);
+      }
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      enabled: row.enabled,
+      priority: row.priority,
+      stopProcessing: row.stop_processing,
+      conditions: {
+        accountIds: conditions.accountIds || [],
+        senderDomains: conditions.senderDomains || [],
+        subjectPattern: conditions.subjectPattern || null,
+        attachmentTypes: conditions.attachmentTypes || []
+      },
+      actions: {
+        labels: actions.labels || [],
+        markImportant: !!actions.markImportant,
+        organization: actions.organization || null,
+        forwardTo: actions.forwardTo || [],
+        delete: !!actions.delete
+      },
+      subjectRegex,
+      createdBy: row.created_by,
+      createdById: row.created_by_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async load() {
+    if (!supabaseEnabled) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('email_rules')
+        .select('*')
+        .order('priority')
+        .order('id');
+      if (error) throw error;
+
+      this.rules = data.map(row => this.fromRow(row));
+      this.loadedAt = new Date();
+      console.log(`📐 Loaded ${this.rules.length} email rules`);
+    } catch (error) {
+      // Keep serving the last good copy
+      console.error("❌ Loading email rules failed:", error.message);
+    }
+  }
+
+  startAutoReload() {
+    if (this.reloadTimer) return;
+    this.reloadTimer = setInterval(() => this.load(), MAIL_ACCOUNTS_RELOAD_MS);
+    this.reloadTimer.unref();
+  }
+
+  stopAutoReload() {
+    clearInterval(this.reloadTimer);
+    this.reloadTimer = null;
+  }
+
+  getRule(ruleId) {
+    return this.rules.find(rule => rule.id === parseInt(ruleId));
+  }
+
+  getAllRules() {
+    return this.rules;
+  }
+
+  getActiveRules() {
+    return this.rules.filter(rule => rule.enabled);
+  }
+
+  // ---- Admin mutations (routes/email-rules.js) ----
+
+  async createRule(fields, createdBy, createdById) {
+    const { data, error } = await supabase
+      .from('email_rules')
+      .insert({ ...fields, created_by: createdBy, created_by_id: createdById })
+      .select('id')
+      .single();
+    if (error) throw error;
+
+    await this.load();
+    return this.getRule(data.id);
+  }
+
+  async updateRule(ruleId, fields) {
+    const { error } = await supabase
+      .from('email_rules')
+      .update({ ...fields, updated_at: new Date() })
+      .eq('id', ruleId);
+    if (error) throw error;
+
+    await this.load();
+    return this.getRule(ruleId);
+  }
+
+  async deleteRule(ruleId) {
+    const { error } = await supabase
+      .from('email_rules')
+      .delete()
+      .eq('id', ruleId);
+    if (error) throw error;
+    await this.load();
+  }
+}
+
+const emailRules = new EmailRulesManager();
+await emailRules.load();
+emailRules.startAutoReload();
+
+// "Maersk Line <noreply@Maersk.com>" → "maersk.com"
+const senderDomain = (fromText) => {
+  const address = (fromText || '').match(/<([^>]+)>/)?.[1] || fromText || '';
+  const at = address.lastIndexOf('@');
+  return at === -1 ? null : address.slice(at + 1).trim().toLowerCase();
+};
+
+// Every condition the rule sets must hold. List conditions match on any
+// entry; a sender domain also covers its subdomains, and an attachment type
+// is either a document type (invoice, bill_of_lading, …) or a file extension.
+function ruleMatches(rule, email) {
+  const { accountIds, senderDomains, subjectPattern, attachmentTypes } = rule.conditions;
+
+  if (accountIds.length && !accountIds.includes(email.accountId)) return false;
+
+  if (senderDomains.length) {
+    const domain = senderDomain(email.from);
+    if (!domain || !senderDomains.some(d => domain === d || domain.endsWith(`.${d}`))) return false;
+  }
+
+  if (subjectPattern) {
+    const matched = rule.subjectRegex ? testSubjectPattern(rule.subjectRegex, email.subject) : false;
+    if (matched === null) {
+      console.error(`❌ Rule ${rule.id} (${rule.name}) subject pattern ran out of time; skipped until the rules reload`);
+      rule.subjectRegex = null;
+    }
+    if (!matched) return false;
+  }
+
+  if (attachmentTypes.length) {
+    const kinds = new Set(email.attachments.flatMap(att => [
+      att.documentType,
+      path.extname(att.filename || '').slice(1).toLowerCase()
+    ]));
+    if (!attachmentTypes.some(type => kinds.has(type))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Runs the active rules over freshly processed emails, before they are
+ * stored. Labels, importance and the client organisation are set on the
+ * email itself (the first rule naming an organisation wins); forwards and
+ * the hit log wait for finishEmailRules once the email is saved. A delete
+ * drops the email and its uploaded attachments. Returns the emails to store
+ * and the ones deleted.
+ */
+async function applyEmailRules(emails) {
+  const rules = emailRules.getActiveRules();
+  const kept = [];
+  const deleted = [];
+
+  for (const email of emails) {
+    email.labels = [];
+    email.isImportant = false;
+    email.clientOrganization = null;
+    email.ruleHits = [];
+
+    let remove = false;
+    for (const rule of rules) {
+      if (!ruleMatches(rule, email)) continue;
+
+      const { actions } = rule;
+      email.labels = [...new Set([...email.labels, ...actions.labels])];
+      email.isImportant = email.isImportant || actions.markImportant;
+      email.clientOrganization = email.clientOrganization || actions.organization;
+      email.ruleHits.push({ rule, error: null });
+
+      if (actions.delete) {
+        remove = true;
+        break;
+      }
+      if (rule.stopProcessing) break;
+    }
+
+    (remove ? deleted : kept).push(email);
+  }
+
+  const deletedPaths = deleted.flatMap(email => email.attachments.map(att => att.path));
+  if (deletedPaths.length) {
+    const { error } = await supabase.storage.from('attachments').remove(deletedPaths);
+    if (error) console.error('⚠️ Removing attachments of rule-deleted emails failed:', error.message);
+  }
+
+  const hitCount = emails.reduce((count, email) => count + email.ruleHits.length, 0);
+  if (hitCount) {
+    console.log(`📐 Rules matched ${hitCount} times: ${deleted.length} emails deleted, ${kept.length} kept`);
+  }
+
+  return { kept, deleted };
+}
+
+// Message ids among messageIds that a rule deleted on an earlier run
+async function findRuleDeletedIds(messageIds, accountId) {
+  if (!messageIds.length || !supabaseEnabled) return new Set();
+
+  const { data, error } = await supabase
+    .from('email_rule_deletions')
+    .select('message_id')
+    .eq('account_id', accountId)
+    .in('message_id', messageIds);
+
+  if (error) {
+    console.error('❌ Rule deletion lookup failed:', error.message);
+    return new Set();
+  }
+  return new Set(data.map(row => row.message_id));
+}
+
+async function recordRuleDeletions(emails) {
+  if (!emails.length || !supabaseEnabled) return;
+
+  const { error } = await supabase
+    .from('email_rule_deletions')
+    .upsert(emails.map(email => ({
+      message_id: email.messageId,
+      account_id: email.accountId,
+      rule_id: email.ruleHits[email.ruleHits.length - 1]?.rule.id ?? null
+    })), { onConflict: 'message_id,account_id', ignoreDuplicates: true });
+
+  if (error) console.error('❌ Recording rule-deleted emails failed:', error.message);
+}
+
+// Forwards land in the recipient's Messages inbox, sent as the admin who
+// owns the rule. Only the text goes along, so a rule may forward and then
+// delete; attachments are not copied.
+const forwardContent = (email, rule) => [
+  `Forwarded by rule "${rule.name}"`,
+  '',
+  `From: ${email.from}`,
+  `To: ${email.to}`,
+  `Date: ${new Date(email.date).toUTCString()}`,
+  `Subject: ${email.subject}`,
+  email.attachments.length ? `Attachments: ${email.attachments.map(att => att.filename).join(', ')}` : null,
+  '',
+  email.text.length > RULE_FORWARD_TEXT_LIMIT
+    ? `${email.text.slice(0, RULE_FORWARD_TEXT_LIMIT)}\n…`
+    : email.text
+].filter(line => line !== null).join('\n');
+
+/**
+ * Sends the forwards of matched rules and writes one email_rule_hits row per
+ * match. A forward to someone without a profile is logged as the hit's
+ * error instead of failing the sync.
+ */
+async function finishEmailRules(emails) {
+  const matched = emails.filter(email => email.ruleHits?.length);
+  if (!matched.length) return;
+
+  const recipients = [...new Set(matched.flatMap(email => email.ruleHits.flatMap(hit => hit.rule.actions.forwardTo)))];
+
+  const profileIds = new Map();
+  if (recipients.length) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, email')
+      .in('email', recipients);
+    if (error) console.error('❌ Looking up forward recipients failed:', error.message);
+    for (const profile of data || []) profileIds.set(profile.email.toLowerCase(), profile.id);
+  }
+
+  const messages = [];
+  for (const email of matched) {
+    for (const hit of email.ruleHits) {
+      const { rule } = hit;
+      const missing = [];
+      for (const recipient of rule.actions.forwardTo) {
+        const receiverId = profileIds.get(recipient);
+        if (!receiverId || !rule.createdById) {
+          missing.push(recipient);
+          continue;
+        }
+        messages.push({
+          sender_id: rule.createdById,
+          receiver_id: receiverId,
+          subject: `Fwd: ${email.subject}`,
+          content: forwardContent(email, rule),
+          deleted_at: null
+        });
+      }
+      if (missing.length) {
+        hit.error = rule.createdById
+          ? `No user profile for ${missing.join(', ')}`
+          : 'Rule has no owner to forward as';
+      }
+    }
+  }
+
+  if (messages.length) {
+    const { error } = await supabase.from('messages').insert(messages);
+    if (error) {
+      console.error('❌ Forwarding emails to users failed:', error.message);
+      for (const email of matched) {
+        for (const hit of email.ruleHits) {
+          if (hit.rule.actions.forwardTo.length) hit.error = `Forward failed: ${error.message}`;
+        }
+      }
+    } else {
+      console.log(`📨 Forwarded ${messages.length} emails to users by rule`);
+    }
+  }
+
+  const { error } = await supabase
+    .from('email_rule_hits')
+    .insert(matched.flatMap(email => email.ruleHits.map(({ rule, error: hitError }) => ({
+      rule_id: rule.id,
+      rule_name: rule.name,
+      message_id: email.messageId,
+      account_id: email.accountId,
+      subject: email.subject,
+      actions: rule.actions,
+      error: hitError
+    }))));
+  if (error) console.error('❌ Logging rule hits failed:', error.message);
+}
+
+// =====================================================
+// BATCH UPSERT EMAILS
+// =====================================================
+
+const toEmailRow = (email) => ({
+  message_id: email.messageId,
+  account_id: email.accountId,
+  subject: email.subject,
+  from_text: email.from,
+  to_text: email.to,
+  cc_text: email.cc,
+  reply_to_text: email.replyTo,
+  in_reply_to: email.inReplyTo,
+  reference_ids: email.references,
+  thread_id: email.threadId,
+  normalized_subject: email.normalizedSubject,
+  date: email.date,
+  text_content: email.text,
+  html_content: email.html,
+  attachments: email.attachments || [],
+  has_attachments: email.hasAttachments || false,
+  attachments_count: email.attachmentsCount || 0,
+  attachment_text: email.attachmentText,
+  document_types: email.documentTypes || [],
+  labels: email.labels || [],
+  is_important: email.isImportant || false,
+  client_organization: email.clientOrganization || null,
+  imap_uid: email.uid,
+  imap_uid_validity: email.uidValidity,
+  imap_flags: email.imapFlags,
+  folder: email.folder,
+  folders: [email.folder],
+  updated_at: new Date()
+});
+
+async function upsertEmailRows(emails) {
+  try {
+    const { error } = await supabase
+      .from('emails')
+      .upsert(emails.map(toEmailRow), { onConflict: 'message_id,account_id', ignoreDuplicates: false });
+    return error;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Stores emails in batches. A failed batch is retried row by row so one bad
+ * message can't take its neighbours down with it. `savedIds` lists the
+ * message ids that were stored; `rejected` lists rows the database refused
+ * on their own (an error with a Postgres code), as opposed to rows lost to a
+ * connection or timeout error, which are only counted in `failed`.
+ */
+async function upsertEmailsBatch(emails, batchSize = 10) {
+  if (!emails.length || !supabaseEnabled) {
+    return { saved: 0, updated: 0, failed: 0, savedIds: [], rejected: [] };
+  }
+
+  const savedIds = [];
+  const rejected = [];
+  let failed = 0;
+  const startTime = Date.now();
+
+  for (let i = 0; i < emails.length; i += batchSize) {
+    const batch = emails.slice(i, i + batchSize);
+    const batchError = await upsertEmailRows(batch);
+
+    if (!batchError) {
+      savedIds.push(...batch.map(email => email.messageId));
+    } else {
+      console.error(`❌ Batch ${Math.floor(i / batchSize) + 1} error, retrying row by row:`, batchError.message);
+      for (const email of batch) {
+        const rowError = batch.length > 1 ? await upsertEmailRows([email]) : batchError;
+        if (!rowError) {
+          savedIds.push(email.messageId);
+          continue;
+        }
+        failed++;
+        console.error(`❌ Email uid ${email.uid} (${email.messageId}) not saved:`, rowError.message);
+        if (rowError.code) {
+          rejected.push({ uid: email.uid, messageId: email.messageId, error: rowError.message, at: new Date().toISOString() });
+        }
+      }
+    }
+
+    if (i + batchSize < emails.length) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const totalTime = Date.now() - startTime;
+  console.log(`💾 Upsert complete: ${savedIds.length} saved, ${failed} failed in ${totalTime}ms`);
+
+  return { saved: savedIds.length, updated: 0, failed, savedIds, rejected };
+}
+
+// =====================================================
+// SYNC STATE (UIDVALIDITY + HIGHEST UID PER ACCOUNT)
+// =====================================================
+
+const SYNC_MODES = ['incremental', 'latest', 'backfill', 'full'];
+
+// Rows the database refused, kept per folder for inspection (newest last)
+const MAX_FAILED_ROWS = 100;
+
+// Sync state is kept per (account, folder): UIDs and UIDVALIDITY are
+// folder-scoped, so each folder has its own cursor.
+async function getSyncState(accountId, folder) {
+  if (!supabaseEnabled) return null;
+
+  const { data, error } = await supabase
+    .from('email_sync_state')
+    .select('account_id, folder, uid_validity, last_uid, backfill_uid, last_synced_at, failed_rows')
+    .eq('account_id', accountId)
+    .eq('folder', folder)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Sync state read error for account ${accountId} ${folder}:`, error.message);
+    throw error;
+  }
+
+  return data;
+}
+
+async function saveSyncState(accountId, folder, state) {
+  if (!supabaseEnabled) return;
+
+  const { error } = await supabase
+    .from('email_sync_state')
+    .upsert({
+      account_id: accountId,
+      folder,
+      ...state,
+      updated_at: new Date()
+    }, { onConflict: 'account_id,folder' });
+
+  if (error) {
+    console.error(`❌ Sync state write error for account ${accountId} ${folder}:`, error.message);
+  }
+}
+
+// Decides which UIDs a run should fetch and what the sync state becomes once
+// they are stored. UIDs are only comparable under the same UIDVALIDITY, so a
+// changed value (or mode "full") discards the stored cursor and starts over.
+async function planUidBatch(connection, box, state, mode, count) {
+  const ascending = (uids) => [...uids].sort((a, b) => a - b);
+  const uidValidity = box.uidvalidity;
+
+  if (mode === 'latest') {
+    const all = ascending(await connection.search(['ALL']));
+    return { uids: all.slice(-count), nextState: null, remaining: 0 };
+  }
+
+  const resync = mode === 'full' || (state && String(state.uid_validity) !== String(uidValidity));
+  if (resync && state) {
+    console.log(`♻️ UIDVALIDITY ${state.uid_validity} → ${uidValidity}, full resync`);
+  }
+
+  // First sync (or resync): newest window now, older history via backfill
+  if (!state || resync) {
+    const all = ascending(await connection.search(['ALL']));
+    const uids = all.slice(-count);
+    return {
+      uids,
+      resync: !!resync,
+      remaining: 0,
+      nextState: {
+        uid_validity: uidValidity,
+        last_uid: uids.length ? uids[uids.length - 1] : 0,
+        backfill_uid: uids.length ? uids[0] : 1
+      }
+    };
+  }
+
+  if (mode === 'backfill') {
+    const below = state.backfill_uid ?? state.last_uid + 1;
+    if (below <= 1) {
+      return { uids: [], nextState: null, remaining: 0, backfillComplete: true };
+    }
+
+    const older = ascending(await connection.search([['UID', `1:${below - 1}`]]))
+      .filter(uid => uid < below);
+    const uids = older.slice(-count);
+    const remaining = older.length - uids.length;
+
+    return {
+      uids,
+      remaining,
+      backfillComplete: remaining === 0,
+      nextState: {
+        uid_validity: uidValidity,
+        backfill_uid: remaining === 0 ? 1 : uids[0]
+      }
+    };
+  }
+
+  // Incremental: oldest unseen first so a long outage is drained in order
+  // across runs instead of skipping whatever falls outside the window.
+  const lastUid = Number(state.last_uid) || 0;
+  const pending = ascending(await connection.search([['UID', `${lastUid + 1}:*`]]))
+    .filter(uid => uid > lastUid);
+  const uids = pending.slice(0, count);
+
+  return {
+    uids,
+    remaining: pending.length - uids.length,
+    nextState: {
+      uid_validity: uidValidity,
+      last_uid: uids.length ? uids[uids.length - 1] : lastUid
+    }
+  };
+}
+
+// =====================================================
+// ACCESS TOKEN VERIFICATION (SUPABASE JWTs)
+// =====================================================
+// Tokens are checked here rather than with a round trip to Supabase Auth:
+// HS256 against SUPABASE_JWT_SECRET (the project's legacy shared secret),
+// RS256/ES256 against the project's published signing keys (JWKS). A token
+// neither can check, e.g. HS256 with no secret configured, goes to
+// supabase.auth.getUser as before.
+
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET || null;
+const SUPABASE_JWKS_URL = process.env.SUPABASE_JWKS_URL ||
+  (process.env.SUPABASE_URL ? `${process.env.SUPABASE_URL.replace(/\/+$/, '')}/auth/v1/.well-known/jwks.json` : null);
+const JWKS_TTL_MS = 600000;
+// Floor between JWKS fetches, so tokens with an unknown kid can't hammer it
+const JWKS_MIN_REFRESH_MS = 30000;
+const JWT_CLOCK_SKEW_SECONDS = 30;
+// Supabase's access token lifetime (JWT expiry setting); revocations are
+// kept this long so they outlive every token they block
+const AUTH_MAX_TOKEN_LIFETIME_MS = (parseInt(process.env.AUTH_MAX_TOKEN_LIFETIME_SECONDS) || 3600) * 1000;
+
+const authError = (message) => Object.assign(new Error(message), { status: 401 });
+
+function decodeJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw authError('Malformed token');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw authError('Malformed token');
+  }
+}
+
+// Public signing keys by kid; refetched every 10 minutes, or sooner when a
+// token names a key we have not seen (keys are rotated)
+const jwks = {
+  keys: new Map(),
+  fetchedAt: 0,
+  attemptedAt: 0,
+  loading: null,
+
+  async getKey(kid) {
+    const now = Date.now();
+    const stale = now - this.fetchedAt > JWKS_TTL_MS || !this.keys.has(kid);
+    if (stale && now - this.attemptedAt > JWKS_MIN_REFRESH_MS) await this.refresh();
+    return this.keys.get(kid) || null;
+  },
+
+  refresh() {
+    this.loading ??= (async () => {
+      this.attemptedAt = Date.now();
+      try {
+        const response = await fetch(SUPABASE_JWKS_URL, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) throw new Error(`JWKS responded ${response.status}`);
+        const { keys = [] } = await response.json();
+        this.keys = new Map(keys
+          .filter(jwk => jwk.kid && jwk.kty !== 'oct')
+          .map(jwk => [jwk.kid, { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }]));
+        this.fetchedAt = Date.now();
+      } catch (error) {
+        // Keys already loaded stay in use
+        console.error('❌ Loading signing keys failed:', error.message);
+      } finally {
+        this.loading = null;
+      }
+    })();
+    return this.loading;
+  }
+};
+
+function checkClaims(payload) {
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp <= now) throw authError('Token expired');
+  if (typeof payload.nbf === 'number' && payload.nbf > now + JWT_CLOCK_SKEW_SECONDS) {
+    throw authError('Token not yet valid');
+  }
+  if (![].concat(payload.aud ?? []).includes('authenticated')) throw authError('Not a user access token');
+  if (!payload.sub || !payload.email) throw authError('Token has no user');
+}
+
+// The verified claims, or null when this token can't be checked locally
+async function verifyJwtLocally(token) {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  let valid;
+  if (header.alg === 'HS256') {
+    if (!SUPABASE_JWT_SECRET) return null;
+    const expected = crypto.createHmac('sha256', SUPABASE_JWT_SECRET).update(signingInput).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256' || header.alg === 'ES256') {
+    if (!SUPABASE_JWKS_URL || !header.kid) return null;
+    const jwk = await jwks.getKey(header.kid);
+    if (!jwk) return null;
+    if (jwk.alg && jwk.alg !== header.alg) throw authError('Token algorithm does not match its key');
+    const key = header.alg === 'ES256' ? { key: jwk.key, dsaEncoding: 'ieee-p1363' } : jwk.key;
+    valid = crypto.verify('sha256', Buffer.from(signingInput), key, signature);
+  } else {
+    throw authError(`Unsupported token algorithm ${header.alg}`);
+  }
+
+  if (!valid) throw authError('Invalid token signature');
+  checkClaims(payload);
+  return payload;
+}
+
+// Supabase vouches for the token; its claims still give expiry and session
+async function verifyJwtWithSupabase(token) {
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user?.email) throw authError('Authentication failed');
+
+  const claims = { ...decodeJwt(token).payload, sub: user.id, email: user.email };
+  checkClaims(claims);
+  return claims;
+}
+
+// =====================================================
+// FORCED LOGOUT (TOKEN REVOCATION LIST)
+// =====================================================
+
+const AUTH_REVOCATIONS_RELOAD_MS = 10000;
+
+// Tagged onto a user's cached token checks so a revocation drops them
+const authCacheTag = (userId) => `auth-user:${userId}`;
+
+/**
+ * Revoked sessions (auth_revocations). A row with a session_id blocks that
+ * session; one without blocks every token of the user issued before
+ * revoked_before, so signing in again works. Rows expire once no token they
+ * block can still be valid.
+ *
+ * A revocation applies at once on the instance that makes it. Others reload
+ * the list when a request finds it older than 10 s, which holds on
+ * serverless too, where timers don't run between requests.
+ */
+class AuthRevocationList {
+  constructor() {
+    this.users = new Map();    // user id → revoked_before (ms)
+    this.sessions = new Set();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async ensureFresh() {
+    if (!supabaseEnabled || Date.now() - this.loadedAt < AUTH_REVOCATIONS_RELOAD_MS) return;
+    this.loading ??= this.load().finally(() => { this.loading = null; });
+    await this.loading;
+  }
+
+  async load() {
+    const { data, error } = await supabase
+      .from('auth_revocations')
+      .select('user_id, session_id, revoked_before')
+      .gt('expires_at', new Date().toISOString());
+    // On error the last list stays in force until the next attempt
+    this.loadedAt = Date.now();
+    if (error) {
+      console.error('❌ Loading token revocations failed:', error.message);
+      return;
+    }
+
+    this.users = new Map();
+    this.sessions = new Set();
+    data.forEach(row => this.add(row));
+  }
+
+  add(row) {
+    if (row.session_id) {
+      this.sessions.add(row.session_id);
+      return;
+    }
+    const before = new Date(row.revoked_before).getTime();
+    this.users.set(row.user_id, Math.max(this.users.get(row.user_id) || 0, before));
+  }
+
+  isRevoked(claims) {
+    if (claims.session_id && this.sessions.has(claims.session_id)) return true;
+    const before = this.users.get(claims.sub);
+    return !!before && (claims.iat || 0) * 1000 < before;
+  }
+
+  /**
+   * Ends one session (sessionId) or all of a user's sessions. Besides
+   * blocking the outstanding access tokens, Supabase's refresh tokens are
+   * deleted (end_user_sessions) so the client can't mint new ones.
+   */
+  async revoke({ userId, sessionId = null, reason = null, revokedBy = null }) {
+    const now = Date.now();
+    const row = {
+      user_id: userId,
+      session_id: sessionId,
+      revoked_before: new Date(now),
+      expires_at: new Date(now + AUTH_MAX_TOKEN_LIFETIME_MS),
+      reason,
+      revoked_by: revokedBy
+    };
+
+    const { data, error } = await supabase
+      .from('auth_revocations')
+      .insert(row)
+      .select('*')
+      .single();
+    if (error) throw error;
+    this.add(row);
+
+    const { error: sessionsError } = await supabase.rpc('end_user_sessions', {
+      p_user_id: userId,
+      p_session_id: sessionId
+    });
+    if (sessionsError) console.error(`❌ Ending sessions of ${userId} failed:`, sessionsError.message);
+
+    await cache.invalidate([authCacheTag(userId)]);
+    console.log(`🔒 ${sessionId ? `Session ${sessionId}` : 'All sessions'} of ${userId} revoked${revokedBy ? ` by ${revokedBy}` : ''}`);
+    return data;
+  }
+}
+
+const authRevocations = new AuthRevocationList();
+
+// =====================================================
+// AUTHENTICATION MIDDLEWARE
+// =====================================================
+// Sets req.user = { email, id, sessionId, role }. A token's check (and the
+// user's role) is cached under a hash of the whole token, never longer than
+// the token is valid; the revocation list is consulted on every request,
+// cached or not. Role changes drop the user's entries (authCacheTag).
+
+// The role from user_roles (src/lib/permissions.js), DEFAULT_ROLE without a row
+async function loadUserRole(userId) {
+  if (!supabaseEnabled) return DEFAULT_ROLE;
+  const { data, error } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return ROLES.includes(data?.role) ? data.role : DEFAULT_ROLE;
+}
+
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader?.startsWith('Bearer ')) {
+      return res.status(401).json({ 
+        success: false, 
         error: "Authentication required" 
       });
     }
 
-    const token = authHeader.substring(7);
-    const cacheKey = `auth:${token.substring(0, 20)}`;
-    const cachedUser = cache.get(cacheKey);
-    
-    if (cachedUser) {
-      req.user = cachedUser;
-      return next();
+    const token = authHeader.substring(7);
+    const cacheKey = `auth:${crypto.createHash('sha256').update(token).digest('hex')}`;
+    let claims = await cache.get(cacheKey);
+
+    if (!claims) {
+      const verified = await verifyJwtLocally(token);
+      if (!verified && !supabaseEnabled) {
+        return res.status(500).json({ 
+          success: false, 
+          error: "Auth service unavailable" 
+        });
+      }
+
+      const { sub, email, iat, exp, session_id } = verified || await verifyJwtWithSupabase(token);
+      claims = { sub, email, iat, exp, session_id, role: await loadUserRole(sub) };
+      await cache.set(cacheKey, claims, {
+        tags: [authCacheTag(sub)],
+        ttl: exp * 1000 - Date.now()
+      });
+    } else if (claims.exp * 1000 <= Date.now()) {
+      throw authError('Token expired');
+    }
+
+    await authRevocations.ensureFresh();
+    if (authRevocations.isRevoked(claims)) throw authError('Session has been signed out');
+
+    req.user = {
+      email: claims.email,
+      id: claims.sub,
+      sessionId: claims.session_id || null,
+      role: claims.role || DEFAULT_ROLE
+    };
+    next();
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    console.error("❌ Auth error:", error);
+    return res.status(401).json({ 
+      success: false, 
+      error: "Authentication failed" 
+    });
+  }
+};
+
+// =====================================================
+// AUTHORIZATION MIDDLEWARE
+// =====================================================
+
+// Role check, after authenticateUser; the permission names and who holds
+// them are in src/lib/permissions.js, shared with the React app
+const requirePermission = (permission) => (req, res, next) => {
+  if (!can(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `Not allowed for the ${req.user.role} role`
+    });
+  }
+  next();
+};
+
+const authorizeEmailAccess = () => {
+  return (req, res, next) => {
+    const userEmail = req.user.email;
+    const targetAccountId = req.body.accountId || req.query.accountId;
+    
+    if (!targetAccountId || targetAccountId === 'all') {
+      const allowedAccounts = emailConfigManager.getAllowedAccounts(userEmail);
+      if (!allowedAccounts.length) {
+        return res.status(403).json({ 
+          success: false, 
+          error: "No accounts accessible" 
+        });
+      }
+      return next();
+    }
+    
+    if (!emailConfigManager.canUserAccessAccount(userEmail, targetAccountId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: "Access denied to this account" 
+      });
+    }
+    
+    next();
+  };
+};
+
+// =====================================================
+// IMAP CONNECTION POOL
+// =====================================================
+
+class IMAPConnectionPool {
+  constructor() {
+    this.connections = new Map();
+    this.locks = new Map();
+    this.connectionTimeout = 30000;
+  }
+
+  async getConnection(configId) {
+    while (this.locks.get(configId)) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    if (this.connections.has(configId)) {
+      const conn = this.connections.get(configId);
+      if (conn.isConnected) {
+        return conn;
+      }
+      this.connections.delete(configId);
+    }
+
+    this.locks.set(configId, true);
+    
+    try {
+      const config = emailConfigManager.getConfig(configId);
+      if (!config) throw new Error(`Config ${configId} not found`);
+
+      const connection = new IMAPConnection(config);
+      await connection.connect();
+      this.connections.set(configId, connection);
+      return connection;
+    } finally {
+      this.locks.delete(configId);
+    }
+  }
+
+  closeConnection(configId) {
+    const conn = this.connections.get(configId);
+    if (conn) {
+      conn.disconnect();
+      this.connections.delete(configId);
+    }
+  }
+
+  disconnectAll() {
+    for (const [configId] of this.connections) {
+      this.closeConnection(configId);
+    }
+  }
+}
+
+class IMAPConnection {
+  constructor(config) {
+    this.config = config;
+    this.connection = null;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    if (this.isConnected) return this.connection;
+
+    return new Promise((resolve, reject) => {
+      this.connection = new Imap({
+        user: this.config.username || this.config.email,
+        password: this.config.password,
+        host: this.config.imapHost || "imap.gmail.com",
+        port: this.config.imapPort || 993,
+        tls: this.config.imapTls ?? true,
+        tlsOptions: { rejectUnauthorized: false },
+        connTimeout: 20000,
+        authTimeout: 10000,
+        keepalive: { 
+          interval: 10000,
+          idleInterval: 300000
+        }
+      });
+
+      const timeout = setTimeout(() => {
+        this.isConnected = false;
+        reject(new Error('IMAP connection timeout'));
+      }, 25000);
+
+      this.connection.once('ready', () => {
+        clearTimeout(timeout);
+        this.isConnected = true;
+        console.log(`✅ IMAP connected: ${this.config.email}`);
+        resolve(this.connection);
+      });
+
+      this.connection.once('error', (err) => {
+        clearTimeout(timeout);
+        this.isConnected = false;
+        console.error(`❌ IMAP error: ${this.config.email}:`, err.message);
+        reject(err);
+      });
+
+      this.connection.once('end', () => {
+        this.isConnected = false;
+        console.log(`📤 IMAP disconnected: ${this.config.email}`);
+      });
+
+      this.connection.connect();
+    });
+  }
+
+  disconnect() {
+    if (this.connection && this.isConnected) {
+      try {
+        this.connection.end();
+      } catch (error) {
+        console.error('Error disconnecting IMAP:', error.message);
+      }
+      this.isConnected = false;
+    }
+  }
+
+  // Flattened folder paths, e.g. ["INBOX", "[Gmail]/Sent Mail"]
+  listBoxes() {
+    return new Promise((resolve, reject) => {
+      this.connection.getBoxes((err, boxes) => {
+        if (err) return reject(err);
+        const paths = [];
+        const walk = (tree, prefix) => {
+          for (const [name, box] of Object.entries(tree || {})) {
+            const fullPath = prefix ? `${prefix}${box.delimiter || '/'}${name}` : name;
+            if (!box.attribs?.includes('\\Noselect')) paths.push(fullPath);
+            walk(box.children, fullPath);
+          }
+        };
+        walk(boxes, '');
+        resolve(paths);
+      });
+    });
+  }
+
+  openBox(name = "INBOX") {
+    return new Promise((resolve, reject) => {
+      this.connection.openBox(name, false, (err, box) => err ? reject(err) : resolve(box));
+    });
+  }
+
+  // UID SEARCH — resolves with UIDs, never sequence numbers
+  search(criteria) {
+    return new Promise((resolve, reject) => {
+      this.connection.search(criteria, (err, uids) => err ? reject(err) : resolve(uids || []));
+    });
+  }
+
+  // Fetch full RFC822 bodies for the given UIDs
+  fetchByUid(uids, onProgress) {
+    return new Promise((resolve, reject) => {
+      const f = this.connection.fetch(uids, {
+        bodies: "",
+        struct: true,
+        markSeen: false
+      });
+
+      const emailBuffers = [];
+
+      f.on("message", (msg, seqno) => {
+        let buffer = "";
+        let uid = null;
+        let flags = null;
+
+        msg.on("body", (stream) => {
+          stream.on("data", (chunk) => {
+            buffer += chunk.toString("utf8");
+          });
+        });
+
+        msg.once("attributes", (attrs) => {
+          uid = attrs.uid;
+          flags = attrs.flags;
+        });
+
+        msg.once("end", () => {
+          emailBuffers.push({ buffer, seqno, uid, flags });
+          onProgress?.(emailBuffers.length);
+        });
+      });
+
+      f.once("error", reject);
+      f.once("end", () => resolve(emailBuffers));
+    });
+  }
+
+  // Flags of one UID in the open box, or null when the UID is gone
+  fetchFlags(uid) {
+    return new Promise((resolve, reject) => {
+      let flags = null;
+      const f = this.connection.fetch([uid], {});
+      f.on("message", (msg) => {
+        msg.once("attributes", (attrs) => {
+          flags = attrs.flags || [];
+        });
+      });
+      f.once("error", reject);
+      f.once("end", () => resolve(flags));
+    });
+  }
+
+  // addFlags/delFlags, or addLabels/delLabels on Gmail (X-GM-EXT-1)
+  storeFlags(method, uid, flags) {
+    return new Promise((resolve, reject) => {
+      this.connection[method]([uid], flags, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  moveMessage(uid, boxTo) {
+    return new Promise((resolve, reject) => {
+      this.connection.move([uid], boxTo, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  expungeUid(uid) {
+    return new Promise((resolve, reject) => {
+      this.connection.expunge([uid], (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  isGmail() {
+    return this.connection.serverSupports('X-GM-EXT-1');
+  }
+
+  // Paths of the RFC 6154 special-use folders, e.g. { '\\Trash': '[Gmail]/Trash' }
+  specialUseBoxes() {
+    return new Promise((resolve, reject) => {
+      this.connection.getBoxes((err, boxes) => {
+        if (err) return reject(err);
+        const found = {};
+        const walk = (tree, prefix) => {
+          for (const [name, box] of Object.entries(tree || {})) {
+            const fullPath = prefix ? `${prefix}${box.delimiter || '/'}${name}` : name;
+            if (box.special_use_attrib && !found[box.special_use_attrib]) found[box.special_use_attrib] = fullPath;
+            walk(box.children, fullPath);
+          }
+        };
+        walk(boxes, '');
+        resolve(found);
+      });
+    });
+  }
+}
+
+const imapPool = new IMAPConnectionPool();
+
+// Logs in over IMAP (checking the configured folders exist) and SMTP with
+// the given settings; used by the mailbox admin page before saving.
+async function testMailAccount(account) {
+  const result = { imap: { ok: false }, smtp: { ok: false } };
+
+  const connection = new IMAPConnection(account);
+  try {
+    await connection.connect();
+    const folders = await connection.listBoxes();
+    const missing = account.folders.filter(folder => !folders.includes(folder));
+    result.imap = missing.length
+      ? { ok: false, error: `Folder not found: ${missing.join(', ')}`, folders }
+      : { ok: true, folders };
+  } catch (error) {
+    result.imap = { ok: false, error: error.message };
+  } finally {
+    connection.disconnect();
+  }
+
+  try {
+    await verifySmtp(account);
+    result.smtp = { ok: true };
+  } catch (error) {
+    result.smtp = { ok: false, error: error.message };
+  }
+
+  return result;
+}
+
+// =====================================================
+// IMAP FLAG SYNC-BACK
+// =====================================================
+
+const FLAG_SYNC_DELAY_MS = 2000;
+const FLAG_SYNC_BATCH_SIZE = 200;
+const FLAG_SYNC_MAX_ATTEMPTS = 5;
+
+// Per-user state changes that exist on the server; snoozes and personal
+// labels stay in the dashboard
+const FLAG_SYNC_ACTIONS = { read: 'seen', starred: 'flagged', archived: 'archive' };
+
+const IMAP_ACTION_FLAGS = { seen: '\\Seen', flagged: '\\Flagged' };
+
+// How a server-side change reads in a conflict, by [cleared, set]
+const IMAP_FLAG_CHANGES = { seen: ['Marked unread', 'Marked read'], flagged: ['Unstarred', 'Starred'] };
+
+// The mailbox contradicts the change; held for an admin instead of retried
+class FlagSyncConflict extends Error {
+  constructor(message, serverValue = null) {
+    super(message);
+    this.serverValue = serverValue;
+  }
+}
+
+/**
+ * Pushes dashboard read/star/archive changes and admin purges back to the
+ * IMAP server for mailboxes with flag_sync on. Changes are queued in
+ * email_flag_sync_queue and pushed a moment later over a session of their
+ * own (the fetch pool's session switches folders underneath). While the
+ * server is unreachable they stay pending; every scheduler tick retries.
+ *
+ * A flag is only changed if the server still has the value stored at the
+ * last fetch or push (emails.imap_flags). When someone changed it in the
+ * mailbox since, the dashboard and the mailbox disagree: the change is held
+ * as a conflict until an admin keeps one side (routes/flag-sync.js).
+ */
+class FlagSyncManager {
+  constructor() {
+    this.timers = new Map();
+    this.draining = new Map();
+    this.rerun = new Set();
+  }
+
+  isEnabled(accountId) {
+    return !!emailConfigManager.getConfig(accountId)?.flagSync;
+  }
+
+  // changes: [{ messageId, action, value }] on one account. Call before a
+  // purge deletes the emails row; the queue keeps the folder and UID.
+  async enqueue(accountId, changes, requestedBy) {
+    if (!supabaseEnabled || !changes.length || !this.isEnabled(accountId)) return 0;
+
+    const { data: emails, error } = await supabase
+      .from('emails')
+      .select('message_id, folder, imap_uid, imap_uid_validity')
+      .eq('account_id', accountId)
+      .in('message_id', [...new Set(changes.map(change => change.messageId))]);
+    if (error) throw error;
+
+    const byId = new Map(emails.map(email => [email.message_id, email]));
+    const rows = changes
+      .filter(change => byId.has(change.messageId))
+      .map(change => {
+        const email = byId.get(change.messageId);
+        return {
+          account_id: accountId,
+          message_id: change.messageId,
+          action: change.action,
+          value: change.value,
+          folder: email.folder || 'INBOX',
+          imap_uid: email.imap_uid,
+          imap_uid_validity: email.imap_uid_validity,
+          requested_by: requestedBy
+        };
+      });
+    if (!rows.length) return 0;
+
+    const { error: insertError } = await supabase.from('email_flag_sync_queue').insert(rows);
+    if (insertError) throw insertError;
+
+    this.schedule(accountId);
+    return rows.length;
+  }
+
+  // rows/changes as written by POST /api/emails/state. Runs in the
+  // background; the caller's own state is already saved.
+  enqueueStateChanges(rows, changes, userEmail) {
+    const actions = Object.entries(FLAG_SYNC_ACTIONS).filter(([key]) => changes[key] !== undefined);
+    if (!actions.length) return;
+
+    const byAccount = new Map();
+    for (const row of rows) {
+      if (!this.isEnabled(row.account_id)) continue;
+      if (!byAccount.has(row.account_id)) byAccount.set(row.account_id, []);
+      for (const [key, action] of actions) {
+        byAccount.get(row.account_id).push({ messageId: row.message_id, action, value: changes[key] });
+      }
+    }
+
+    for (const [accountId, list] of byAccount) {
+      this.enqueue(accountId, list, userEmail).catch(error => {
+        console.error(`❌ Queueing flag sync for account ${accountId} failed:`, error.message);
+      });
+    }
+  }
+
+  // A short delay lets a bulk change or quick toggling go out as one run
+  schedule(accountId, delay = FLAG_SYNC_DELAY_MS) {
+    if (this.timers.has(accountId)) return;
+    const timer = setTimeout(() => {
+      this.timers.delete(accountId);
+      this.drain(accountId).catch(error => {
+        console.error(`❌ Flag sync for account ${accountId} failed:`, error.message);
+      });
+    }, delay);
+    timer.unref();
+    this.timers.set(accountId, timer);
+  }
+
+  // Scheduler tick: retry whatever is still pending
+  async drainAll() {
+    for (const account of emailConfigManager.getActiveConfigs().filter(acc => acc.flagSync)) {
+      try {
+        await this.drain(account.id);
+      } catch (error) {
+        console.error(`❌ Flag sync for account ${account.id} failed:`, error.message);
+      }
+    }
+  }
+
+  drain(accountId) {
+    if (this.draining.has(accountId)) {
+      this.rerun.add(accountId);
+      return this.draining.get(accountId);
+    }
+    const run = this.drainOnce(accountId).finally(() => {
+      this.draining.delete(accountId);
+      if (this.rerun.delete(accountId)) this.schedule(accountId, 0);
+    });
+    this.draining.set(accountId, run);
+    return run;
+  }
+
+  async drainOnce(accountId) {
+    const account = emailConfigManager.getConfig(accountId);
+    if (!supabaseEnabled || !account?.flagSync || !account.enabled || !account.password) return null;
+
+    const { data: queued, error } = await supabase
+      .from('email_flag_sync_queue')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('status', 'pending')
+      .order('id')
+      .limit(FLAG_SYNC_BATCH_SIZE);
+    if (error) throw error;
+    if (!queued.length) return null;
+
+    // Only the latest change to each flag of a message is pushed
+    const latest = new Map();
+    const superseded = [];
+    for (const item of queued) {
+      const key = `${item.message_id}:${item.action}`;
+      if (latest.has(key)) superseded.push(latest.get(key).id);
+      latest.set(key, item);
+    }
+    if (superseded.length) {
+      await this.updateItems(superseded, { status: 'superseded' });
+    }
+    const items = [...latest.values()];
+
+    const connection = new IMAPConnection(account);
+    try {
+      await connection.connect();
+    } catch (error) {
+      connection.disconnect();
+      await this.updateItems(items.map(item => item.id), { last_error: `Server unreachable: ${error.message}` });
+      console.log(`⏳ Flag sync for account ${accountId}: ${items.length} changes queued (${error.message})`);
+      return { pending: items.length };
+    }
+    // Socket errors after login end the run instead of the process
+    connection.connection.on('error', (err) => {
+      console.error(`❌ Flag sync IMAP error (account ${accountId}):`, err.message);
+    });
+
+    const { data: emails, error: emailsError } = await supabase
+      .from('emails')
+      .select('message_id, imap_flags')
+      .eq('account_id', accountId)
+      .in('message_id', [...new Set(items.map(item => item.message_id))]);
+    if (emailsError) {
+      connection.disconnect();
+      throw emailsError;
+    }
+    const knownFlags = new Map(emails.map(email => [email.message_id, email.imap_flags]));
+
+    const counts = { done: 0, skipped: 0, conflict: 0, failed: 0, pending: 0 };
+    const context = { connection, boxName: null, box: null, specialUse: null };
+
+    try {
+      for (const item of items) {
+        if (!connection.isConnected) {
+          counts.pending++;
+          continue;
+        }
+
+        let update;
+        try {
+          const result = await this.apply(context, item, knownFlags.get(item.message_id));
+          update = { status: result.status, last_error: result.note || null, applied_at: new Date() };
+          if (result.flags) {
+            knownFlags.set(item.message_id, result.flags);
+            await supabase
+              .from('emails')
+              .update({ imap_flags: result.flags })
+              .eq('account_id', accountId)
+              .eq('message_id', item.message_id);
+          }
+        } catch (error) {
+          if (error instanceof FlagSyncConflict) {
+            update = { status: 'conflict', server_value: error.serverValue, last_error: error.message };
+          } else {
+            const attempts = item.attempts + 1;
+            update = { status: attempts >= FLAG_SYNC_MAX_ATTEMPTS ? 'failed' : 'pending', attempts, last_error: error.message };
+          }
+        }
+
+        counts[update.status]++;
+        await this.updateItems([item.id], update);
+      }
+    } finally {
+      connection.disconnect();
+    }
+
+    console.log(`🔁 Flag sync for account ${accountId}: ${counts.done} applied, ${counts.skipped} skipped, ` +
+      `${counts.conflict} conflicts, ${counts.failed} failed, ${counts.pending} still pending`);
+    return counts;
+  }
+
+  async updateItems(ids, fields) {
+    const { error } = await supabase
+      .from('email_flag_sync_queue')
+      .update({ ...fields, updated_at: new Date() })
+      .in('id', ids);
+    if (error) console.error('❌ Updating flag sync queue failed:', error.message);
+  }
+
+  apply(context, item, knownFlags) {
+    switch (item.action) {
+      case 'seen':
+      case 'flagged':
+        return this.applyFlag(context, item, knownFlags);
+      case 'archive':
+        return this.applyArchive(context, item);
+      case 'delete':
+        return this.applyDelete(context, item);
+      default:
+        throw new Error(`Unknown action ${item.action}`);
+    }
+  }
+
+  async openBox(context, name) {
+    if (context.boxName !== name) {
+      context.box = await context.connection.openBox(name);
+      context.boxName = name;
+    }
+    return context.box;
+  }
+
+  async specialUseBox(context, attrib) {
+    context.specialUse ??= await context.connection.specialUseBoxes();
+    return context.specialUse[attrib] || null;
+  }
+
+  // Finds the message in a folder by its stored UID while UIDVALIDITY still
+  // matches, otherwise by its Message-ID header. Returns { uid, flags } or
+  // null when it is not there.
+  async locate(context, item, folder) {
+    const box = await this.openBox(context, folder);
+    if (folder === item.folder && item.imap_uid && String(box.uidvalidity) === String(item.imap_uid_validity)) {
+      const flags = await context.connection.fetchFlags(item.imap_uid);
+      if (flags) return { uid: item.imap_uid, flags };
+    }
+
+    // Synthetic ids (mail without a Message-ID) cannot be searched for
+    if (!item.message_id.startsWith('<')) return null;
+    const [uid] = await context.connection.search([['HEADER', 'MESSAGE-ID', item.message_id]]);
+    if (!uid) return null;
+    return { uid, flags: await context.connection.fetchFlags(uid) || [] };
+  }
+
+  async applyFlag(context, item, knownFlags) {
+    const flag = IMAP_ACTION_FLAGS[item.action];
+    const found = await this.locate(context, item, item.folder);
+    if (!found) throw new FlagSyncConflict(`No longer in ${item.folder} on the server`);
+
+    const serverValue = found.flags.includes(flag);
+    if (serverValue === item.value) return { status: 'done', flags: found.flags };
+
+    if (!item.force && knownFlags && serverValue !== knownFlags.includes(flag)) {
+      throw new FlagSyncConflict(`${IMAP_FLAG_CHANGES[item.action][+serverValue]} in the mailbox since the last sync`, serverValue);
+    }
+
+    await context.connection.storeFlags(item.value ? 'addFlags' : 'delFlags', found.uid, flag);
+    return {
+      status: 'done',
+      flags: item.value ? [...found.flags, flag] : found.flags.filter(existing => existing !== flag)
+    };
+  }
+
+  // Archiving means leaving INBOX: Gmail drops the \Inbox label (the message
+  // stays in All Mail); other servers move it to their \Archive folder
+  async applyArchive(context, item) {
+    if (item.folder !== 'INBOX') {
+      return { status: 'skipped', note: `Only INBOX mail is archived on the server (stored from ${item.folder})` };
+    }
+
+    const gmail = context.connection.isGmail();
+    const archiveBox = await this.specialUseBox(context, gmail ? '\\All' : '\\Archive');
+    if (!archiveBox) return { status: 'skipped', note: 'The server has no archive folder' };
+
+    const inInbox = await this.locate(context, item, 'INBOX');
+    if (item.value) {
+      if (!inInbox) return { status: 'done', note: 'Already out of INBOX' };
+      if (gmail) {
+        await context.connection.storeFlags('delLabels', inInbox.uid, '\\Inbox');
+      } else {
+        await context.connection.moveMessage(inInbox.uid, archiveBox);
+      }
+      return { status: 'done' };
+    }
+
+    if (inInbox) return { status: 'done', note: 'Already in INBOX' };
+    const archived = await this.locate(context, item, archiveBox);
+    if (!archived) throw new FlagSyncConflict('No longer in the mailbox (deleted on the server?)');
+    if (gmail) {
+      await context.connection.storeFlags('addLabels', archived.uid, '\\Inbox');
+    } else {
+      await context.connection.moveMessage(archived.uid, 'INBOX');
+    }
+    return { status: 'done' };
+  }
+
+  // Admin purge: into the server's Trash where it has one, otherwise
+  // \Deleted and (with UIDPLUS) expunged
+  async applyDelete(context, item) {
+    const found = await this.locate(context, item, item.folder);
+    if (!found) return { status: 'done', note: 'Already gone from the server' };
+
+    const trash = await this.specialUseBox(context, '\\Trash');
+    if (trash && trash !== item.folder) {
+      await context.connection.moveMessage(found.uid, trash);
+    } else {
+      await context.connection.storeFlags('addFlags', found.uid, '\\Deleted');
+      if (context.connection.connection.serverSupports('UIDPLUS')) {
+        await context.connection.expungeUid(found.uid);
+      }
     }
+    return { status: 'done' };
+  }
 
-    if (!supabaseEnabled) {
-      return res.status(500).json({ 
-        success: false, 
-        error: "Auth service unavailable" 
+  stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+}
+
+const flagSync = new FlagSyncManager();
+
+// =====================================================
+// EMAIL EVENT BUS (FEEDS THE SSE STREAM)
+// =====================================================
+
+// Emits "new-emails" with { accountId, accountEmail, emails[] }
+// whenever an ingestion run stores new messages.
+const emailEvents = new EventEmitter();
+emailEvents.setMaxListeners(0);
+
+// =====================================================
+// CORE FETCH FUNCTION
+// =====================================================
+
+// One folder of one account, on an already connected IMAP session
+async function fetchFolderEmails(connection, account, folder, fetchCount, mode) {
+  const startTime = Date.now();
+  const failure = (error) => ({
+    folder,
+    success: false,
+    error
+  });
+
+  try {
+    console.log(`📧 Fetching account ${account.id}: ${account.email} ${folder} (${mode})`);
+
+    let box;
+    try {
+      box = await connection.openBox(folder);
+    } catch (err) {
+      console.error(`❌ Folder open failed (${folder}):`, err.message);
+      return failure(err.message);
+    }
+
+    const state = await getSyncState(account.id, folder);
+
+    if (box.messages.total === 0) {
+      await saveSyncState(account.id, folder, {
+        uid_validity: box.uidvalidity,
+        last_uid: state && String(state.uid_validity) === String(box.uidvalidity) ? state.last_uid : 0,
+        last_synced_at: new Date()
       });
+      return {
+        folder,
+        success: true,
+        saved: 0,
+        message: 'No messages in folder'
+      };
     }
 
-    const { data: { user }, error } = await supabase.auth.getUser(token);
-    
-    if (error || !user?.email) {
-      return res.status(401).json({ 
-        success: false, 
-        error: "Authentication failed" 
+    const plan = await planUidBatch(connection, box, state, mode, fetchCount);
+    const { uids, nextState, remaining } = plan;
+
+    if (!uids.length) {
+      if (nextState) {
+        await saveSyncState(account.id, folder, { ...nextState, last_synced_at: new Date() });
+      }
+      return {
+        folder,
+        success: true,
+        saved: 0,
+        remaining: 0,
+        backfillComplete: plan.backfillComplete,
+        message: plan.backfillComplete ? 'Backfill complete' : 'No new messages'
+      };
+    }
+
+    console.log(`📨 Fetching ${uids.length} emails by UID (${uids[0]}:${uids[uids.length - 1]}), ${remaining} remaining`);
+
+    const emailBuffers = await connection.fetchByUid(uids, (fetchedCount) => {
+      if (fetchedCount % 10 === 0) {
+        console.log(`  📩 Fetched ${fetchedCount}/${uids.length}...`);
+      }
+    });
+
+    const fetchTime = Date.now() - startTime;
+    console.log(`✅ Fetched ${emailBuffers.length} email buffers in ${fetchTime}ms`);
+
+    // Parse emails in parallel. Mail without a Message-ID gets a synthetic
+    // one; INBOX keeps the original format so stored ids stay stable.
+    const parseStartTime = Date.now();
+    const parseLimit = pLimit(10);
+    const fallbackIdPrefix = folder === 'INBOX' ? `email-${account.id}` : `email-${account.id}-${folder}`;
+
+    const parsedEmails = (await Promise.all(
+      emailBuffers.map(({ buffer, seqno, uid, flags }) =>
+        parseLimit(async () => {
+          try {
+            const parsed = await simpleParser(buffer);
+            return {
+              parsed,
+              messageId: parsed.messageId || `${fallbackIdPrefix}-${box.uidvalidity}-${uid ?? seqno}`,
+              uid,
+              flags
+            };
+          } catch (parseErr) {
+            console.error(`❌ Parse error uid ${uid}:`, parseErr.message);
+            return null;
+          }
+        })
+      )
+    )).filter(Boolean);
+
+    const parseTime = Date.now() - parseStartTime;
+    console.log(`✅ Parsed ${parsedEmails.length} emails in ${parseTime}ms`);
+
+    // Check duplicates (resyncs and overlapping manual runs re-see stored mail)
+    const dupCheckStart = Date.now();
+    const messageIds = parsedEmails.map(e => e.messageId);
+    const duplicates = await checkDuplicatesBatch(messageIds, account.id);
+    // Mail a rule deleted before counts as seen too
+    const ruleDeleted = await findRuleDeletedIds(messageIds.filter(id => !duplicates[id]), account.id);
+    const newEmails = parsedEmails.filter(e => !duplicates[e.messageId] && !ruleDeleted.has(e.messageId));
+    await recordFolderMembership(account.id, folder, messageIds.filter(id => duplicates[id]));
+    const dupCheckTime = Date.now() - dupCheckStart;
+
+    const duplicateCount = parsedEmails.length - newEmails.length;
+    console.log(`🔍 Duplicate check in ${dupCheckTime}ms: ${newEmails.length} new, ${duplicateCount} existing`);
+
+    // Process with attachments
+    const processStartTime = Date.now();
+    const processLimit = pLimit(5);
+
+    const processed = (await Promise.all(
+      newEmails.map(({ parsed, messageId, uid, flags }) =>
+        processLimit(() => processEmailFast(parsed, messageId, account.id, { uid, uidValidity: box.uidvalidity, folder, flags }))
+      )
+    )).filter(Boolean);
+
+    const processTime = Date.now() - processStartTime;
+    console.log(`✅ Processed ${processed.length} emails in ${processTime}ms`);
+
+    const { kept, deleted } = await applyEmailRules(processed);
+
+    // Upsert to database
+    const saveStartTime = Date.now();
+    await assignThreads(account.id, kept);
+    const { saved, failed, savedIds, rejected } = await upsertEmailsBatch(kept, 15);
+    if (saved > 0) {
+      await saveEmailLinks(kept);
+    }
+    // Kept mail that failed to save comes round again with the same UIDs;
+    // its forwards and hits wait for that run. Deleted mail is recorded so
+    // later runs skip it instead of forwarding it again.
+    await recordRuleDeletions(deleted);
+    const stored = new Set(savedIds);
+    await finishEmailRules([...kept.filter(email => stored.has(email.messageId)), ...deleted]);
+    const saveTime = Date.now() - saveStartTime;
+
+    console.log(`💾 Saved ${saved} emails in ${saveTime}ms`);
+
+    if (saved > 0) {
+      emailEvents.emit('new-emails', {
+        accountId: account.id,
+        accountEmail: account.email,
+        folder,
+        emails: kept.filter(email => stored.has(email.messageId)).map(email => ({
+          messageId: email.messageId,
+          subject: email.subject,
+          from: email.from,
+          date: email.date,
+          hasAttachments: email.hasAttachments,
+          threadId: email.threadId,
+          labels: email.labels,
+          isImportant: email.isImportant
+        }))
       });
     }
 
-    const userData = { email: user.email, id: user.id };
-    cache.set(cacheKey, userData);
-    req.user = userData;
-    next();
+    // Only move the cursor once every row is stored or was refused by the
+    // database on its own; otherwise (connection errors) the next run picks
+    // the same UIDs up again and the dedupe check absorbs them. Refused rows
+    // would fail every time, so they are skipped and kept in failed_rows.
+    if (nextState && failed === rejected.length) {
+      const syncState = { ...nextState, last_synced_at: new Date() };
+      if (rejected.length) {
+        syncState.failed_rows = [...(state?.failed_rows || []), ...rejected].slice(-MAX_FAILED_ROWS);
+      }
+      await saveSyncState(account.id, folder, syncState);
+    }
+
+    return {
+      folder,
+      success: true,
+      saved,
+      failed,
+      rejected: rejected.length || undefined,
+      deletedByRules: deleted.length,
+      duplicates: duplicateCount,
+      total: parsedEmails.length,
+      remaining,
+      resync: plan.resync || undefined,
+      backfillComplete: plan.backfillComplete,
+      uidRange: [uids[0], uids[uids.length - 1]],
+      timing: {
+        fetch: fetchTime,
+        parse: parseTime,
+        duplicateCheck: dupCheckTime,
+        process: processTime,
+        save: saveTime,
+        total: Date.now() - startTime
+      }
+    };
   } catch (error) {
-    console.error("❌ Auth error:", error);
-    return res.status(401).json({ 
-      success: false, 
-      error: "Authentication failed" 
-    });
+    console.error(`❌ Folder fetch error (${folder}):`, error);
+    return failure(error.message);
   }
-};
+}
 
-// =====================================================
-// AUTHORIZATION MIDDLEWARE
-// =====================================================
+/**
+ * Syncs each configured folder of an account over one IMAP session. Folders
+ * are independent: one failing (say a renamed "Sent") is reported in
+ * `folders[]` without stopping the rest, and the account only counts as
+ * failed when no folder could be synced.
+ */
+async function fetchAccountEmailsFast(account, fetchCount, mode = 'incremental', folders = account.folders) {
+  const base = { accountId: account.id, accountEmail: account.email, mode };
 
-const authorizeEmailAccess = () => {
-  return (req, res, next) => {
-    const userEmail = req.user.email;
-    const targetAccountId = req.body.accountId || req.query.accountId;
-    
-    if (!targetAccountId || targetAccountId === 'all') {
-      const allowedAccounts = emailConfigManager.getAllowedAccounts(userEmail);
-      if (!allowedAccounts.length) {
-        return res.status(403).json({ 
-          success: false, 
-          error: "No accounts accessible" 
-        });
-      }
-      return next();
+  let connection;
+  try {
+    connection = await imapPool.getConnection(account.id);
+  } catch (error) {
+    console.error(`❌ Account fetch error:`, error);
+    imapPool.closeConnection(account.id);
+    return { ...base, success: false, error: error.message };
+  }
+
+  const results = [];
+  try {
+    for (const folder of folders) {
+      results.push(await fetchFolderEmails(connection, account, folder, fetchCount, mode));
     }
-    
-    if (!emailConfigManager.canUserAccessAccount(userEmail, targetAccountId)) {
-      return res.status(403).json({ 
-        success: false, 
-        error: "Access denied to this account" 
-      });
+  } finally {
+    imapPool.closeConnection(account.id);
+  }
+
+  const ok = results.filter(r => r.success);
+  const failedFolders = results.filter(r => !r.success);
+  const sum = (key, list = ok) => list.reduce((total, r) => total + (r[key] || 0), 0);
+
+  const timing = {};
+  for (const r of ok) {
+    for (const [key, ms] of Object.entries(r.timing || {})) {
+      timing[key] = (timing[key] || 0) + ms;
     }
-    
-    next();
+  }
+
+  return {
+    ...base,
+    success: ok.length > 0,
+    saved: sum('saved'),
+    failed: sum('failed'),
+    rejected: sum('rejected') || undefined,
+    deletedByRules: sum('deletedByRules'),
+    duplicates: sum('duplicates'),
+    total: sum('total'),
+    remaining: sum('remaining'),
+    resync: ok.some(r => r.resync) || undefined,
+    backfillComplete: ok.length > 0 && ok.every(r => r.backfillComplete),
+    error: failedFolders.length
+      ? failedFolders.map(r => `${r.folder}: ${r.error}`).join('; ')
+      : undefined,
+    folders: results,
+    timing: Object.keys(timing).length ? timing : undefined
   };
-};
+}
 
 // =====================================================
-// IMAP CONNECTION POOL
+// ACCOUNT SYNC RUNNER (SHARED BY MANUAL FETCH & SCHEDULER)
 // =====================================================
 
-class IMAPConnectionPool {
-  constructor() {
-    this.connections = new Map();
-    this.locks = new Map();
-    this.connectionTimeout = 30000;
+const MAIL_POLL_INTERVAL_MINUTES = Math.min(59, Math.max(1, parseInt(process.env.MAIL_POLL_INTERVAL_MINUTES) || 5));
+const MAIL_POLL_BATCH_SIZE = Math.min(100, Math.max(1, parseInt(process.env.MAIL_POLL_BATCH_SIZE) || 50));
+const MAIL_POLL_MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Per-account sync bookkeeping, keyed by account id
+const accountSyncState = new Map();
+
+const getAccountSyncState = (accountId) => {
+  if (!accountSyncState.has(accountId)) {
+    accountSyncState.set(accountId, {
+      running: false,
+      trigger: null,
+      lastRunAt: null,
+      lastFinishedAt: null,
+      lastSuccessAt: null,
+      lastSaved: 0,
+      lastError: null,
+      consecutiveFailures: 0,
+      backoffUntil: null
+    });
   }
+  return accountSyncState.get(accountId);
+};
 
-  async getConnection(configId) {
-    while (this.locks.get(configId)) {
-      await new Promise(resolve => setTimeout(resolve, 50));
+// Exponential backoff after IMAP errors: one poll interval, doubling per
+// consecutive failure, capped at an hour.
+const backoffDelayMs = (failures) =>
+  Math.min(MAIL_POLL_MAX_BACKOFF_MS, MAIL_POLL_INTERVAL_MINUTES * 60000 * 2 ** (failures - 1));
+
+async function runAccountSync(account, fetchCount, mode, trigger, folders = account.folders) {
+  const state = getAccountSyncState(account.id);
+
+  if (state.running) {
+    console.log(`⏭️ Skipping ${trigger} sync for account ${account.id}: ${state.trigger} sync in progress`);
+    return {
+      accountId: account.id,
+      accountEmail: account.email,
+      mode,
+      success: false,
+      busy: true,
+      error: `A ${state.trigger} sync is already running for this account`
+    };
+  }
+
+  state.running = true;
+  state.trigger = trigger;
+  state.lastRunAt = new Date();
+
+  try {
+    const result = await fetchAccountEmailsFast(account, fetchCount, mode, folders);
+
+    if (result.success) {
+      state.lastSuccessAt = new Date();
+      state.lastSaved = result.saved || 0;
+      state.lastError = null;
+      state.consecutiveFailures = 0;
+      state.backoffUntil = null;
+    } else {
+      state.lastError = result.error;
+      state.consecutiveFailures++;
+      state.backoffUntil = new Date(Date.now() + backoffDelayMs(state.consecutiveFailures));
+      console.log(`⏳ Account ${account.id} backing off until ${state.backoffUntil.toISOString()} (${state.consecutiveFailures} failures)`);
     }
 
-    if (this.connections.has(configId)) {
-      const conn = this.connections.get(configId);
-      if (conn.isConnected) {
-        return conn;
-      }
-      this.connections.delete(configId);
+    return result;
+  } finally {
+    state.running = false;
+    state.trigger = null;
+    state.lastFinishedAt = new Date();
+  }
+}
+
+// =====================================================
+// MAIL POLLING SCHEDULER (node-cron)
+// =====================================================
+
+const mailScheduler = {
+  enabled: process.env.MAIL_POLL_ENABLED !== 'false' && !process.env.VERCEL,
+  cronExpression: `*/${MAIL_POLL_INTERVAL_MINUTES} * * * *`,
+  task: null,
+  ticking: false,
+  lastTickAt: null,
+
+  // Next wall-clock minute matching the */N minute field
+  nextTickAt() {
+    if (!this.task) return null;
+    const next = new Date();
+    next.setSeconds(0, 0);
+    do {
+      next.setMinutes(next.getMinutes() + 1);
+    } while (next.getMinutes() % MAIL_POLL_INTERVAL_MINUTES !== 0);
+    return next;
+  },
+
+  async tick() {
+    if (this.ticking) {
+      console.log('⏭️ Previous mail poll still running, skipping tick');
+      return;
     }
 
-    this.locks.set(configId, true);
-    
+    this.ticking = true;
+    this.lastTickAt = new Date();
+
     try {
-      const config = emailConfigManager.getConfig(configId);
-      if (!config) throw new Error(`Config ${configId} not found`);
+      // Flag changes queued while a server was unreachable
+      await flagSync.drainAll();
 
-      const connection = new IMAPConnection(config);
-      await connection.connect();
-      this.connections.set(configId, connection);
-      return connection;
+      const now = Date.now();
+      const due = emailConfigManager.getActiveConfigs().filter(account => {
+        const state = getAccountSyncState(account.id);
+        return !state.running && (!state.backoffUntil || state.backoffUntil.getTime() <= now);
+      });
+
+      if (!due.length) return;
+
+      console.log(`⏰ Scheduled mail poll: ${due.length} accounts`);
+      const results = await Promise.all(
+        due.map(account => runAccountSync(account, MAIL_POLL_BATCH_SIZE, 'incremental', 'scheduled'))
+      );
+
+      const savedIn = results.filter(r => r.saved > 0);
+      if (savedIn.length) {
+        await cache.invalidate(savedIn.map(r => cacheTags.account(r.accountId)));
+        const saved = savedIn.reduce((sum, r) => sum + r.saved, 0);
+        console.log(`⏰ Scheduled poll saved ${saved} new emails, cache invalidated for ${savedIn.length} accounts`);
+      }
+    } catch (error) {
+      console.error('❌ Scheduled mail poll error:', error);
     } finally {
-      this.locks.delete(configId);
+      this.ticking = false;
     }
-  }
+  },
 
-  closeConnection(configId) {
-    const conn = this.connections.get(configId);
-    if (conn) {
-      conn.disconnect();
-      this.connections.delete(configId);
+  start() {
+    if (!this.enabled || this.task) return;
+    if (!cron.validate(this.cronExpression)) {
+      console.error(`❌ Invalid mail poll schedule: ${this.cronExpression}`);
+      return;
     }
-  }
+    this.task = cron.schedule(this.cronExpression, () => this.tick());
+    console.log(`⏰ Mail polling every ${MAIL_POLL_INTERVAL_MINUTES} min (${this.cronExpression})`);
+  },
 
-  disconnectAll() {
-    for (const [configId] of this.connections) {
-      this.closeConnection(configId);
-    }
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  },
+
+  // For the public health check: last and next run and the latest account
+  // error, with mail addresses masked and no per-account detail
+  getSummary() {
+    const failing = emailConfigManager.getActiveConfigs()
+      .map(account => getAccountSyncState(account.id))
+      .filter(state => state.lastError)
+      .sort((a, b) => (b.lastRunAt || 0) - (a.lastRunAt || 0));
+
+    return {
+      enabled: this.enabled,
+      active: !!this.task,
+      lastRunAt: this.lastTickAt,
+      nextRunAt: this.nextTickAt(),
+      lastError: failing.length ? String(failing[0].lastError).replace(/[^\s@<>"']+@[^\s@<>"']+/g, '…') : null,
+      failingAccounts: failing.length
+    };
+  },
+
+  getStatus(accountIds) {
+    const nextTick = this.nextTickAt();
+    const accounts = emailConfigManager.getActiveConfigs()
+      .filter(account => !accountIds || accountIds.includes(account.id))
+      .map(account => {
+        const state = getAccountSyncState(account.id);
+        const nextRun = !nextTick ? null
+          : state.backoffUntil && state.backoffUntil > nextTick ? state.backoffUntil : nextTick;
+        return {
+          accountId: account.id,
+          running: state.running,
+          trigger: state.trigger,
+          lastRun: state.lastRunAt,
+          lastSuccess: state.lastSuccessAt,
+          lastSaved: state.lastSaved,
+          lastError: state.lastError,
+          consecutiveFailures: state.consecutiveFailures,
+          backoffUntil: state.backoffUntil,
+          nextRun
+        };
+      });
+
+    return {
+      enabled: this.enabled,
+      active: !!this.task,
+      intervalMinutes: MAIL_POLL_INTERVAL_MINUTES,
+      cron: this.cronExpression,
+      lastTick: this.lastTickAt,
+      nextTick,
+      accounts
+    };
   }
-}
+};
 
-class IMAPConnection {
-  constructor(config) {
-    this.config = config;
+// =====================================================
+// IMAP IDLE PUSH MODE
+// =====================================================
+
+const MAIL_IDLE_RECONNECT_BASE_MS = 2000;
+const MAIL_IDLE_RECONNECT_MAX_MS = 5 * 60 * 1000;
+
+// Holds one long-lived connection per account with INBOX selected; node-imap
+// sits in IDLE between commands and emits "mail" when the server announces
+// new messages. Ingestion itself goes through runAccountSync so it shares
+// the per-account lock and UID cursor with manual and scheduled runs.
+class IMAPIdleWatcher {
+  constructor(account) {
+    this.account = account;
     this.connection = null;
-    this.isConnected = false;
+    this.status = 'stopped';
+    this.stopped = true;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.connectedAt = null;
+    this.lastMailAt = null;
+    this.lastError = null;
+    this.syncing = false;
+    this.syncPending = false;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.connect();
   }
 
   async connect() {
-    if (this.isConnected) return this.connection;
+    if (this.stopped) return;
+    this.status = 'connecting';
+    this.nextReconnectAt = null;
 
-    return new Promise((resolve, reject) => {
-      this.connection = new Imap({
-        user: this.config.email,
-        password: this.config.password,
-        host: "imap.gmail.com",
-        port: 993,
-        tls: true,
-        tlsOptions: { rejectUnauthorized: false },
-        connTimeout: 20000,
-        authTimeout: 10000,
-        keepalive: { 
-          interval: 10000,
-          idleInterval: 300000
-        }
-      });
+    const connection = new IMAPConnection(this.account);
+    try {
+      await connection.connect();
+      await connection.openBox(this.account.folders[0]);
+    } catch (error) {
+      this.lastError = error.message;
+      connection.disconnect();
+      return this.scheduleReconnect();
+    }
 
-      const timeout = setTimeout(() => {
-        this.isConnected = false;
-        reject(new Error('IMAP connection timeout'));
-      }, 25000);
+    if (this.stopped) {
+      connection.disconnect();
+      return;
+    }
 
-      this.connection.once('ready', () => {
-        clearTimeout(timeout);
-        this.isConnected = true;
-        console.log(`✅ IMAP connected: ${this.config.email}`);
-        resolve(this.connection);
-      });
+    const imap = connection.connection;
+    imap.on('mail', (count) => {
+      console.log(`📬 IDLE: ${count} new message(s) on account ${this.account.id}`);
+      this.lastMailAt = new Date();
+      this.syncNew();
+    });
+    imap.on('error', (error) => {
+      this.lastError = error.message;
+      console.error(`❌ IDLE error on account ${this.account.id}:`, error.message);
+    });
+    imap.once('close', () => {
+      if (this.connection !== connection) return;
+      this.connection = null;
+      console.log(`📤 IDLE connection dropped for account ${this.account.id}`);
+      this.scheduleReconnect();
+    });
 
-      this.connection.once('error', (err) => {
-        clearTimeout(timeout);
-        this.isConnected = false;
-        console.error(`❌ IMAP error: ${this.config.email}:`, err.message);
-        reject(err);
-      });
+    this.connection = connection;
+    this.status = 'idle';
+    this.attempts = 0;
+    this.connectedAt = new Date();
+    console.log(`👂 IDLE watching ${this.account.folders[0]} for account ${this.account.id}: ${this.account.email}`);
 
-      this.connection.once('end', () => {
-        this.isConnected = false;
-        console.log(`📤 IMAP disconnected: ${this.config.email}`);
-      });
+    // Pick up anything that arrived while we were disconnected
+    this.syncNew();
+  }
 
-      this.connection.connect();
-    });
+  // Exponential backoff with jitter so several accounts dropped by the same
+  // server hiccup do not reconnect in lockstep.
+  scheduleReconnect() {
+    if (this.stopped) return;
+    this.attempts++;
+    const ceiling = Math.min(MAIL_IDLE_RECONNECT_MAX_MS, MAIL_IDLE_RECONNECT_BASE_MS * 2 ** (this.attempts - 1));
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+
+    this.status = 'reconnecting';
+    this.nextReconnectAt = new Date(Date.now() + delay);
+    console.log(`🔁 IDLE reconnect for account ${this.account.id} in ${Math.round(delay / 1000)}s (attempt ${this.attempts})`);
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
   }
 
-  disconnect() {
-    if (this.connection && this.isConnected) {
-      try {
-        this.connection.end();
-      } catch (error) {
-        console.error('Error disconnecting IMAP:', error.message);
-      }
-      this.isConnected = false;
+  async syncNew() {
+    if (this.syncing) {
+      this.syncPending = true;
+      return;
+    }
+
+    this.syncing = true;
+    try {
+      do {
+        this.syncPending = false;
+        // IDLE only watches the first folder; the rest follow on the poll
+        const result = await runAccountSync(this.account, MAIL_POLL_BATCH_SIZE, 'incremental', 'idle', this.account.folders.slice(0, 1));
+
+        if (result.busy) {
+          // Another run holds the account; retry once it has had time to finish
+          setTimeout(() => this.syncNew(), 5000);
+          break;
+        }
+        if (result.saved > 0) {
+          await cache.invalidate([cacheTags.account(this.account.id)]);
+        }
+        if (result.remaining > 0) {
+          this.syncPending = true;
+        }
+      } while (this.syncPending && !this.stopped);
+    } finally {
+      this.syncing = false;
     }
   }
 
-  openInbox(cb) {
-    this.connection.openBox("INBOX", false, cb);
+  stop() {
+    this.stopped = true;
+    this.status = 'stopped';
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    const connection = this.connection;
+    this.connection = null;
+    connection?.disconnect();
+  }
+
+  getStatus() {
+    return {
+      accountId: this.account.id,
+      status: this.status,
+      connectedAt: this.connectedAt,
+      lastMail: this.lastMailAt,
+      lastError: this.lastError,
+      reconnectAttempts: this.attempts,
+      nextReconnect: this.nextReconnectAt
+    };
   }
 }
 
-const imapPool = new IMAPConnectionPool();
+const idleManager = {
+  watchers: new Map(),
+
+  // MAIL_IDLE_ACCOUNTS: "all" or a comma-separated list of account ids
+  configuredAccounts() {
+    const setting = (process.env.MAIL_IDLE_ACCOUNTS || '').trim();
+    if (!setting || process.env.VERCEL) return [];
+    const all = emailConfigManager.getActiveConfigs();
+    if (setting === 'all') return all;
+    const ids = setting.split(',').map(id => parseInt(id.trim())).filter(Boolean);
+    return all.filter(account => ids.includes(account.id));
+  },
 
-// =====================================================
-// CORE FETCH FUNCTION
-// =====================================================
+  start() {
+    for (const account of this.configuredAccounts()) {
+      if (this.watchers.has(account.id)) continue;
+      const watcher = new IMAPIdleWatcher(account);
+      this.watchers.set(account.id, watcher);
+      watcher.start();
+    }
+  },
 
-async function fetchAccountEmailsFast(account, fetchCount) {
-  const startTime = Date.now();
-  
-  try {
-    console.log(`📧 Fetching account ${account.id}: ${account.email}`);
-    const connection = await imapPool.getConnection(account.id);
-    
-    return await new Promise((resolve) => {
-      connection.openInbox(async (err, box) => {
-        if (err) {
-          console.error(`❌ Inbox open failed:`, err.message);
-          return resolve({ 
-            accountId: account.id,
-            accountEmail: account.email,
-            success: false, 
-            error: err.message 
-          });
-        }
+  // Picks up edited settings; also starts or stops the watcher when an
+  // account is enabled or disabled.
+  restart(accountId) {
+    this.watchers.get(accountId)?.stop();
+    this.watchers.delete(accountId);
+    this.start();
+  },
 
-        const totalMessages = box.messages.total;
-        
-        if (totalMessages === 0) {
-          return resolve({ 
-            accountId: account.id,
-            accountEmail: account.email,
-            success: true, 
-            saved: 0,
-            message: 'No messages in inbox'
-          });
-        }
+  stopAll() {
+    for (const watcher of this.watchers.values()) {
+      watcher.stop();
+    }
+    this.watchers.clear();
+  },
 
-        const count = Math.min(fetchCount, totalMessages);
-        const fetchStart = Math.max(1, totalMessages - count + 1);
-        
-        console.log(`📨 Fetching ${count} newest emails (${fetchStart}:${totalMessages})`);
-        
-        const f = connection.connection.seq.fetch(`${fetchStart}:${totalMessages}`, { 
-          bodies: "",
-          struct: true,
-          markSeen: false
-        });
+  getStatus(accountIds) {
+    return Array.from(this.watchers.values())
+      .filter(watcher => !accountIds || accountIds.includes(watcher.account.id))
+      .map(watcher => watcher.getStatus());
+  }
+};
 
-        const emailBuffers = [];
-        let fetchedCount = 0;
+// Admin edits to a mailbox take effect on the next connection
+emailConfigManager.on('account-changed', (accountId) => {
+  imapPool.closeConnection(accountId);
+  closeTransporter(accountId);
+  idleManager.restart(accountId);
+  cache.invalidate([cacheTags.account(accountId)]);
+});
 
-        f.on("message", (msg, seqno) => {
-          let buffer = "";
-          
-          msg.on("body", (stream) => {
-            stream.on("data", (chunk) => {
-              buffer += chunk.toString("utf8");
-            });
-          });
+// Cached lists are keyed per user; drop the account's so a revoke bites
+// immediately
+emailConfigManager.on('grants-changed', (accountId) => cache.invalidate([cacheTags.account(accountId)]));
 
-          msg.once("end", () => {
-            fetchedCount++;
-            emailBuffers.push({ buffer, seqno });
-            
-            if (fetchedCount % 10 === 0) {
-              console.log(`  📩 Fetched ${fetchedCount}/${count}...`);
-            }
-          });
-        });
+// =====================================================
+// SCHEDULED DSR EMAILS
+// =====================================================
+// Subscriptions (sql/dsr_subscriptions_schema.sql) mail one client's DSR
+// daily or weekly at a set local time. The sheet has the rows and template
+// the DSR page would export (src/lib/dsrTemplates.js) and goes out through
+// sendMailFromAccount, so it is in sent_emails as well; every attempt gets
+// a dsr_subscription_sends row with its delivery result.
+
+const DSR_XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Wall-clock parts of a moment in a time zone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.filter(p => p.type !== 'literal').map(p => [p.type, parseInt(p.value)]));
+};
 
-        f.once("error", (err) => {
-          console.error(`❌ Fetch error:`, err.message);
-          resolve({ 
-            accountId: account.id,
-            accountEmail: account.email,
-            success: false, 
-            error: err.message 
-          });
-        });
+// The moment a wall-clock time happens in a time zone
+const zonedTime = (year, month, day, hours, minutes, timeZone) => {
+  const guess = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  const local = zonedParts(guess, timeZone);
+  const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - guess.getTime();
+  return new Date(guess.getTime() - offset);
+};
 
-        f.once("end", async () => {
-          const fetchTime = Date.now() - startTime;
-          console.log(`✅ Fetched ${emailBuffers.length} email buffers in ${fetchTime}ms`);
-          
-          try {
-            // Parse emails in parallel
-            const parseStartTime = Date.now();
-            const parseLimit = pLimit(10);
-            
-            const parsedEmails = (await Promise.all(
-              emailBuffers.map(({ buffer, seqno }) => 
-                parseLimit(async () => {
-                  try {
-                    const parsed = await simpleParser(buffer);
-                    return {
-                      parsed,
-                      messageId: parsed.messageId || `email-${account.id}-${Date.now()}-${seqno}`,
-                      seqno
-                    };
-                  } catch (parseErr) {
-                    console.error(`❌ Parse error seqno ${seqno}:`, parseErr.message);
-                    return null;
-                  }
-                })
-              )
-            )).filter(Boolean);
-            
-            const parseTime = Date.now() - parseStartTime;
-            console.log(`✅ Parsed ${parsedEmails.length} emails in ${parseTime}ms`);
-
-            // Sort by date descending (newest first)
-            parsedEmails.sort((a, b) => {
-              const dateA = new Date(a.parsed.date || 0);
-              const dateB = new Date(b.parsed.date || 0);
-              return dateB - dateA;
-            });
-
-            // Check duplicates
-            const dupCheckStart = Date.now();
-            const messageIds = parsedEmails.map(e => e.messageId);
-            const duplicates = await checkDuplicatesBatch(messageIds, account.id);
-            const newEmails = parsedEmails.filter(e => !duplicates[e.messageId]);
-            const dupCheckTime = Date.now() - dupCheckStart;
-            
-            const duplicateCount = parsedEmails.length - newEmails.length;
-            console.log(`🔍 Duplicate check in ${dupCheckTime}ms: ${newEmails.length} new, ${duplicateCount} existing`);
-
-            if (!newEmails.length) {
-              return resolve({ 
-                accountId: account.id,
-                accountEmail: account.email,
-                success: true, 
-                saved: 0,
-                duplicates: duplicateCount,
-                message: 'All emails already exist',
-                timing: {
-                  fetch: fetchTime,
-                  parse: parseTime,
-                  duplicateCheck: dupCheckTime,
-                  total: Date.now() - startTime
-                }
-              });
-            }
+/**
+ * A subscription's scheduled send times around `now`: the last one at or
+ * before it (direction -1) or the first one after it (direction 1).
+ */
+function dsrSlot(subscription, now, direction) {
+  const [hours, minutes] = subscription.send_time.split(':').map(Number);
+  const today = zonedParts(now, subscription.timezone);
+
+  for (let i = 0; i <= 7; i++) {
+    // Calendar arithmetic in UTC; only the date parts are used
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i * direction));
+    if (subscription.frequency === 'weekly' && day.getUTCDay() !== subscription.weekday) continue;
+    const slot = zonedTime(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hours, minutes, subscription.timezone);
+    if (direction < 0 ? slot <= now : slot > now) return slot;
+  }
+  return null;
+}
 
-            // Process with attachments
-            const processStartTime = Date.now();
-            const processLimit = pLimit(5);
-            
-            const processed = (await Promise.all(
-              newEmails.map(({ parsed, messageId }) =>
-                processLimit(() => processEmailFast(parsed, messageId, account.id))
-              )
-            )).filter(Boolean);
-            
-            const processTime = Date.now() - processStartTime;
-            console.log(`✅ Processed ${processed.length} emails in ${processTime}ms`);
+// The subscription's own template, else the client's, else the standard one
+async function loadDsrTemplate(subscription) {
+  let templateId = subscription.template_id;
+  if (!templateId) {
+    const { data, error } = await supabase
+      .from('dsr_template_clients')
+      .select('template_id')
+      .eq('client', subscription.client)
+      .maybeSingle();
+    if (error) throw error;
+    templateId = data?.template_id;
+  }
+  if (!templateId) return DEFAULT_TEMPLATE;
 
-            // Upsert to database
-            const saveStartTime = Date.now();
-            const { saved, failed } = await upsertEmailsBatch(processed, 15);
-            const saveTime = Date.now() - saveStartTime;
-            
-            console.log(`💾 Saved ${saved} emails in ${saveTime}ms`);
+  const { data, error } = await supabase.from('dsr_templates').select('*').eq('id', templateId).maybeSingle();
+  if (error) throw error;
+  return data ? normalizeTemplate(data) : DEFAULT_TEMPLATE;
+}
 
-            const totalTime = Date.now() - startTime;
-            
-            resolve({
-              accountId: account.id,
-              accountEmail: account.email,
-              success: true,
-              saved,
-              failed,
-              duplicates: duplicateCount,
-              total: parsedEmails.length,
-              timing: {
-                fetch: fetchTime,
-                parse: parseTime,
-                duplicateCheck: dupCheckTime,
-                process: processTime,
-                save: saveTime,
-                total: totalTime
-              }
-            });
+// {client}, {date} and {count} in a subscription's subject and body
+const fillDsrPlaceholders = (text, values) =>
+  text.replace(/\{(client|date|count)\}/g, (match, name) => String(values[name]));
+
+/**
+ * Builds and mails one subscription's DSR and logs the attempt. `user` is
+ * who it is sent as: the caller for "Send now", the subscription's creator
+ * when scheduled. Never throws for delivery problems; the returned
+ * dsr_subscription_sends row carries the status and error.
+ */
+async function sendDsrReport(subscription, { trigger, scheduledFor = null, user }) {
+  const now = new Date();
+  const send = {
+    subscription_id: subscription.id,
+    client: subscription.client,
+    trigger,
+    scheduled_for: scheduledFor,
+    recipients: [...subscription.recipients, ...subscription.cc].join(', '),
+    sent_by_email: user.email || null
+  };
 
-          } catch (error) {
-            console.error(`❌ Processing error:`, error);
-            resolve({ 
-              accountId: account.id,
-              accountEmail: account.email,
-              success: false, 
-              error: error.message 
-            });
-          } finally {
-            imapPool.closeConnection(account.id);
-          }
-        });
+  try {
+    const account = emailConfigManager.getConfig(subscription.account_id);
+    if (!account) throw new Error(`Mailbox ${subscription.account_id} is not configured`);
+    // Checked on every send: the creator of a scheduled report may have
+    // lost the mailbox, or the role that lets them send it, since
+    if (!user.email || !emailConfigManager.canUserAccessAccount(user.email, account.id)) {
+      throw new Error(`${user.email || 'The sender'} no longer has access to ${account.email}`);
+    }
+    const role = user.id ? await loadUserRole(user.id) : null;
+    if (!can(role, 'email.send') || !can(role, 'dsr.subscriptions')) {
+      throw new Error(`${user.email}'s role no longer allows sending DSR reports`);
+    }
+
+    const [template, shipmentsResult] = await Promise.all([
+      loadDsrTemplate(subscription),
+      supabase.from('shipments').select('*').eq('client', subscription.client).order('job_no', { ascending: true })
+    ]);
+    if (shipmentsResult.error) throw shipmentsResult.error;
+
+    const filter = DSR_FILTERS[subscription.filter] || DSR_FILTERS.all;
+    const rows = shipmentsResult.data.filter(filter.matches).map(toDsrRow);
+    send.record_count = rows.length;
+
+    if (!rows.length) {
+      send.status = 'skipped';
+      send.error = `No shipments (${filter.label.toLowerCase()})`;
+    } else {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(dsrSheetRows(rows, template)), 'DSR Report');
+
+      const localDate = zonedParts(now, subscription.timezone);
+      const isoDate = `${localDate.year}-${String(localDate.month).padStart(2, '0')}-${String(localDate.day).padStart(2, '0')}`;
+      const values = { client: subscription.client, date: isoDate, count: rows.length };
+      const filename = `DSR_${subscription.client.replace(/[^a-z0-9]+/gi, '_')}_${isoDate}.xlsx`;
+
+      const result = await sendMailFromAccount({
+        account,
+        user,
+        supabase,
+        message: {
+          to: subscription.recipients,
+          cc: subscription.cc,
+          subject: fillDsrPlaceholders(subscription.subject || 'DSR Report - {client} - {date}', values),
+          text: fillDsrPlaceholders(subscription.body || 'Please find attached the DSR Report for {client} ({count} shipments).', values),
+          attachments: [{
+            filename,
+            content: XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' }),
+            contentType: DSR_XLSX_TYPE
+          }],
+          kind: 'dsr'
+        }
       });
-    });
+
+      Object.assign(send, {
+        status: 'sent',
+        sent_email_id: result.sentEmailId,
+        message_id: result.messageId,
+        accepted: result.accepted || [],
+        rejected: result.rejected || []
+      });
+    }
   } catch (error) {
-    console.error(`❌ Account fetch error:`, error);
-    return { 
-      accountId: account.id,
-      accountEmail: account.email,
-      success: false, 
-      error: error.message 
-    };
+    console.error(`❌ DSR for ${subscription.client} (subscription ${subscription.id}) failed:`, error.message);
+    send.status = 'failed';
+    send.error = error.message;
+    send.sent_email_id = error.sentEmailId || null;
+  }
+
+  const { data, error } = await supabase.from('dsr_subscription_sends').insert(send).select('*').single();
+  if (error) {
+    console.error('❌ Logging DSR send failed:', error.message);
+    return { ...send, created_at: now.toISOString() };
   }
+  return data;
 }
 
+const dsrScheduler = {
+  enabled: process.env.DSR_SCHEDULE_ENABLED !== 'false' && !process.env.VERCEL,
+  // Send times are minutes; subscriptions are due from their slot on
+  cronExpression: '* * * * *',
+  task: null,
+  ticking: false,
+  lastTickAt: null,
+
+  async tick() {
+    if (this.ticking || !supabaseEnabled) return;
+    this.ticking = true;
+    this.lastTickAt = new Date();
+
+    try {
+      const { data: subscriptions, error } = await supabase
+        .from('dsr_subscriptions')
+        .select('*')
+        .eq('enabled', true);
+      if (error) throw error;
+
+      const now = new Date();
+      for (const subscription of subscriptions) {
+        const slot = dsrSlot(subscription, now, -1);
+        // Only the latest missed slot is sent, and none from before the
+        // subscription existed
+        const handled = new Date(subscription.last_run_for || subscription.created_at);
+        if (!slot || slot <= handled) continue;
+
+        // Claim the slot first, so a second server instance skips it
+        const { data: claimed, error: claimError } = await supabase
+          .from('dsr_subscriptions')
+          .update({ last_run_for: slot.toISOString() })
+          .eq('id', subscription.id)
+          .or(`last_run_for.is.null,last_run_for.lt.${slot.toISOString()}`)
+          .select('id');
+        if (claimError) throw claimError;
+        if (!claimed.length) continue;
+
+        const send = await sendDsrReport(subscription, {
+          trigger: 'scheduled',
+          scheduledFor: slot.toISOString(),
+          user: { id: subscription.created_by_id, email: subscription.created_by }
+        });
+        console.log(`🗓️ Scheduled DSR for ${subscription.client}: ${send.status}${send.error ? ` (${send.error})` : ''}`);
+      }
+    } catch (error) {
+      console.error('❌ Scheduled DSR run error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  },
+
+  start() {
+    if (!this.enabled || this.task) return;
+    this.task = cron.schedule(this.cronExpression, () => this.tick());
+    console.log('🗓️ Scheduled DSR emails checked every minute');
+  },
+
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  },
+
+  nextRunAt(subscription) {
+    return subscription.enabled ? dsrSlot(subscription, new Date(), 1) : null;
+  }
+};
+
 // =====================================================
 // API ENDPOINTS
 // =====================================================
@@ -968,6 +3904,12 @@ app.get("/api/health", async (req, res) => {
         emailConfigs: emailConfigManager.getAllConfigs().length,
         imapConnections: imapPool.connections.size
       },
+      // Per-account detail (errors, backoff, mailboxes) is behind auth at
+      // GET /api/mail-scheduler/status
+      scheduler: mailScheduler.getSummary(),
+      idle: {
+        watchers: idleManager.watchers.size
+      },
       environment: process.env.NODE_ENV || 'development'
     });
   } catch (error) {
@@ -988,12 +3930,38 @@ app.get("/", (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     endpoints: {
       health: "GET /api/health",
-      emails: "GET /api/emails (auth required)",
-      singleEmail: "GET /api/emails/:messageId (auth required)",
+      emails: "GET /api/emails?search=&folder=&dateFrom=&dateTo=&hasAttachments=&documentType=&label=&linkedShipment=&read=&starred=&archived=&snoozed=&userLabel= (auth required)",
+      singleEmail: "GET /api/emails/:messageId?accountId= (auth required)",
+      emailEvents: "GET /api/emails/events (auth required, SSE)",
+      threads: "GET /api/threads (auth required)",
+      thread: "GET /api/threads/:threadId (auth required)",
+      emailLinks: "GET /api/email-links?entityType=shipment|job&entityId= (auth required)",
       fetchEmails: "POST /api/fetch-emails (auth required)",
       userAccounts: "GET /api/user-accounts (auth required)",
-      deleteEmail: "DELETE /api/emails/:messageId (auth required)",
-      clearCache: "POST /api/clear-cache"
+      deleteEmail: "DELETE /api/emails/:messageId?accountId=&purge= (auth required; archives unless a mail admin purges)",
+      emailState: "POST /api/emails/state (auth required, bulk read/star/archive/snooze/labels)",
+      emailLabels: "GET /api/email-labels (auth required)",
+      schedulerStatus: "GET /api/mail-scheduler/status (auth required)",
+      cronMailPoll: "GET|POST /api/cron/mail-poll (CRON_SECRET)",
+      cronDsr: "GET|POST /api/cron/dsr (CRON_SECRET)",
+      sendEmail: "POST /api/send-email (auth required, multipart)",
+      sentEmails: "GET /api/sent-emails (auth required)",
+      replyDraft: "GET /api/emails/:messageId/draft?type=reply|reply_all|forward (auth required)",
+      respond: "POST /api/emails/:messageId/respond (auth required, multipart)",
+      mailAccounts: "GET|POST /api/admin/mail-accounts, PUT /api/admin/mail-accounts/:id (mail admin)",
+      mailAccountTest: "POST /api/admin/mail-accounts/test (mail admin)",
+      mailAccountGrants: "POST /api/admin/mail-accounts/:id/grants, DELETE /api/admin/mail-accounts/:id/grants/:userEmail (mail admin)",
+      emailRules: "GET|POST /api/admin/email-rules, PUT|DELETE /api/admin/email-rules/:id (mail admin)",
+      emailRuleHits: "GET /api/admin/email-rules/hits?ruleId= (mail admin)",
+      flagSync: "GET /api/admin/flag-sync?accountId=&status=, POST /api/admin/flag-sync/:id/resolve (mail admin)",
+      logout: "POST /api/auth/logout (auth required)",
+      userRoles: "GET /api/admin/users, PUT /api/admin/users/:userId/role (admin role)",
+      revokeSessions: "POST /api/admin/auth/revoke, GET /api/admin/auth/revocations (mail admin)",
+      jobDraft: "GET /api/emails/:messageId/job-draft?accountId= (auth required)",
+      jobLink: "POST /api/emails/:messageId/job-link (auth required)",
+      reprocessAttachments: "POST /api/admin/attachments/reprocess (mail admin)",
+      signedFileUrl: "POST /api/files/signed-url (auth required)",
+      clearCache: "POST /api/clear-cache (mail admin)"
     }
   });
 });
@@ -1002,23 +3970,177 @@ app.get("/", (req, res) => {
 // LIST EMAILS (OPTIMIZED - NO CONTENT)
 // =====================================================
 
+const EMAIL_SORTS = ['relevance', 'date_desc', 'date_asc', 'subject_asc', 'subject_desc'];
+
+// "2025-03-31" as an upper bound means the whole day, so it becomes the
+// following midnight (the bound is exclusive).
+function parseDateParam(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+// "true"/"false" → boolean, "all" → null (no filter), absent → fallback.
+// Anything else is undefined so the caller can reject it.
+const STATE_PARAM_VALUES = { true: true, false: false, all: null };
+
+function parseStateParam(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return Object.hasOwn(STATE_PARAM_VALUES, value) ? STATE_PARAM_VALUES[value] : undefined;
+}
+
+const emailListItem = (e) => ({
+  id: e.message_id,
+  messageId: e.message_id,
+  subject: e.subject || '(No Subject)',
+  from: e.from_text,
+  to: e.to_text,
+  date: e.date,
+  hasAttachments: e.has_attachments,
+  attachmentsCount: e.attachments_count,
+  folder: e.folder,
+  folders: e.folders || [],
+  documentTypes: e.document_types || [],
+  labels: e.labels || [],
+  isImportant: !!e.is_important,
+  clientOrganization: e.client_organization || null,
+  isRead: !!e.is_read,
+  isStarred: !!e.is_starred,
+  isArchived: !!e.is_archived,
+  snoozedUntil: e.snoozed_until || null,
+  userLabels: e.user_labels || [],
+  account_id: e.account_id
+});
+
+// Listing goes through the search_emails function
+// (sql/email_user_state_schema.sql): ranking, highlighting, the email_links
+// join and the caller's per-user state are not expressible as PostgREST
+// filters. Highlights are marked with \u0002 … \u0003.
+async function searchEmails({
+  search, accountIds, folder, dateFrom, dateTo, hasAttachments, documentType, label, linkedShipment,
+  userEmail, read, starred, archived, snoozed, userLabel, sort, skip, limit
+}) {
+  const { data, error } = await supabase.rpc('search_emails', {
+    p_query: search || null,
+    p_account_ids: accountIds,
+    p_folder: folder,
+    p_date_from: dateFrom,
+    p_date_to: dateTo,
+    p_has_attachments: hasAttachments,
+    p_document_type: documentType,
+    p_label: label,
+    p_linked_shipment: linkedShipment,
+    p_user_email: userEmail,
+    p_read: read,
+    p_starred: starred,
+    p_archived: archived,
+    p_snoozed: snoozed,
+    p_user_label: userLabel,
+    p_sort: sort,
+    p_limit: limit,
+    p_offset: skip
+  });
+
+  if (error) throw error;
+
+  return {
+    emails: (data || []).map(row => ({
+      ...emailListItem(row),
+      rank: search ? row.rank : undefined,
+      subjectHighlight: search ? row.subject_highlight : undefined,
+      snippet: search ? row.snippet : undefined
+    })),
+    count: Number(data?.[0]?.total_count || 0)
+  };
+}
+
 app.get("/api/emails", authenticateUser, authorizeEmailAccess(), async (req, res) => {
   const startTime = Date.now();
   
   try {
     const {
       search = "",
-      sort = "date_desc",
       page = 1,
       limit = 50,
-      accountId = "all"
+      accountId = "all",
+      folder = "all",
+      dateFrom,
+      dateTo,
+      hasAttachments,
+      documentType,
+      label,
+      linkedShipment,
+      read,
+      starred,
+      archived,
+      snoozed,
+      userLabel
     } = req.query;
 
     const userEmail = req.user.email;
+    const searchTerm = search.trim();
+    const sort = req.query.sort || (searchTerm ? 'relevance' : 'date_desc');
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
+    if (!EMAIL_SORTS.includes(sort)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid sort "${sort}". Use one of: ${EMAIL_SORTS.join(', ')}` 
+      });
+    }
+
+    const since = parseDateParam(dateFrom);
+    const until = parseDateParam(dateTo, { endOfDay: true });
+    if (since === undefined || until === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "dateFrom and dateTo must be dates (YYYY-MM-DD or ISO 8601)" 
+      });
+    }
+
+    const attachmentsFilter = hasAttachments === 'true' ? true : hasAttachments === 'false' ? false : null;
+
+    // The caller's own state. Archived and snoozed mail stays out of the
+    // list unless asked for ("true" = only those, "all" = include them).
+    const stateFilters = {
+      read: parseStateParam(read, null),
+      starred: parseStateParam(starred, null),
+      archived: parseStateParam(archived, false),
+      snoozed: parseStateParam(snoozed, false),
+      userLabel: userLabel || null
+    };
+    if (Object.values(stateFilters).includes(undefined)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'read, starred, archived and snoozed must be "true", "false" or "all"' 
+      });
+    }
+
+    if (documentType && !DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid documentType "${documentType}". Use one of: ${DOCUMENT_TYPES.join(', ')}` 
+      });
+    }
+
+    // "any" = linked to some shipment; otherwise a shipment id
+    let shipmentFilter = null;
+    if (linkedShipment) {
+      shipmentFilter = linkedShipment === 'any' ? 0 : parseInt(linkedShipment);
+      if (!Number.isInteger(shipmentFilter) || shipmentFilter < 0) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'linkedShipment must be a shipment id or "any"' 
+        });
+      }
+    }
+
     const allowedAccounts = emailConfigManager.getAllowedAccounts(userEmail);
     const allowedIds = allowedAccounts.map(acc => acc.id);
     
@@ -1029,9 +4151,23 @@ app.get("/api/emails", authenticateUser, authorizeEmailAccess(), async (req, res
       });
     }
 
+    let accountIds = allowedIds;
+    if (accountId !== "all") {
+      const accountIdNum = parseInt(accountId);
+      if (!emailConfigManager.canUserAccessAccount(userEmail, accountIdNum)) {
+        return res.status(403).json({ 
+          success: false, 
+          error: "Access denied to this account" 
+        });
+      }
+      accountIds = [accountIdNum];
+    }
+
     // Check cache
-    const cacheKey = `emails:${userEmail}:${accountId}:${search}:${sort}:${page}:${limit}`;
-    const cached = cache.get(cacheKey);
+    const cacheKey = `emails:${userEmail}:${accountId}:${folder}:${searchTerm}:${sort}:` +
+      `${since}:${until}:${attachmentsFilter}:${documentType}:${label}:${shipmentFilter}:` +
+      `${Object.values(stateFilters).join(':')}:${page}:${limit}`;
+    const cached = await cache.get(cacheKey);
     
     if (cached) {
       return res.json({ 
@@ -1042,180 +4178,419 @@ app.get("/api/emails", authenticateUser, authorizeEmailAccess(), async (req, res
     }
 
     if (!supabaseEnabled) {
-      return res.status(500).json({ 
-        success: false, 
-        error: "Database unavailable" 
-      });
+      return res.status(500).json({ 
+        success: false, 
+        error: "Database unavailable" 
+      });
+    }
+
+    const { emails, count } = await searchEmails({
+      search: searchTerm,
+      accountIds,
+      folder: folder === "all" ? null : folder,
+      dateFrom: since,
+      dateTo: until,
+      hasAttachments: attachmentsFilter,
+      documentType: documentType || null,
+      label: label || null,
+      linkedShipment: shipmentFilter,
+      userEmail,
+      ...stateFilters,
+      sort,
+      skip,
+      limit: limitNum
+    });
+
+    const response = {
+      success: true,
+      emails,
+      total: count,
+      hasMore: skip + emails.length < count,
+      page: pageNum,
+      limit: limitNum,
+      sort,
+      responseTime: Date.now() - startTime
+    };
+
+    // Rows carry the caller's read/starred/archived state
+    await cache.set(cacheKey, response, {
+      tags: [...accountIds.map(cacheTags.account), cacheTags.user(userEmail)]
+    });
+    res.json(response);
+
+  } catch (error) {
+    console.error("❌ List emails error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch emails",
+      details: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+});
+
+// =====================================================
+// NEW-EMAIL EVENT STREAM (SERVER-SENT EVENTS)
+// =====================================================
+
+app.get("/api/emails/events", authenticateUser, (req, res) => {
+  const allowedIds = emailConfigManager.getAllowedAccounts(req.user.email).map(acc => acc.id);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`event: ready\ndata: ${JSON.stringify({ accounts: allowedIds })}\n\n`);
+
+  const onNewEmails = (event) => {
+    if (!allowedIds.includes(event.accountId)) return;
+    res.write(`event: new-email\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Comment lines keep proxies from closing an otherwise quiet stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  emailEvents.on('new-emails', onNewEmails);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emailEvents.off('new-emails', onNewEmails);
+  });
+});
+
+// =====================================================
+// GET SINGLE EMAIL (WITH FULL CONTENT)
+// =====================================================
+
+function formatEmailDetail(email) {
+  return {
+    id: email.message_id,
+    messageId: email.message_id,
+    threadId: email.thread_id || email.message_id,
+    subject: email.subject || '(No Subject)',
+    from: email.from_text,
+    to: email.to_text,
+    cc: email.cc_text || '',
+    replyTo: email.reply_to_text || null,
+    inReplyTo: email.in_reply_to || null,
+    references: email.reference_ids || [],
+    date: email.date,
+    text: email.text_content,
+    html: email.html_content,
+    attachments: email.attachments || [],
+    hasAttachments: email.has_attachments,
+    attachmentsCount: email.attachments_count,
+    folder: email.folder,
+    folders: email.folders || [],
+    documentTypes: email.document_types || [],
+    labels: email.labels || [],
+    isImportant: !!email.is_important,
+    clientOrganization: email.client_organization || null,
+    account_id: email.account_id,
+    created_at: email.created_at,
+    updated_at: email.updated_at
+  };
+}
+
+app.get("/api/emails/:messageId", authenticateUser, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const { messageId } = req.params;
+
+    if (!supabaseEnabled) {
+      return res.status(500).json({ 
+        success: false, 
+        error: "Database unavailable" 
+      });
+    }
+
+    // The same Message-ID is stored once per mailbox it reached; ?accountId=
+    // picks the mailbox, otherwise the first one the caller can see
+    const allowedIds = emailConfigManager.getAllowedAccounts(req.user.email).map(acc => acc.id);
+    const requestedId = req.query.accountId ? parseInt(req.query.accountId) : null;
+    const accountIds = requestedId ? [requestedId] : allowedIds;
+    if (!accountIds.length || !accountIds.every(id => allowedIds.includes(id))) {
+      return res.status(403).json({ 
+        success: false, 
+        error: "Access denied" 
+      });
+    }
+
+    // The cache holds the shared email; the caller's own state is read on
+    // every request
+    let emailData = requestedId ? await cache.get(`email:${requestedId}:${messageId}`) : null;
+    const cached = !!emailData;
+
+    if (!emailData) {
+      const { data: matches, error } = await supabase
+        .from('emails')
+        .select('*')
+        .eq('message_id', messageId)
+        .in('account_id', accountIds)
+        .limit(1);
+
+      const email = matches?.[0];
+      if (error || !email) {
+        return res.status(404).json({ 
+          success: false, 
+          error: "Email not found" 
+        });
+      }
+
+      emailData = formatEmailDetail(email);
+      await cache.set(`email:${email.account_id}:${messageId}`, emailData, {
+        tags: [cacheTags.account(email.account_id), cacheTags.message(email.account_id, email.message_id)]
+      });
+    }
+
+    const userState = await loadUserState(supabase, req.user.email, emailData.account_id, emailData.messageId);
+    
+    res.json({ 
+      success: true, 
+      email: { ...emailData, ...userState },
+      cached: cached || undefined,
+      responseTime: Date.now() - startTime
+    });
+
+  } catch (error) {
+    console.error("❌ Get email error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch email",
+      details: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+});
+
+// =====================================================
+// EMAIL THREADS (CONVERSATIONS)
+// =====================================================
+
+// Resolves ?accountId= against the caller's mailboxes. Returns the ids to
+// query, or null when the caller may not read the requested account.
+function resolveAccountFilter(userEmail, accountId = 'all') {
+  const allowedIds = emailConfigManager.getAllowedAccounts(userEmail).map(acc => acc.id);
+  if (accountId === 'all') {
+    return allowedIds.length ? allowedIds : null;
+  }
+  const accountIdNum = parseInt(accountId);
+  return allowedIds.includes(accountIdNum) ? [accountIdNum] : null;
+}
+
+app.get("/api/threads", authenticateUser, authorizeEmailAccess(), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { search = "", page = 1, limit = 50, accountId = "all" } = req.query;
+    const userEmail = req.user.email;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const accountIds = resolveAccountFilter(userEmail, accountId);
+    if (!accountIds) {
+      return res.status(403).json({ success: false, error: "Access denied to this account" });
+    }
+
+    const cacheKey = `threads:${userEmail}:${accountId}:${search}:${page}:${limit}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return res.json({ ...cached, cached: true, responseTime: Date.now() - startTime });
+    }
+
+    if (!supabaseEnabled) {
+      return res.status(500).json({ success: false, error: "Database unavailable" });
     }
 
-    // Build query
+    // email_threads is a view grouping emails by (account_id, thread_id)
     let query = supabase
-      .from('emails')
-      .select(`
-        id,
-        message_id,
-        account_id,
-        subject,
-        from_text,
-        to_text,
-        date,
-        has_attachments,
-        attachments_count,
-        created_at
-      `, { count: 'exact' });
-
-    // Apply account filter
-    if (accountId !== "all") {
-      const accountIdNum = parseInt(accountId);
-      if (!emailConfigManager.canUserAccessAccount(userEmail, accountIdNum)) {
-        return res.status(403).json({ 
-          success: false, 
-          error: "Access denied to this account" 
-        });
-      }
-      query = query.eq('account_id', accountIdNum);
-    } else {
-      query = query.in('account_id', allowedIds);
-    }
+      .from('email_threads')
+      .select('*', { count: 'exact' })
+      .in('account_id', accountIds);
 
-    // Apply search filter
     if (search?.trim()) {
-      const searchTerm = search.trim();
-      query = query.or(
-        `subject.ilike.%${searchTerm}%,` +
-        `from_text.ilike.%${searchTerm}%,` +
-        `to_text.ilike.%${searchTerm}%`
-      );
+      query = query.ilike('subject', `%${search.trim()}%`);
     }
 
-    // Apply sorting
-    const [sortField, sortDir] = sort.split('_');
-    query = query.order(
-      sortField === 'subject' ? 'subject' : 'date', 
-      { ascending: sortDir === 'asc' }
-    );
-
-    // Apply pagination
-    query = query.range(skip, skip + limitNum - 1);
-
-    const { data: emails, error, count } = await query;
+    const { data: threads, error, count } = await query
+      .order('last_date', { ascending: false })
+      .range(skip, skip + limitNum - 1);
 
     if (error) {
-      console.error("❌ Query error:", error);
+      console.error("❌ Thread query error:", error);
       throw error;
     }
 
     const response = {
       success: true,
-      emails: (emails || []).map(e => ({
-        id: e.message_id,
-        messageId: e.message_id,
-        subject: e.subject || '(No Subject)',
-        from: e.from_text,
-        to: e.to_text,
-        date: e.date,
-        hasAttachments: e.has_attachments,
-        attachmentsCount: e.attachments_count,
-        account_id: e.account_id
+      threads: (threads || []).map(t => ({
+        threadId: t.thread_id,
+        account_id: t.account_id,
+        subject: t.subject || '(No Subject)',
+        messageCount: t.message_count,
+        firstDate: t.first_date,
+        lastDate: t.last_date,
+        lastFrom: t.last_from,
+        lastMessageId: t.last_message_id,
+        participants: t.participants || [],
+        hasAttachments: t.has_attachments,
+        attachmentsCount: t.attachments_count
       })),
       total: count || 0,
-      hasMore: skip + (emails?.length || 0) < (count || 0),
+      hasMore: skip + (threads?.length || 0) < (count || 0),
       page: pageNum,
       limit: limitNum,
       responseTime: Date.now() - startTime
     };
 
-    cache.set(cacheKey, response);
+    await cache.set(cacheKey, response, { tags: accountIds.map(cacheTags.account) });
     res.json(response);
 
   } catch (error) {
-    console.error("❌ List emails error:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to fetch emails",
+    console.error("❌ List threads error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch threads",
       details: process.env.NODE_ENV === 'production' ? undefined : error.message
     });
   }
 });
 
-// =====================================================
-// GET SINGLE EMAIL (WITH FULL CONTENT)
-// =====================================================
-
-app.get("/api/emails/:messageId", authenticateUser, async (req, res) => {
+app.get("/api/threads/:threadId", authenticateUser, authorizeEmailAccess(), async (req, res) => {
   const startTime = Date.now();
-  
+
   try {
-    const { messageId } = req.params;
-    const cacheKey = `email:${messageId}`;
-    const cached = cache.get(cacheKey);
-    
+    const { threadId } = req.params;
+    const { accountId = "all" } = req.query;
+    const userEmail = req.user.email;
+
+    const accountIds = resolveAccountFilter(userEmail, accountId);
+    if (!accountIds) {
+      return res.status(403).json({ success: false, error: "Access denied to this account" });
+    }
+
+    const cacheKey = `thread:${userEmail}:${accountId}:${threadId}`;
+    const cached = await cache.get(cacheKey);
     if (cached) {
-      return res.json({ 
-        success: true, 
-        email: cached, 
-        cached: true,
-        responseTime: Date.now() - startTime
-      });
+      return res.json({ success: true, thread: cached, cached: true, responseTime: Date.now() - startTime });
     }
 
     if (!supabaseEnabled) {
-      return res.status(500).json({ 
-        success: false, 
-        error: "Database unavailable" 
-      });
+      return res.status(500).json({ success: false, error: "Database unavailable" });
     }
 
-    const { data: email, error } = await supabase
+    const { data: rows, error } = await supabase
       .from('emails')
       .select('*')
-      .eq('message_id', messageId)
-      .single();
+      .eq('thread_id', threadId)
+      .in('account_id', accountIds)
+      .order('date', { ascending: true });
 
-    if (error || !email) {
-      return res.status(404).json({ 
-        success: false, 
-        error: "Email not found" 
-      });
+    if (error) throw error;
+    if (!rows?.length) {
+      return res.status(404).json({ success: false, error: "Thread not found" });
     }
 
-    if (!emailConfigManager.canUserAccessAccount(req.user.email, email.account_id)) {
-      return res.status(403).json({ 
-        success: false, 
-        error: "Access denied" 
+    // A conversation copied to several shared mailboxes is stored once per
+    // account; show each message once.
+    const seen = new Set();
+    const messages = rows
+      .filter(row => !seen.has(row.message_id) && seen.add(row.message_id))
+      .map(formatEmailDetail);
+
+    const thread = {
+      threadId,
+      subject: messages[0].subject,
+      accountIds: [...new Set(rows.map(row => row.account_id))],
+      messageCount: messages.length,
+      firstDate: messages[0].date,
+      lastDate: messages[messages.length - 1].date,
+      messages
+    };
+
+    await cache.set(cacheKey, thread, { tags: accountIds.map(cacheTags.account) });
+    res.json({ success: true, thread, responseTime: Date.now() - startTime });
+
+  } catch (error) {
+    console.error("❌ Get thread error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch thread",
+      details: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+});
+
+// =====================================================
+// EMAILS LINKED TO A SHIPMENT / JOB
+// =====================================================
+
+app.get("/api/email-links", authenticateUser, authorizeEmailAccess(), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.query;
+
+    if (!LINK_TARGETS[entityType] || !entityId) {
+      return res.status(400).json({
+        success: false,
+        error: `entityType (${Object.keys(LINK_TARGETS).join(', ')}) and entityId are required`
       });
     }
 
-    const emailData = {
-      id: email.message_id,
-      messageId: email.message_id,
-      subject: email.subject || '(No Subject)',
-      from: email.from_text,
-      to: email.to_text,
-      date: email.date,
-      text: email.text_content,
-      html: email.html_content,
-      attachments: email.attachments || [],
-      hasAttachments: email.has_attachments,
-      attachmentsCount: email.attachments_count,
-      account_id: email.account_id,
-      created_at: email.created_at,
-      updated_at: email.updated_at
-    };
+    if (!supabaseEnabled) {
+      return res.status(500).json({ success: false, error: "Database unavailable" });
+    }
 
-    cache.set(cacheKey, emailData);
-    
-    res.json({ 
-      success: true, 
-      email: emailData,
-      responseTime: Date.now() - startTime
-    });
+    const allowedIds = emailConfigManager.getAllowedAccounts(req.user.email).map(acc => acc.id);
+
+    const { data: links, error } = await supabase
+      .from('email_links')
+      .select('message_id, account_id, matched_field, matched_value')
+      .eq('entity_type', entityType)
+      .eq('entity_id', entityId)
+      .in('account_id', allowedIds);
+
+    if (error) throw error;
+    if (!links?.length) {
+      return res.json({ success: true, emails: [] });
+    }
+
+    const { data: rows, error: emailError } = await supabase
+      .from('emails')
+      .select('message_id, account_id, thread_id, subject, from_text, date, has_attachments, attachments_count')
+      .in('message_id', [...new Set(links.map(link => link.message_id))])
+      .in('account_id', allowedIds)
+      .order('date', { ascending: false });
+
+    if (emailError) throw emailError;
+
+    const seen = new Set();
+    const emails = (rows || [])
+      .filter(row => !seen.has(row.message_id) && seen.add(row.message_id))
+      .map(row => {
+        const link = links.find(l => l.message_id === row.message_id && l.account_id === row.account_id) ||
+          links.find(l => l.message_id === row.message_id);
+        return {
+          messageId: row.message_id,
+          threadId: row.thread_id || row.message_id,
+          account_id: row.account_id,
+          subject: row.subject || '(No Subject)',
+          from: row.from_text,
+          date: row.date,
+          hasAttachments: row.has_attachments,
+          attachmentsCount: row.attachments_count,
+          matchedField: link.matched_field,
+          matchedValue: link.matched_value
+        };
+      });
+
+    res.json({ success: true, emails });
 
   } catch (error) {
-    console.error("❌ Get email error:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Failed to fetch email",
+    console.error("❌ Linked emails error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch linked emails",
       details: process.env.NODE_ENV === 'production' ? undefined : error.message
     });
   }
@@ -1225,23 +4600,31 @@ app.get("/api/emails/:messageId", authenticateUser, async (req, res) => {
 // FETCH EMAILS FROM IMAP (OPTIMIZED)
 // =====================================================
 
-app.post("/api/fetch-emails", authenticateUser, authorizeEmailAccess(), async (req, res) => {
+app.post("/api/fetch-emails", authenticateUser, requirePermission('email.send'), authorizeEmailAccess(), async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { 
       count = 50,
       accountId = "all",
-      mode = "latest"
+      mode = "incremental",
+      folder
     } = req.body;
     
     const userEmail = req.user.email;
     const fetchCount = Math.min(parseInt(count) || 50, 100);
 
+    if (!SYNC_MODES.includes(mode)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid mode "${mode}". Use one of: ${SYNC_MODES.join(', ')}` 
+      });
+    }
+
     let accountsToProcess = [];
     
     if (accountId === "all") {
-      accountsToProcess = emailConfigManager.getAllowedAccounts(userEmail);
+      accountsToProcess = emailConfigManager.getAllowedAccounts(userEmail).filter(acc => acc.enabled);
     } else {
       if (!emailConfigManager.canUserAccessAccount(userEmail, accountId)) {
         return res.status(403).json({ 
@@ -1256,6 +4639,12 @@ app.post("/api/fetch-emails", authenticateUser, authorizeEmailAccess(), async (r
           error: `Account ${accountId} not found` 
         });
       }
+      if (!config.enabled) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Account ${accountId} is disabled` 
+        });
+      }
       accountsToProcess = [config];
     }
 
@@ -1266,16 +4655,30 @@ app.post("/api/fetch-emails", authenticateUser, authorizeEmailAccess(), async (r
       });
     }
 
-    console.log(`🚀 Fetch started: ${accountsToProcess.length} accounts, ${fetchCount} emails each`);
+    // Optional single-folder run, limited to accounts that sync that folder
+    if (folder) {
+      accountsToProcess = accountsToProcess.filter(acc => acc.folders.includes(folder));
+      if (!accountsToProcess.length) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Folder "${folder}" is not synced for the selected accounts` 
+        });
+      }
+    }
+
+    console.log(`🚀 Fetch started (${mode}${folder ? `, ${folder}` : ''}): ${accountsToProcess.length} accounts, ${fetchCount} emails each`);
     
     // Process accounts in parallel
     const results = await Promise.all(
-      accountsToProcess.map(account => fetchAccountEmailsFast(account, fetchCount))
+      accountsToProcess.map(account => runAccountSync(account, fetchCount, mode, 'manual', folder ? [folder] : account.folders))
     );
 
-    // Clear cache after successful fetch
-    cache.clear();
-    console.log('🗑️ Cache cleared after fetch');
+    // Drop cached lists of the mailboxes that got new mail
+    const savedIn = results.filter(r => r.saved > 0).map(r => cacheTags.account(r.accountId));
+    if (savedIn.length) {
+      await cache.invalidate(savedIn);
+      console.log(`🗑️ Cache invalidated for ${savedIn.length} accounts after fetch`);
+    }
 
     const successfulAccounts = results.filter(r => r.success);
     const totalProcessed = successfulAccounts.reduce((sum, r) => sum + (r.saved || 0), 0);
@@ -1291,6 +4694,7 @@ app.post("/api/fetch-emails", authenticateUser, authorizeEmailAccess(), async (r
         successfulAccounts: successfulAccounts.length,
         failedAccounts: results.length - successfulAccounts.length,
         totalProcessed,
+        remaining: successfulAccounts.reduce((sum, r) => sum + (r.remaining || 0), 0),
         totalTimeMs: totalTime,
         avgTimePerEmail: totalProcessed > 0 ? Math.round(totalTime / totalProcessed) : 0
       },
@@ -1323,10 +4727,13 @@ app.get("/api/user-accounts", authenticateUser, (req, res) => {
     res.json({
       success: true,
       userEmail,
+      isMailAdmin: isMailAdmin(req.user),
       accounts: allowedAccounts.map(acc => ({
         id: acc.id,
         email: acc.email,
-        name: acc.name
+        name: acc.name,
+        enabled: acc.enabled,
+        folders: acc.folders
       }))
     });
   } catch (error) {
@@ -1339,13 +4746,80 @@ app.get("/api/user-accounts", authenticateUser, (req, res) => {
 });
 
 // =====================================================
-// DELETE EMAIL (WITH ATTACHMENTS)
+// MAIL SCHEDULER STATUS
+// =====================================================
+
+app.get("/api/mail-scheduler/status", authenticateUser, (req, res) => {
+  try {
+    const allowedIds = emailConfigManager.getAllowedAccounts(req.user.email).map(acc => acc.id);
+    
+    res.json({
+      success: true,
+      scheduler: mailScheduler.getStatus(allowedIds),
+      idle: idleManager.getStatus(allowedIds)
+    });
+  } catch (error) {
+    console.error("❌ Scheduler status error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to fetch scheduler status" 
+    });
+  }
+});
+
+// =====================================================
+// CRON ENTRY POINTS (SERVERLESS HOSTS)
+// =====================================================
+
+// On Vercel there is no long-running process for node-cron, so the
+// schedulers stay off and vercel.json's crons call these instead, with
+// "Authorization: Bearer $CRON_SECRET". GET is what Vercel sends; POST is
+// for other schedulers.
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, error: "CRON_SECRET is not configured" });
+  }
+
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${secret}`);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ success: false, error: "Invalid cron secret" });
+  }
+  next();
+};
+
+const runMailPollTick = async (req, res) => {
+  await mailScheduler.tick();
+  res.json({ success: true, scheduler: mailScheduler.getSummary() });
+};
+
+app.get("/api/cron/mail-poll", authenticateCron, runMailPollTick);
+app.post("/api/cron/mail-poll", authenticateCron, runMailPollTick);
+
+// Sends the DSR reports whose latest slot has not been sent yet
+const runDsrTick = async (req, res) => {
+  await dsrScheduler.tick();
+  res.json({ success: true, lastTickAt: dsrScheduler.lastTickAt });
+};
+
+app.get("/api/cron/dsr", authenticateCron, runDsrTick);
+app.post("/api/cron/dsr", authenticateCron, runDsrTick);
+
+// =====================================================
+// DELETE EMAIL (ARCHIVE FOR THE CALLER, OR ADMIN PURGE)
 // =====================================================
 
+// Deleting archives the email for the caller only; it stays in the
+// mailbox for everyone else and comes back with POST /api/emails/state
+// { archived: false }. ?purge=true (mail admins) removes the email, its
+// attachments, links and everyone's state for good. ?accountId= picks the
+// mailbox when the same Message-ID is stored under several.
 app.delete("/api/emails/:messageId", authenticateUser, async (req, res) => {
   try {
     const { messageId } = req.params;
     const userEmail = req.user.email;
+    const purge = req.query.purge === 'true';
 
     if (!supabaseEnabled) {
       return res.status(500).json({ 
@@ -1354,13 +4828,31 @@ app.delete("/api/emails/:messageId", authenticateUser, async (req, res) => {
       });
     }
 
+    if (purge && !isMailAdmin(req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: "Only mailbox admins can purge email" 
+      });
+    }
+
+    const allowedIds = emailConfigManager.getAllowedAccounts(userEmail).map(acc => acc.id);
+    const accountIds = req.query.accountId ? [parseInt(req.query.accountId)] : allowedIds;
+    if (!accountIds.length || !accountIds.every(id => allowedIds.includes(id))) {
+      return res.status(403).json({ 
+        success: false, 
+        error: "Access denied" 
+      });
+    }
+
     // Fetch email first to check permissions and get attachments
-    const { data: email, error: fetchError } = await supabase
+    const { data: matches, error: fetchError } = await supabase
       .from('emails')
       .select('account_id, attachments')
       .eq('message_id', messageId)
-      .single();
+      .in('account_id', accountIds)
+      .limit(1);
 
+    const email = matches?.[0];
     if (fetchError || !email) {
       return res.status(404).json({ 
         success: false, 
@@ -1368,14 +4860,25 @@ app.delete("/api/emails/:messageId", authenticateUser, async (req, res) => {
       });
     }
 
-    // Check access
-    if (!emailConfigManager.canUserAccessAccount(userEmail, email.account_id)) {
-      return res.status(403).json({ 
-        success: false, 
-        error: "Access denied" 
+    if (!purge) {
+      await archiveForUser(supabase, userEmail, email.account_id, messageId);
+      flagSync.enqueueStateChanges([{ account_id: email.account_id, message_id: messageId }], { archived: true }, userEmail);
+      await cache.invalidate([cacheTags.user(userEmail)]);
+      console.log(`📥 Archived email ${messageId} for ${userEmail}`);
+      return res.json({
+        success: true,
+        archived: true,
+        message: "Email archived; restore it from the Archived view"
       });
     }
 
+    // Queued while the emails row still says where it lives on the server
+    try {
+      await flagSync.enqueue(email.account_id, [{ messageId, action: 'delete', value: true }], userEmail);
+    } catch (error) {
+      console.error(`⚠️ Failed to queue server-side delete for ${messageId}:`, error.message);
+    }
+
     // Delete attachments from storage
     if (email.attachments && Array.isArray(email.attachments)) {
       const deletePromises = email.attachments
@@ -1403,7 +4906,8 @@ app.delete("/api/emails/:messageId", authenticateUser, async (req, res) => {
     const { error: deleteError } = await supabase
       .from('emails')
       .delete()
-      .eq('message_id', messageId);
+      .eq('message_id', messageId)
+      .eq('account_id', email.account_id);
 
     if (deleteError) {
       console.error("❌ Delete email error:", deleteError);
@@ -1413,13 +4917,25 @@ app.delete("/api/emails/:messageId", authenticateUser, async (req, res) => {
       });
     }
 
-    // Clear cache
-    cache.clear();
+    const [{ error: linkError }, { error: stateError }] = await Promise.all([
+      supabase.from('email_links').delete().eq('message_id', messageId).eq('account_id', email.account_id),
+      supabase.from('email_user_state').delete().eq('message_id', messageId).eq('account_id', email.account_id)
+    ]);
+
+    if (linkError) {
+      console.error(`⚠️ Failed to remove shipment/job links for ${messageId}:`, linkError.message);
+    }
+    if (stateError) {
+      console.error(`⚠️ Failed to remove user state for ${messageId}:`, stateError.message);
+    }
+
+    await cache.invalidate([cacheTags.account(email.account_id), cacheTags.message(email.account_id, messageId)]);
 
-    console.log(`🗑️ Deleted email: ${messageId}`);
+    console.log(`🗑️ Purged email ${messageId} (account ${email.account_id}) by ${userEmail}`);
 
     res.json({
       success: true,
+      purged: true,
       message: "Email and attachments deleted successfully"
     });
 
@@ -1433,16 +4949,238 @@ app.delete("/api/emails/:messageId", authenticateUser, async (req, res) => {
   }
 });
 
+// =====================================================
+// STAFF ROLES (routes/user-roles.js)
+// =====================================================
+
+app.use("/api", createUserRolesRouter({
+  authenticateUser,
+  requirePermission,
+  supabase,
+  // Cached token checks carry the role
+  onRoleChange: (userId) => cache.invalidate([authCacheTag(userId)])
+}));
+
+// =====================================================
+// SIGN-OUT & FORCED LOGOUT (routes/auth-sessions.js)
+// =====================================================
+
+app.use("/api", createAuthSessionsRouter({
+  authenticateUser,
+  isMailAdmin,
+  supabase,
+  authRevocations
+}));
+
+// =====================================================
+// PER-USER EMAIL STATE (routes/email-state.js)
+// =====================================================
+
+app.use("/api", createEmailStateRouter({
+  authenticateUser,
+  supabase,
+  emailConfigManager,
+  // Only the caller's cached lists show their state
+  onChange: async (rows, changes, userEmail) => {
+    flagSync.enqueueStateChanges(rows, changes, userEmail);
+    await cache.invalidate([cacheTags.user(userEmail)]);
+  }
+}));
+
+// =====================================================
+// IMAP FLAG SYNC QUEUE (routes/flag-sync.js)
+// =====================================================
+
+app.use("/api", createFlagSyncRouter({
+  authenticateUser,
+  isMailAdmin,
+  supabase,
+  emailConfigManager,
+  flagSync,
+  onStateChange: (userEmail) => cache.invalidate([cacheTags.user(userEmail)])
+}));
+
+// =====================================================
+// OUTBOUND EMAIL (routes/send-email.js)
+// =====================================================
+
+app.use("/api", createSendEmailRouter({
+  authenticateUser,
+  requirePermission,
+  emailConfigManager,
+  getSupabase: () => (supabaseEnabled ? supabase : null)
+}));
+
+// =====================================================
+// SCHEDULED DSR EMAILS (routes/dsr-subscriptions.js)
+// =====================================================
+
+app.use("/api", createDsrSubscriptionsRouter({
+  authenticateUser,
+  requirePermission,
+  supabase,
+  emailConfigManager,
+  sendDsrReport,
+  nextRunAt: (subscription) => dsrScheduler.nextRunAt(subscription)
+}));
+
+// =====================================================
+// MAILBOX ADMINISTRATION (routes/mail-accounts.js)
+// =====================================================
+
+app.use("/api", createMailAccountsRouter({
+  authenticateUser,
+  isMailAdmin,
+  emailConfigManager,
+  testMailAccount
+}));
+
+// =====================================================
+// EMAIL RULES ADMINISTRATION (routes/email-rules.js)
+// =====================================================
+
+app.use("/api", createEmailRulesRouter({
+  authenticateUser,
+  isMailAdmin,
+  emailRules,
+  emailConfigManager,
+  supabase
+}));
+
+// =====================================================
+// JOBS FROM EMAIL (routes/job-drafts.js)
+// =====================================================
+
+app.use("/api", createJobDraftsRouter({
+  authenticateUser,
+  requirePermission,
+  supabase,
+  emailConfigManager
+}));
+
+// =====================================================
+// FILE ACCESS (routes/files.js)
+// =====================================================
+
+app.use("/api", createFilesRouter({
+  authenticateUser,
+  supabase,
+  emailConfigManager
+}));
+
+// =====================================================
+// ATTACHMENT REPROCESSING (BACKFILL)
+// =====================================================
+// Mail stored before the processing stage existed has document_types null.
+// Each call downloads and processes the attachments of the newest `limit`
+// such emails, so an admin can work through the backlog in chunks.
+
+async function reprocessStoredAttachments(email) {
+  const stored = [];
+  for (const attachment of email.attachments || []) {
+    const { data, error } = await supabase.storage.from('attachments').download(attachment.path);
+    if (error) {
+      console.error(`⚠️ Could not download ${attachment.path}:`, error.message);
+      stored.push({ upload: attachment, source: { filename: attachment.filename } });
+      continue;
+    }
+    stored.push({
+      upload: attachment,
+      source: {
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: Buffer.from(await data.arrayBuffer())
+      }
+    });
+  }
+  return processStoredAttachments(stored);
+}
+
+app.post("/api/admin/attachments/reprocess", authenticateUser, async (req, res) => {
+  if (!isMailAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: "Mailbox administration is restricted" });
+  }
+  if (!supabaseEnabled) {
+    return res.status(500).json({ success: false, error: "Database unavailable" });
+  }
+
+  const startTime = Date.now();
+  const limit = Math.min(100, Math.max(1, parseInt(req.body?.limit) || 25));
+
+  try {
+    const { data: emails, error } = await supabase
+      .from('emails')
+      .select('id, message_id, account_id, attachments')
+      .is('document_types', null)
+      .eq('has_attachments', true)
+      .order('date', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    let processed = 0, failed = 0;
+    const touchedAccounts = new Set();
+    for (const email of emails || []) {
+      try {
+        const { attachments, attachmentText, documentTypes } = await reprocessStoredAttachments(email);
+        const { error: updateError } = await supabase
+          .from('emails')
+          .update({
+            attachments,
+            attachment_text: attachmentText,
+            document_types: documentTypes,
+            updated_at: new Date()
+          })
+          .eq('id', email.id);
+        if (updateError) throw updateError;
+        processed++;
+        touchedAccounts.add(email.account_id);
+      } catch (err) {
+        console.error(`❌ Reprocess failed for ${email.message_id}:`, err.message);
+        failed++;
+      }
+    }
+
+    const { count: remaining } = await supabase
+      .from('emails')
+      .select('id', { count: 'exact', head: true })
+      .is('document_types', null)
+      .eq('has_attachments', true);
+
+    if (processed > 0) await cache.invalidate([...touchedAccounts].map(cacheTags.account));
+    console.log(`🗂️ Reprocessed attachments of ${processed} emails (${failed} failed, ${remaining ?? '?'} remaining)`);
+
+    res.json({
+      success: true,
+      processed,
+      failed,
+      remaining: remaining ?? null,
+      responseTime: Date.now() - startTime
+    });
+  } catch (error) {
+    console.error("❌ Attachment reprocess error:", error);
+    res.status(500).json({ 
+      success: false, 
+      error: "Failed to reprocess attachments",
+      details: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+});
+
 // =====================================================
 // CLEAR CACHE
 // =====================================================
 
-app.post("/api/clear-cache", (req, res) => {
+app.post("/api/clear-cache", authenticateUser, async (req, res) => {
+  if (!isMailAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: "Mailbox administration is restricted" });
+  }
+
   try {
     const previousStats = cache.getStats();
-    cache.clear();
+    await cache.clear();
     
-    console.log('🗑️ Cache cleared manually');
+    console.log(`🗑️ Cache cleared manually by ${req.user.email}`);
     
     res.json({ 
       success: true, 
@@ -1495,11 +5233,32 @@ app.use('*', (req, res) => {
     availableEndpoints: {
       health: 'GET /api/health',
       emails: 'GET /api/emails (auth required)',
-      singleEmail: 'GET /api/emails/:messageId (auth required)',
+      singleEmail: 'GET /api/emails/:messageId?accountId= (auth required)',
+      emailEvents: 'GET /api/emails/events (auth required, SSE)',
+      threads: 'GET /api/threads (auth required)',
+      thread: 'GET /api/threads/:threadId (auth required)',
+      emailLinks: 'GET /api/email-links (auth required)',
       fetchEmails: 'POST /api/fetch-emails (auth required)',
       userAccounts: 'GET /api/user-accounts (auth required)',
       deleteEmail: 'DELETE /api/emails/:messageId (auth required)',
-      clearCache: 'POST /api/clear-cache',
+      emailState: 'POST /api/emails/state (auth required)',
+      schedulerStatus: 'GET /api/mail-scheduler/status (auth required)',
+      cronMailPoll: 'GET|POST /api/cron/mail-poll (CRON_SECRET)',
+      cronDsr: 'GET|POST /api/cron/dsr (CRON_SECRET)',
+      sendEmail: 'POST /api/send-email (auth required, multipart)',
+      sentEmails: 'GET /api/sent-emails (auth required)',
+      replyDraft: 'GET /api/emails/:messageId/draft (auth required)',
+      respond: 'POST /api/emails/:messageId/respond (auth required, multipart)',
+      mailAccounts: 'GET|POST /api/admin/mail-accounts (mail admin)',
+      emailRules: 'GET|POST /api/admin/email-rules (mail admin)',
+      flagSync: 'GET /api/admin/flag-sync (mail admin)',
+      logout: 'POST /api/auth/logout (auth required)',
+      userRoles: 'GET /api/admin/users (admin role)',
+      revokeSessions: 'POST /api/admin/auth/revoke (mail admin)',
+      jobDraft: 'GET /api/emails/:messageId/job-draft (auth required)',
+      reprocessAttachments: 'POST /api/admin/attachments/reprocess (mail admin)',
+      signedFileUrl: 'POST /api/files/signed-url (auth required)',
+      clearCache: 'POST /api/clear-cache (mail admin)',
       cacheStats: 'GET /api/cache-stats (auth required)'
     }
   });
@@ -1512,11 +5271,17 @@ app.use('*', (req, res) => {
 process.on('SIGTERM', async () => {
   console.log('📴 SIGTERM received, shutting down gracefully...');
   
-  // Close all IMAP connections
-  imapPool.disconnectAll();
+  // Stop scheduled polling, DSR emails and IDLE watchers
+  mailScheduler.stop();
+  dsrScheduler.stop();
+  idleManager.stopAll();
+  emailConfigManager.stopAutoReload();
+  emailRules.stopAutoReload();
+  flagSync.stop();
   
-  // Clear cache
-  cache.clear();
+  // Close all IMAP connections and SMTP pools
+  imapPool.disconnectAll();
+  closeTransporters();
   
   console.log('✅ Cleanup complete, exiting...');
   process.exit(0);
@@ -1525,8 +5290,14 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('📴 SIGINT received, shutting down gracefully...');
   
+  mailScheduler.stop();
+  dsrScheduler.stop();
+  idleManager.stopAll();
+  emailConfigManager.stopAutoReload();
+  emailRules.stopAutoReload();
+  flagSync.stop();
   imapPool.disconnectAll();
-  cache.clear();
+  closeTransporters();
   
   console.log('✅ Cleanup complete, exiting...');
   process.exit(0);
@@ -1538,7 +5309,6 @@ process.on('uncaughtException', (error) => {
   
   // Clean up
   imapPool.disconnectAll();
-  cache.clear();
   
   process.exit(1);
 });
@@ -1569,24 +5339,49 @@ if (process.env.NODE_ENV !== 'production' || import.meta.url === `file://${proce
     console.log('📊 System Status:');
     console.log(`   📧 Email accounts: ${emailConfigManager.getAllConfigs().length}`);
     console.log(`   🔐 Supabase: ${supabaseEnabled ? '✅ Connected' : '❌ Disconnected'}`);
-    console.log(`   💾 Cache: ${cache.getStats().maxSize} items max, ${cache.getStats().size} items current`);
+    console.log(`   💾 Cache: ${cache.backend}${cache.maxSize ? `, ${cache.maxSize} items max` : ''}`);
+    console.log(`   ⏰ Mail polling: ${mailScheduler.enabled ? `every ${MAIL_POLL_INTERVAL_MINUTES} min` : 'disabled'}`);
+    console.log(`   🗓️ Scheduled DSR emails: ${dsrScheduler.enabled ? 'enabled' : 'disabled'}`);
     console.log(`   🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log('');
-    console.log('👥 User Access Mappings:');
-    Object.entries(USER_EMAIL_MAPPING).forEach(([email, accounts]) => {
-      console.log(`   ${email} → accounts [${accounts.join(', ')}]`);
+    console.log('👥 User Access Grants:');
+    emailConfigManager.getGrants().forEach(({ userEmail, accountIds }) => {
+      console.log(`   ${userEmail} → accounts [${accountIds.join(', ')}]`);
     });
     console.log('');
     console.log('📡 Available Endpoints:');
     console.log('   GET    /api/health              - Health check');
-    console.log('   GET    /api/emails              - List emails (paginated)');
+    console.log('   GET    /api/emails              - List and full-text search emails');
+    console.log('   GET    /api/emails/events       - New-email stream (SSE)');
     console.log('   GET    /api/emails/:messageId   - Get single email');
+    console.log('   GET    /api/threads             - List conversations');
+    console.log('   GET    /api/threads/:threadId   - Conversation, oldest first');
+    console.log('   GET    /api/email-links         - Mail linked to a shipment/job');
     console.log('   POST   /api/fetch-emails        - Fetch from IMAP');
     console.log('   GET    /api/user-accounts       - Get user accounts');
-    console.log('   DELETE /api/emails/:messageId   - Delete email');
+    console.log('   DELETE /api/emails/:messageId   - Archive email (admin: ?purge=true)');
+    console.log('   POST   /api/emails/state        - Read/star/archive/snooze/labels in bulk');
+    console.log('   GET    /api/mail-scheduler/status - Mail polling status');
+    console.log('   POST   /api/send-email          - Send from a mailbox account');
+    console.log('   GET    /api/sent-emails         - Sent mail log');
+    console.log('   GET    /api/emails/:id/draft    - Reply/forward draft');
+    console.log('   POST   /api/emails/:id/respond  - Reply, reply-all or forward');
+    console.log('   *      /api/admin/mail-accounts - Mailboxes, connection test, grants');
+    console.log('   *      /api/admin/email-rules   - Inbound mail rules and hit log');
+    console.log('   *      /api/admin/flag-sync     - IMAP flag sync queue and conflicts');
+    console.log('   POST   /api/auth/logout         - End the caller\'s session');
+    console.log('   *      /api/admin/auth          - Forced logout and revocation list');
+    console.log('   *      /api/admin/users         - Staff roles');
+    console.log('   *      /api/dsr-subscriptions   - Scheduled DSR emails, send log, send now');
+    console.log('   GET    /api/emails/:id/job-draft - Job wizard pre-fill from an email');
+    console.log('   POST   /api/admin/attachments/reprocess - Classify older attachments');
+    console.log('   POST   /api/files/signed-url    - Short-lived download link');
     console.log('   POST   /api/clear-cache         - Clear cache');
     console.log('   GET    /api/cache-stats         - Cache statistics');
     console.log('');
+    mailScheduler.start();
+    dsrScheduler.start();
+    idleManager.start();
     console.log('✅ Server ready to accept connections!');
     console.log('');
   });
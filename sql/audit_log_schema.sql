@@ -0,0 +1,117 @@
+-- =====================================================
+-- Audit trail (src/components/AuditHistory.jsx). Every insert, update and
+-- delete on jobs, shipments, vendors, vendor_bank_details and payments
+-- appends one audit_log row: who, when, which row, and the before and after
+-- value of each column that changed. The DSR grid, the shipment, job and
+-- vendor forms and the backend all write those tables directly, so the log
+-- is filled by triggers rather than by each writer. Writes made with the
+-- service key (backend jobs) have no actor and show as "System".
+-- Run once in the Supabase SQL editor, after user_roles_schema.sql.
+-- =====================================================
+
+create table if not exists public.audit_log (
+  id           bigserial primary key,
+  table_name   text not null,
+  row_id       text not null,
+  action       text not null check (action in ('insert', 'update', 'delete')),
+  actor_id     uuid,
+  actor_email  text,
+  changed_at   timestamptz not null default now(),
+  -- { "<column>": { "from": <old value>, "to": <new value> }, ... }
+  changes      jsonb not null default '{}'
+);
+
+create index if not exists audit_log_row_idx
+  on public.audit_log (table_name, row_id, changed_at desc);
+
+-- tg_argv[0] names the key column when it isn't id
+create or replace function public.audit_row_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  key_column text := coalesce(tg_argv[0], 'id');
+  old_row jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+  new_row jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+  diff jsonb;
+begin
+  select coalesce(jsonb_object_agg(key, jsonb_build_object(
+           'from', coalesce(old_row -> key, 'null'),
+           'to', coalesce(new_row -> key, 'null'))), '{}')
+    into diff
+  from jsonb_object_keys(coalesce(new_row, old_row)) as key
+  -- Timestamps every save touches; on their own they are not a change
+  where key not in ('updated_at', 'updatedAt', 'created_at', 'createdAt')
+    and coalesce(old_row -> key, 'null') is distinct from coalesce(new_row -> key, 'null');
+
+  if tg_op = 'UPDATE' and diff = '{}' then
+    return new;
+  end if;
+
+  insert into public.audit_log (table_name, row_id, action, actor_id, actor_email, changes)
+  values (
+    tg_table_name,
+    coalesce(new_row, old_row) ->> key_column,
+    lower(tg_op),
+    auth.uid(),
+    auth.jwt() ->> 'email',
+    diff
+  );
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists audit_row_change on public.jobs;
+create trigger audit_row_change
+  after insert or update or delete on public.jobs
+  for each row execute function public.audit_row_change();
+
+drop trigger if exists audit_row_change on public.shipments;
+create trigger audit_row_change
+  after insert or update or delete on public.shipments
+  for each row execute function public.audit_row_change();
+
+drop trigger if exists audit_row_change on public.vendors;
+create trigger audit_row_change
+  after insert or update or delete on public.vendors
+  for each row execute function public.audit_row_change();
+
+drop trigger if exists audit_row_change on public.vendor_bank_details;
+create trigger audit_row_change
+  after insert or update or delete on public.vendor_bank_details
+  for each row execute function public.audit_row_change('vendor_id');
+
+drop trigger if exists audit_row_change on public.payments;
+create trigger audit_row_change
+  after insert or update or delete on public.payments
+  for each row execute function public.audit_row_change();
+
+-- Append-only, even for the service key
+create or replace function public.audit_log_immutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists audit_log_immutable on public.audit_log;
+create trigger audit_log_immutable
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_immutable();
+
+-- Rows are written by the trigger above only. Readers see the history of
+-- what they can read themselves: bank details and payments stay with admin
+-- and accounts (user_roles_schema.sql).
+alter table public.audit_log enable row level security;
+
+drop policy if exists audit_log_select on public.audit_log;
+create policy audit_log_select on public.audit_log
+  for select to authenticated
+  using (
+    table_name not in ('vendor_bank_details', 'payments')
+    or public.has_role('admin', 'accounts')
+  );
@@ -0,0 +1,47 @@
+-- =====================================================
+-- Forced logout (server.js → AuthRevocationList, routes/auth-sessions.js).
+-- The API verifies access tokens locally, so a token stays valid until it
+-- expires unless it is listed here. A row blocks one session (session_id)
+-- or, without one, every token of the user issued before revoked_before.
+-- Rows are only read until expires_at, by which time every token they block
+-- has expired anyway. Run once in the Supabase SQL editor.
+-- =====================================================
+
+create table if not exists public.auth_revocations (
+  id              bigserial primary key,
+  user_id         uuid not null,
+  session_id      uuid,
+  revoked_before  timestamptz not null default now(),
+  expires_at      timestamptz not null,
+  reason          text,
+  revoked_by      text,
+  created_at      timestamptz not null default now()
+);
+
+create index if not exists auth_revocations_expires_idx
+  on public.auth_revocations (expires_at);
+
+-- Only the backend (service key) reads or writes revocations
+alter table public.auth_revocations enable row level security;
+
+-- Deleting the sessions deletes their refresh tokens, so a revoked client
+-- can't mint a fresh access token. Callable with the service key only.
+create or replace function public.end_user_sessions(p_user_id uuid, p_session_id uuid default null)
+returns integer
+language plpgsql
+security definer
+set search_path = auth, public
+as $$
+declare
+  ended integer;
+begin
+  delete from auth.sessions
+  where user_id = p_user_id
+    and (p_session_id is null or id = p_session_id);
+  get diagnostics ended = row_count;
+  return ended;
+end;
+$$;
+
+revoke all on function public.end_user_sessions(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.end_user_sessions(uuid, uuid) to service_role;
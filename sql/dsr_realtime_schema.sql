@@ -0,0 +1,19 @@
+-- =====================================================
+-- Live DSR grid (src/hooks/useDsrLive.js). Publishes row changes on
+-- shipments to Supabase realtime so every open grid patches them in.
+-- Realtime respects RLS: signed-in users already read every shipment
+-- (user_roles_schema.sql); deletes arrive with the id only. Presence
+-- needs no tables.
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'shipments'
+  ) then
+    alter publication supabase_realtime add table public.shipments;
+  end if;
+end;
+$$;
@@ -0,0 +1,61 @@
+-- =====================================================
+-- Scheduled DSR emails (server.js → dsrScheduler, sendDsrReport;
+-- routes/dsr-subscriptions.js). Each subscription mails one client's DSR
+-- as an XLSX, built with the same rows and templates as the DSR page,
+-- from a shared mailbox on a daily or weekly schedule. Every attempt,
+-- scheduled or "Send now", is logged in dsr_subscription_sends; the mail
+-- itself is also in sent_emails (kind 'dsr').
+-- Run once in the Supabase SQL editor, after dsr_templates_schema.sql and
+-- sent_emails_schema.sql.
+-- =====================================================
+
+create table if not exists public.dsr_subscriptions (
+  id             bigint generated always as identity primary key,
+  client         text not null,                       -- organizations.name, as shipments.client
+  enabled        boolean not null default true,
+  account_id     integer not null,                    -- mailbox it is sent from
+  recipients     text[] not null,
+  cc             text[] not null default '{}',
+  frequency      text not null default 'daily' check (frequency in ('daily', 'weekly')),
+  weekday        smallint check (weekday between 0 and 6), -- 0 = Sunday; weekly only
+  send_time      time not null default '09:00',
+  timezone       text not null default 'Asia/Kolkata',
+  template_id    bigint references public.dsr_templates (id) on delete set null, -- null: the client's template
+  filter         text not null default 'open' check (filter in ('all', 'open')),
+  subject        text,
+  body           text,
+  created_by     text,                                -- staff email; scheduled mail is sent as them
+  created_by_id  uuid,
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz not null default now(),
+  last_run_for   timestamptz,                         -- the scheduled time last handled
+  check (frequency = 'daily' or weekday is not null)
+);
+
+create table if not exists public.dsr_subscription_sends (
+  id               bigint generated always as identity primary key,
+  subscription_id  bigint references public.dsr_subscriptions (id) on delete set null,
+  client           text not null,
+  trigger          text not null check (trigger in ('scheduled', 'manual')),
+  scheduled_for    timestamptz,                       -- null for manual sends
+  status           text not null check (status in ('sent', 'failed', 'skipped')),
+  record_count     integer,
+  recipients       text,
+  sent_email_id    uuid,                              -- sent_emails.id
+  message_id       text,
+  accepted         jsonb not null default '[]'::jsonb,
+  rejected         jsonb not null default '[]'::jsonb,
+  error            text,
+  sent_by_email    text,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists dsr_subscription_sends_subscription_idx
+  on public.dsr_subscription_sends (subscription_id, created_at desc);
+
+create index if not exists dsr_subscription_sends_created_idx
+  on public.dsr_subscription_sends (created_at desc);
+
+-- Only the backend (service key) reads and writes subscriptions
+alter table public.dsr_subscriptions enable row level security;
+alter table public.dsr_subscription_sends enable row level security;
@@ -0,0 +1,41 @@
+-- =====================================================
+-- DSR column templates (src/lib/dsrTemplates.js, Settings → DSR templates).
+-- A template lists the DSR fields a client's report shows, in order, each
+-- with its header and optionally its own date format:
+--   columns = [{ "field": "INVNO", "header": "Invoice", "dateFormat": null }, ...]
+-- Each client (organizations.name, as shipments.client) uses at most one
+-- template; clients without one get the standard layout.
+-- Run once in the Supabase SQL editor, after user_roles_schema.sql.
+-- =====================================================
+
+create table if not exists public.dsr_templates (
+  id           bigint generated always as identity primary key,
+  name         text not null unique,
+  columns      jsonb not null default '[]'::jsonb,
+  date_format  text not null default 'YYYY-MM-DD'
+               check (date_format in ('YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MMM-YYYY', 'MM/DD/YYYY')),
+  updated_by   text,
+  updated_at   timestamptz not null default now()
+);
+
+create table if not exists public.dsr_template_clients (
+  client       text primary key,
+  template_id  bigint not null references public.dsr_templates (id) on delete cascade
+);
+
+-- Everyone who sees the DSR reads templates; admin and operations
+-- (dsr.templates in permissions.js) maintain them
+alter table public.dsr_templates enable row level security;
+alter table public.dsr_template_clients enable row level security;
+
+drop policy if exists dsr_templates_select on public.dsr_templates;
+drop policy if exists dsr_templates_write on public.dsr_templates;
+create policy dsr_templates_select on public.dsr_templates for select to authenticated using (true);
+create policy dsr_templates_write on public.dsr_templates for all to authenticated
+  using (public.has_role('admin', 'operations')) with check (public.has_role('admin', 'operations'));
+
+drop policy if exists dsr_template_clients_select on public.dsr_template_clients;
+drop policy if exists dsr_template_clients_write on public.dsr_template_clients;
+create policy dsr_template_clients_select on public.dsr_template_clients for select to authenticated using (true);
+create policy dsr_template_clients_write on public.dsr_template_clients for all to authenticated
+  using (public.has_role('admin', 'operations')) with check (public.has_role('admin', 'operations'));
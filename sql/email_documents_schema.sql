@@ -0,0 +1,125 @@
+-- =====================================================
+-- Attachment processing: document types
+-- (server.js → processStoredAttachments, classifyDocument,
+-- POST /api/admin/attachments/reprocess, GET /api/emails?documentType=).
+-- Run once in the Supabase SQL editor, after email_search_schema.sql.
+-- =====================================================
+
+-- Distinct types of the email's attachments: invoice, bill_of_lading,
+-- shipping_bill, packing_list, other. Null = not processed yet (mail stored
+-- before this migration; POST /api/admin/attachments/reprocess fills it in).
+-- Each entry of emails.attachments also gains documentType/textExtracted.
+alter table public.emails
+  add column if not exists document_types text[];
+
+update public.emails
+set document_types = '{}'
+where document_types is null and not coalesce(has_attachments, false);
+
+create index if not exists emails_document_types_idx
+  on public.emails using gin (document_types);
+
+-- search_emails gains a document type filter and returns document_types.
+-- The signature changes, so the old function is dropped first.
+drop function if exists public.search_emails(
+  text, integer[], text, timestamptz, timestamptz, boolean, bigint, text, integer, integer
+);
+
+create or replace function public.search_emails(
+  p_query            text,
+  p_account_ids      integer[],
+  p_folder           text default null,
+  p_date_from        timestamptz default null,
+  p_date_to          timestamptz default null,
+  p_has_attachments  boolean default null,
+  p_document_type    text default null,
+  p_linked_shipment  bigint default null,
+  p_sort             text default 'relevance',
+  p_limit            integer default 50,
+  p_offset           integer default 0
+)
+returns table (
+  message_id         text,
+  account_id         integer,
+  subject            text,
+  from_text          text,
+  to_text            text,
+  date               timestamptz,
+  has_attachments    boolean,
+  attachments_count  integer,
+  folder             text,
+  folders            text[],
+  document_types     text[],
+  rank               real,
+  subject_highlight  text,
+  snippet            text,
+  total_count        bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with q as (
+    select case when nullif(trim(p_query), '') is not null
+      then websearch_to_tsquery('english', p_query) end as tsq
+  ),
+  matches as (
+    select e.*, coalesce(ts_rank_cd(e.search_vector, q.tsq), 0) as rank, q.tsq
+    from public.emails e, q
+    where (q.tsq is null or e.search_vector @@ q.tsq)
+      and e.account_id = any (p_account_ids)
+      and (p_folder is null or e.folders @> array[p_folder])
+      and (p_date_from is null or e.date >= p_date_from)
+      and (p_date_to is null or e.date < p_date_to)
+      and (p_has_attachments is null or e.has_attachments = p_has_attachments)
+      and (p_document_type is null or e.document_types @> array[p_document_type])
+      and (p_linked_shipment is null or exists (
+        select 1 from public.email_links l
+        where l.message_id = e.message_id
+          and l.account_id = e.account_id
+          and l.entity_type = 'shipment'
+          and (p_linked_shipment = 0 or l.entity_id = p_linked_shipment)
+      ))
+  ),
+  page as (
+    select m.*, count(*) over () as total_count
+    from matches m
+    order by
+      case when p_sort = 'date_asc' then m.date end asc,
+      case when p_sort = 'date_desc' then m.date end desc,
+      case when p_sort = 'subject_asc' then m.subject end asc,
+      case when p_sort = 'subject_desc' then m.subject end desc,
+      m.rank desc,
+      m.date desc
+    limit p_limit offset p_offset
+  )
+  select
+    p.message_id,
+    p.account_id,
+    p.subject,
+    p.from_text,
+    p.to_text,
+    p.date,
+    p.has_attachments,
+    p.attachments_count,
+    p.folder,
+    p.folders,
+    p.document_types,
+    p.rank,
+    ts_headline('english', coalesce(p.subject, ''), p.tsq,
+      format('StartSel=%s, StopSel=%s, HighlightAll=true', chr(2), chr(3))),
+    ts_headline('english',
+      left(coalesce(p.text_content, '') || E'\n' || coalesce(p.attachment_text, ''), 50000), p.tsq,
+      format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))),
+    p.total_count
+  from page p
+  order by
+    case when p_sort = 'date_asc' then p.date end asc,
+    case when p_sort = 'date_desc' then p.date end desc,
+    case when p_sort = 'subject_asc' then p.subject end asc,
+    case when p_sort = 'subject_desc' then p.subject end desc,
+    p.rank desc,
+    p.date desc;
+$$;
+
+revoke execute on function public.search_emails from public, anon, authenticated;
@@ -0,0 +1,54 @@
+-- =====================================================
+-- Two-way flag sync (server.js → FlagSyncManager, routes/flag-sync.js).
+-- Opt-in per mailbox: read/unread, starred, archive and admin purges made
+-- in the dashboard are pushed back to the IMAP server. Changes wait in
+-- email_flag_sync_queue until the server is reachable; a change the mailbox
+-- has contradicted since the last sync is held as a conflict for an admin.
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+alter table public.mail_accounts
+  add column if not exists flag_sync boolean not null default false;
+
+-- Flags the server reported when the message was fetched or last pushed;
+-- null for mail stored before this migration (no conflict check possible)
+alter table public.emails
+  add column if not exists imap_flags text[];
+
+create table if not exists public.email_flag_sync_queue (
+  id                 bigserial primary key,
+  account_id         integer not null,
+  message_id         text not null,
+  -- seen / flagged: value is the flag state to set
+  -- archive: true moves out of INBOX, false moves back
+  -- delete: an admin purge; value is always true
+  action             text not null check (action in ('seen', 'flagged', 'archive', 'delete')),
+  value              boolean not null,
+  -- Where the message was stored from when the change was queued; purged
+  -- mail has no emails row left to look this up in
+  folder             text not null default 'INBOX',
+  imap_uid           bigint,
+  imap_uid_validity  bigint,
+  requested_by       text,
+  -- pending → done | skipped | conflict | failed; superseded by a later
+  -- change to the same flag; discarded when an admin keeps the server's value
+  status             text not null default 'pending'
+                     check (status in ('pending', 'done', 'skipped', 'conflict', 'failed', 'superseded', 'discarded')),
+  force              boolean not null default false,  -- admin chose the dashboard's value
+  server_value       boolean,                          -- what the server had, for conflicts
+  attempts           integer not null default 0,
+  last_error         text,
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now(),
+  applied_at         timestamptz
+);
+
+create index if not exists email_flag_sync_queue_pending_idx
+  on public.email_flag_sync_queue (account_id, id)
+  where status = 'pending';
+
+create index if not exists email_flag_sync_queue_status_idx
+  on public.email_flag_sync_queue (account_id, status, created_at desc);
+
+-- Only the backend (service key) touches the queue
+alter table public.email_flag_sync_queue enable row level security;
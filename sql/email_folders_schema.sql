@@ -0,0 +1,23 @@
+-- =====================================================
+-- Multi-folder ingestion (server.js → fetchFolderEmails,
+-- recordFolderMembership, GET /api/emails?folder=).
+-- Each account syncs every folder in mail_accounts.folders; sync state is
+-- tracked per (account, folder) because IMAP UIDs are folder-scoped.
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+-- Existing cursors all belong to INBOX
+alter table public.email_sync_state
+  add column if not exists folder text not null default 'INBOX';
+
+alter table public.email_sync_state drop constraint if exists email_sync_state_pkey;
+alter table public.email_sync_state add primary key (account_id, folder);
+
+-- folder: where the message was first stored from (imap_uid belongs to it)
+-- folders: every synced folder the message has been seen in
+alter table public.emails
+  add column if not exists folder text not null default 'INBOX',
+  add column if not exists folders text[] not null default '{INBOX}';
+
+create index if not exists emails_folders_idx
+  on public.emails using gin (folders);
@@ -0,0 +1,14 @@
+-- =====================================================
+-- Threading headers + CC on ingested mail (processEmailFast)
+-- Needed to build replies that stay in the recipient's thread.
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+alter table public.emails
+  add column if not exists cc_text text,
+  add column if not exists in_reply_to text,
+  add column if not exists reference_ids text[] not null default '{}';
+
+-- Reply-To of ingested mail; replies go there instead of From when set
+alter table public.emails
+  add column if not exists reply_to_text text;
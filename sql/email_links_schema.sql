@@ -0,0 +1,100 @@
+-- =====================================================
+-- Emails auto-linked to shipments and jobs
+-- (server.js → processEmailFast / findLinkedRecords / saveEmailLinks,
+-- /api/email-links)
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+create table if not exists public.email_links (
+  id             bigint generated always as identity primary key,
+  message_id     text not null,
+  account_id     integer not null,
+  entity_type    text not null check (entity_type in ('shipment', 'job')),
+  entity_id      bigint not null,
+  matched_field  text not null,     -- Job No, HBL, MBL, AWB, Container, Shipping Bill
+  matched_value  text not null,
+  created_at     timestamptz not null default now(),
+  unique (message_id, account_id, entity_type, entity_id)
+);
+
+create index if not exists email_links_entity_idx
+  on public.email_links (entity_type, entity_id);
+
+-- Only the backend (service key) reads and writes links
+alter table public.email_links enable row level security;
+
+-- Reference lookup for the linker (server.js → findLinkedRecords). People
+-- type references with spaces and in any case ("abcu 123456 7"), so both
+-- sides are compared upper-cased with whitespace removed; the expression
+-- indexes keep that an index lookup. p_candidates must already be compacted
+-- the same way. One row per matching column.
+create or replace function public.compact_reference(value text)
+returns text
+language sql
+immutable
+parallel safe
+as $$
+  select nullif(upper(regexp_replace(value, '\s+', '', 'g')), '')
+$$;
+
+create index if not exists jobs_job_no_ref_idx on public.jobs (public.compact_reference(job_no::text));
+create index if not exists jobs_hbl_no_ref_idx on public.jobs (public.compact_reference(hbl_no::text));
+create index if not exists jobs_mbl_no_ref_idx on public.jobs (public.compact_reference(mbl_no::text));
+create index if not exists jobs_awb_ref_idx on public.jobs (public.compact_reference(awb::text));
+create index if not exists jobs_container_no_ref_idx on public.jobs (public.compact_reference(container_no::text));
+create index if not exists jobs_sb_no_ref_idx on public.jobs (public.compact_reference(sb_no::text));
+
+create index if not exists shipments_job_no_ref_idx on public.shipments (public.compact_reference(job_no::text));
+create index if not exists shipments_hbl_no_ref_idx on public.shipments (public.compact_reference(hbl_no::text));
+create index if not exists shipments_mbl_no_ref_idx on public.shipments (public.compact_reference("mblNo"::text));
+create index if not exists shipments_awb_ref_idx on public.shipments (public.compact_reference(awb::text));
+create index if not exists shipments_container_no_ref_idx on public.shipments (public.compact_reference("containerNo"::text));
+create index if not exists shipments_sb_no_ref_idx on public.shipments (public.compact_reference("sbNo"::text));
+
+create or replace function public.find_reference_links(p_candidates text[])
+returns table (
+  entity_type    text,
+  entity_id      bigint,
+  matched_field  text,
+  matched_value  text
+)
+language sql
+stable
+security invoker
+as $$
+  (
+    select 'job', j.id::bigint, r.field, r.value
+    from public.jobs j
+    cross join lateral (values
+      (1, 'Job No', j.job_no::text), (2, 'HBL', j.hbl_no::text), (3, 'MBL', j.mbl_no::text),
+      (4, 'AWB', j.awb::text), (5, 'Container', j.container_no::text), (6, 'Shipping Bill', j.sb_no::text)
+    ) as r(position, field, value)
+    where (public.compact_reference(j.job_no::text) = any (p_candidates)
+        or public.compact_reference(j.hbl_no::text) = any (p_candidates)
+        or public.compact_reference(j.mbl_no::text) = any (p_candidates)
+        or public.compact_reference(j.awb::text) = any (p_candidates)
+        or public.compact_reference(j.container_no::text) = any (p_candidates)
+        or public.compact_reference(j.sb_no::text) = any (p_candidates))
+      and public.compact_reference(r.value) = any (p_candidates)
+    order by j.id, r.position
+    limit 50
+  )
+  union all
+  (
+    select 'shipment', s.id::bigint, r.field, r.value
+    from public.shipments s
+    cross join lateral (values
+      (1, 'Job No', s.job_no::text), (2, 'HBL', s.hbl_no::text), (3, 'MBL', s."mblNo"::text),
+      (4, 'AWB', s.awb::text), (5, 'Container', s."containerNo"::text), (6, 'Shipping Bill', s."sbNo"::text)
+    ) as r(position, field, value)
+    where (public.compact_reference(s.job_no::text) = any (p_candidates)
+        or public.compact_reference(s.hbl_no::text) = any (p_candidates)
+        or public.compact_reference(s."mblNo"::text) = any (p_candidates)
+        or public.compact_reference(s.awb::text) = any (p_candidates)
+        or public.compact_reference(s."containerNo"::text) = any (p_candidates)
+        or public.compact_reference(s."sbNo"::text) = any (p_candidates))
+      and public.compact_reference(r.value) = any (p_candidates)
+    order by s.id, r.position
+    limit 50
+  )
+$$;
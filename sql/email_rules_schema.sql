@@ -0,0 +1,182 @@
+-- =====================================================
+-- Inbound email rules (server.js → EmailRulesManager, applyEmailRules;
+-- routes/email-rules.js). Rules are evaluated on every ingested email in
+-- priority order before it is stored.
+-- Run once in the Supabase SQL editor, after email_documents_schema.sql.
+-- =====================================================
+
+-- conditions (all given ones must match; any entry of a list matches):
+--   { "accountIds": [1], "senderDomains": ["maersk.com"],
+--     "subjectPattern": "booking confirm", "attachmentTypes": ["bill_of_lading", "pdf"] }
+-- actions:
+--   { "labels": ["Carrier"], "markImportant": true, "organization": "ACME Exports",
+--     "forwardTo": ["ops@seal.co.in"], "delete": false }
+create table if not exists public.email_rules (
+  id               bigint generated always as identity primary key,
+  name             text not null,
+  enabled          boolean not null default true,
+  priority         integer not null default 100,   -- lower runs first
+  stop_processing  boolean not null default false, -- skip later rules on a match
+  conditions       jsonb not null default '{}',
+  actions          jsonb not null default '{}',
+  created_by       text,                           -- admin email
+  created_by_id    uuid,                           -- sender of forwarded messages
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+-- One row per rule match, including emails the rule deleted
+create table if not exists public.email_rule_hits (
+  id          bigint generated always as identity primary key,
+  rule_id     bigint references public.email_rules (id) on delete set null,
+  rule_name   text not null,
+  message_id  text not null,
+  account_id  integer not null,
+  subject     text,
+  actions     jsonb not null default '{}',   -- what was applied
+  error       text,                          -- e.g. forward recipient unknown
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists email_rule_hits_rule_idx
+  on public.email_rule_hits (rule_id, created_at desc);
+
+create index if not exists email_rule_hits_created_idx
+  on public.email_rule_hits (created_at desc);
+
+-- Results of rule actions on the stored email
+alter table public.emails
+  add column if not exists labels text[] not null default '{}',
+  add column if not exists is_important boolean not null default false,
+  add column if not exists client_organization text;   -- organizations.name, as jobs.client
+
+create index if not exists emails_labels_idx
+  on public.emails using gin (labels);
+
+-- search_emails gains a label filter and returns the rule-set columns.
+-- The signature changes, so the old function is dropped first.
+drop function if exists public.search_emails(
+  text, integer[], text, timestamptz, timestamptz, boolean, text, bigint, text, integer, integer
+);
+
+create or replace function public.search_emails(
+  p_query            text,
+  p_account_ids      integer[],
+  p_folder           text default null,
+  p_date_from        timestamptz default null,
+  p_date_to          timestamptz default null,
+  p_has_attachments  boolean default null,
+  p_document_type    text default null,
+  p_label            text default null,
+  p_linked_shipment  bigint default null,
+  p_sort             text default 'relevance',
+  p_limit            integer default 50,
+  p_offset           integer default 0
+)
+returns table (
+  message_id         text,
+  account_id         integer,
+  subject            text,
+  from_text          text,
+  to_text            text,
+  date               timestamptz,
+  has_attachments    boolean,
+  attachments_count  integer,
+  folder             text,
+  folders            text[],
+  document_types     text[],
+  labels             text[],
+  is_important       boolean,
+  client_organization text,
+  rank               real,
+  subject_highlight  text,
+  snippet            text,
+  total_count        bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with q as (
+    select case when nullif(trim(p_query), '') is not null
+      then websearch_to_tsquery('english', p_query) end as tsq
+  ),
+  matches as (
+    select e.*, coalesce(ts_rank_cd(e.search_vector, q.tsq), 0) as rank, q.tsq
+    from public.emails e, q
+    where (q.tsq is null or e.search_vector @@ q.tsq)
+      and e.account_id = any (p_account_ids)
+      and (p_folder is null or e.folders @> array[p_folder])
+      and (p_date_from is null or e.date >= p_date_from)
+      and (p_date_to is null or e.date < p_date_to)
+      and (p_has_attachments is null or e.has_attachments = p_has_attachments)
+      and (p_document_type is null or e.document_types @> array[p_document_type])
+      and (p_label is null or e.labels @> array[p_label])
+      and (p_linked_shipment is null or exists (
+        select 1 from public.email_links l
+        where l.message_id = e.message_id
+          and l.account_id = e.account_id
+          and l.entity_type = 'shipment'
+          and (p_linked_shipment = 0 or l.entity_id = p_linked_shipment)
+      ))
+  ),
+  page as (
+    select m.*, count(*) over () as total_count
+    from matches m
+    order by
+      case when p_sort = 'date_asc' then m.date end asc,
+      case when p_sort = 'date_desc' then m.date end desc,
+      case when p_sort = 'subject_asc' then m.subject end asc,
+      case when p_sort = 'subject_desc' then m.subject end desc,
+      m.rank desc,
+      m.date desc
+    limit p_limit offset p_offset
+  )
+  select
+    p.message_id,
+    p.account_id,
+    p.subject,
+    p.from_text,
+    p.to_text,
+    p.date,
+    p.has_attachments,
+    p.attachments_count,
+    p.folder,
+    p.folders,
+    p.document_types,
+    p.labels,
+    p.is_important,
+    p.client_organization,
+    p.rank,
+    ts_headline('english', coalesce(p.subject, ''), p.tsq,
+      format('StartSel=%s, StopSel=%s, HighlightAll=true', chr(2), chr(3))),
+    ts_headline('english',
+      left(coalesce(p.text_content, '') || E'\n' || coalesce(p.attachment_text, ''), 50000), p.tsq,
+      format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))),
+    p.total_count
+  from page p
+  order by
+    case when p_sort = 'date_asc' then p.date end asc,
+    case when p_sort = 'date_desc' then p.date end desc,
+    case when p_sort = 'subject_asc' then p.subject end asc,
+    case when p_sort = 'subject_desc' then p.subject end desc,
+    p.rank desc,
+    p.date desc;
+$$;
+
+revoke execute on function public.search_emails from public, anon, authenticated;
+
+-- Emails a rule deleted. They are never stored, so without this a resync,
+-- backfill or "latest" fetch would see them as new and forward them again.
+create table if not exists public.email_rule_deletions (
+  message_id  text not null,
+  account_id  integer not null,
+  rule_id     bigint references public.email_rules (id) on delete set null,
+  created_at  timestamptz not null default now(),
+  primary key (message_id, account_id)
+);
+
+-- Only the backend (service key) reads and writes rules
+alter table public.email_rules enable row level security;
+alter table public.email_rule_hits enable row level security;
+alter table public.email_rule_deletions enable row level security;
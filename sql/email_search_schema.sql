@@ -0,0 +1,128 @@
+-- =====================================================
+-- Full-text email search (server.js → extractAttachmentText,
+-- GET /api/emails?search=).
+-- Run once in the Supabase SQL editor. Mail stored before this migration is
+-- searchable by subject, sender and body straight away; its attachment text
+-- is only indexed for mail ingested afterwards.
+-- =====================================================
+
+-- Text pulled out of PDF and spreadsheet attachments at ingest
+alter table public.emails
+  add column if not exists attachment_text text;
+
+-- Subject outranks sender, sender outranks body, body outranks attachments
+alter table public.emails
+  add column if not exists search_vector tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(from_text, '') || ' ' || coalesce(to_text, '')), 'B') ||
+    setweight(to_tsvector('english', left(coalesce(text_content, ''), 200000)), 'C') ||
+    setweight(to_tsvector('english', left(coalesce(attachment_text, ''), 200000)), 'D')
+  ) stored;
+
+create index if not exists emails_search_vector_idx
+  on public.emails using gin (search_vector);
+
+create index if not exists emails_account_date_idx
+  on public.emails (account_id, date desc);
+
+-- Ranked search with highlighted subject and snippet. Matches are wrapped in
+-- chr(2) … chr(3) rather than HTML so the client can highlight without
+-- rendering mail content as markup. total_count is the full match count for
+-- pagination. With an empty p_query it is a plain filtered listing (used for
+-- the linked-shipment filter). p_linked_shipment: a shipment id, or 0 for
+-- "any shipment".
+create or replace function public.search_emails(
+  p_query            text,
+  p_account_ids      integer[],
+  p_folder           text default null,
+  p_date_from        timestamptz default null,
+  p_date_to          timestamptz default null,
+  p_has_attachments  boolean default null,
+  p_linked_shipment  bigint default null,
+  p_sort             text default 'relevance',
+  p_limit            integer default 50,
+  p_offset           integer default 0
+)
+returns table (
+  message_id         text,
+  account_id         integer,
+  subject            text,
+  from_text          text,
+  to_text            text,
+  date               timestamptz,
+  has_attachments    boolean,
+  attachments_count  integer,
+  folder             text,
+  folders            text[],
+  rank               real,
+  subject_highlight  text,
+  snippet            text,
+  total_count        bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with q as (
+    select case when nullif(trim(p_query), '') is not null
+      then websearch_to_tsquery('english', p_query) end as tsq
+  ),
+  matches as (
+    select e.*, coalesce(ts_rank_cd(e.search_vector, q.tsq), 0) as rank, q.tsq
+    from public.emails e, q
+    where (q.tsq is null or e.search_vector @@ q.tsq)
+      and e.account_id = any (p_account_ids)
+      and (p_folder is null or e.folders @> array[p_folder])
+      and (p_date_from is null or e.date >= p_date_from)
+      and (p_date_to is null or e.date < p_date_to)
+      and (p_has_attachments is null or e.has_attachments = p_has_attachments)
+      and (p_linked_shipment is null or exists (
+        select 1 from public.email_links l
+        where l.message_id = e.message_id
+          and l.account_id = e.account_id
+          and l.entity_type = 'shipment'
+          and (p_linked_shipment = 0 or l.entity_id = p_linked_shipment)
+      ))
+  ),
+  page as (
+    select m.*, count(*) over () as total_count
+    from matches m
+    order by
+      case when p_sort = 'date_asc' then m.date end asc,
+      case when p_sort = 'date_desc' then m.date end desc,
+      case when p_sort = 'subject_asc' then m.subject end asc,
+      case when p_sort = 'subject_desc' then m.subject end desc,
+      m.rank desc,
+      m.date desc
+    limit p_limit offset p_offset
+  )
+  select
+    p.message_id,
+    p.account_id,
+    p.subject,
+    p.from_text,
+    p.to_text,
+    p.date,
+    p.has_attachments,
+    p.attachments_count,
+    p.folder,
+    p.folders,
+    p.rank,
+    ts_headline('english', coalesce(p.subject, ''), p.tsq,
+      format('StartSel=%s, StopSel=%s, HighlightAll=true', chr(2), chr(3))),
+    ts_headline('english',
+      left(coalesce(p.text_content, '') || E'\n' || coalesce(p.attachment_text, ''), 50000), p.tsq,
+      format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))),
+    p.total_count
+  from page p
+  order by
+    case when p_sort = 'date_asc' then p.date end asc,
+    case when p_sort = 'date_desc' then p.date end desc,
+    case when p_sort = 'subject_asc' then p.subject end asc,
+    case when p_sort = 'subject_desc' then p.subject end desc,
+    p.rank desc,
+    p.date desc;
+$$;
+
+-- Only the backend (service key) calls this
+revoke execute on function public.search_emails from public, anon, authenticated;
@@ -0,0 +1,31 @@
+-- =====================================================
+-- Incremental IMAP sync (server.js → fetchAccountEmailsFast)
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+-- Per-account cursor. UIDs are only meaningful together with the
+-- UIDVALIDITY they were issued under; a change forces a full resync.
+create table if not exists public.email_sync_state (
+  account_id     integer primary key,
+  uid_validity   bigint,
+  last_uid       bigint not null default 0,   -- highest UID stored
+  backfill_uid   bigint,                       -- lowest UID stored; 1 = history complete
+  last_synced_at timestamptz,
+  updated_at     timestamptz not null default now()
+);
+
+-- Where each stored message came from on the IMAP server
+alter table public.emails
+  add column if not exists imap_uid bigint,
+  add column if not exists imap_uid_validity bigint;
+
+create index if not exists emails_account_uid_idx
+  on public.emails (account_id, imap_uid);
+
+-- Only the backend (service key) touches sync state
+alter table public.email_sync_state enable row level security;
+
+-- Messages the database refused to store, [{ uid, messageId, error, at }].
+-- The cursor moves past them so one bad message can't stall the folder.
+alter table public.email_sync_state
+  add column if not exists failed_rows jsonb not null default '[]'::jsonb;
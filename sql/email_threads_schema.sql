@@ -0,0 +1,47 @@
+-- =====================================================
+-- Conversation threading (server.js → assignThreads, /api/threads)
+-- Run once in the Supabase SQL editor, after email_headers_schema.sql.
+-- =====================================================
+
+-- thread_id is the Message-ID of the conversation root (or the first
+-- message we saw of it); normalized_subject drives the subject fallback.
+alter table public.emails
+  add column if not exists thread_id text,
+  add column if not exists normalized_subject text;
+
+create index if not exists emails_account_thread_idx
+  on public.emails (account_id, thread_id, date);
+
+create index if not exists emails_account_subject_idx
+  on public.emails (account_id, normalized_subject, date desc);
+
+-- Mail ingested before threading: root of the References chain, else the
+-- parent, else the message itself. New mail is threaded on ingestion.
+update public.emails
+   set thread_id = coalesce(reference_ids[1], in_reply_to, message_id)
+ where thread_id is null;
+
+update public.emails
+   set normalized_subject = lower(regexp_replace(
+         regexp_replace(coalesce(subject, ''), '^(\s*(re|fwd?|aw|wg|sv|vs|tr|rif|antw)(\[\d+\])?\s*:\s*)+', '', 'i'),
+         '\s+', ' ', 'g'))
+ where normalized_subject is null;
+
+-- One row per conversation per mailbox, for the thread list
+create or replace view public.email_threads
+with (security_invoker = true) as
+select
+  account_id,
+  thread_id,
+  count(*)                                            as message_count,
+  min(date)                                           as first_date,
+  max(date)                                           as last_date,
+  (array_agg(subject order by date asc))[1]           as subject,
+  (array_agg(from_text order by date desc))[1]        as last_from,
+  (array_agg(message_id order by date desc))[1]       as last_message_id,
+  array_agg(distinct from_text)                       as participants,
+  bool_or(has_attachments)                            as has_attachments,
+  sum(coalesce(attachments_count, 0))                 as attachments_count
+from public.emails
+where thread_id is not null
+group by account_id, thread_id;
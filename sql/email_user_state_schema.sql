@@ -0,0 +1,177 @@
+-- =====================================================
+-- Per-user email state (routes/email-state.js, GET /api/emails filters,
+-- DELETE /api/emails/:messageId).
+-- Run once in the Supabase SQL editor, after email_rules_schema.sql.
+-- =====================================================
+
+-- Each user's view of a stored email in a shared mailbox. No row = unread,
+-- unstarred, in the inbox. Deleting an email archives it for that user only;
+-- a mail admin can still purge it for everyone.
+create table if not exists public.email_user_state (
+  user_email     text not null,                 -- stored lower-case, as grants
+  message_id     text not null,
+  account_id     integer not null,
+  is_read        boolean not null default false,
+  is_starred     boolean not null default false,
+  is_archived    boolean not null default false,
+  snoozed_until  timestamptz,                   -- hidden from the inbox until then
+  labels         text[] not null default '{}',  -- the user's own labels
+  read_at        timestamptz,
+  archived_at    timestamptz,
+  updated_at     timestamptz not null default now(),
+  primary key (user_email, account_id, message_id)
+);
+
+create index if not exists email_user_state_email_idx
+  on public.email_user_state (account_id, message_id);
+
+create index if not exists email_user_state_labels_idx
+  on public.email_user_state using gin (labels);
+
+-- Only the backend (service key) reads and writes state
+alter table public.email_user_state enable row level security;
+
+-- search_emails gains the caller's state: it is returned with each row and
+-- filterable. By default archived and currently snoozed mail is left out;
+-- pass null for p_archived/p_snoozed to include it. The signature changes,
+-- so the old function is dropped first.
+drop function if exists public.search_emails(
+  text, integer[], text, timestamptz, timestamptz, boolean, text, text, bigint, text, integer, integer
+);
+
+create or replace function public.search_emails(
+  p_query            text,
+  p_account_ids      integer[],
+  p_folder           text default null,
+  p_date_from        timestamptz default null,
+  p_date_to          timestamptz default null,
+  p_has_attachments  boolean default null,
+  p_document_type    text default null,
+  p_label            text default null,
+  p_linked_shipment  bigint default null,
+  p_user_email       text default null,
+  p_read             boolean default null,
+  p_starred          boolean default null,
+  p_archived         boolean default false,
+  p_snoozed          boolean default false,
+  p_user_label       text default null,
+  p_sort             text default 'relevance',
+  p_limit            integer default 50,
+  p_offset           integer default 0
+)
+returns table (
+  message_id         text,
+  account_id         integer,
+  subject            text,
+  from_text          text,
+  to_text            text,
+  date               timestamptz,
+  has_attachments    boolean,
+  attachments_count  integer,
+  folder             text,
+  folders            text[],
+  document_types     text[],
+  labels             text[],
+  is_important       boolean,
+  client_organization text,
+  is_read            boolean,
+  is_starred         boolean,
+  is_archived        boolean,
+  snoozed_until      timestamptz,
+  user_labels        text[],
+  rank               real,
+  subject_highlight  text,
+  snippet            text,
+  total_count        bigint
+)
+language sql
+stable
+security invoker
+as $$
+  with q as (
+    select case when nullif(trim(p_query), '') is not null
+      then websearch_to_tsquery('english', p_query) end as tsq
+  ),
+  matches as (
+    select e.*, coalesce(ts_rank_cd(e.search_vector, q.tsq), 0) as rank, q.tsq,
+      coalesce(s.is_read, false) as is_read,
+      coalesce(s.is_starred, false) as is_starred,
+      coalesce(s.is_archived, false) as is_archived,
+      s.snoozed_until,
+      coalesce(s.labels, '{}') as user_labels
+    from q, public.emails e
+    left join public.email_user_state s
+      on s.user_email = lower(p_user_email)
+      and s.message_id = e.message_id
+      and s.account_id = e.account_id
+    where (q.tsq is null or e.search_vector @@ q.tsq)
+      and e.account_id = any (p_account_ids)
+      and (p_folder is null or e.folders @> array[p_folder])
+      and (p_date_from is null or e.date >= p_date_from)
+      and (p_date_to is null or e.date < p_date_to)
+      and (p_has_attachments is null or e.has_attachments = p_has_attachments)
+      and (p_document_type is null or e.document_types @> array[p_document_type])
+      and (p_label is null or e.labels @> array[p_label])
+      and (p_read is null or coalesce(s.is_read, false) = p_read)
+      and (p_starred is null or coalesce(s.is_starred, false) = p_starred)
+      and (p_archived is null or coalesce(s.is_archived, false) = p_archived)
+      and (p_snoozed is null or (coalesce(s.snoozed_until, '-infinity') > now()) = p_snoozed)
+      and (p_user_label is null or s.labels @> array[p_user_label])
+      and (p_linked_shipment is null or exists (
+        select 1 from public.email_links l
+        where l.message_id = e.message_id
+          and l.account_id = e.account_id
+          and l.entity_type = 'shipment'
+          and (p_linked_shipment = 0 or l.entity_id = p_linked_shipment)
+      ))
+  ),
+  page as (
+    select m.*, count(*) over () as total_count
+    from matches m
+    order by
+      case when p_sort = 'date_asc' then m.date end asc,
+      case when p_sort = 'date_desc' then m.date end desc,
+      case when p_sort = 'subject_asc' then m.subject end asc,
+      case when p_sort = 'subject_desc' then m.subject end desc,
+      m.rank desc,
+      m.date desc
+    limit p_limit offset p_offset
+  )
+  select
+    p.message_id,
+    p.account_id,
+    p.subject,
+    p.from_text,
+    p.to_text,
+    p.date,
+    p.has_attachments,
+    p.attachments_count,
+    p.folder,
+    p.folders,
+    p.document_types,
+    p.labels,
+    p.is_important,
+    p.client_organization,
+    p.is_read,
+    p.is_starred,
+    p.is_archived,
+    p.snoozed_until,
+    p.user_labels,
+    p.rank,
+    ts_headline('english', coalesce(p.subject, ''), p.tsq,
+      format('StartSel=%s, StopSel=%s, HighlightAll=true', chr(2), chr(3))),
+    ts_headline('english',
+      left(coalesce(p.text_content, '') || E'\n' || coalesce(p.attachment_text, ''), 50000), p.tsq,
+      format('StartSel=%s, StopSel=%s, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))),
+    p.total_count
+  from page p
+  order by
+    case when p_sort = 'date_asc' then p.date end asc,
+    case when p_sort = 'date_desc' then p.date end desc,
+    case when p_sort = 'subject_asc' then p.subject end asc,
+    case when p_sort = 'subject_desc' then p.subject end desc,
+    p.rank desc,
+    p.date desc;
+$$;
+
+revoke execute on function public.search_emails from public, anon, authenticated;
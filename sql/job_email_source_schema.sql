@@ -0,0 +1,16 @@
+-- =====================================================
+-- Jobs created from an email (routes/job-drafts.js, ActiveJob.jsx
+-- "Create job from email").
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+-- The stored email (emails.message_id + account_id) the job was drafted
+-- from. The job also gets an email_links row, so the mail shows under the
+-- job's linked emails.
+alter table public.jobs
+  add column if not exists source_message_id text,
+  add column if not exists source_account_id integer;
+
+create index if not exists jobs_source_email_idx
+  on public.jobs (source_message_id, source_account_id)
+  where source_message_id is not null;
@@ -0,0 +1,55 @@
+-- =====================================================
+-- Mailbox accounts and access grants (server.js → EmailConfigManager,
+-- routes/mail-accounts.js). Replaces EMAIL_CONFIG_n and the hard-coded
+-- USER_EMAIL_MAPPING.
+-- Run once in the Supabase SQL editor. On first start with an empty table
+-- the server imports EMAIL_CONFIG_n (needs MAIL_SECRET_KEY); remove those
+-- variables afterwards.
+-- =====================================================
+
+-- id doubles as emails.account_id, so existing mail keeps its mailbox
+create table if not exists public.mail_accounts (
+  id                  integer primary key,
+  email               text not null unique,
+  display_name        text,
+  username            text,                          -- login name when it differs from email
+  password_encrypted  text not null,                 -- AES-256-GCM, v1:iv:tag:ciphertext
+  imap_host           text not null default 'imap.gmail.com',
+  imap_port           integer not null default 993,
+  imap_tls            boolean not null default true,
+  smtp_host           text not null default 'smtp.gmail.com',
+  smtp_port           integer not null default 465,
+  smtp_secure         boolean not null default true,
+  folders             text[] not null default '{INBOX}',
+  enabled             boolean not null default true,
+  created_by          text,
+  created_at          timestamptz not null default now(),
+  updated_at          timestamptz not null default now()
+);
+
+create table if not exists public.mail_account_grants (
+  account_id  integer not null references public.mail_accounts (id) on delete cascade,
+  user_email  text not null,                         -- stored lower-case
+  granted_by  text,
+  created_at  timestamptz not null default now(),
+  primary key (account_id, user_email)
+);
+
+-- Only the backend (service key) reads these; secrets never reach the browser
+alter table public.mail_accounts enable row level security;
+alter table public.mail_account_grants enable row level security;
+
+-- The former USER_EMAIL_MAPPING. Run after the accounts exist (first server
+-- start imports them), or add grants from Settings → Mailboxes instead.
+insert into public.mail_account_grants (account_id, user_email, granted_by)
+select g.account_id, g.user_email, 'migration'
+from (values
+  (1, 'info@seal.co.in'),
+  (2, 'pankaj.singh@seal.co.in'),
+  (1, 'anshuman.singh@seal.co.in'),
+  (2, 'anshuman.singh@seal.co.in'),
+  (1, 'transport@seal.co.in'),
+  (2, 'transport@seal.co.in')
+) as g (account_id, user_email)
+where exists (select 1 from public.mail_accounts a where a.id = g.account_id)
+on conflict do nothing;
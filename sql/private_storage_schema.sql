@@ -0,0 +1,37 @@
+-- =====================================================
+-- Private storage buckets (routes/files.js → POST /api/files/signed-url).
+-- Every bucket the app uses becomes private; files are read through
+-- short-lived signed URLs issued after an access check.
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+update storage.buckets
+set public = false
+where id in ('attachments', 'vendor-files', 'message-attachments');
+
+-- Remove any "anyone can read" policies added while the buckets were public,
+-- e.g. in Storage → Policies. Uploads from the browser (vendor-files,
+-- message-attachments) keep their insert/delete policies for authenticated
+-- users; reads go through the backend's service key.
+
+-- Existing rows keep working: emails.attachments and message_attachments
+-- already store the object path. Vendor files saved with only the public URL
+-- get their path filled in from it, since the server checks vendor file
+-- access by path.
+update public.vendor_files set excel_path = substring(excel_file from '/object/public/vendor-files/([^?]+)')
+where excel_path is null and excel_file like '%/object/public/vendor-files/%';
+
+update public.vendor_files set pdf_path = substring(pdf_file from '/object/public/vendor-files/([^?]+)')
+where pdf_path is null and pdf_file like '%/object/public/vendor-files/%';
+
+update public.vendor_files set pan_path = substring(pan_scan from '/object/public/vendor-files/([^?]+)')
+where pan_path is null and pan_scan like '%/object/public/vendor-files/%';
+
+update public.vendor_files set cheque_path = substring(cancelled_cheque from '/object/public/vendor-files/([^?]+)')
+where cheque_path is null and cancelled_cheque like '%/object/public/vendor-files/%';
+
+update public.vendor_files set gst_path = substring(gst_registration from '/object/public/vendor-files/([^?]+)')
+where gst_path is null and gst_registration like '%/object/public/vendor-files/%';
+
+update public.vendor_files set msme_path = substring(msme_certificate from '/object/public/vendor-files/([^?]+)')
+where msme_path is null and msme_certificate like '%/object/public/vendor-files/%';
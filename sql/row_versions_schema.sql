@@ -0,0 +1,36 @@
+-- =====================================================
+-- Row versions for shipments and jobs (src/lib/concurrency.js).
+-- updated_at is the version: NewShipments, ActiveJob and the DSR grid save
+-- with "where id = ... and updated_at = <value when loaded>", and no match
+-- means someone else saved first. That only holds if every update moves
+-- updated_at, including writers that don't send it (DSR cells, payment
+-- status, the backend), so the database stamps it instead of the browser.
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+alter table public.shipments add column if not exists updated_at timestamptz default now();
+alter table public.jobs add column if not exists updated_at timestamptz default now();
+
+update public.shipments set updated_at = coalesce(created_at, now()) where updated_at is null;
+update public.jobs set updated_at = coalesce(created_at, now()) where updated_at is null;
+
+-- clock_timestamp() so two updates in one transaction still differ
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists touch_updated_at on public.shipments;
+create trigger touch_updated_at
+  before update on public.shipments
+  for each row execute function public.touch_updated_at();
+
+drop trigger if exists touch_updated_at on public.jobs;
+create trigger touch_updated_at
+  before update on public.jobs
+  for each row execute function public.touch_updated_at();
@@ -0,0 +1,33 @@
+-- =====================================================
+-- Outbound mail log (routes/send-email.js → sendMailFromAccount)
+-- Run once in the Supabase SQL editor.
+-- =====================================================
+
+create table if not exists public.sent_emails (
+  id                 uuid primary key default gen_random_uuid(),
+  account_id         integer not null,
+  sent_by            uuid references auth.users (id),
+  sent_by_email      text,
+  kind               text not null default 'compose',   -- compose, reply, reply_all, forward, dsr
+  message_id         text,                               -- Message-ID assigned by SMTP
+  in_reply_to        text,
+  source_message_id  text,                               -- emails.message_id this was built from
+  from_text          text,
+  to_text            text not null,
+  cc_text            text,
+  bcc_text           text,
+  subject            text,
+  text_content       text,
+  html_content       text,
+  attachments        jsonb not null default '[]'::jsonb, -- copies under attachments/sent/account_N/
+  status             text not null check (status in ('sent', 'failed')),
+  error              text,
+  accepted           jsonb not null default '[]'::jsonb,
+  rejected           jsonb not null default '[]'::jsonb,
+  sent_at            timestamptz not null default now()
+);
+
+create index if not exists sent_emails_account_sent_at_idx
+  on public.sent_emails (account_id, sent_at desc);
+
+alter table public.sent_emails enable row level security;
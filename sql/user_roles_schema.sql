@@ -0,0 +1,219 @@
+-- =====================================================
+-- Staff roles (src/lib/permissions.js, routes/user-roles.js).
+-- One role per user: admin, operations, accounts, sales or read_only
+-- (users without a row). The browser reads and writes jobs, shipments,
+-- vendors and payments directly, so the rules are enforced here as RLS
+-- policies; the React app hides what a role can't do and server.js applies
+-- the same matrix to the email API. Change permissions.js and this file
+-- together.
+-- Run once in the Supabase SQL editor, after deploying the app version
+-- that reads vendor_bank_details. Drop any older "authenticated can do
+-- anything" policies on these tables (Authentication → Policies) or they
+-- will still let everyone through.
+-- =====================================================
+
+create table if not exists public.user_roles (
+  user_id     uuid primary key references auth.users (id) on delete cascade,
+  role        text not null check (role in ('admin', 'operations', 'accounts', 'sales', 'read_only')),
+  updated_at  timestamptz not null default now(),
+  updated_by  text
+);
+
+-- The caller's role; security definer so policies can read user_roles
+-- without the caller being able to
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select role from public.user_roles where user_id = auth.uid()), 'read_only');
+$$;
+
+create or replace function public.has_role(variadic roles text[])
+returns boolean
+language sql
+stable
+as $$
+  select public.app_role() = any (roles);
+$$;
+
+alter table public.user_roles enable row level security;
+
+drop policy if exists user_roles_select on public.user_roles;
+create policy user_roles_select on public.user_roles
+  for select to authenticated
+  using (user_id = auth.uid() or public.has_role('admin'));
+-- Changes go through PUT /api/admin/users/:userId/role (service key)
+
+-- Everyone keeps working as before until an admin narrows their role;
+-- new users start read-only. Promote the first admin by hand:
+--   update public.user_roles set role = 'admin'
+--   where user_id = (select id from auth.users where email = 'you@seal.co.in');
+insert into public.user_roles (user_id, role, updated_by)
+select id, 'operations', 'user_roles_schema.sql' from auth.users
+on conflict (user_id) do nothing;
+
+-- =====================================================
+-- Vendor bank details move to their own table, readable by admin and
+-- accounts only; RLS can't hide single columns of vendors
+-- =====================================================
+
+create table if not exists public.vendor_bank_details (
+  vendor_id                 bigint primary key references public.vendors (id) on delete cascade,
+  "bankAccountNumber"       text,
+  "beneficiaryAccountName"  text,
+  "bankName"                text,
+  "bankAddress"             text,
+  "bankBranchState"         text,
+  "bankBranchName"          text,
+  "bankMicrCode"            text,
+  "bankRtgsIfscCode"        text,
+  "accountType"             text,
+  "currency"                text,
+  updated_at                timestamptz not null default now()
+);
+
+insert into public.vendor_bank_details (
+  vendor_id, "bankAccountNumber", "beneficiaryAccountName", "bankName", "bankAddress",
+  "bankBranchState", "bankBranchName", "bankMicrCode", "bankRtgsIfscCode", "accountType", "currency"
+)
+select id, "bankAccountNumber", "beneficiaryAccountName", "bankName", "bankAddress",
+  "bankBranchState", "bankBranchName", "bankMicrCode", "bankRtgsIfscCode", "accountType", "currency"
+from public.vendors
+on conflict (vendor_id) do nothing;
+
+alter table public.vendors
+  drop column if exists "bankAccountNumber",
+  drop column if exists "beneficiaryAccountName",
+  drop column if exists "bankName",
+  drop column if exists "bankAddress",
+  drop column if exists "bankBranchState",
+  drop column if exists "bankBranchName",
+  drop column if exists "bankMicrCode",
+  drop column if exists "bankRtgsIfscCode",
+  drop column if exists "accountType",
+  drop column if exists "currency";
+
+-- =====================================================
+-- Policies. Reading is open to every signed-in user unless noted.
+-- =====================================================
+
+-- jobs: operations and sales create and edit, only admins delete
+alter table public.jobs enable row level security;
+drop policy if exists jobs_select on public.jobs;
+drop policy if exists jobs_insert on public.jobs;
+drop policy if exists jobs_update on public.jobs;
+drop policy if exists jobs_delete on public.jobs;
+create policy jobs_select on public.jobs for select to authenticated using (true);
+create policy jobs_insert on public.jobs for insert to authenticated
+  with check (public.has_role('admin', 'operations', 'sales'));
+create policy jobs_update on public.jobs for update to authenticated
+  using (public.has_role('admin', 'operations', 'sales'));
+create policy jobs_delete on public.jobs for delete to authenticated
+  using (public.has_role('admin'));
+
+-- shipments: operations edit (DSR, shipments, tracking); accounts may only
+-- mark payments, checked by the trigger below; the public tracking page
+-- (/track/:id) keeps reading without signing in
+alter table public.shipments enable row level security;
+drop policy if exists shipments_select on public.shipments;
+drop policy if exists shipments_select_public on public.shipments;
+drop policy if exists shipments_insert on public.shipments;
+drop policy if exists shipments_update on public.shipments;
+drop policy if exists shipments_delete on public.shipments;
+create policy shipments_select on public.shipments for select to authenticated using (true);
+create policy shipments_select_public on public.shipments for select to anon using (true);
+create policy shipments_insert on public.shipments for insert to authenticated
+  with check (public.has_role('admin', 'operations'));
+create policy shipments_update on public.shipments for update to authenticated
+  using (public.has_role('admin', 'operations', 'accounts'));
+create policy shipments_delete on public.shipments for delete to authenticated
+  using (public.has_role('admin'));
+
+create or replace function public.shipments_role_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- The service key (no auth.uid()) and shipment editors change anything
+  if auth.uid() is null or public.has_role('admin', 'operations') then
+    return new;
+  end if;
+  if (to_jsonb(new) - 'payment_status' - 'updated_at') is distinct from (to_jsonb(old) - 'payment_status' - 'updated_at') then
+    raise exception 'The % role may only change the payment status of a shipment', public.app_role()
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists shipments_role_guard on public.shipments;
+create trigger shipments_role_guard
+  before update on public.shipments
+  for each row execute function public.shipments_role_guard();
+
+alter table public.shipment_updates enable row level security;
+drop policy if exists shipment_updates_select on public.shipment_updates;
+drop policy if exists shipment_updates_select_public on public.shipment_updates;
+drop policy if exists shipment_updates_write on public.shipment_updates;
+create policy shipment_updates_select on public.shipment_updates for select to authenticated using (true);
+create policy shipment_updates_select_public on public.shipment_updates for select to anon using (true);
+create policy shipment_updates_write on public.shipment_updates for all to authenticated
+  using (public.has_role('admin', 'operations'))
+  with check (public.has_role('admin', 'operations'));
+
+-- organizations (customers): created from the job and shipment forms
+alter table public.organizations enable row level security;
+drop policy if exists organizations_select on public.organizations;
+drop policy if exists organizations_insert on public.organizations;
+drop policy if exists organizations_update on public.organizations;
+drop policy if exists organizations_delete on public.organizations;
+create policy organizations_select on public.organizations for select to authenticated using (true);
+create policy organizations_insert on public.organizations for insert to authenticated
+  with check (public.has_role('admin', 'operations', 'sales'));
+create policy organizations_update on public.organizations for update to authenticated
+  using (public.has_role('admin', 'operations', 'sales'));
+create policy organizations_delete on public.organizations for delete to authenticated
+  using (public.has_role('admin'));
+
+-- vendors and their documents: operations and accounts maintain them
+alter table public.vendors enable row level security;
+drop policy if exists vendors_select on public.vendors;
+drop policy if exists vendors_insert on public.vendors;
+drop policy if exists vendors_update on public.vendors;
+drop policy if exists vendors_delete on public.vendors;
+create policy vendors_select on public.vendors for select to authenticated using (true);
+create policy vendors_insert on public.vendors for insert to authenticated
+  with check (public.has_role('admin', 'operations', 'accounts'));
+create policy vendors_update on public.vendors for update to authenticated
+  using (public.has_role('admin', 'operations', 'accounts'));
+create policy vendors_delete on public.vendors for delete to authenticated
+  using (public.has_role('admin'));
+
+alter table public.vendor_files enable row level security;
+drop policy if exists vendor_files_select on public.vendor_files;
+drop policy if exists vendor_files_write on public.vendor_files;
+create policy vendor_files_select on public.vendor_files for select to authenticated using (true);
+create policy vendor_files_write on public.vendor_files for all to authenticated
+  using (public.has_role('admin', 'operations', 'accounts'))
+  with check (public.has_role('admin', 'operations', 'accounts'));
+
+alter table public.vendor_bank_details enable row level security;
+drop policy if exists vendor_bank_details_all on public.vendor_bank_details;
+create policy vendor_bank_details_all on public.vendor_bank_details for all to authenticated
+  using (public.has_role('admin', 'accounts'))
+  with check (public.has_role('admin', 'accounts'));
+
+-- payments: accounts record them; only admins correct one
+alter table public.payments enable row level security;
+drop policy if exists payments_select on public.payments;
+drop policy if exists payments_insert on public.payments;
+drop policy if exists payments_admin on public.payments;
+create policy payments_select on public.payments for select to authenticated
+  using (public.has_role('admin', 'accounts'));
+create policy payments_insert on public.payments for insert to authenticated
+  with check (public.has_role('admin', 'accounts'));
+create policy payments_admin on public.payments for update to authenticated
+  using (public.has_role('admin'));
@@ -74,8 +74,14 @@ import './App.css'
 import NewShipments from './components/NewShipments'
 import DSRPage from './components/DSRPage'
 import MessagesMain from './components/messages/MessagesMain'
+import InboxMain from './components/inbox/InboxMain'
 import InvoicesPage from './components/InvoicesPage'
 import Settings from './components/Settings'
+import MailboxSettings from './components/MailboxSettings'
+import EmailRulesSettings from './components/EmailRulesSettings'
+import UsersSettings from './components/UsersSettings'
+import DsrTemplatesSettings from './components/DsrTemplatesSettings'
+import DsrSubscriptionsSettings from './components/DsrSubscriptionsSettings'
 import ChangePassword from './components/ChangePassword'
 import Reports from './components/Reports'
 import ShipmentTracking from './components/ShipmentTracking'
@@ -83,6 +89,9 @@ import PaymentPage from './components/Payment'
 import sealLogo from './seal.png'
 
 import { supabase } from './lib/supabaseClient'
+import { signOutSession } from './lib/emailApi'
+import { can, DEFAULT_ROLE, ROLES, ROLE_LABELS, ROUTE_PERMISSIONS } from './lib/permissions'
+import { RoleContext } from './hooks/useRole'
 import ForgotPassword from './components/ForgotPassword'
 import ResetPassword from './components/ResetPassword'
 import TrackShipment from './components/TrackShipment'
@@ -94,6 +103,8 @@ function App() {
   const [isLoggingIn, setIsLoggingIn] = useState(false)
   const [error, setError] = useState(null)
   const [user, setUser] = useState(null)
+  // user_roles.role of the signed-in user; null until loaded
+  const [role, setRole] = useState(null)
   const [statsData, setStatsData] = useState([])
   const [dashboardJobsData, setDashboardJobsData] = useState([])
   const [dashboardShipmentsData, setDashboardShipmentsData] = useState([])
@@ -147,6 +158,27 @@ function App() {
     }
   }, []);
 
+  // The role decides which routes and actions show; RLS enforces it anyway
+  useEffect(() => {
+    if (!user?.id) {
+      setRole(null);
+      return;
+    }
+
+    let cancelled = false;
+    supabase
+      .from('user_roles')
+      .select('role')
+      .eq('user_id', user.id)
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (cancelled) return;
+        if (error) console.warn('Role lookup failed:', error);
+        setRole(ROLES.includes(data?.role) ? data.role : DEFAULT_ROLE);
+      });
+    return () => { cancelled = true; };
+  }, [user?.id]);
+
   // FIXED: Enhanced authentication state management with better session handling
   useEffect(() => {
     let mounted = true;
@@ -483,6 +515,8 @@ function App() {
         console.log('No active session found, performing local cleanup');
       } else {
         console.log('Active session found, attempting Supabase logout');
+        // The API trusts a token until it expires unless told otherwise
+        await signOutSession().catch(err => console.warn('API session revoke failed:', err));
         const { error } = await supabase.auth.signOut();
         if (error) {
           console.warn('Supabase logout failed:', error);
@@ -777,8 +811,9 @@ function App() {
 
 
   // FIXED: Memoized ProtectedRoute to prevent unnecessary re-renders
-  const ProtectedRoute = useCallback(({ children }) => {
-    if (isLoading) {
+  // `permission`: a src/lib/permissions.js name the route also needs
+  const ProtectedRoute = useCallback(({ children, permission }) => {
+    if (isLoading || (permission && isAuthenticated && role === null)) {
       return (
         <div className="loading-container">
           <div className="loading-logo-wrapper">
@@ -801,8 +836,18 @@ function App() {
       return <Navigate to="/login" replace />;
     }
 
+    if (permission && !can(role, permission)) {
+      return (
+        <div className="page-container">
+          <h1>No access</h1>
+          <p>The {ROLE_LABELS[role]} role can&apos;t open this page. Ask an admin if you need it.</p>
+          <button onClick={() => navigate('/dashboard')}>Go to Dashboard</button>
+        </div>
+      );
+    }
+
     return children;
-  }, [isLoading, isAuthenticated]);
+  }, [isLoading, isAuthenticated, role, navigate]);
 
   // Placeholder components for other routes
   const ShipmentsPage = () => (
@@ -833,83 +878,91 @@ function App() {
   }
 
   return (
-    <Routes>
-      {/* ── Auth routes — full screen, no sidebar ── */}
-      <Route
-        path="/login"
-        element={
-          isAuthenticated
-            ? <Navigate to="/dashboard" replace />
-            : <Login onLogin={handleLogin} />
-        }
-      />
-      <Route
-        path="/forgot-password"
-        element={
-          isAuthenticated
-            ? <Navigate to="/dashboard" replace />
-            : <ForgotPassword onResetPassword={handleForgotPassword} />
-        }
-      />
-      <Route
-        path="/reset-password"
-        element={<ResetPassword onUpdatePassword={handleResetPassword} />}
-      />
-      <Route
-        path="/track/:id"
-        element={<TrackShipment />}
-      />
-      <Route
-        path="/"
-        element={<Navigate to={isAuthenticated ? '/dashboard' : '/login'} replace />}
-      />
-
-      {/* ── Authenticated routes — with sidebar ── */}
-      <Route
-        path="/*"
-        element={
-          <div className="dashboard-container">
-            {isAuthenticated && (
-              <Sidebar
-                mobileMenuOpen={mobileMenuOpen}
-                toggleMobileMenu={toggleMobileMenu}
-                onLogout={handleLogout}
-                user={user}
-              />
-            )}
-            <main className="main-content">
-              {error && (
-                <div className="error-banner">
-                  <span>{error}</span>
-                  <button onClick={() => setError(null)}>×</button>
-                </div>
+    <RoleContext.Provider value={role}>
+      <Routes>
+        {/* ── Auth routes — full screen, no sidebar ── */}
+        <Route
+          path="/login"
+          element={
+            isAuthenticated
+              ? <Navigate to="/dashboard" replace />
+              : <Login onLogin={handleLogin} />
+          }
+        />
+        <Route
+          path="/forgot-password"
+          element={
+            isAuthenticated
+              ? <Navigate to="/dashboard" replace />
+              : <ForgotPassword onResetPassword={handleForgotPassword} />
+          }
+        />
+        <Route
+          path="/reset-password"
+          element={<ResetPassword onUpdatePassword={handleResetPassword} />}
+        />
+        <Route
+          path="/track/:id"
+          element={<TrackShipment />}
+        />
+        <Route
+          path="/"
+          element={<Navigate to={isAuthenticated ? '/dashboard' : '/login'} replace />}
+        />
+
+        {/* ── Authenticated routes — with sidebar ── */}
+        <Route
+          path="/*"
+          element={
+            <div className="dashboard-container">
+              {isAuthenticated && (
+                <Sidebar
+                  mobileMenuOpen={mobileMenuOpen}
+                  toggleMobileMenu={toggleMobileMenu}
+                  onLogout={handleLogout}
+                  user={user}
+                />
               )}
-              <Routes>
-                <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
-                <Route path="/customers" element={<ProtectedRoute><CustomerPage /></ProtectedRoute>} />
-                <Route path="/new-shipment" element={<ProtectedRoute><NewShipments /></ProtectedRoute>} />
-                <Route path="/reports" element={<ProtectedRoute><Reports /></ProtectedRoute>} />
-                <Route path="/settings" element={<ProtectedRoute><Settings user={user} /></ProtectedRoute>} />
-                <Route path="/change-password" element={<ProtectedRoute><ChangePassword /></ProtectedRoute>} />
-                <Route path="/tracking" element={<ProtectedRoute><ShipmentTracking /></ProtectedRoute>} />
-                <Route path="/payments" element={<ProtectedRoute><PaymentPage /></ProtectedRoute>} />
-                <Route path="/dsr" element={<ProtectedRoute><DSRPage /></ProtectedRoute>} />
-                <Route path="/job-orders" element={<ProtectedRoute><ActiveJob /></ProtectedRoute>} />
-                <Route path="/invoices" element={<ProtectedRoute><InvoicesPage /></ProtectedRoute>} />
-                <Route path="/messages" element={<ProtectedRoute><MessagesMain user={user} key={user?.id} /></ProtectedRoute>} />
-                <Route path="*" element={
-                  <div className="page-container">
-                    <h1>404 - Page Not Found</h1>
-                    <p>The page you&apos;re looking for doesn&apos;t exist.</p>
-                    <button onClick={() => navigate('/dashboard')}>Go to Dashboard</button>
+              <main className="main-content">
+                {error && (
+                  <div className="error-banner">
+                    <span>{error}</span>
+                    <button onClick={() => setError(null)}>×</button>
                   </div>
-                } />
-              </Routes>
-            </main>
-          </div>
-        }
-      />
-    </Routes>
+                )}
+                <Routes>
+                  <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
+                  <Route path="/customers" element={<ProtectedRoute><CustomerPage /></ProtectedRoute>} />
+                  <Route path="/new-shipment" element={<ProtectedRoute><NewShipments /></ProtectedRoute>} />
+                  <Route path="/reports" element={<ProtectedRoute><Reports /></ProtectedRoute>} />
+                  <Route path="/settings" element={<ProtectedRoute><Settings user={user} /></ProtectedRoute>} />
+                  <Route path="/settings/mailboxes" element={<ProtectedRoute><MailboxSettings /></ProtectedRoute>} />
+                  <Route path="/settings/email-rules" element={<ProtectedRoute><EmailRulesSettings /></ProtectedRoute>} />
+                  <Route path="/settings/users" element={<ProtectedRoute permission={ROUTE_PERMISSIONS['/settings/users']}><UsersSettings /></ProtectedRoute>} />
+                  <Route path="/settings/dsr-templates" element={<ProtectedRoute permission={ROUTE_PERMISSIONS['/settings/dsr-templates']}><DsrTemplatesSettings /></ProtectedRoute>} />
+                  <Route path="/settings/dsr-subscriptions" element={<ProtectedRoute permission={ROUTE_PERMISSIONS['/settings/dsr-subscriptions']}><DsrSubscriptionsSettings /></ProtectedRoute>} />
+                  <Route path="/change-password" element={<ProtectedRoute><ChangePassword /></ProtectedRoute>} />
+                  <Route path="/tracking" element={<ProtectedRoute><ShipmentTracking /></ProtectedRoute>} />
+                  <Route path="/payments" element={<ProtectedRoute permission={ROUTE_PERMISSIONS['/payments']}><PaymentPage /></ProtectedRoute>} />
+                  <Route path="/dsr" element={<ProtectedRoute><DSRPage user={user} /></ProtectedRoute>} />
+                  <Route path="/job-orders" element={<ProtectedRoute><ActiveJob /></ProtectedRoute>} />
+                  <Route path="/invoices" element={<ProtectedRoute permission={ROUTE_PERMISSIONS['/invoices']}><InvoicesPage /></ProtectedRoute>} />
+                  <Route path="/messages" element={<ProtectedRoute><MessagesMain user={user} key={user?.id} /></ProtectedRoute>} />
+                  <Route path="/inbox" element={<ProtectedRoute><InboxMain user={user} key={user?.id} /></ProtectedRoute>} />
+                  <Route path="*" element={
+                    <div className="page-container">
+                      <h1>404 - Page Not Found</h1>
+                      <p>The page you&apos;re looking for doesn&apos;t exist.</p>
+                      <button onClick={() => navigate('/dashboard')}>Go to Dashboard</button>
+                    </div>
+                  } />
+                </Routes>
+              </main>
+            </div>
+          }
+        />
+      </Routes>
+    </RoleContext.Provider>
   );
 }
 
@@ -1,8 +1,14 @@
 // src/components/ActiveJob.jsx
 import './ActivityTable.css';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { supabase } from '../lib/supabaseClient';
+import { getJobDraft, linkJobToEmail } from '../lib/emailApi';
+import LinkedEmails from './inbox/LinkedEmails';
+import AuditHistory from './AuditHistory';
+import { useRole } from '../hooks/useRole';
+import { saveWithMerge, resolveConflict, ConflictError } from '../lib/concurrency';
+import ConflictDialog from './ConflictDialog';
 
 // Constants for better maintainability
 const JOB_TYPES = ['AIR FREIGHT', 'SEA FREIGHT',  'TRANSPORT', 'OTHERS'];
@@ -142,6 +148,8 @@ const INITIAL_ORG_FORM_DATA = {
 
 const ActiveJob = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { can } = useRole();
   const tableContainerRef = useRef(null);
   const [maxHeight, setMaxHeight] = useState('auto');
   const [showJobForm, setShowJobForm] = useState(false);
@@ -157,10 +165,16 @@ const ActiveJob = () => {
   const [formData, setFormData] = useState(INITIAL_FORM_DATA);
   const [orgFormData, setOrgFormData] = useState(INITIAL_ORG_FORM_DATA);
   const [editingJob, setEditingJob] = useState(null);
+  // ConflictError of a save that clashed with someone else's
+  const [jobConflict, setJobConflict] = useState(null);
+  const [resolvingConflict, setResolvingConflict] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [jobToDelete, setJobToDelete] = useState(null);
   const [selectedJob, setSelectedJob] = useState(null);
   const [showJobSummary, setShowJobSummary] = useState(false);
+  const [summaryTab, setSummaryTab] = useState('details');
+  // Email a new job is being drafted from: { messageId, accountId, subject, from }
+  const [sourceEmail, setSourceEmail] = useState(null);
 
   // ============ FIX 1: RESTORE STATE ON MOUNT ============
   useEffect(() => {
@@ -189,6 +203,7 @@ const ActiveJob = () => {
         setJobType(state.jobType);
         setTradeDirection(state.tradeDirection);
         setActiveStep(state.activeStep);
+        setSourceEmail(state.sourceEmail || null);
         setShowJobForm(true);
         console.log('Restored creating state from sessionStorage');
       } catch (e) {
@@ -215,14 +230,47 @@ const ActiveJob = () => {
         formData: formData,
         jobType: jobType,
         tradeDirection: tradeDirection,
-        activeStep: activeStep
+        activeStep: activeStep,
+        sourceEmail: sourceEmail
       }));
     } else {
       // Clear saved state when modal is closed
       sessionStorage.removeItem('editing_job');
       sessionStorage.removeItem('creating_job');
     }
-  }, [showJobForm, editingJob, formData, jobType, tradeDirection, activeStep]);
+  }, [showJobForm, editingJob, formData, jobType, tradeDirection, activeStep, sourceEmail]);
+
+  // ============ CREATE JOB FROM EMAIL ============
+  // The inbox navigates here with { fromEmail: { messageId, accountId } }.
+  // The wizard opens pre-filled, past the steps the email already answers.
+  useEffect(() => {
+    const fromEmail = location.state?.fromEmail;
+    if (!fromEmail) return;
+
+    // Drop the state so a refresh doesn't draft the job again
+    navigate(location.pathname, { replace: true, state: null });
+
+    const loadDraft = async () => {
+      try {
+        setLoading(true);
+        const { draft } = await getJobDraft(fromEmail.messageId, { accountId: fromEmail.accountId });
+        setEditingJob(null);
+        setFormData({ ...INITIAL_FORM_DATA, jobNo: generateJobNumber(), ...draft.fields });
+        setJobType(draft.jobType || '');
+        setTradeDirection(draft.tradeDirection || '');
+        setActiveStep(!draft.jobType ? 1 : !draft.tradeDirection ? 2 : 3);
+        setSourceEmail(draft.email);
+        setValidationErrors({});
+        setShowJobForm(true);
+      } catch (error) {
+        console.error('Error drafting job from email:', error);
+        setError(`Could not draft a job from this email: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadDraft();
+  }, [location.state, location.pathname, navigate]);
 
   // ============ FIX 3: PREVENT TAB DISCARD ============
   useEffect(() => {
@@ -447,6 +495,7 @@ const ActiveJob = () => {
     setTradeDirection('');
     setShowJobForm(false);
     setEditingJob(null);
+    setSourceEmail(null);
     setValidationErrors({});
     setFormData({...INITIAL_FORM_DATA, jobNo: generateJobNumber()});
     
@@ -642,20 +691,19 @@ const ActiveJob = () => {
         job_type: jobType,
         trade_direction: tradeDirection,
         status: 'active',
-        updated_at: new Date().toISOString()
+        updated_at: new Date().toISOString(),
+
+        // Link back to the email the job was drafted from
+        ...(sourceEmail && !editingJob && {
+          source_message_id: sourceEmail.messageId,
+          source_account_id: sourceEmail.accountId
+        })
       };
        
       let result;
       if (editingJob) {
-        // Update existing job
-        const { data: updatedJob, error } = await supabase
-          .from('jobs')
-          .update(jobData)
-          .eq('id', editingJob.id)
-          .select('*');
-        
-        if (error) throw error;
-        result = updatedJob;
+        // Update existing job, unless someone else changed the same fields
+        result = [await saveWithMerge('jobs', editingJob, jobData)];
       } else {
         // Create new job
         const { data: newJob, error } = await supabase
@@ -665,6 +713,13 @@ const ActiveJob = () => {
         
         if (error) throw error;
         result = newJob;
+
+        // The job is saved either way; a missing link only hides the email
+        // from the job's linked mail
+        if (sourceEmail && newJob?.[0]) {
+          linkJobToEmail(sourceEmail.messageId, { accountId: sourceEmail.accountId, jobId: newJob[0].id })
+            .catch(linkError => console.error('Error linking job to source email:', linkError));
+        }
       }
       
       // ============ FIX 5: CLEAR STORAGE AFTER SAVE ============
@@ -676,13 +731,42 @@ const ActiveJob = () => {
       
       // Refresh the jobs list immediately after creating/updating a job
       fetchJobs();
+    } catch (error) {
+      if (error instanceof ConflictError && error.conflicts) {
+        setJobConflict(error);
+      } else {
+        console.error('Error saving job:', error);
+        setError(error.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [formData, jobType, tradeDirection, editingJob, sourceEmail, handleCancel, fetchJobs]);
+
+  const handleResolveConflict = useCallback(async (choices) => {
+    try {
+      setResolvingConflict(true);
+      await resolveConflict('jobs', jobConflict, choices);
+      handleCancel();
+      sessionStorage.removeItem('editing_job');
+      setSuccess('Job updated successfully!');
     } catch (error) {
       console.error('Error saving job:', error);
       setError(error.message);
     } finally {
-      setLoading(false);
+      setJobConflict(null);
+      setResolvingConflict(false);
+      fetchJobs();
     }
-  }, [formData, jobType, tradeDirection, editingJob, handleCancel, fetchJobs]);
+  }, [jobConflict, handleCancel, fetchJobs]);
+
+  // Drop my edits and show the job as saved by the other person
+  const handleDiscardConflict = useCallback(() => {
+    setJobConflict(null);
+    handleCancel();
+    sessionStorage.removeItem('editing_job');
+    fetchJobs();
+  }, [handleCancel, fetchJobs]);
 
   // Handle edit job
   const handleEditJob = useCallback((job) => {
@@ -813,6 +897,7 @@ const ActiveJob = () => {
   // Handle job selection for summary view
   const handleJobSelect = useCallback((job) => {
     setSelectedJob(job);
+    setSummaryTab('details');
     setShowJobSummary(true);
   }, []);
 
@@ -1038,176 +1123,213 @@ const ActiveJob = () => {
           </div>
           
           <div className="modal-body job-summary-body">
-            <div className="summary-section">
-              <h3>Basic Information</h3>
-              <div className="summary-grid">
-                <div className="summary-row">
-                  <span className="label">Job Type:</span>
-                  <span className="value">{getValue(selectedJob.job_type)}</span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">Trade Direction:</span>
-                  <span className="value">{getValue(selectedJob.tradeDirection)}</span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">Client:</span>
-                  <span className="value">{getValue(selectedJob.client)}</span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">Job Number:</span>
-                  <span className="value">{getValue(selectedJob.jobNo)}</span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">{locationHeaders[0]}:</span>
-                  <span className="value">
-                    {selectedJob.job_type === 'AIR FREIGHT' ? getValue(selectedJob.airport_of_departure) : 
-                     selectedJob.job_type === 'TRANSPORT' ? getValue(selectedJob.from) : 
-                     getValue(selectedJob.pol)}
-                  </span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">{locationHeaders[1]}:</span>
-                  <span className="value">
-                    {selectedJob.job_type === 'AIR FREIGHT' ? getValue(selectedJob.airport_of_destination) : 
-                     selectedJob.job_type === 'TRANSPORT' ? getValue(selectedJob.to) : 
-                     getValue(selectedJob.pod)}
-                  </span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">Created:</span>
-                  <span className="value">{getValue(selectedJob.createdAt)}</span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">Last Updated:</span>
-                  <span className="value">{getValue(selectedJob.updatedAt)}</span>
-                </div>
-                <div className="summary-row">
-                  <span className="label">ETA:</span>
-                  <span className="value">
-                    {selectedJob.job_type === 'AIR FREIGHT' ? getValue(selectedJob.flight_eta) : 
-                     getValue(selectedJob.eta)}
-                  </span>
-                </div>
-              </div>
+            <div className="detail-tabs">
+              <button
+                className={`detail-tab ${summaryTab === 'details' ? 'active' : ''}`}
+                onClick={() => setSummaryTab('details')}
+              >
+                Details
+              </button>
+              <button
+                className={`detail-tab ${summaryTab === 'history' ? 'active' : ''}`}
+                onClick={() => setSummaryTab('history')}
+              >
+                History
+              </button>
             </div>
-            
-            <div className="summary-section">
-              <h3>Details</h3>
-              {selectedJob.job_type === 'AIR FREIGHT' ? (
-                <div className="summary-grid">
-                  <div className="summary-row">
-                    <span className="label">Shipper:</span>
-                    <span className="value">{getValue(selectedJob.shipper)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Consignee:</span>
-                    <span className="value">{getValue(selectedJob.consignee)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Notify Party:</span>
-                    <span className="value">{getValue(selectedJob.notify_party)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">No of Packages:</span>
-                    <span className="value">{getValue(selectedJob.no_of_packages)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Gross Weight:</span>
-                    <span className="value">{getValue(selectedJob.gross_weight)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Chargeable Weight:</span>
-                    <span className="value">{getValue(selectedJob.chargeable_weight)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Airline:</span>
-                    <span className="value">{getValue(selectedJob.name_of_airline)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">AWB:</span>
-                    <span className="value">{getValue(selectedJob.awb)}</span>
+
+            {summaryTab === 'history' && (
+              <AuditHistory
+                tables={['jobs']}
+                rowId={selectedJob.id}
+                version={selectedJob.updated_at ?? null}
+                canRestore={can('jobs.edit')}
+                onRestored={(table, field, value, saved) => {
+                  setSelectedJob(prev => ({ ...prev, [field]: value, updated_at: saved.updated_at }));
+                  fetchJobs();
+                }}
+              />
+            )}
+
+            {summaryTab === 'details' && (
+              <>
+                <div className="summary-section">
+                  <h3>Basic Information</h3>
+                  <div className="summary-grid">
+                    <div className="summary-row">
+                      <span className="label">Job Type:</span>
+                      <span className="value">{getValue(selectedJob.job_type)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">Trade Direction:</span>
+                      <span className="value">{getValue(selectedJob.tradeDirection)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">Client:</span>
+                      <span className="value">{getValue(selectedJob.client)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">Job Number:</span>
+                      <span className="value">{getValue(selectedJob.jobNo)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">{locationHeaders[0]}:</span>
+                      <span className="value">
+                        {selectedJob.job_type === 'AIR FREIGHT' ? getValue(selectedJob.airport_of_departure) : 
+                         selectedJob.job_type === 'TRANSPORT' ? getValue(selectedJob.from) : 
+                         getValue(selectedJob.pol)}
+                      </span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">{locationHeaders[1]}:</span>
+                      <span className="value">
+                        {selectedJob.job_type === 'AIR FREIGHT' ? getValue(selectedJob.airport_of_destination) : 
+                         selectedJob.job_type === 'TRANSPORT' ? getValue(selectedJob.to) : 
+                         getValue(selectedJob.pod)}
+                      </span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">Created:</span>
+                      <span className="value">{getValue(selectedJob.createdAt)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">Last Updated:</span>
+                      <span className="value">{getValue(selectedJob.updatedAt)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span className="label">ETA:</span>
+                      <span className="value">
+                        {selectedJob.job_type === 'AIR FREIGHT' ? getValue(selectedJob.flight_eta) : 
+                         getValue(selectedJob.eta)}
+                      </span>
+                    </div>
                   </div>
                 </div>
-              ) : selectedJob.jobType === 'TRANSPORT' ? (
-                <div className="summary-grid">
-                  <div className="summary-row">
-                    <span className="label">LCL/FCL:</span>
-                    <span className="value">{getValue(selectedJob.lcl_fcl)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Vehicle Type:</span>
-                    <span className="value">{getValue(selectedJob.vehicle_type)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Container Type:</span>
-                    <span className="value">{getValue(selectedJob.container_type)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Shipper Name:</span>
-                    <span className="value">{getValue(selectedJob.shipper_name)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Party Name:</span>
-                    <span className="value">{getValue(selectedJob.party_name)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Transporter:</span>
-                    <span className="value">{getValue(selectedJob.transporter)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Driver Name:</span>
-                    <span className="value">{getValue(selectedJob.driver_name)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Vehicle Billing Amount:</span>
-                    <span className="value">{getValue(selectedJob.vehicle_billing_amount)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Amount:</span>
-                    <span className="value">{getValue(selectedJob.amount)}</span>
-                  </div>
+                
+                <div className="summary-section">
+                  <h3>Details</h3>
+                  {selectedJob.job_type === 'AIR FREIGHT' ? (
+                    <div className="summary-grid">
+                      <div className="summary-row">
+                        <span className="label">Shipper:</span>
+                        <span className="value">{getValue(selectedJob.shipper)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Consignee:</span>
+                        <span className="value">{getValue(selectedJob.consignee)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Notify Party:</span>
+                        <span className="value">{getValue(selectedJob.notify_party)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">No of Packages:</span>
+                        <span className="value">{getValue(selectedJob.no_of_packages)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Gross Weight:</span>
+                        <span className="value">{getValue(selectedJob.gross_weight)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Chargeable Weight:</span>
+                        <span className="value">{getValue(selectedJob.chargeable_weight)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Airline:</span>
+                        <span className="value">{getValue(selectedJob.name_of_airline)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">AWB:</span>
+                        <span className="value">{getValue(selectedJob.awb)}</span>
+                      </div>
+                    </div>
+                  ) : selectedJob.jobType === 'TRANSPORT' ? (
+                    <div className="summary-grid">
+                      <div className="summary-row">
+                        <span className="label">LCL/FCL:</span>
+                        <span className="value">{getValue(selectedJob.lcl_fcl)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Vehicle Type:</span>
+                        <span className="value">{getValue(selectedJob.vehicle_type)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Container Type:</span>
+                        <span className="value">{getValue(selectedJob.container_type)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Shipper Name:</span>
+                        <span className="value">{getValue(selectedJob.shipper_name)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Party Name:</span>
+                        <span className="value">{getValue(selectedJob.party_name)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Transporter:</span>
+                        <span className="value">{getValue(selectedJob.transporter)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Driver Name:</span>
+                        <span className="value">{getValue(selectedJob.driver_name)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Vehicle Billing Amount:</span>
+                        <span className="value">{getValue(selectedJob.vehicle_billing_amount)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Amount:</span>
+                        <span className="value">{getValue(selectedJob.amount)}</span>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="summary-grid">
+                      <div className="summary-row">
+                        <span className="label">Shipper:</span>
+                        <span className="value">{getValue(selectedJob.shipper)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Invoice Value:</span>
+                        <span className="value">{getValue(selectedJob.fob)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Container Type:</span>
+                        <span className="value">{getValue(selectedJob.container_type)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Consignee:</span>
+                        <span className="value">{getValue(selectedJob.consignee)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">{selectedJob.tradeDirection === 'EXPORT' ? 'Exporter' : 'Importer'}:</span>
+                        <span className="value">
+                          {selectedJob.tradeDirection === 'EXPORT' ? 
+                           getValue(selectedJob.exporter) : 
+                           getValue(selectedJob.importer)}
+                        </span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Vessel:</span>
+                        <span className="value">{getValue(selectedJob.vessel)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Volume:</span>
+                        <span className="value">{getValue(selectedJob.volume)}</span>
+                      </div>
+                      <div className="summary-row">
+                        <span className="label">Container No:</span>
+                        <span className="value">{getValue(selectedJob.container_no)}</span>
+                      </div>
+                    </div>
+                  )}
                 </div>
-              ) : (
-                <div className="summary-grid">
-                  <div className="summary-row">
-                    <span className="label">Shipper:</span>
-                    <span className="value">{getValue(selectedJob.shipper)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Invoice Value:</span>
-                    <span className="value">{getValue(selectedJob.fob)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Container Type:</span>
-                    <span className="value">{getValue(selectedJob.container_type)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Consignee:</span>
-                    <span className="value">{getValue(selectedJob.consignee)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">{selectedJob.tradeDirection === 'EXPORT' ? 'Exporter' : 'Importer'}:</span>
-                    <span className="value">
-                      {selectedJob.tradeDirection === 'EXPORT' ? 
-                       getValue(selectedJob.exporter) : 
-                       getValue(selectedJob.importer)}
-                    </span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Vessel:</span>
-                    <span className="value">{getValue(selectedJob.vessel)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Volume:</span>
-                    <span className="value">{getValue(selectedJob.volume)}</span>
-                  </div>
-                  <div className="summary-row">
-                    <span className="label">Container No:</span>
-                    <span className="value">{getValue(selectedJob.container_no)}</span>
-                  </div>
+
+                <div className="summary-section">
+                  <h3>Linked Emails</h3>
+                  <LinkedEmails entityType="job" entityId={selectedJob.id} />
                 </div>
-              )}
-            </div>
+              </>
+            )}
           </div>
           
           <div className="modal-footer">
@@ -1221,7 +1343,7 @@ const ActiveJob = () => {
         </div>
       </div>
     );
-  }, [selectedJob, getLocationColumnHeaders]);
+  }, [selectedJob, getLocationColumnHeaders, summaryTab, can, fetchJobs]);
 
   return (
     <>
@@ -1248,10 +1370,12 @@ const ActiveJob = () => {
       <div className="card expandable-card">
         <div className="table-header">
           <h2>Current Active Jobs</h2>
-          <button className="add-shipment-btn" onClick={() => setShowJobForm(true)}>
-            <span className="plus-icon">+</span>
-            Add Job
-          </button>
+          {can('jobs.edit') && (
+            <button className="add-shipment-btn" onClick={() => setShowJobForm(true)}>
+              <span className="plus-icon">+</span>
+              Add Job
+            </button>
+          )}
         </div>
         <div
           className="table-container"
@@ -1297,26 +1421,30 @@ const ActiveJob = () => {
                       {job.job_type === 'AIR FREIGHT' ? job.flight_eta : job.eta}
                     </td>
                     <td className="actions-cell">
-                      <button 
-                        className="edit-btn"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleEditJob(job);
-                        }}
-                        title="Edit Job"
-                      >
-                        Edit
-                      </button>
-                      <button 
-                        className="delete-btn"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          confirmDelete(job);
-                        }}
-                        title="Delete Job"
-                      >
-                        Delete
-                      </button>
+                      {can('jobs.edit') && (
+                        <button 
+                          className="edit-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleEditJob(job);
+                          }}
+                          title="Edit Job"
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {can('jobs.delete') && (
+                        <button 
+                          className="delete-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            confirmDelete(job);
+                          }}
+                          title="Delete Job"
+                        >
+                          Delete
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))
@@ -1341,6 +1469,12 @@ const ActiveJob = () => {
                 <h1>{editingJob ? 'Edit Job' : 'Create Job'}</h1>
               </div>
 
+              {sourceEmail && !editingJob && (
+                <div className="job-source-email">
+                  Pre-filled from the email "{sourceEmail.subject || '(No Subject)'}" from {sourceEmail.from}. Check every field before saving.
+                </div>
+              )}
+
               {/* Progress Steps */}
               <div className="progress-steps">
                 {STEPS.map((step, index) => (
@@ -1744,6 +1878,15 @@ const ActiveJob = () => {
       )}
       
       {showJobSummary && renderJobSummary()}
+
+      {jobConflict && (
+        <ConflictDialog
+          conflict={jobConflict}
+          saving={resolvingConflict}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardConflict}
+        />
+      )}
     </>
   );
 };
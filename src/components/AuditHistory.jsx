@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+import { fieldLabel, formatValue } from '../lib/fieldFormat';
+import { updateIfUnchanged, ConflictError } from '../lib/concurrency';
+import './AuditHistory.css';
+
+// Key column of each audited table, when it isn't id
+const ROW_KEYS = { vendor_bank_details: 'vendor_id' };
+
+const ACTION_LABELS = { insert: 'Created', update: 'Changed', delete: 'Deleted' };
+
+// Every change recorded for one row (audit_log, filled by triggers; see
+// sql/audit_log_schema.sql), newest first. `tables` lets a view include
+// rows keyed by the same id, e.g. a vendor and its vendor_bank_details.
+// Restoring writes the old value back as an ordinary update, which is
+// audited in turn. For versioned tables (shipments, jobs) pass the row's
+// updated_at as `version`: the restore is then version-checked like any
+// other save, and onRestored gets the saved row to pick the new version up.
+const AuditHistory = ({ tables, rowId, version, canRestore = false, onRestored }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const tableList = tables.join(',');
+
+  const loadHistory = useCallback(async () => {
+    setError(null);
+    const { data, error } = await supabase
+      .from('audit_log')
+      .select('*')
+      .in('table_name', tableList.split(','))
+      .eq('row_id', String(rowId))
+      .order('changed_at', { ascending: false })
+      .limit(200);
+    if (error) setError(error.message);
+    else setEntries(data || []);
+    setLoading(false);
+  }, [tableList, rowId]);
+
+  useEffect(() => {
+    if (rowId === undefined || rowId === null) return;
+    setLoading(true);
+    loadHistory();
+  }, [rowId, loadHistory]);
+
+  const restore = async (entry, field, value) => {
+    if (!window.confirm(`Set ${fieldLabel(field)} back to "${formatValue(value)}"?`)) return;
+    setRestoring(`${entry.id}:${field}`);
+    try {
+      let saved;
+      if (version !== undefined) {
+        saved = await updateIfUnchanged(entry.table_name, rowId, version, { [field]: value });
+      } else {
+        const key = ROW_KEYS[entry.table_name] || 'id';
+        const { data, error } = await supabase
+          .from(entry.table_name)
+          .update({ [field]: value })
+          .eq(key, rowId)
+          .select('*');
+        if (error) throw error;
+        // RLS refuses an update by matching no rows rather than erroring
+        if (!data.length) throw new Error('Your role is not allowed to change this record');
+        saved = data[0];
+      }
+      onRestored?.(entry.table_name, field, value, saved);
+      await loadHistory();
+    } catch (err) {
+      alert(err instanceof ConflictError
+        ? `${err.message}. Reopen it to see the latest values before restoring.`
+        : 'Error restoring value: ' + err.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (loading) return <div className="audit-history-empty">Loading history…</div>;
+  if (error) return <div className="audit-history-empty">{error}</div>;
+  if (entries.length === 0) return <div className="audit-history-empty">No changes recorded yet</div>;
+
+  return (
+    <div className="audit-history">
+      {entries.map(entry => (
+        <div key={entry.id} className="audit-entry">
+          <div className="audit-entry-header">
+            <span className={`audit-entry-action audit-entry-action--${entry.action}`}>
+              {ACTION_LABELS[entry.action] || entry.action}
+              {tables.length > 1 && ` · ${fieldLabel(entry.table_name)}`}
+            </span>
+            <span className="audit-entry-actor">{entry.actor_email || 'System'}</span>
+            <span className="audit-entry-date">{new Date(entry.changed_at).toLocaleString()}</span>
+          </div>
+          <table className="audit-entry-changes">
+            <tbody>
+              {Object.entries(entry.changes || {}).map(([field, { from, to }]) => (
+                <tr key={field}>
+                  <td className="audit-field">{fieldLabel(field)}</td>
+                  <td className="audit-from">{formatValue(from)}</td>
+                  <td className="audit-arrow">→</td>
+                  <td className="audit-to">{formatValue(to)}</td>
+                  <td className="audit-restore">
+                    {canRestore && entry.action === 'update' && (
+                      <button
+                        className="audit-restore-btn"
+                        onClick={() => restore(entry, field, from)}
+                        disabled={restoring !== null}
+                        title="Write the earlier value back"
+                      >
+                        {restoring === `${entry.id}:${field}` ? 'Restoring…' : 'Restore'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AuditHistory;
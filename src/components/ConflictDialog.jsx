@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { fieldLabel, formatValue } from '../lib/fieldFormat';
+import './ConflictDialog.css';
+
+// Shown when a save hit fields someone else changed in the meantime
+// (ConflictError from saveWithMerge). Per field the user keeps their value
+// or the server's; "Keep server's values" drops all of their edits.
+// labels: optional { [column]: 'Shown name' }
+const ConflictDialog = ({ conflict, labels = {}, saving = false, onResolve, onDiscard }) => {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflict.conflicts.map(({ field }) => [field, 'mine']))
+  );
+  const mergedCount = Object.keys(conflict.merged || {}).length;
+  const allMine = Object.fromEntries(conflict.conflicts.map(({ field }) => [field, 'mine']));
+
+  const choose = (field, side) => setChoices(prev => ({ ...prev, [field]: side }));
+
+  return (
+    <div className="conflict-overlay">
+      <div className="conflict-dialog" role="dialog" aria-labelledby="conflict-title">
+        <h3 id="conflict-title">Someone else saved this record</h3>
+        <p className="conflict-intro">
+          {conflict.current.updated_at && `Changed ${new Date(conflict.current.updated_at).toLocaleString()}. `}
+          Pick which value to keep for each field you both edited.
+          {mergedCount > 0 && ` Your ${mergedCount} other change${mergedCount === 1 ? '' : 's'} will be saved as well.`}
+        </p>
+
+        <table className="conflict-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Yours</th>
+              <th>Server's</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conflict.conflicts.map(({ field, base, mine, theirs }) => (
+              <tr key={field}>
+                <td className="conflict-field">
+                  {labels[field] || fieldLabel(field)}
+                  <span className="conflict-base">was {formatValue(base)}</span>
+                </td>
+                {[['mine', mine], ['theirs', theirs]].map(([side, value]) => (
+                  <td key={side}>
+                    <label className={`conflict-choice ${choices[field] === side ? 'selected' : ''}`}>
+                      <input
+                        type="radio"
+                        name={`conflict-${field}`}
+                        checked={choices[field] === side}
+                        onChange={() => choose(field, side)}
+                      />
+                      {formatValue(value)}
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="conflict-actions">
+          <button className="conflict-btn" onClick={onDiscard} disabled={saving}>
+            Keep server's values
+          </button>
+          <button className="conflict-btn" onClick={() => onResolve(allMine)} disabled={saving}>
+            Keep mine
+          </button>
+          <button className="conflict-btn conflict-btn--primary" onClick={() => onResolve(choices)} disabled={saving}>
+            {saving ? 'Saving…' : 'Save merged'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -1,7 +1,18 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { supabase } from '../lib/supabaseClient';
+import { openStoredFile, storagePathFromUrl } from '../lib/fileApi';
+import { useRole } from '../hooks/useRole';
+import AuditHistory from './AuditHistory';
+
+// Kept in vendor_bank_details, which only admin and accounts can read
+const BANK_FIELDS = [
+  'bankAccountNumber', 'beneficiaryAccountName', 'bankName', 'bankAddress', 'bankBranchState',
+  'bankBranchName', 'bankMicrCode', 'bankRtgsIfscCode', 'accountType', 'currency'
+];
 
 const CustomerPage = () => {
+  const { can } = useRole();
+  const canSeeBank = can('vendors.bank');
   const [customers, setCustomers] = useState([]);
   const [filteredCustomers, setFilteredCustomers] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
@@ -11,8 +22,10 @@ const CustomerPage = () => {
   const [error, setError] = useState(null);
   const [viewModal, setViewModal] = useState(false);
   const [viewingCustomer, setViewingCustomer] = useState(null);
+  const [viewTab, setViewTab] = useState('details');
   const handleView = (customer) => {
     setViewingCustomer(customer);
+    setViewTab('details');
     fetchCustomerFiles(customer.id);
     setViewModal(true);
   };
@@ -78,8 +91,9 @@ const CustomerPage = () => {
 
       if (!bucketExists) {
         // Create the bucket if it doesn't exist
+        // Private: PAN scans and cheques are only served via signed URLs
         const { error: createError } = await supabase.storage.createBucket('vendor-files', {
-          public: true,
+          public: false,
           fileSizeLimit: 52428800, // 50MB limit
         });
 
@@ -92,7 +106,7 @@ const CustomerPage = () => {
   };
 
   // Fetch customers from Supabase
-  const fetchCustomers = async () => {
+  const fetchCustomers = useCallback(async () => {
     try {
       setLoading(true);
       const { data, error } = await supabase
@@ -102,15 +116,30 @@ const CustomerPage = () => {
 
       if (error) throw error;
 
-      setCustomers(data || []);
-      setFilteredCustomers(data || []);
+      let vendors = data || [];
+      if (canSeeBank && vendors.length > 0) {
+        const { data: bankRows, error: bankError } = await supabase
+          .from('vendor_bank_details')
+          .select('*');
+
+        if (bankError) throw bankError;
+
+        const bankByVendor = new Map(bankRows.map(row => [
+          row.vendor_id,
+          Object.fromEntries(BANK_FIELDS.map(field => [field, row[field] ?? ""]))
+        ]));
+        vendors = vendors.map(vendor => ({ ...vendor, ...bankByVendor.get(vendor.id) }));
+      }
+
+      setCustomers(vendors);
+      setFilteredCustomers(vendors);
     } catch (error) {
       console.error("Error fetching customers:", error);
       setError(error.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [canSeeBank]);
 
   useEffect(() => {
     if (editingCustomer) {
@@ -129,13 +158,17 @@ const CustomerPage = () => {
 
       if (data && data.length > 0) {
         const fileData = data[0];
+        // Older rows may only have the public URL; it still names the path
+        const stored = (name, url, path) => (url || path)
+          ? { name, url, path: path || storagePathFromUrl(url, 'vendor-files') }
+          : null;
         setFiles({
-          excelFile: fileData.excel_file ? { name: 'Excel File', url: fileData.excel_file } : null,
-          pdfFile: fileData.pdf_file ? { name: 'PDF File', url: fileData.pdf_file } : null,
-          panScan: fileData.pan_scan ? { name: 'PAN Scan', url: fileData.pan_scan } : null,
-          cancelledCheque: fileData.cancelled_cheque ? { name: 'Cancelled Cheque', url: fileData.cancelled_cheque } : null,
-          gstRegistration: fileData.gst_registration ? { name: 'GST Registration', url: fileData.gst_registration } : null,
-          msmeCertificate: fileData.msme_certificate ? { name: 'MSME Certificate', url: fileData.msme_certificate } : null
+          excelFile: stored('Excel File', fileData.excel_file, fileData.excel_path),
+          pdfFile: stored('PDF File', fileData.pdf_file, fileData.pdf_path),
+          panScan: stored('PAN Scan', fileData.pan_scan, fileData.pan_path),
+          cancelledCheque: stored('Cancelled Cheque', fileData.cancelled_cheque, fileData.cheque_path),
+          gstRegistration: stored('GST Registration', fileData.gst_registration, fileData.gst_path),
+          msmeCertificate: stored('MSME Certificate', fileData.msme_certificate, fileData.msme_path)
         });
       }
     } catch (error) {
@@ -166,17 +199,13 @@ const CustomerPage = () => {
 
       if (uploadError) throw uploadError;
 
-      // Get the public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from('vendor-files')
-        .getPublicUrl(filePath);
-
-      // Update files state
-      setFiles(prev => ({ ...prev, [fileType]: { name: file.name, url: publicUrl, path: filePath } }));
+      // The bucket is private, so only the path is stored; viewing asks the
+      // backend for a signed URL
+      setFiles(prev => ({ ...prev, [fileType]: { name: file.name, url: null, path: filePath } }));
 
       // If we're editing an existing customer, update the database
       if (customerId) {
-        await updateFileRecord(fileType, publicUrl, filePath, customerId);
+        await updateFileRecord(fileType, null, filePath, customerId);
       }
 
     } catch (error) {
@@ -303,11 +332,15 @@ const CustomerPage = () => {
 
   // Fetch countries on component mount
   useEffect(() => {
-    fetchCustomers();
     fetchCountries();
     ensureBucketExists(); // Ensure bucket exists on component mount
   }, []);
 
+  // Again once the role is known, to pick up bank details
+  useEffect(() => {
+    fetchCustomers();
+  }, [fetchCustomers]);
+
   // Fetch states when country changes
   useEffect(() => {
     if (formData.country) {
@@ -432,24 +465,32 @@ const CustomerPage = () => {
   const handleSave = async (e) => {
     e.preventDefault();
 
-    // Convert empty strings to null for date fields
+    // Convert empty strings to null for date fields; bank details are saved
+    // separately
     const processedData = {
       ...formData,
       msmeCertificationDate: formData.msmeCertificationDate || null
     };
+    const bankDetails = {};
+    BANK_FIELDS.forEach(field => {
+      bankDetails[field] = processedData[field] || null;
+      delete processedData[field];
+    });
 
     try {
       let customerId;
 
       if (editingCustomer) {
         // Update existing vendor
-        const { data, error } = await supabase
+        const { data: updatedRows, error } = await supabase
           .from('vendors')
           .update(processedData)
           .eq('id', editingCustomer.id)
-          .select();
+          .select('id');
 
         if (error) throw error;
+        // RLS refuses an update by matching no rows rather than erroring
+        if (!updatedRows?.length) throw new Error('Your role is not allowed to change this vendor');
         customerId = editingCustomer.id;
       } else {
         // Insert new vendor
@@ -462,6 +503,14 @@ const CustomerPage = () => {
         customerId = data[0].id;
       }
 
+      if (customerId && canSeeBank) {
+        const { error } = await supabase
+          .from('vendor_bank_details')
+          .upsert({ vendor_id: customerId, ...bankDetails, updated_at: new Date() }, { onConflict: 'vendor_id' });
+
+        if (error) throw error;
+      }
+
       // Process file records for the customer
       if (customerId) {
         // Create or update file record with vendor ID
@@ -473,8 +522,10 @@ const CustomerPage = () => {
           pdf_path: files.pdfFile?.path || null,
           pan_scan: files.panScan?.url || null,
           pan_path: files.panScan?.path || null,
-          cancelled_cheque: files.cancelledCheque?.url || null,
-          cheque_path: files.cancelledCheque?.path || null,
+          ...(canSeeBank && {
+            cancelled_cheque: files.cancelledCheque?.url || null,
+            cheque_path: files.cancelledCheque?.path || null
+          }),
           gst_registration: files.gstRegistration?.url || null,
           gst_path: files.gstRegistration?.path || null,
           msme_certificate: files.msmeCertificate?.url || null,
@@ -562,6 +613,15 @@ const CustomerPage = () => {
     }
   };
 
+  const viewFile = async (file) => {
+    try {
+      await openStoredFile('vendor-files', file.path);
+    } catch (error) {
+      console.error('Error opening file:', error);
+      alert(`Error opening file: ${error.message}`);
+    }
+  };
+
   // File upload component
   const FileUploadField = ({ label, fileType, required = false }) => (
     <div className="form-group">
@@ -574,7 +634,7 @@ const CustomerPage = () => {
               <button
                 type="button"
                 className="btn btn-sm btn-outline"
-                onClick={() => window.open(files[fileType].url, '_blank')}
+                onClick={() => viewFile(files[fileType])}
               >
                 View
               </button>
@@ -629,9 +689,11 @@ const CustomerPage = () => {
     <div className="customer-management">
       <div className="page-header">
         <h1>Vendor Management</h1>
-        <button className="btn btn-primary" onClick={handleAddNew}>
-          Add New Vendor
-        </button>
+        {can('vendors.edit') && (
+          <button className="btn btn-primary" onClick={handleAddNew}>
+            Add New Vendor
+          </button>
+        )}
       </div>
 
       <div className="search-bar">
@@ -668,24 +730,28 @@ const CustomerPage = () => {
                   <td>{customer.city}</td>
                   <td>{customer.country}</td>
                   <td>
-                    <button
-                      className="btn btn-sm btn-outline"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleEdit(customer);
-                      }}
-                    >
-                      Edit
-                    </button>
-                    <button
-                      className="btn btn-sm btn-danger"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDelete(customer.id);
-                      }}
-                    >
-                      Delete
-                    </button>
+                    {can('vendors.edit') && (
+                      <button
+                        className="btn btn-sm btn-outline"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleEdit(customer);
+                        }}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {can('vendors.delete') && (
+                      <button
+                        className="btn btn-sm btn-danger"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDelete(customer.id);
+                        }}
+                      >
+                        Delete
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))
@@ -703,259 +769,290 @@ const CustomerPage = () => {
         <div className="modal-overlay">
           <div className="modal large-modal">
             <h2>Vendor Details: {viewingCustomer.vendorName}</h2>
-            <div className="vendor-details">
-              <div className="details-section">
-                <h3>Basic Information</h3>
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Vendor Name:</label>
-                    <span>{viewingCustomer.vendorName}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>Country:</label>
-                    <span>{viewingCustomer.country}</span>
-                  </div>
-                </div>
-
-                <div className="detail-item">
-                  <label>Address Line 1:</label>
-                  <span>{viewingCustomer.address1}</span>
-                </div>
+            <div className="detail-tabs">
+              <button
+                className={`detail-tab ${viewTab === 'details' ? 'active' : ''}`}
+                onClick={() => setViewTab('details')}
+              >
+                Details
+              </button>
+              <button
+                className={`detail-tab ${viewTab === 'history' ? 'active' : ''}`}
+                onClick={() => setViewTab('history')}
+              >
+                History
+              </button>
+            </div>
 
-                <div className="detail-item">
-                  <label>Address Line 2:</label>
-                  <span>{viewingCustomer.address2}</span>
-                </div>
+            {viewTab === 'history' && (
+              <AuditHistory
+                tables={canSeeBank ? ['vendors', 'vendor_bank_details'] : ['vendors']}
+                rowId={viewingCustomer.id}
+                canRestore={can('vendors.edit')}
+                onRestored={(table, field, value) => {
+                  setViewingCustomer(prev => ({ ...prev, [field]: value }));
+                  fetchCustomers();
+                }}
+              />
+            )}
 
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>City:</label>
-                    <span>{viewingCustomer.city}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>State:</label>
-                    <span>{viewingCustomer.state}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>Postal Code:</label>
-                    <span>{viewingCustomer.postalCode}</span>
+            {viewTab === 'details' && (
+              <div className="vendor-details">
+                <div className="details-section">
+                  <h3>Basic Information</h3>
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>Vendor Name:</label>
+                      <span>{viewingCustomer.vendorName}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>Country:</label>
+                      <span>{viewingCustomer.country}</span>
+                    </div>
                   </div>
-                </div>
-              </div>
 
-              <div className="details-section">
-                <h3>Contact Information</h3>
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Contact Person:</label>
-                    <span>{viewingCustomer.contactPerson}</span>
-                  </div>
                   <div className="detail-item">
-                    <label>Telephone:</label>
-                    <span>{viewingCustomer.telephone}</span>
+                    <label>Address Line 1:</label>
+                    <span>{viewingCustomer.address1}</span>
                   </div>
-                </div>
 
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Mobile Number:</label>
-                    <span>{viewingCustomer.mobile}</span>
-                  </div>
                   <div className="detail-item">
-                    <label>Email Address:</label>
-                    <span>{viewingCustomer.email}</span>
+                    <label>Address Line 2:</label>
+                    <span>{viewingCustomer.address2}</span>
                   </div>
-                </div>
-              </div>
 
-              <div className="details-section">
-                <h3>Bank Information</h3>
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Bank Account Number:</label>
-                    <span>{viewingCustomer.bankAccountNumber}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>Beneficiary Account Name:</label>
-                    <span>{viewingCustomer.beneficiaryAccountName}</span>
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>City:</label>
+                      <span>{viewingCustomer.city}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>State:</label>
+                      <span>{viewingCustomer.state}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>Postal Code:</label>
+                      <span>{viewingCustomer.postalCode}</span>
+                    </div>
                   </div>
                 </div>
 
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Bank Name:</label>
-                    <span>{viewingCustomer.bankName}</span>
+                <div className="details-section">
+                  <h3>Contact Information</h3>
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>Contact Person:</label>
+                      <span>{viewingCustomer.contactPerson}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>Telephone:</label>
+                      <span>{viewingCustomer.telephone}</span>
+                    </div>
                   </div>
-                  <div className="detail-item">
-                    <label>Bank Branch Name:</label>
-                    <span>{viewingCustomer.bankBranchName}</span>
+
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>Mobile Number:</label>
+                      <span>{viewingCustomer.mobile}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>Email Address:</label>
+                      <span>{viewingCustomer.email}</span>
+                    </div>
                   </div>
                 </div>
 
-                <div className="detail-item">
-                  <label>Bank Address:</label>
-                  <span>{viewingCustomer.bankAddress}</span>
-                </div>
+                {canSeeBank && (
+                  <div className="details-section">
+                    <h3>Bank Information</h3>
+                    <div className="details-row">
+                      <div className="detail-item">
+                        <label>Bank Account Number:</label>
+                        <span>{viewingCustomer.bankAccountNumber}</span>
+                      </div>
+                      <div className="detail-item">
+                        <label>Beneficiary Account Name:</label>
+                        <span>{viewingCustomer.beneficiaryAccountName}</span>
+                      </div>
+                    </div>
 
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Bank Branch State:</label>
-                    <span>{viewingCustomer.bankBranchState}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>Bank MICR Code:</label>
-                    <span>{viewingCustomer.bankMicrCode}</span>
-                  </div>
-                </div>
+                    <div className="details-row">
+                      <div className="detail-item">
+                        <label>Bank Name:</label>
+                        <span>{viewingCustomer.bankName}</span>
+                      </div>
+                      <div className="detail-item">
+                        <label>Bank Branch Name:</label>
+                        <span>{viewingCustomer.bankBranchName}</span>
+                      </div>
+                    </div>
 
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>Bank RTGS/IFSC Code:</label>
-                    <span>{viewingCustomer.bankRtgsIfscCode}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>Account Type:</label>
-                    <span>{viewingCustomer.accountType}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>Currency:</label>
-                    <span>{viewingCustomer.currency}</span>
-                  </div>
-                </div>
-              </div>
+                    <div className="detail-item">
+                      <label>Bank Address:</label>
+                      <span>{viewingCustomer.bankAddress}</span>
+                    </div>
 
-              <div className="details-section">
-                <h3>Tax Information</h3>
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>PAN Number:</label>
-                    <span>{viewingCustomer.panNumber}</span>
-                  </div>
-                  <div className="detail-item">
-                    <label>TAN Number:</label>
-                    <span>{viewingCustomer.tanNumber}</span>
-                  </div>
-                </div>
+                    <div className="details-row">
+                      <div className="detail-item">
+                        <label>Bank Branch State:</label>
+                        <span>{viewingCustomer.bankBranchState}</span>
+                      </div>
+                      <div className="detail-item">
+                        <label>Bank MICR Code:</label>
+                        <span>{viewingCustomer.bankMicrCode}</span>
+                      </div>
+                    </div>
 
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>GST Number:</label>
-                    <span>{viewingCustomer.gstNumber}</span>
+                    <div className="details-row">
+                      <div className="detail-item">
+                        <label>Bank RTGS/IFSC Code:</label>
+                        <span>{viewingCustomer.bankRtgsIfscCode}</span>
+                      </div>
+                      <div className="detail-item">
+                        <label>Account Type:</label>
+                        <span>{viewingCustomer.accountType}</span>
+                      </div>
+                      <div className="detail-item">
+                        <label>Currency:</label>
+                        <span>{viewingCustomer.currency}</span>
+                      </div>
+                    </div>
                   </div>
-                  <div className="detail-item">
-                    <label>GSTIN Division:</label>
-                    <span>{viewingCustomer.gstinDivision}</span>
+                )}
+
+                <div className="details-section">
+                  <h3>Tax Information</h3>
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>PAN Number:</label>
+                      <span>{viewingCustomer.panNumber}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>TAN Number:</label>
+                      <span>{viewingCustomer.tanNumber}</span>
+                    </div>
                   </div>
-                </div>
 
-                <div className="detail-item">
-                  <label>HSN Code:</label>
-                  <span>{viewingCustomer.hsnCode}</span>
-                </div>
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>GST Number:</label>
+                      <span>{viewingCustomer.gstNumber}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>GSTIN Division:</label>
+                      <span>{viewingCustomer.gstinDivision}</span>
+                    </div>
+                  </div>
 
-                <div className="details-row">
                   <div className="detail-item">
-                    <label>Vendor Type:</label>
-                    <span>{viewingCustomer.vendorType}</span>
+                    <label>HSN Code:</label>
+                    <span>{viewingCustomer.hsnCode}</span>
                   </div>
-                  <div className="detail-item">
-                    <label>GST Not Applicable Reason:</label>
-                    <span>{viewingCustomer.gstNotApplicableReason}</span>
+
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>Vendor Type:</label>
+                      <span>{viewingCustomer.vendorType}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>GST Not Applicable Reason:</label>
+                      <span>{viewingCustomer.gstNotApplicableReason}</span>
+                    </div>
                   </div>
                 </div>
-              </div>
 
-              <div className="details-section">
-                <h3>MSME Information</h3>
-                <div className="details-row">
-                  <div className="detail-item">
-                    <label>MSME Vendor:</label>
-                    <span>{viewingCustomer.msmeVendor}</span>
+                <div className="details-section">
+                  <h3>MSME Information</h3>
+                  <div className="details-row">
+                    <div className="detail-item">
+                      <label>MSME Vendor:</label>
+                      <span>{viewingCustomer.msmeVendor}</span>
+                    </div>
+                    <div className="detail-item">
+                      <label>MSME Certification Date:</label>
+                      <span>{viewingCustomer.msmeCertificationDate}</span>
+                    </div>
                   </div>
+
                   <div className="detail-item">
-                    <label>MSME Certification Date:</label>
-                    <span>{viewingCustomer.msmeCertificationDate}</span>
+                    <label>MSME Registration Number:</label>
+                    <span>{viewingCustomer.msmeRegNo}</span>
                   </div>
                 </div>
 
-                <div className="detail-item">
-                  <label>MSME Registration Number:</label>
-                  <span>{viewingCustomer.msmeRegNo}</span>
-                </div>
-              </div>
-
-              <div className="details-section">
-                <h3>Documents</h3>
-                <div className="document-list">
-                  {files.excelFile && (
-                    <div className="document-item">
-                      <span>Excel File</span>
-                      <button
-                        className="btn btn-sm btn-outline"
-                        onClick={() => window.open(files.excelFile.url, '_blank')}
-                      >
-                        View
-                      </button>
-                    </div>
-                  )}
-                  {files.pdfFile && (
-                    <div className="document-item">
-                      <span>PDF File</span>
-                      <button
-                        className="btn btn-sm btn-outline"
-                        onClick={() => window.open(files.pdfFile.url, '_blank')}
-                      >
-                        View
-                      </button>
-                    </div>
-                  )}
-                  {files.panScan && (
-                    <div className="document-item">
-                      <span>PAN Scan</span>
-                      <button
-                        className="btn btn-sm btn-outline"
-                        onClick={() => window.open(files.panScan.url, '_blank')}
-                      >
-                        View
-                      </button>
-                    </div>
-                  )}
-                  {files.cancelledCheque && (
-                    <div className="document-item">
-                      <span>Cancelled Cheque</span>
-                      <button
-                        className="btn btn-sm btn-outline"
-                        onClick={() => window.open(files.cancelledCheque.url, '_blank')}
-                      >
-                        View
-                      </button>
-                    </div>
-                  )}
-                  {files.gstRegistration && (
-                    <div className="document-item">
-                      <span>GST Registration</span>
-                      <button
-                        className="btn btn-sm btn-outline"
-                        onClick={() => window.open(files.gstRegistration.url, '_blank')}
-                      >
-                        View
-                      </button>
-                    </div>
-                  )}
-                  {files.msmeCertificate && (
-                    <div className="document-item">
-                      <span>MSME Certificate</span>
-                      <button
-                        className="btn btn-sm btn-outline"
-                        onClick={() => window.open(files.msmeCertificate.url, '_blank')}
-                      >
-                        View
-                      </button>
-                    </div>
-                  )}
+                <div className="details-section">
+                  <h3>Documents</h3>
+                  <div className="document-list">
+                    {files.excelFile && (
+                      <div className="document-item">
+                        <span>Excel File</span>
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => viewFile(files.excelFile)}
+                        >
+                          View
+                        </button>
+                      </div>
+                    )}
+                    {files.pdfFile && (
+                      <div className="document-item">
+                        <span>PDF File</span>
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => viewFile(files.pdfFile)}
+                        >
+                          View
+                        </button>
+                      </div>
+                    )}
+                    {files.panScan && (
+                      <div className="document-item">
+                        <span>PAN Scan</span>
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => viewFile(files.panScan)}
+                        >
+                          View
+                        </button>
+                      </div>
+                    )}
+                    {canSeeBank && files.cancelledCheque && (
+                      <div className="document-item">
+                        <span>Cancelled Cheque</span>
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => viewFile(files.cancelledCheque)}
+                        >
+                          View
+                        </button>
+                      </div>
+                    )}
+                    {files.gstRegistration && (
+                      <div className="document-item">
+                        <span>GST Registration</span>
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => viewFile(files.gstRegistration)}
+                        >
+                          View
+                        </button>
+                      </div>
+                    )}
+                    {files.msmeCertificate && (
+                      <div className="document-item">
+                        <span>MSME Certificate</span>
+                        <button
+                          className="btn btn-sm btn-outline"
+                          onClick={() => viewFile(files.msmeCertificate)}
+                        >
+                          View
+                        </button>
+                      </div>
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
 
             <div className="modal-actions">
               <button
@@ -1108,130 +1205,132 @@ const CustomerPage = () => {
                 </div>
               </div>
 
-              <div className="form-section">
-                <h3>Bank Information</h3>
-                <div className="form-row">
-                  <div className="form-group">
-                    <label>Bank Account Number *</label>
-                    <input
-                      name="bankAccountNumber"
-                      value={formData.bankAccountNumber}
-                      onChange={handleInputChange}
-                      placeholder="Bank Account Number"
-
-                    />
-                  </div>
-                  <div className="form-group">
-                    <label>Beneficiary Account Name *</label>
-                    <input
-                      name="beneficiaryAccountName"
-                      value={formData.beneficiaryAccountName}
-                      onChange={handleInputChange}
-                      placeholder="Beneficiary Account Name"
-
-                    />
+              {canSeeBank && (
+                <div className="form-section">
+                  <h3>Bank Information</h3>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Bank Account Number *</label>
+                      <input
+                        name="bankAccountNumber"
+                        value={formData.bankAccountNumber}
+                        onChange={handleInputChange}
+                        placeholder="Bank Account Number"
+
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Beneficiary Account Name *</label>
+                      <input
+                        name="beneficiaryAccountName"
+                        value={formData.beneficiaryAccountName}
+                        onChange={handleInputChange}
+                        placeholder="Beneficiary Account Name"
+
+                      />
+                    </div>
                   </div>
-                </div>
 
-                <div className="form-row">
-                  <div className="form-group">
-                    <label>Bank Name *</label>
-                    <input
-                      name="bankName"
-                      value={formData.bankName}
-                      onChange={handleInputChange}
-                      placeholder="Bank Name"
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Bank Name *</label>
+                      <input
+                        name="bankName"
+                        value={formData.bankName}
+                        onChange={handleInputChange}
+                        placeholder="Bank Name"
 
-                    />
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Bank Branch Name *</label>
+                      <input
+                        name="bankBranchName"
+                        value={formData.bankBranchName}
+                        onChange={handleInputChange}
+                        placeholder="Bank Branch Name"
+
+                      />
+                    </div>
                   </div>
+
                   <div className="form-group">
-                    <label>Bank Branch Name *</label>
+                    <label>Bank Address *</label>
                     <input
-                      name="bankBranchName"
-                      value={formData.bankBranchName}
+                      name="bankAddress"
+                      value={formData.bankAddress}
                       onChange={handleInputChange}
-                      placeholder="Bank Branch Name"
+                      placeholder="Bank Address"
 
                     />
                   </div>
-                </div>
 
-                <div className="form-group">
-                  <label>Bank Address *</label>
-                  <input
-                    name="bankAddress"
-                    value={formData.bankAddress}
-                    onChange={handleInputChange}
-                    placeholder="Bank Address"
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Bank Branch State *</label>
+                      <input
+                        name="bankBranchState"
+                        value={formData.bankBranchState}
+                        onChange={handleInputChange}
+                        placeholder="Bank Branch State"
 
-                  />
-                </div>
-
-                <div className="form-row">
-                  <div className="form-group">
-                    <label>Bank Branch State *</label>
-                    <input
-                      name="bankBranchState"
-                      value={formData.bankBranchState}
-                      onChange={handleInputChange}
-                      placeholder="Bank Branch State"
-
-                    />
-                  </div>
-                  <div className="form-group">
-                    <label>Bank MICR Code</label>
-                    <input
-                      name="bankMicrCode"
-                      value={formData.bankMicrCode}
-                      onChange={handleInputChange}
-                      placeholder="Bank MICR Code"
-                    />
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Bank MICR Code</label>
+                      <input
+                        name="bankMicrCode"
+                        value={formData.bankMicrCode}
+                        onChange={handleInputChange}
+                        placeholder="Bank MICR Code"
+                      />
+                    </div>
                   </div>
-                </div>
 
-                <div className="form-row">
-                  <div className="form-group">
-                    <label>Bank RTGS/IFSC Code *</label>
-                    <input
-                      name="bankRtgsIfscCode"
-                      value={formData.bankRtgsIfscCode}
-                      onChange={handleInputChange}
-                      placeholder="Bank RTGS/IFSC Code"
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Bank RTGS/IFSC Code *</label>
+                      <input
+                        name="bankRtgsIfscCode"
+                        value={formData.bankRtgsIfscCode}
+                        onChange={handleInputChange}
+                        placeholder="Bank RTGS/IFSC Code"
 
-                    />
-                  </div>
-                  <div className="form-group">
-                    <label>Account Type *</label>
-                    <select
-                      name="accountType"
-                      value={formData.accountType}
-                      onChange={handleInputChange}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Account Type *</label>
+                      <select
+                        name="accountType"
+                        value={formData.accountType}
+                        onChange={handleInputChange}
 
-                    >
-                      <option value="">Select Account Type</option>
-                      <option value="savings">Savings</option>
-                      <option value="current">Current</option>
-                      <option value="other">Other</option>
-                    </select>
-                  </div>
-                  <div className="form-group">
-                    <label>Currency *</label>
-                    <select
-                      name="currency"
-                      value={formData.currency}
-                      onChange={handleInputChange}
+                      >
+                        <option value="">Select Account Type</option>
+                        <option value="savings">Savings</option>
+                        <option value="current">Current</option>
+                        <option value="other">Other</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Currency *</label>
+                      <select
+                        name="currency"
+                        value={formData.currency}
+                        onChange={handleInputChange}
 
-                    >
-                      <option value="">Select Currency</option>
-                      <option value="INR">Indian Rupee (INR)</option>
-                      <option value="USD">US Dollar (USD)</option>
-                      <option value="EUR">Euro (EUR)</option>
-                      <option value="GBP">British Pound (GBP)</option>
-                      <option value="AED">United Arab Emirates Dirham(AED)</option>
-                    </select>
+                      >
+                        <option value="">Select Currency</option>
+                        <option value="INR">Indian Rupee (INR)</option>
+                        <option value="USD">US Dollar (USD)</option>
+                        <option value="EUR">Euro (EUR)</option>
+                        <option value="GBP">British Pound (GBP)</option>
+                        <option value="AED">United Arab Emirates Dirham(AED)</option>
+                      </select>
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
 
               <div className="form-section">
                 <h3>Tax Information</h3>
@@ -1401,10 +1500,12 @@ const CustomerPage = () => {
                   fileType="panScan"
                 />
 
-                <FileUploadField
-                  label="Cancelled Cheque PDF Copy"
-                  fileType="cancelledCheque"
-                />
+                {canSeeBank && (
+                  <FileUploadField
+                    label="Cancelled Cheque PDF Copy"
+                    fileType="cancelledCheque"
+                  />
+                )}
 
                 <FileUploadField
                   label="GST Registration PDF Copy"
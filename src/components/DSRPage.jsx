@@ -1,8 +1,54 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../lib/supabaseClient';
+import { apiRequest, getUserAccounts } from '../lib/emailApi';
+import { useRole } from '../hooks/useRole';
+import { useDsrLive } from '../hooks/useDsrLive';
+import { saveWithMerge, resolveConflict, ConflictError } from '../lib/concurrency';
+import ConflictDialog from './ConflictDialog';
+import {
+  DEFAULT_TEMPLATE, columnHeader, dsrCellValue, dsrSheetRows, isDateField, normalizeTemplate, templateForClient, toDsrRow
+} from '../lib/dsrTemplates';
 import * as XLSX from 'xlsx';
 
-const DSRHondaReport = () => {
+// Rows sorted by one column: nulls first when ascending, yyyy-mm-dd strings
+// as dates, everything else as text
+const sortRows = (rows, { key, direction }) => {
+  if (!key) return rows;
+  return [...rows].sort((a, b) => {
+    if (a[key] === null || a[key] === undefined) return direction === 'ascending' ? -1 : 1;
+    if (b[key] === null || b[key] === undefined) return direction === 'ascending' ? 1 : -1;
+
+    if (typeof a[key] === 'number' && typeof b[key] === 'number') {
+      return direction === 'ascending' ? a[key] - b[key] : b[key] - a[key];
+    }
+
+    if (typeof a[key] === 'string' && typeof b[key] === 'string' &&
+      /^\d{4}-\d{2}-\d{2}$/.test(a[key]) && /^\d{4}-\d{2}-\d{2}$/.test(b[key])) {
+      return direction === 'ascending' ?
+        new Date(a[key]) - new Date(b[key]) :
+        new Date(b[key]) - new Date(a[key]);
+    }
+
+    const aValue = a[key].toString().toLowerCase();
+    const bValue = b[key].toString().toLowerCase();
+
+    if (aValue < bValue) return direction === 'ascending' ? -1 : 1;
+    if (aValue > bValue) return direction === 'ascending' ? 1 : -1;
+    return 0;
+  });
+};
+
+// A stable colour per colleague for presence markers
+const peerColor = (email = '') => {
+  let hash = 0;
+  for (const char of email) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+  return `hsl(${hash}, 70%, 55%)`;
+};
+
+const peerInitials = (email = '') => email.slice(0, 2).toUpperCase();
+
+const DSRHondaReport = ({ user }) => {
+  const { can } = useRole();
   const [data, setData] = useState([]);
   const [filteredData, setFilteredData] = useState([]);
   const [selectedRows, setSelectedRows] = useState(new Set());
@@ -14,6 +60,8 @@ const DSRHondaReport = () => {
   const [editingCell, setEditingCell] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [saving, setSaving] = useState(false);
+  // ConflictError of a cell save that clashed with someone else's
+  const [cellConflict, setCellConflict] = useState(null);
   const [emailDialog, setEmailDialog] = useState(null); // { type: 'auto' | 'compose', data: excelData }
   const [emailConfig, setEmailConfig] = useState({
     to: '',
@@ -21,50 +69,46 @@ const DSRHondaReport = () => {
     bcc: '',
     subject: 'DSR Report',
     body: 'Please find attached the DSR Report.',
+    accountId: '',
     recipients: []
   });
   const [sendingEmail, setSendingEmail] = useState(false);
+  const [senderAccounts, setSenderAccounts] = useState([]);
+  // Column templates (sql/dsr_templates_schema.sql). With templateId
+  // 'client' the grid and export follow the filtered client's template.
+  const [templates, setTemplates] = useState([]);
+  const [templateClients, setTemplateClients] = useState([]);
+  const [clientFilter, setClientFilter] = useState('');
+  const [templateId, setTemplateId] = useState('client');
 
-  // Function to format dates consistently
-  const formatDate = useCallback((dateValue) => {
-    if (!dateValue) return null;
-
-    try {
-      const date = new Date(dateValue);
-      if (isNaN(date.getTime())) {
-        return dateValue;
-      }
-
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-
-      return `${year}-${month}-${day}`;
-    } catch {
-      return dateValue;
-    }
+  useEffect(() => {
+    Promise.all([
+      supabase.from('dsr_templates').select('*').order('name'),
+      supabase.from('dsr_template_clients').select('*')
+    ]).then(([templatesRes, clientsRes]) => {
+      if (templatesRes.error || clientsRes.error) throw templatesRes.error || clientsRes.error;
+      setTemplates(templatesRes.data.map(normalizeTemplate));
+      setTemplateClients(clientsRes.data);
+    }).catch(err => console.error('Error loading DSR templates:', err));
   }, []);
 
-  const extractDateFromTimestamp = useCallback((timestamp) => {
-    if (!timestamp) return null;
-
-    if (typeof timestamp === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(timestamp)) {
-      return timestamp;
-    }
-
-    if (typeof timestamp === 'string' && timestamp.includes('T')) {
-      return timestamp.split('T')[0];
-    }
+  const template = templateId === 'client'
+    ? templateForClient(templates, templateClients, clientFilter)
+    : templates.find(t => String(t.id) === templateId) || DEFAULT_TEMPLATE;
 
-    if (typeof timestamp === 'string') {
-      const datePart = timestamp.split(' ')[0];
-      if (/^\d{4}-\d{2}-\d{2}$/.test(datePart)) {
-        return datePart;
-      }
-    }
+  // Mailboxes the user may send from, loaded the first time the dialog opens
+  useEffect(() => {
+    if (!emailDialog || senderAccounts.length > 0) return;
 
-    return formatDate(timestamp);
-  }, [formatDate]);
+    getUserAccounts()
+      .then(({ accounts }) => {
+        setSenderAccounts(accounts || []);
+        if (accounts?.length) {
+          setEmailConfig(prev => ({ ...prev, accountId: prev.accountId || String(accounts[0].id) }));
+        }
+      })
+      .catch(err => console.error('Error loading sender accounts:', err));
+  }, [emailDialog, senderAccounts.length]);
 
   const fetchData = useCallback(async () => {
     try {
@@ -130,46 +174,40 @@ const DSRHondaReport = () => {
   }, [fetchData, retryCount]);
 
   const transformData = useCallback((rawData) => {
-    const transformedData = rawData.map((item, index) => ({
-      SNO: index + 1,
-      INVNO: item.invoice_no || item.invoiceNo || item.shipment_no || null,
-      INVDT: extractDateFromTimestamp(item.invoice_date || item.invoiceDate || item.shipment_date),
-      CONSIGNEE: item.consignee || null,
-      DESTINATION: item.destination || item.pod || item.pof || null,
-      GOODS: item.commodity || item.description || null,
-      GrossWeightKGS: item.gr_weight || item.grWeight || item.gross_weight || null,
-      NETWEIGHT: item.net_weight || item.netWeight || item.gross_weight || null,
-      TERM: item.incoterms || item.terms || null,
-      SBILLNO: item.sb_no || item.sbNo || item.hbl_no || null,
-      SBILLDT: extractDateFromTimestamp(item.sb_date || item.sbDate || item.shipment_date),
-      STUFFINGDT: extractDateFromTimestamp(item.stuffing_date || item.stuffingDate),
-      HANDOVERDT: extractDateFromTimestamp(item.ho_date || item.hoDate),
-      SLINE: item.s_line || item.sLine || item.carrier || null,
-      BKGNO: item.job_no || null,
-      CONTAINERNO: item.container_no || item.containerNo || "N/A",
-      CONTYPE: item.no_of_cntr || item.noOfCntr ? `${item.no_of_cntr || item.noOfCntr} containers` : "N/A",
-      RAILOUTDT: extractDateFromTimestamp(item.rail_out_date || item.railOutDate),
-      ARRIVAL: extractDateFromTimestamp(item.eta),
-      VESSEL: item.vessel || item.vessel_name_summary || null,
-      VOY: item.voy || null,
-      ETD: extractDateFromTimestamp(item.etd),
-      SOB: extractDateFromTimestamp(item.sob),
-      ETA: extractDateFromTimestamp(item.eta),
-      MBHBLNO: item.mbl_no || item.mblNo || item.hbl_no || null,
-      DT: extractDateFromTimestamp(item.hbl_dt || item.hblDt || item.shipment_date),
-      REMARK: item.remarks || null,
-      Job: item.job_no || null,
-      id: item.id,
-      originalData: item
-    }));
+    const transformedData = rawData.map(toDsrRow);
 
     setData(transformedData);
     setFilteredData(transformedData);
     setLoading(false);
-  }, [extractDateFromTimestamp]);
+  }, []);
+
+  // Realtime row changes from everyone, this tab's own saves included.
+  // A cell being edited keeps the version it was opened with
+  // (editingCell.base), so patching its row can't hide a conflict.
+  const handleShipmentChange = useCallback((payload) => {
+    if (payload.eventType === 'DELETE') {
+      setData(rows => rows.filter(item => item.id !== payload.old.id));
+      return;
+    }
+    const saved = payload.new;
+    setData(rows => {
+      const existing = rows.find(item => item.id === saved.id);
+      if (!existing) return [...rows, toDsrRow(saved, rows.length)];
+      // Events can arrive after the newer row a save returned
+      if (existing.originalData?.updated_at && new Date(saved.updated_at) < new Date(existing.originalData.updated_at)) {
+        return rows;
+      }
+      return rows.map(item => item.id === saved.id ? toDsrRow(saved, item.SNO - 1) : item);
+    });
+  }, []);
+
+  const { peers, setFocus, peersAt, lockHolder } = useDsrLive(user, handleShipmentChange);
 
   useEffect(() => {
     let result = data;
+    if (clientFilter) {
+      result = result.filter(item => item.CLIENT === clientFilter);
+    }
     if (searchTerm) {
       const term = searchTerm.toLowerCase();
       result = result.filter(item =>
@@ -178,8 +216,9 @@ const DSRHondaReport = () => {
         )
       );
     }
-    setFilteredData(result);
-  }, [searchTerm, data]);
+    // Re-sorted here so live updates keep the chosen order
+    setFilteredData(sortRows(result, sortConfig));
+  }, [searchTerm, clientFilter, data, sortConfig]);
 
   const handleSort = (key) => {
     let direction = 'ascending';
@@ -187,31 +226,6 @@ const DSRHondaReport = () => {
       direction = 'descending';
     }
     setSortConfig({ key, direction });
-
-    const sortedData = [...filteredData].sort((a, b) => {
-      if (a[key] === null || a[key] === undefined) return direction === 'ascending' ? -1 : 1;
-      if (b[key] === null || b[key] === undefined) return direction === 'ascending' ? 1 : -1;
-
-      if (typeof a[key] === 'number' && typeof b[key] === 'number') {
-        return direction === 'ascending' ? a[key] - b[key] : b[key] - a[key];
-      }
-
-      if (typeof a[key] === 'string' && typeof b[key] === 'string' &&
-        /^\d{4}-\d{2}-\d{2}$/.test(a[key]) && /^\d{4}-\d{2}-\d{2}$/.test(b[key])) {
-        return direction === 'ascending' ?
-          new Date(a[key]) - new Date(b[key]) :
-          new Date(b[key]) - new Date(a[key]);
-      }
-
-      const aValue = a[key].toString().toLowerCase();
-      const bValue = b[key].toString().toLowerCase();
-
-      if (aValue < bValue) return direction === 'ascending' ? -1 : 1;
-      if (aValue > bValue) return direction === 'ascending' ? 1 : -1;
-      return 0;
-    });
-
-    setFilteredData(sortedData);
   };
 
   const toggleRowSelection = (id) => {
@@ -232,15 +246,20 @@ const DSRHondaReport = () => {
     }
   };
 
-  // Edit functionality
-  const startEditing = (id, field, value) => {
-    setEditingCell({ id, field });
-    setEditValue(value || '');
+  // Edit functionality. Someone else editing the cell is a soft lock:
+  // ask before editing it as well.
+  const startEditing = (row, field) => {
+    const holder = lockHolder(row.id, field);
+    if (holder && !window.confirm(`${holder.email} is editing this cell. Edit it anyway?`)) return;
+    setEditingCell({ id: row.id, field, base: row.originalData });
+    setEditValue(row[field] || '');
+    setFocus({ rowId: row.id, field, editing: true });
   };
 
   const cancelEditing = () => {
     setEditingCell(null);
     setEditValue('');
+    setFocus({});
   };
 
   const saveEdit = async () => {
@@ -280,6 +299,7 @@ const DSRHondaReport = () => {
         'MBHBLNO': 'mbl_no',
         'DT': 'hbl_dt',
         'REMARK': 'remarks',
+        'CLIENT': 'client',
         'Job': 'job_no'
       };
 
@@ -290,7 +310,7 @@ const DSRHondaReport = () => {
 
       let updateValue = editValue;
 
-      if (['INVDT', 'SBILLDT', 'STUFFINGDT', 'HANDOVERDT', 'RAILOUTDT', 'ARRIVAL', 'ETD', 'SOB', 'ETA', 'DT'].includes(field)) {
+      if (isDateField(field)) {
         if (editValue) {
           updateValue = new Date(editValue).toISOString();
         } else {
@@ -302,40 +322,49 @@ const DSRHondaReport = () => {
         updateValue = editValue ? parseFloat(editValue) : null;
       }
 
-      const { error: updateError } = await supabase
-        .from('shipments')
-        .update({ [dbField]: updateValue })
-        .eq('id', id);
-
-      if (updateError) throw updateError;
-
-      const updatedData = data.map(item => {
-        if (item.id === id) {
-          return {
-            ...item,
-            [field]: editValue,
-            originalData: {
-              ...item.originalData,
-              [dbField]: updateValue
-            }
-          };
-        }
-        return item;
-      });
+      const saved = await saveWithMerge('shipments', editingCell.base || { id }, { [dbField]: updateValue });
+      applySavedRow(saved);
+      cancelEditing();
 
-      setData(updatedData);
-      setFilteredData(updatedData);
-      setEditingCell(null);
-      setEditValue('');
+    } catch (err) {
+      if (err instanceof ConflictError && err.conflicts) {
+        setCellConflict(err);
+      } else {
+        console.error('Error saving edit:', err);
+        setError(`Failed to save changes: ${err.message}`);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Swap in the shipment as saved, including other people's changes
+  const applySavedRow = (saved) => {
+    const replace = rows => rows.map(item => item.id === saved.id ? toDsrRow(saved, item.SNO - 1) : item);
+    setData(replace);
+    setFilteredData(replace);
+  };
 
+  const handleResolveConflict = async (choices) => {
+    try {
+      setSaving(true);
+      applySavedRow(await resolveConflict('shipments', cellConflict, choices));
     } catch (err) {
       console.error('Error saving edit:', err);
       setError(`Failed to save changes: ${err.message}`);
     } finally {
+      setCellConflict(null);
+      cancelEditing();
       setSaving(false);
     }
   };
 
+  const handleDiscardConflict = () => {
+    applySavedRow(cellConflict.current);
+    setCellConflict(null);
+    cancelEditing();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       saveEdit();
@@ -344,44 +373,13 @@ const DSRHondaReport = () => {
     }
   };
 
-  // Excel generation function
-  const generateExcelData = (dataToExport) => {
-    return dataToExport.map(item => ({
-      'S/NO': item.SNO,
-      'Job No': item.Job,
-      'INV NO.': item.INVNO,
-      'INV DT': item.INVDT,
-      'CONSIGNEE': item.CONSIGNEE,
-      'DESTINATION': item.DESTINATION,
-      'GOODS': item.GOODS,
-      'Gross Weight KGS': item.GrossWeightKGS,
-      'NET WEIGHT (KGS)': item.NETWEIGHT,
-      'TERM': item.TERM,
-      'SBILL NO.': item.SBILLNO,
-      'SBILL DT': item.SBILLDT,
-      'STUFFING DT.': item.STUFFINGDT,
-      'HANDOVER DT.': item.HANDOVERDT,
-      'S/LINE': item.SLINE,
-      'BKG NO': item.BKGNO,
-      'CONTAINER NO.': item.CONTAINERNO,
-      'CON TYPE': item.CONTYPE,
-      'RAIL OUT DT.': item.RAILOUTDT,
-      'ARRIVAL @ MUNDRA/PIPAVAV': item.ARRIVAL,
-      'VESSEL': item.VESSEL,
-      'VOY': item.VOY,
-      'E.T.D': item.ETD,
-      'S.O.B': item.SOB,
-      'E.T.A': item.ETA,
-      'MB/HBL NO': item.MBHBLNO,
-      'DT.': item.DT,
-      'REMARK': item.REMARK
-    }));
-  };
+  // Excel rows (header row first) in the chosen template's layout
+  const generateExcelData = (dataToExport) => dsrSheetRows(dataToExport, template);
 
   // Export to Excel file
   const exportToExcelFile = (excelData, filename) => {
     const wb = XLSX.utils.book_new();
-    const ws = XLSX.utils.json_to_sheet(excelData);
+    const ws = XLSX.utils.aoa_to_sheet(excelData);
     XLSX.utils.book_append_sheet(wb, ws, "DSR Report");
     XLSX.writeFile(wb, filename);
   };
@@ -400,7 +398,8 @@ const DSRHondaReport = () => {
       type: 'options',
       data: excelData,
       filename: `DSR_Report_Selected_${new Date().toISOString().split('T')[0]}.xlsx`,
-      recordCount: selectedRows.size
+      recordCount: selectedRows.size,
+      templateName: template.name
     });
   };
 
@@ -412,7 +411,8 @@ const DSRHondaReport = () => {
       type: 'options',
       data: excelData,
       filename: `DSR_Report_Full_${new Date().toISOString().split('T')[0]}.xlsx`,
-      recordCount: filteredData.length
+      recordCount: filteredData.length,
+      templateName: template.name
     });
   };
 
@@ -423,7 +423,7 @@ const DSRHondaReport = () => {
 
       // Convert Excel data to blob
       const wb = XLSX.utils.book_new();
-      const ws = XLSX.utils.json_to_sheet(excelData);
+      const ws = XLSX.utils.aoa_to_sheet(excelData);
       XLSX.utils.book_append_sheet(wb, ws, "DSR Report");
       const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
       const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -447,27 +447,18 @@ const DSRHondaReport = () => {
     }
   };
 
-  // Send email via backend API
+  // Send email via backend API (POST /api/send-email, authenticated)
   const sendEmailViaAPI = async (fileBlob, filename) => {
     const formData = new FormData();
-    formData.append('file', fileBlob, filename);
+    formData.append('files', fileBlob, filename);
+    formData.append('accountId', emailConfig.accountId);
     formData.append('to', emailConfig.to);
     formData.append('cc', emailConfig.cc);
     formData.append('bcc', emailConfig.bcc);
     formData.append('subject', emailConfig.subject);
     formData.append('body', emailConfig.body);
 
-    // Replace with your actual email sending endpoint
-    const response = await fetch('/api/send-email', {
-      method: 'POST',
-      body: formData,
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to send email via API');
-    }
-
-    return response.json();
+    return apiRequest('/send-email', { method: 'POST', body: formData });
   };
 
   // Open Gmail compose window
@@ -502,7 +493,7 @@ const DSRHondaReport = () => {
     setEmailConfig(prev => ({
       ...prev,
       subject: `DSR Report - ${new Date().toLocaleDateString()}`,
-      body: `Please find attached the DSR Report containing ${excelData.length} records.\n\nBest regards,\nDSR Team`
+      body: `Please find attached the DSR Report containing ${excelData.length - 1} records.\n\nBest regards,\nDSR Team`
     }));
     sendEmail(excelData, filename, 'auto');
   };
@@ -511,13 +502,16 @@ const DSRHondaReport = () => {
     setRetryCount(prev => prev + 1);
   };
 
-  // Render cell content
-  const renderCellContent = (row, field) => {
+  // Render cell content; dates show in the template's format, the editor
+  // keeps yyyy-mm-dd
+  const renderCellContent = (row, column) => {
+    const { field } = column;
+    const shown = dsrCellValue(row, column, template) || 'N/A';
     if (editingCell && editingCell.id === row.id && editingCell.field === field) {
       return (
         <div style={styles.editContainer}>
           <input
-            type={field.includes('DT') ? 'date' : 'text'}
+            type={isDateField(field) ? 'date' : 'text'}
             value={editValue}
             onChange={(e) => setEditValue(e.target.value)}
             onKeyDown={handleKeyPress}
@@ -545,53 +539,123 @@ const DSRHondaReport = () => {
       );
     }
 
+    // Colleagues pointing at or editing this cell
+    const cellPeers = peersAt(row.id, field);
+    const holder = cellPeers.find(peer => peer.editing);
+    const peerStyle = cellPeers.length > 0 && {
+      borderStyle: 'solid',
+      borderColor: peerColor(cellPeers[0].email),
+      ...(holder && styles.lockedCell)
+    };
+    const peerBadges = cellPeers.length > 0 && (
+      <span style={styles.peerBadges}>
+        {cellPeers.map(peer => (
+          <span key={peer.key} style={{ ...styles.peerBadge, backgroundColor: peerColor(peer.email) }}>
+            {peer.editing && '🔒 '}{peerInitials(peer.email)}
+          </span>
+        ))}
+      </span>
+    );
+    const peerTitle = cellPeers.map(peer => `${peer.email} is ${peer.editing ? 'editing' : 'viewing'} this cell`).join('\n');
+    const trackFocus = () => { if (!editingCell) setFocus({ rowId: row.id, field }); };
+
+    if (!can('shipments.edit')) {
+      return (
+        <div onMouseEnter={trackFocus} style={{ ...styles.readOnlyCell, ...peerStyle }} title={peerTitle || undefined}>
+          {shown}
+          {peerBadges}
+        </div>
+      );
+    }
+
     return (
       <div
-        onClick={() => startEditing(row.id, field, row[field])}
-        style={styles.editableCell}
-        title="Click to edit"
+        onClick={() => startEditing(row, field)}
+        onMouseEnter={trackFocus}
+        style={{ ...styles.editableCell, ...peerStyle }}
+        title={peerTitle || 'Click to edit'}
       >
-        {row[field] || 'N/A'}
+        {shown}
+        {peerBadges}
       </div>
     );
   };
 
-  // Email Dialog Component
-  const EmailDialog = () => {
+  // Email Dialog — rendered through a plain function call (not <EmailDialog />)
+  // so the inputs keep focus while emailConfig updates on every keystroke
+  const renderEmailDialog = () => {
     if (!emailDialog) return null;
 
-    return (
-
+    const updateConfig = (field) => (e) => setEmailConfig(prev => ({ ...prev, [field]: e.target.value }));
 
-      <div style={styles.dialogButtons}>
+    return (
+      <div style={styles.dialogOverlay} onClick={() => !sendingEmail && setEmailDialog(null)}>
+        <div style={styles.dialog} onClick={(e) => e.stopPropagation()}>
+          <h3 style={{ margin: 0 }}>Export DSR Report</h3>
+          <p style={{ margin: '6px 0 0', color: 'var(--text-secondary)', fontSize: '13px' }}>
+            {emailDialog.recordCount} records · {emailDialog.templateName} layout · {emailDialog.filename}
+          </p>
+
+          <div style={styles.emailConfig}>
+            <select
+              value={emailConfig.accountId}
+              onChange={updateConfig('accountId')}
+              style={styles.emailInput}
+              disabled={senderAccounts.length === 0}
+            >
+              {senderAccounts.length === 0 && <option value="">No mailbox available to send from</option>}
+              {senderAccounts.map(acc => (
+                <option key={acc.id} value={acc.id}>From: {acc.email}</option>
+              ))}
+            </select>
+            <input type="text" placeholder="To (comma separated)" value={emailConfig.to} onChange={updateConfig('to')} style={styles.emailInput} />
+            <input type="text" placeholder="CC" value={emailConfig.cc} onChange={updateConfig('cc')} style={styles.emailInput} />
+            <input type="text" placeholder="BCC" value={emailConfig.bcc} onChange={updateConfig('bcc')} style={styles.emailInput} />
+            <input type="text" placeholder="Subject" value={emailConfig.subject} onChange={updateConfig('subject')} style={styles.emailInput} />
+            <textarea rows={4} value={emailConfig.body} onChange={updateConfig('body')} style={styles.emailTextarea} />
+          </div>
 
+          <div style={styles.dialogButtons}>
+            {can('email.send') && (
+              <button
+                onClick={() => sendEmail(emailDialog.data, emailDialog.filename, 'auto')}
+                disabled={sendingEmail || !emailConfig.to.trim() || !emailConfig.accountId}
+                style={styles.quickSendButton}
+              >
+                {sendingEmail ? 'Sending...' : 'Send Email Now'}
+              </button>
+            )}
 
-        <button
-          onClick={() => sendEmail(emailDialog.data, emailDialog.filename, 'compose')}
-          disabled={sendingEmail}
-          style={styles.composeButton}
-        >
-          {sendingEmail ? 'Opening...' : 'Open Gmail Compose'}
-        </button>
+            <button
+              onClick={() => sendEmail(emailDialog.data, emailDialog.filename, 'compose')}
+              disabled={sendingEmail}
+              style={styles.composeButton}
+            >
+              Open Gmail Compose
+            </button>
 
-        <button
-          onClick={() => exportToExcelFile(emailDialog.data, emailDialog.filename)}
-          style={styles.downloadButton}
-        >
-          Download Excel File
-        </button>
+            <button
+              onClick={() => exportToExcelFile(emailDialog.data, emailDialog.filename)}
+              style={styles.downloadButton}
+            >
+              Download Excel File
+            </button>
 
-        <button
-          onClick={() => setEmailDialog(null)}
-          style={styles.cancelDialogButton}
-        >
-          Cancel
-        </button>
+            <button
+              onClick={() => setEmailDialog(null)}
+              disabled={sendingEmail}
+              style={styles.cancelDialogButton}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
       </div>
-
     );
   };
 
+  const clients = [...new Set(data.map(item => item.CLIENT).filter(Boolean))].sort();
+
   if (loading) return <div style={styles.loading}>Loading data...</div>;
 
   return (
@@ -641,6 +705,19 @@ const DSRHondaReport = () => {
 
       <div style={styles.header}>
         <h1 style={styles.title}>DSR Report - Editable</h1>
+        {peers.length > 0 && (
+          <div style={styles.presenceBar} title="Also on this report">
+            {peers.map(peer => (
+              <span
+                key={peer.key}
+                style={{ ...styles.presenceAvatar, backgroundColor: peerColor(peer.email) }}
+                title={peer.editing ? `${peer.email} — editing` : peer.email}
+              >
+                {peerInitials(peer.email)}
+              </span>
+            ))}
+          </div>
+        )}
         <div style={styles.controls}>
           <input
             type="text"
@@ -649,6 +726,26 @@ const DSRHondaReport = () => {
             onChange={(e) => setSearchTerm(e.target.value)}
             style={styles.searchInput}
           />
+          <select
+            value={clientFilter}
+            onChange={(e) => setClientFilter(e.target.value)}
+            style={styles.filterSelect}
+            title="Show one client's shipments"
+          >
+            <option value="">All clients</option>
+            {clients.map(client => <option key={client} value={client}>{client}</option>)}
+          </select>
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            style={styles.filterSelect}
+            title="Columns shown and exported"
+          >
+            <option value="client">
+              {clientFilter ? `Client's layout (${templateForClient(templates, templateClients, clientFilter).name})` : 'Standard layout'}
+            </option>
+            {templates.map(t => <option key={t.id} value={String(t.id)}>{t.name}</option>)}
+          </select>
           <div style={styles.buttonGroup}>
             <button
               style={styles.exportButton}
@@ -691,7 +788,7 @@ const DSRHondaReport = () => {
         )
       }
 
-      <EmailDialog />
+      {renderEmailDialog()}
 
       <div style={styles.tableContainer}>
         {filteredData.length === 0 && !loading ? (
@@ -725,28 +822,22 @@ const DSRHondaReport = () => {
                       title="Select all rows"
                     />
                   </th>
-                  {[
-                    'SNO', 'Job', 'INVNO', 'INVDT', 'CONSIGNEE', 'DESTINATION',
-                    'GOODS', 'GrossWeightKGS', 'NETWEIGHT', 'TERM', 'SBILLNO',
-                    'SBILLDT', 'STUFFINGDT', 'HANDOVERDT', 'SLINE', 'BKGNO',
-                    'CONTAINERNO', 'CONTYPE', 'RAILOUTDT', 'ARRIVAL', 'VESSEL',
-                    'VOY', 'ETD', 'SOB', 'ETA', 'MBHBLNO', 'DT', 'REMARK'
-                  ].map(column => (
+                  {template.columns.map(column => (
                     <th
-                      key={column}
+                      key={column.field}
                       style={styles.cell}
-                      onClick={() => handleSort(column)}
-                      title={`Sort by ${column}`}
+                      onClick={() => handleSort(column.field)}
+                      title={`Sort by ${columnHeader(column)}`}
                     >
-                      {column}
-                      {sortConfig.key === column && (
+                      {columnHeader(column)}
+                      {sortConfig.key === column.field && (
                         <span>{sortConfig.direction === 'ascending' ? ' ▲' : ' ▼'}</span>
                       )}
                     </th>
                   ))}
                 </tr>
               </thead>
-              <tbody>
+              <tbody onMouseLeave={() => { if (!editingCell) setFocus({}); }}>
                 {filteredData.map((row, index) => (
                   <tr
                     key={row.id}
@@ -761,34 +852,11 @@ const DSRHondaReport = () => {
                         title="Select this row"
                       />
                     </td>
-                    <td style={styles.cell}>{row.SNO}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'Job')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'INVNO')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'INVDT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'CONSIGNEE')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'DESTINATION')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'GOODS')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'GrossWeightKGS')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'NETWEIGHT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'TERM')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'SBILLNO')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'SBILLDT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'STUFFINGDT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'HANDOVERDT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'SLINE')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'BKGNO')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'CONTAINERNO')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'CONTYPE')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'RAILOUTDT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'ARRIVAL')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'VESSEL')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'VOY')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'ETD')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'SOB')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'ETA')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'MBHBLNO')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'DT')}</td>
-                    <td style={styles.cell}>{renderCellContent(row, 'REMARK')}</td>
+                    {template.columns.map(column => (
+                      <td key={column.field} style={styles.cell}>
+                        {column.field === 'SNO' ? row.SNO : renderCellContent(row, column)}
+                      </td>
+                    ))}
                   </tr>
                 ))}
               </tbody>
@@ -796,6 +864,15 @@ const DSRHondaReport = () => {
           </>
         )}
       </div>
+
+      {cellConflict && (
+        <ConflictDialog
+          conflict={cellConflict}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardConflict}
+        />
+      )}
     </div >
   );
 };
@@ -848,6 +925,15 @@ const styles = {
     color: 'var(--text-primary)',
     outline: 'none',
   },
+  filterSelect: {
+    padding: '8px 10px',
+    border: '1px solid var(--border-strong)',
+    borderRadius: '8px',
+    fontSize: '14px',
+    maxWidth: '220px',
+    backgroundColor: 'var(--bg-surface-2)',
+    color: 'var(--text-primary)',
+  },
   buttonGroup: {
     display: 'flex',
     gap: '10px',
@@ -1022,6 +1108,45 @@ const styles = {
     borderRadius: '3px',
     color: 'var(--text-primary)',
   },
+  readOnlyCell: {
+    padding: '4px',
+    minHeight: '20px',
+    border: '1px dashed transparent',
+    borderRadius: '3px',
+  },
+  lockedCell: {
+    backgroundColor: 'var(--warning-bg)',
+  },
+  peerBadges: {
+    display: 'inline-flex',
+    gap: '2px',
+    marginLeft: '4px',
+    verticalAlign: 'middle',
+  },
+  peerBadge: {
+    padding: '0 4px',
+    borderRadius: '6px',
+    color: '#fff',
+    fontSize: '9px',
+    fontWeight: '700',
+    lineHeight: '14px',
+  },
+  presenceBar: {
+    display: 'flex',
+    gap: '4px',
+    alignItems: 'center',
+  },
+  presenceAvatar: {
+    width: '26px',
+    height: '26px',
+    borderRadius: '50%',
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: '#fff',
+    fontSize: '11px',
+    fontWeight: '700',
+  },
   editContainer: {
     display: 'flex',
     alignItems: 'center',
@@ -0,0 +1,352 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { supabase } from '../lib/supabaseClient'
+import {
+    listDsrSubscriptions,
+    createDsrSubscription,
+    updateDsrSubscription,
+    deleteDsrSubscription,
+    sendDsrSubscriptionNow,
+    listDsrSubscriptionSends,
+    getUserAccounts
+} from '../lib/emailApi'
+import { DSR_FILTERS } from '../lib/dsrTemplates'
+import { useRole } from '../hooks/useRole'
+
+import './Settings.css'
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const EMPTY_FORM = {
+    client: '',
+    enabled: true,
+    accountId: '',
+    recipients: '',
+    cc: '',
+    frequency: 'daily',
+    weekday: '1',
+    sendTime: '09:00',
+    timezone: 'Asia/Kolkata',
+    templateId: '',
+    filter: 'open',
+    subject: '',
+    body: '',
+}
+
+const toForm = (subscription) => ({
+    client: subscription.client,
+    enabled: subscription.enabled,
+    accountId: String(subscription.accountId),
+    recipients: subscription.recipients.join(', '),
+    cc: subscription.cc.join(', '),
+    frequency: subscription.frequency,
+    weekday: String(subscription.weekday ?? 1),
+    sendTime: subscription.sendTime,
+    timezone: subscription.timezone,
+    templateId: subscription.templateId ? String(subscription.templateId) : '',
+    filter: subscription.filter,
+    subject: subscription.subject || '',
+    body: subscription.body || '',
+})
+
+const toPayload = (form) => ({
+    ...form,
+    weekday: form.frequency === 'weekly' ? form.weekday : null,
+    templateId: form.templateId || null,
+})
+
+const describeSchedule = ({ frequency, weekday, sendTime, timezone }) =>
+    `${frequency === 'weekly' ? `Every ${WEEKDAYS[weekday]}` : 'Daily'} at ${sendTime} (${timezone})`
+
+/* ── Settings → DSR emails (admin, operations) ──────────────── */
+const DsrSubscriptionsSettings = () => {
+    const { can } = useRole()
+    const [subscriptions, setSubscriptions] = useState([])
+    const [accounts, setAccounts] = useState([])
+    const [templates, setTemplates] = useState([])
+    const [organizations, setOrganizations] = useState([])
+    const [sends, setSends] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState('')
+    const [savedMsg, setSavedMsg] = useState('')
+    const [editing, setEditing] = useState(null) // null | 'new' | subscription id
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [saving, setSaving] = useState(false)
+    const [sendingId, setSendingId] = useState(null)
+    const [sendsFor, setSendsFor] = useState(null) // null = all subscriptions
+
+    const load = useCallback(async () => {
+        try {
+            const [{ subscriptions }, { accounts }, templatesRes, organizationsRes] = await Promise.all([
+                listDsrSubscriptions(),
+                getUserAccounts(),
+                supabase.from('dsr_templates').select('id, name').order('name'),
+                supabase.from('organizations').select('name').order('name'),
+            ])
+            if (templatesRes.error) throw templatesRes.error
+            if (organizationsRes.error) throw organizationsRes.error
+            setSubscriptions(subscriptions || [])
+            setAccounts(accounts || [])
+            setTemplates(templatesRes.data || [])
+            setOrganizations((organizationsRes.data || []).map(org => org.name).filter(Boolean))
+            setError('')
+        } catch (err) {
+            setError(err.message)
+        }
+        setLoading(false)
+    }, [])
+
+    const loadSends = useCallback(async () => {
+        try {
+            const { sends } = await listDsrSubscriptionSends({ subscriptionId: sendsFor ?? undefined })
+            setSends(sends || [])
+        } catch (err) {
+            setError(err.message)
+        }
+    }, [sendsFor])
+
+    useEffect(() => { load() }, [load])
+    useEffect(() => { loadSends() }, [loadSends])
+
+    const flash = (msg) => {
+        setSavedMsg(msg)
+        setTimeout(() => setSavedMsg(''), 2500)
+    }
+
+    const replaceSubscription = (subscription) => {
+        setSubscriptions(prev => (prev.some(s => s.id === subscription.id)
+            ? prev.map(s => s.id === subscription.id ? subscription : s)
+            : [...prev, subscription])
+            .sort((a, b) => a.client.localeCompare(b.client) || a.id - b.id))
+    }
+
+    const startEdit = (subscription) => {
+        setEditing(subscription ? subscription.id : 'new')
+        setForm(subscription ? toForm(subscription) : { ...EMPTY_FORM, accountId: accounts[0] ? String(accounts[0].id) : '' })
+        setError('')
+    }
+
+    const setField = (name) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+        setForm(prev => ({ ...prev, [name]: value }))
+    }
+
+    const handleSave = async () => {
+        setSaving(true)
+        setError('')
+        try {
+            const { subscription } = editing === 'new'
+                ? await createDsrSubscription(toPayload(form))
+                : await updateDsrSubscription(editing, toPayload(form))
+            replaceSubscription(subscription)
+            setEditing(null)
+            flash(editing === 'new' ? 'Subscription added' : 'Subscription saved')
+        } catch (err) {
+            setError(err.message)
+        }
+        setSaving(false)
+    }
+
+    const toggleEnabled = async (subscription) => {
+        try {
+            const { subscription: updated } = await updateDsrSubscription(subscription.id, { enabled: !subscription.enabled })
+            replaceSubscription(updated)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const handleSendNow = async (subscription) => {
+        if (!window.confirm(`Send the DSR for ${subscription.client} to ${subscription.recipients.join(', ')} now?`)) return
+        setSendingId(subscription.id)
+        setError('')
+        try {
+            const { send } = await sendDsrSubscriptionNow(subscription.id)
+            flash(send.status === 'sent' ? `DSR sent (${send.recordCount} shipments)` : `Not sent: ${send.error}`)
+        } catch (err) {
+            setError(err.message)
+        }
+        setSendingId(null)
+        loadSends()
+    }
+
+    const handleDelete = async (subscription) => {
+        if (!window.confirm(`Stop sending the DSR to ${subscription.client}? Its send log is kept.`)) return
+        try {
+            await deleteDsrSubscription(subscription.id)
+            setSubscriptions(prev => prev.filter(s => s.id !== subscription.id))
+            if (editing === subscription.id) setEditing(null)
+            if (sendsFor === subscription.id) setSendsFor(null)
+            flash('Subscription deleted')
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const templateName = (templateId) => templates.find(t => t.id === templateId)?.name || `template ${templateId}`
+
+    if (loading) return (
+        <div className="settings-loading"><div className="settings-spinner" /></div>
+    )
+
+    return (
+        <div className="settings-page page-enter">
+
+            <div className="settings-topbar">
+                <div>
+                    <h1 className="settings-title">DSR emails</h1>
+                    <p className="settings-subtitle">Mail each client their status report as an Excel file on a schedule, in their DSR template.</p>
+                </div>
+                <div className="mb-topbar-actions">
+                    <Link to="/settings" className="s-link-btn">← Settings</Link>
+                    <button className="settings-save-btn" onClick={() => startEdit(null)}>+ Add subscription</button>
+                </div>
+            </div>
+
+            {savedMsg && <div className="settings-toast">{savedMsg}</div>}
+            {error && <div className="mb-error">{error}</div>}
+
+            {editing !== null && (
+                <div className="s-card mb-form">
+                    <h3 className="s-card-title">{editing === 'new' ? 'Add subscription' : `Edit ${form.client}`}</h3>
+
+                    <div className="mb-form-grid">
+                        <label>Client
+                            <input value={form.client} onChange={setField('client')} list="ds-organizations" placeholder="Exact organisation name" />
+                            <datalist id="ds-organizations">
+                                {organizations.map(name => <option key={name} value={name} />)}
+                            </datalist>
+                        </label>
+                        <label>Send from
+                            <select className="mb-role-select" value={form.accountId} onChange={setField('accountId')}>
+                                {accounts.length === 0 && <option value="">No mailbox available to send from</option>}
+                                {accounts.map(account => <option key={account.id} value={account.id}>{account.email}</option>)}
+                            </select>
+                        </label>
+                        <label>To (comma-separated)<input value={form.recipients} onChange={setField('recipients')} placeholder="logistics@client.com" /></label>
+                        <label>CC (comma-separated)<input value={form.cc} onChange={setField('cc')} placeholder="ops@seal.co.in" /></label>
+                    </div>
+
+                    <p className="s-field-label" style={{ marginTop: 16 }}>Schedule</p>
+                    <div className="mb-form-grid">
+                        <label>Frequency
+                            <select className="mb-role-select" value={form.frequency} onChange={setField('frequency')}>
+                                <option value="daily">Daily</option>
+                                <option value="weekly">Weekly</option>
+                            </select>
+                        </label>
+                        {form.frequency === 'weekly' && (
+                            <label>Weekday
+                                <select className="mb-role-select" value={form.weekday} onChange={setField('weekday')}>
+                                    {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+                                </select>
+                            </label>
+                        )}
+                        <label>Time<input type="time" value={form.sendTime} onChange={setField('sendTime')} /></label>
+                        <label>Time zone<input value={form.timezone} onChange={setField('timezone')} placeholder="Asia/Kolkata" /></label>
+                    </div>
+
+                    <p className="s-field-label" style={{ marginTop: 16 }}>Report</p>
+                    <div className="mb-form-grid">
+                        <label>Template
+                            <select className="mb-role-select" value={form.templateId} onChange={setField('templateId')}>
+                                <option value="">The client's template</option>
+                                {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                            </select>
+                        </label>
+                        <label>Shipments
+                            <select className="mb-role-select" value={form.filter} onChange={setField('filter')}>
+                                {Object.entries(DSR_FILTERS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </label>
+                        <label className="mb-form-wide">Subject ({'{client}'}, {'{date}'} and {'{count}'} are filled in)
+                            <input value={form.subject} onChange={setField('subject')} placeholder="DSR Report - {client} - {date}" />
+                        </label>
+                        <label className="mb-form-wide">Message
+                            <textarea rows={3} value={form.body} onChange={setField('body')} placeholder="Please find attached the DSR Report for {client} ({count} shipments)." />
+                        </label>
+                    </div>
+                    <div className="mb-form-checks">
+                        <label><input type="checkbox" checked={form.enabled} onChange={setField('enabled')} /> Enabled</label>
+                    </div>
+
+                    <div className="mb-form-actions">
+                        <button className="s-link-btn" onClick={() => setEditing(null)}>Cancel</button>
+                        <button className="settings-save-btn" onClick={handleSave} disabled={saving}>
+                            {saving ? <><span className="settings-btn-spinner" />Saving…</> : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="mb-list">
+                {subscriptions.length === 0 && (
+                    <div className="s-card"><p className="s-card-desc">No subscriptions yet. Clients only get the DSR when someone sends it from the DSR page.</p></div>
+                )}
+
+                {subscriptions.map(subscription => (
+                    <div key={subscription.id} className="s-card">
+                        <div className="mb-account-head">
+                            <div>
+                                <h3 className="s-card-title">{subscription.client}</h3>
+                                <p className="s-card-desc">
+                                    {describeSchedule(subscription)} · {DSR_FILTERS[subscription.filter]?.label} · {subscription.templateId ? templateName(subscription.templateId) : "client's template"}
+                                </p>
+                                <p className="s-card-desc">
+                                    To {subscription.recipients.join(', ')}{subscription.cc.length > 0 && ` · CC ${subscription.cc.join(', ')}`} · from {subscription.accountEmail || `mailbox #${subscription.accountId}`}
+                                </p>
+                                {subscription.nextRunAt && (
+                                    <p className="s-card-desc">Next {new Date(subscription.nextRunAt).toLocaleString()}</p>
+                                )}
+                            </div>
+                            <div className="mb-account-actions">
+                                <span className={`s-info-badge ${subscription.enabled ? 'active' : 'muted'}`}>
+                                    {subscription.enabled ? 'Active' : 'Paused'}
+                                </span>
+                                <button className="s-link-btn" onClick={() => toggleEnabled(subscription)}>
+                                    {subscription.enabled ? 'Pause' : 'Resume'}
+                                </button>
+                                {can('email.send') && (
+                                    <button className="s-link-btn" onClick={() => handleSendNow(subscription)} disabled={sendingId === subscription.id}>
+                                        {sendingId === subscription.id ? 'Sending…' : 'Send now'}
+                                    </button>
+                                )}
+                                <button className="s-link-btn" onClick={() => setSendsFor(subscription.id)}>Log</button>
+                                <button className="s-link-btn" onClick={() => startEdit(subscription)}>Edit</button>
+                                <button className="s-link-btn" onClick={() => handleDelete(subscription)}>Delete</button>
+                            </div>
+                        </div>
+                    </div>
+                ))}
+
+                <div className="s-card">
+                    <div className="mb-account-head">
+                        <h3 className="s-card-title">
+                            Recent sends{sendsFor !== null && ` · ${subscriptions.find(s => s.id === sendsFor)?.client || `subscription ${sendsFor}`}`}
+                        </h3>
+                        <div className="mb-account-actions">
+                            {sendsFor !== null && <button className="s-link-btn" onClick={() => setSendsFor(null)}>All clients</button>}
+                            <button className="s-link-btn" onClick={loadSends}>Refresh</button>
+                        </div>
+                    </div>
+                    {sends.length === 0 && <p className="s-card-desc">Nothing sent yet</p>}
+                    {sends.map(send => (
+                        <div key={send.id} className="s-info-row">
+                            <span className="s-info-label">
+                                {new Date(send.createdAt).toLocaleString()} · {send.client} · {send.trigger === 'manual' ? `sent by ${send.sentByEmail}` : 'scheduled'}
+                            </span>
+                            <span className="s-info-value">
+                                {send.status === 'sent' && <span className="mb-good">Sent {send.recordCount} shipments to {send.recipients}</span>}
+                                {send.status === 'skipped' && <span>Skipped · {send.error}</span>}
+                                {send.status === 'failed' && <span className="mb-bad">Failed · {send.error}</span>}
+                                {send.rejected?.length > 0 && <span className="mb-bad"> · rejected {send.rejected.join(', ')}</span>}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default DsrSubscriptionsSettings
@@ -0,0 +1,294 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { supabase } from '../lib/supabaseClient'
+import {
+    DSR_FIELDS, DATE_FORMATS, DEFAULT_DATE_FORMAT, DEFAULT_TEMPLATE, isDateField, columnHeader,
+} from '../lib/dsrTemplates'
+
+import './Settings.css'
+
+const EMPTY_FORM = {
+    name: '',
+    date_format: DEFAULT_DATE_FORMAT,
+    columns: DEFAULT_TEMPLATE.columns,
+    clients: [],
+}
+
+const fieldName = (key) => DSR_FIELDS.find(field => field.key === key)?.header || key
+
+/* ── Settings → DSR templates (admin, operations) ───────────── */
+const DsrTemplatesSettings = () => {
+    const [templates, setTemplates] = useState([])
+    const [assignments, setAssignments] = useState([])
+    const [organizations, setOrganizations] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState('')
+    const [savedMsg, setSavedMsg] = useState('')
+    const [editing, setEditing] = useState(null) // null | 'new' | template id
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [newClient, setNewClient] = useState('')
+    const [saving, setSaving] = useState(false)
+
+    const load = useCallback(async () => {
+        try {
+            const [templatesRes, assignmentsRes, organizationsRes] = await Promise.all([
+                supabase.from('dsr_templates').select('*').order('name'),
+                supabase.from('dsr_template_clients').select('*').order('client'),
+                supabase.from('organizations').select('name').order('name'),
+            ])
+            const failed = [templatesRes, assignmentsRes, organizationsRes].find(res => res.error)
+            if (failed) throw failed.error
+            setTemplates(templatesRes.data || [])
+            setAssignments(assignmentsRes.data || [])
+            setOrganizations((organizationsRes.data || []).map(org => org.name).filter(Boolean))
+            setError('')
+        } catch (err) {
+            setError(err.message)
+        }
+        setLoading(false)
+    }, [])
+
+    useEffect(() => { load() }, [load])
+
+    const flash = (msg) => {
+        setSavedMsg(msg)
+        setTimeout(() => setSavedMsg(''), 2500)
+    }
+
+    const clientsOf = (templateId) => assignments.filter(a => a.template_id === templateId).map(a => a.client)
+
+    const startEdit = (template) => {
+        setEditing(template ? template.id : 'new')
+        setForm(template
+            ? { name: template.name, date_format: template.date_format, columns: template.columns || [], clients: clientsOf(template.id) }
+            : EMPTY_FORM)
+        setNewClient('')
+        setError('')
+    }
+
+    const setColumn = (index, changes) => {
+        setForm(prev => ({ ...prev, columns: prev.columns.map((c, i) => i === index ? { ...c, ...changes } : c) }))
+    }
+
+    const moveColumn = (index, offset) => {
+        setForm(prev => {
+            const columns = [...prev.columns]
+            const target = index + offset
+            if (target < 0 || target >= columns.length) return prev
+            const [column] = columns.splice(index, 1)
+            columns.splice(target, 0, column)
+            return { ...prev, columns }
+        })
+    }
+
+    const removeColumn = (index) => {
+        setForm(prev => ({ ...prev, columns: prev.columns.filter((_, i) => i !== index) }))
+    }
+
+    const addColumn = (key) => {
+        if (!key) return
+        setForm(prev => ({ ...prev, columns: [...prev.columns, { field: key, header: fieldName(key) }] }))
+    }
+
+    const addClient = () => {
+        const client = newClient.trim()
+        if (!client) return
+        setForm(prev => prev.clients.includes(client) ? prev : { ...prev, clients: [...prev.clients, client] })
+        setNewClient('')
+    }
+
+    const removeClient = (client) => {
+        setForm(prev => ({ ...prev, clients: prev.clients.filter(c => c !== client) }))
+    }
+
+    const handleSave = async () => {
+        if (!form.name.trim()) return setError('Give the template a name')
+        if (form.columns.length === 0) return setError('Add at least one column')
+        setSaving(true)
+        setError('')
+        try {
+            const { data: { session } } = await supabase.auth.getSession()
+            const record = {
+                name: form.name.trim(),
+                date_format: form.date_format,
+                columns: form.columns.map(({ field, header, dateFormat }) => ({
+                    field,
+                    header: header?.trim() || fieldName(field),
+                    ...(isDateField(field) && dateFormat && { dateFormat }),
+                })),
+                updated_by: session?.user?.email || null,
+                updated_at: new Date().toISOString(),
+            }
+            const { data: saved, error: saveError } = editing === 'new'
+                ? await supabase.from('dsr_templates').insert([record]).select().single()
+                : await supabase.from('dsr_templates').update(record).eq('id', editing).select().single()
+            if (saveError) throw saveError
+
+            // A client listed here moves off whichever template it had
+            const dropped = clientsOf(saved.id).filter(client => !form.clients.includes(client))
+            if (dropped.length) {
+                const { error: dropError } = await supabase.from('dsr_template_clients').delete().in('client', dropped)
+                if (dropError) throw dropError
+            }
+            if (form.clients.length) {
+                const { error: assignError } = await supabase
+                    .from('dsr_template_clients')
+                    .upsert(form.clients.map(client => ({ client, template_id: saved.id })), { onConflict: 'client' })
+                if (assignError) throw assignError
+            }
+
+            await load()
+            setEditing(null)
+            flash(editing === 'new' ? 'Template added' : 'Template saved')
+        } catch (err) {
+            setError(err.message)
+        }
+        setSaving(false)
+    }
+
+    const handleDelete = async (template) => {
+        const clients = clientsOf(template.id)
+        const note = clients.length ? ` ${clients.join(', ')} will get the standard layout.` : ''
+        if (!window.confirm(`Delete the template "${template.name}"?${note}`)) return
+        try {
+            const { error: deleteError } = await supabase.from('dsr_templates').delete().eq('id', template.id)
+            if (deleteError) throw deleteError
+            setTemplates(prev => prev.filter(t => t.id !== template.id))
+            setAssignments(prev => prev.filter(a => a.template_id !== template.id))
+            if (editing === template.id) setEditing(null)
+            flash('Template deleted')
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const unusedFields = DSR_FIELDS.filter(field => !form.columns.some(c => c.field === field.key))
+
+    if (loading) return (
+        <div className="settings-loading"><div className="settings-spinner" /></div>
+    )
+
+    return (
+        <div className="settings-page page-enter">
+
+            <div className="settings-topbar">
+                <div>
+                    <h1 className="settings-title">DSR templates</h1>
+                    <p className="settings-subtitle">Which columns a client's status report shows, in what order and under which headers. Clients without a template get the standard layout.</p>
+                </div>
+                <div className="mb-topbar-actions">
+                    <Link to="/settings" className="s-link-btn">← Settings</Link>
+                    <button className="settings-save-btn" onClick={() => startEdit(null)}>+ Add template</button>
+                </div>
+            </div>
+
+            {savedMsg && <div className="settings-toast">{savedMsg}</div>}
+            {error && <div className="mb-error">{error}</div>}
+
+            {editing !== null && (
+                <div className="s-card mb-form">
+                    <h3 className="s-card-title">{editing === 'new' ? 'Add template' : `Edit ${form.name}`}</h3>
+
+                    <div className="mb-form-grid">
+                        <label>Name<input value={form.name} onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))} placeholder="Honda weekly" /></label>
+                        <label>Date format
+                            <select className="mb-role-select" value={form.date_format} onChange={e => setForm(prev => ({ ...prev, date_format: e.target.value }))}>
+                                {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    <p className="s-field-label" style={{ marginTop: 16 }}>Columns, left to right</p>
+                    <div className="dt-columns">
+                        {form.columns.map((column, index) => (
+                            <div key={column.field} className="dt-column-row">
+                                <span className="dt-column-field">{fieldName(column.field)}</span>
+                                <input value={column.header} onChange={e => setColumn(index, { header: e.target.value })} placeholder="Header" />
+                                {isDateField(column.field) ? (
+                                    <select className="mb-role-select" value={column.dateFormat || ''} onChange={e => setColumn(index, { dateFormat: e.target.value || undefined })}>
+                                        <option value="">Template format</option>
+                                        {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+                                    </select>
+                                ) : <span />}
+                                <div className="mb-account-actions">
+                                    <button className="s-link-btn" onClick={() => moveColumn(index, -1)} disabled={index === 0} title="Move left">↑</button>
+                                    <button className="s-link-btn" onClick={() => moveColumn(index, 1)} disabled={index === form.columns.length - 1} title="Move right">↓</button>
+                                    <button className="s-link-btn" onClick={() => removeColumn(index)} title="Remove">✕</button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="mb-grant-row">
+                        <select className="mb-role-select" value="" onChange={e => addColumn(e.target.value)} disabled={unusedFields.length === 0}>
+                            <option value="">+ Add column…</option>
+                            {unusedFields.map(field => <option key={field.key} value={field.key}>{field.header}</option>)}
+                        </select>
+                        <button className="s-link-btn" onClick={() => setForm(prev => ({ ...prev, columns: DEFAULT_TEMPLATE.columns }))}>
+                            Reset to standard layout
+                        </button>
+                    </div>
+
+                    <p className="s-field-label" style={{ marginTop: 16 }}>Used for clients</p>
+                    <div className="mb-users">
+                        {form.clients.length === 0 && <p className="s-card-desc">No clients yet; it can still be picked on the DSR page.</p>}
+                        {form.clients.map(client => (
+                            <span key={client} className="mb-user-chip">
+                                {client}
+                                <button onClick={() => removeClient(client)} title="Remove">×</button>
+                            </span>
+                        ))}
+                    </div>
+                    <div className="mb-grant-row">
+                        <input
+                            value={newClient}
+                            onChange={e => setNewClient(e.target.value)}
+                            onKeyDown={e => e.key === 'Enter' && addClient()}
+                            list="dt-organizations"
+                            placeholder="Client organisation"
+                        />
+                        <datalist id="dt-organizations">
+                            {organizations.map(name => <option key={name} value={name} />)}
+                        </datalist>
+                        <button className="s-link-btn" onClick={addClient}>Add client</button>
+                    </div>
+
+                    <div className="mb-form-actions">
+                        <button className="s-link-btn" onClick={() => setEditing(null)}>Cancel</button>
+                        <button className="settings-save-btn" onClick={handleSave} disabled={saving}>
+                            {saving ? <><span className="settings-btn-spinner" />Saving…</> : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="mb-list">
+                {templates.length === 0 && (
+                    <div className="s-card"><p className="s-card-desc">No templates yet. Every client gets the standard layout.</p></div>
+                )}
+
+                {templates.map(template => {
+                    const clients = clientsOf(template.id)
+                    return (
+                        <div key={template.id} className="s-card">
+                            <div className="mb-account-head">
+                                <div>
+                                    <h3 className="s-card-title">{template.name}</h3>
+                                    <p className="s-card-desc">{(template.columns || []).map(columnHeader).join(' · ')}</p>
+                                    <p className="s-card-desc">
+                                        Dates {template.date_format} · {clients.length ? `used for ${clients.join(', ')}` : 'no clients'}
+                                    </p>
+                                </div>
+                                <div className="mb-account-actions">
+                                    <button className="s-link-btn" onClick={() => startEdit(template)}>Edit</button>
+                                    <button className="s-link-btn" onClick={() => handleDelete(template)}>Delete</button>
+                                </div>
+                            </div>
+                        </div>
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
+
+export default DsrTemplatesSettings
@@ -0,0 +1,316 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import {
+    listEmailRules,
+    createEmailRule,
+    updateEmailRule,
+    deleteEmailRule,
+    listEmailRuleHits,
+    listMailAccounts
+} from '../lib/emailApi'
+
+import './Settings.css'
+
+const EMPTY_FORM = {
+    name: '',
+    priority: 100,
+    enabled: true,
+    stopProcessing: false,
+    accountIds: [],
+    senderDomains: '',
+    subjectPattern: '',
+    attachmentTypes: '',
+    labels: '',
+    markImportant: false,
+    organization: '',
+    forwardTo: '',
+    delete: false,
+}
+
+const toForm = (rule) => ({
+    name: rule.name,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    stopProcessing: rule.stopProcessing,
+    accountIds: rule.conditions.accountIds,
+    senderDomains: rule.conditions.senderDomains.join(', '),
+    subjectPattern: rule.conditions.subjectPattern || '',
+    attachmentTypes: rule.conditions.attachmentTypes.join(', '),
+    labels: rule.actions.labels.join(', '),
+    markImportant: rule.actions.markImportant,
+    organization: rule.actions.organization || '',
+    forwardTo: rule.actions.forwardTo.join(', '),
+    delete: rule.actions.delete,
+})
+
+const toPayload = (form) => ({
+    name: form.name,
+    priority: form.priority,
+    enabled: form.enabled,
+    stopProcessing: form.stopProcessing,
+    conditions: {
+        accountIds: form.accountIds,
+        senderDomains: form.senderDomains,
+        subjectPattern: form.subjectPattern,
+        attachmentTypes: form.attachmentTypes,
+    },
+    actions: {
+        labels: form.labels,
+        markImportant: form.markImportant,
+        organization: form.organization,
+        forwardTo: form.forwardTo,
+        delete: form.delete,
+    },
+})
+
+const describeConditions = ({ accountIds, senderDomains, subjectPattern, attachmentTypes }, accounts) => [
+    accountIds.length && `mailbox ${accountIds.map(id => accounts.find(a => a.id === id)?.email || `#${id}`).join(' or ')}`,
+    senderDomains.length && `from ${senderDomains.join(' or ')}`,
+    subjectPattern && `subject ~ /${subjectPattern}/`,
+    attachmentTypes.length && `attachment ${attachmentTypes.join(' or ')}`,
+].filter(Boolean).join(' · ')
+
+const describeActions = (actions) => [
+    actions.labels.length && `label ${actions.labels.join(', ')}`,
+    actions.markImportant && 'mark important',
+    actions.organization && `client ${actions.organization}`,
+    actions.forwardTo.length && `forward to ${actions.forwardTo.join(', ')}`,
+    actions.delete && 'delete',
+].filter(Boolean).join(' · ')
+
+/* ── Settings → Email rules (mail admins) ───────────────────── */
+const EmailRulesSettings = () => {
+    const [rules, setRules] = useState([])
+    const [accounts, setAccounts] = useState([])
+    const [hits, setHits] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState('')
+    const [savedMsg, setSavedMsg] = useState('')
+    const [editing, setEditing] = useState(null) // null | 'new' | rule id
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [saving, setSaving] = useState(false)
+    const [hitsFor, setHitsFor] = useState(null) // null = all rules
+
+    const load = useCallback(async () => {
+        try {
+            const [{ rules }, { accounts }] = await Promise.all([listEmailRules(), listMailAccounts()])
+            setRules(rules || [])
+            setAccounts(accounts || [])
+            setError('')
+        } catch (err) {
+            setError(err.message)
+        }
+        setLoading(false)
+    }, [])
+
+    const loadHits = useCallback(async () => {
+        try {
+            const { hits } = await listEmailRuleHits({ ruleId: hitsFor ?? undefined })
+            setHits(hits || [])
+        } catch (err) {
+            setError(err.message)
+        }
+    }, [hitsFor])
+
+    useEffect(() => { load() }, [load])
+    useEffect(() => { loadHits() }, [loadHits])
+
+    const flash = (msg) => {
+        setSavedMsg(msg)
+        setTimeout(() => setSavedMsg(''), 2500)
+    }
+
+    const replaceRule = (rule) => {
+        setRules(prev => (prev.some(r => r.id === rule.id)
+            ? prev.map(r => r.id === rule.id ? rule : r)
+            : [...prev, rule])
+            .sort((a, b) => a.priority - b.priority || a.id - b.id))
+    }
+
+    const startEdit = (rule) => {
+        setEditing(rule ? rule.id : 'new')
+        setForm(rule ? toForm(rule) : EMPTY_FORM)
+        setError('')
+    }
+
+    const setField = (name) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+        setForm(prev => ({ ...prev, [name]: value }))
+    }
+
+    const toggleAccount = (accountId) => {
+        setForm(prev => ({
+            ...prev,
+            accountIds: prev.accountIds.includes(accountId)
+                ? prev.accountIds.filter(id => id !== accountId)
+                : [...prev.accountIds, accountId],
+        }))
+    }
+
+    const handleSave = async () => {
+        setSaving(true)
+        setError('')
+        try {
+            const { rule } = editing === 'new'
+                ? await createEmailRule(toPayload(form))
+                : await updateEmailRule(editing, toPayload(form))
+            replaceRule(rule)
+            setEditing(null)
+            flash(editing === 'new' ? 'Rule added' : 'Rule saved')
+        } catch (err) {
+            setError(err.message)
+        }
+        setSaving(false)
+    }
+
+    const toggleEnabled = async (rule) => {
+        try {
+            const { rule: updated } = await updateEmailRule(rule.id, { enabled: !rule.enabled })
+            replaceRule(updated)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const handleDelete = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"? Its hit log is kept.`)) return
+        try {
+            await deleteEmailRule(rule.id)
+            setRules(prev => prev.filter(r => r.id !== rule.id))
+            if (editing === rule.id) setEditing(null)
+            if (hitsFor === rule.id) setHitsFor(null)
+            flash('Rule deleted')
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    if (loading) return (
+        <div className="settings-loading"><div className="settings-spinner" /></div>
+    )
+
+    return (
+        <div className="settings-page page-enter">
+
+            <div className="settings-topbar">
+                <div>
+                    <h1 className="settings-title">Email rules</h1>
+                    <p className="settings-subtitle">Label, forward, link or delete incoming mail as it is fetched. Rules run lowest priority first.</p>
+                </div>
+                <div className="mb-topbar-actions">
+                    <Link to="/settings" className="s-link-btn">← Settings</Link>
+                    <button className="settings-save-btn" onClick={() => startEdit(null)}>+ Add rule</button>
+                </div>
+            </div>
+
+            {savedMsg && <div className="settings-toast">{savedMsg}</div>}
+            {error && <div className="mb-error">{error}</div>}
+
+            {editing !== null && (
+                <div className="s-card mb-form">
+                    <h3 className="s-card-title">{editing === 'new' ? 'Add rule' : `Edit ${form.name}`}</h3>
+
+                    <div className="mb-form-grid">
+                        <label>Name<input value={form.name} onChange={setField('name')} placeholder="Maersk bookings" /></label>
+                        <label>Priority<input type="number" value={form.priority} onChange={setField('priority')} /></label>
+                    </div>
+
+                    <p className="s-field-label" style={{ marginTop: 16 }}>When an email (all filled-in conditions)</p>
+                    <div className="mb-form-grid">
+                        <label>Sender domains (comma-separated)<input value={form.senderDomains} onChange={setField('senderDomains')} placeholder="maersk.com, msc.com" /></label>
+                        <label>Subject matches (regular expression)<input value={form.subjectPattern} onChange={setField('subjectPattern')} placeholder="booking (confirm|amend)" /></label>
+                        <label className="mb-form-wide">Attachment types (document types or extensions)
+                            <input value={form.attachmentTypes} onChange={setField('attachmentTypes')} placeholder="bill_of_lading, invoice, pdf" />
+                        </label>
+                    </div>
+                    <div className="mb-form-checks">
+                        {accounts.map(account => (
+                            <label key={account.id}>
+                                <input type="checkbox" checked={form.accountIds.includes(account.id)} onChange={() => toggleAccount(account.id)} /> {account.email}
+                            </label>
+                        ))}
+                    </div>
+
+                    <p className="s-field-label" style={{ marginTop: 16 }}>Then</p>
+                    <div className="mb-form-grid">
+                        <label>Apply labels (comma-separated)<input value={form.labels} onChange={setField('labels')} placeholder="Carrier, Bookings" /></label>
+                        <label>Link to client organisation<input value={form.organization} onChange={setField('organization')} placeholder="Exact organisation name" /></label>
+                        <label className="mb-form-wide">Forward to users (comma-separated emails, delivered to Messages)
+                            <input value={form.forwardTo} onChange={setField('forwardTo')} placeholder="ops@seal.co.in" />
+                        </label>
+                    </div>
+                    <div className="mb-form-checks">
+                        <label><input type="checkbox" checked={form.markImportant} onChange={setField('markImportant')} /> Mark important</label>
+                        <label><input type="checkbox" checked={form.delete} onChange={setField('delete')} /> Delete (not stored)</label>
+                        <label><input type="checkbox" checked={form.stopProcessing} onChange={setField('stopProcessing')} /> Stop processing later rules</label>
+                        <label><input type="checkbox" checked={form.enabled} onChange={setField('enabled')} /> Enabled</label>
+                    </div>
+
+                    <div className="mb-form-actions">
+                        <button className="s-link-btn" onClick={() => setEditing(null)}>Cancel</button>
+                        <button className="settings-save-btn" onClick={handleSave} disabled={saving}>
+                            {saving ? <><span className="settings-btn-spinner" />Saving…</> : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="mb-list">
+                {rules.length === 0 && (
+                    <div className="s-card"><p className="s-card-desc">No rules yet. Incoming mail is stored as-is.</p></div>
+                )}
+
+                {rules.map(rule => (
+                    <div key={rule.id} className="s-card">
+                        <div className="mb-account-head">
+                            <div>
+                                <h3 className="s-card-title">{rule.name}</h3>
+                                <p className="s-card-desc">Priority {rule.priority}{rule.stopProcessing && ' · stops later rules'}</p>
+                                <p className="s-card-desc">When {describeConditions(rule.conditions, accounts)}</p>
+                                <p className="s-card-desc">Then {describeActions(rule.actions)}</p>
+                            </div>
+                            <div className="mb-account-actions">
+                                <span className={`s-info-badge ${rule.enabled ? 'active' : 'muted'}`}>
+                                    {rule.enabled ? 'Active' : 'Disabled'}
+                                </span>
+                                {!rule.validPattern && <span className="s-info-badge muted">Invalid pattern</span>}
+                                <button className="s-link-btn" onClick={() => toggleEnabled(rule)}>
+                                    {rule.enabled ? 'Disable' : 'Enable'}
+                                </button>
+                                <button className="s-link-btn" onClick={() => setHitsFor(rule.id)}>Hits</button>
+                                <button className="s-link-btn" onClick={() => startEdit(rule)}>Edit</button>
+                                <button className="s-link-btn" onClick={() => handleDelete(rule)}>Delete</button>
+                            </div>
+                        </div>
+                    </div>
+                ))}
+
+                <div className="s-card">
+                    <div className="mb-account-head">
+                        <h3 className="s-card-title">
+                            Recent hits{hitsFor !== null && ` · ${rules.find(r => r.id === hitsFor)?.name || `rule ${hitsFor}`}`}
+                        </h3>
+                        <div className="mb-account-actions">
+                            {hitsFor !== null && <button className="s-link-btn" onClick={() => setHitsFor(null)}>All rules</button>}
+                            <button className="s-link-btn" onClick={loadHits}>Refresh</button>
+                        </div>
+                    </div>
+                    {hits.length === 0 && <p className="s-card-desc">No matches yet</p>}
+                    {hits.map(hit => (
+                        <div key={hit.id} className="s-info-row">
+                            <span className="s-info-label">
+                                {new Date(hit.createdAt).toLocaleString()} · {hit.ruleName}
+                            </span>
+                            <span className="s-info-value">
+                                {hit.subject}
+                                {hit.error && <span className="mb-bad"> · {hit.error}</span>}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default EmailRulesSettings
@@ -0,0 +1,389 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import {
+    listMailAccounts,
+    createMailAccount,
+    updateMailAccount,
+    testMailAccount,
+    grantMailAccess,
+    revokeMailAccess,
+    listFlagSync,
+    resolveFlagSync,
+    revokeUserSessions,
+    listAuthRevocations
+} from '../lib/emailApi'
+
+import './Settings.css'
+
+const EMPTY_FORM = {
+    email: '',
+    displayName: '',
+    username: '',
+    password: '',
+    imapHost: 'imap.gmail.com',
+    imapPort: 993,
+    imapTls: true,
+    smtpHost: 'smtp.gmail.com',
+    smtpPort: 465,
+    smtpSecure: true,
+    folders: 'INBOX',
+    enabled: true,
+    flagSync: false,
+}
+
+const FLAG_SYNC_ACTIONS = {
+    seen: (value) => value ? 'Mark read' : 'Mark unread',
+    flagged: (value) => value ? 'Star' : 'Unstar',
+    archive: (value) => value ? 'Archive' : 'Move to inbox',
+    delete: () => 'Delete',
+}
+
+const toForm = (account) => ({
+    ...EMPTY_FORM,
+    ...account,
+    displayName: account.displayName || '',
+    username: account.username === account.email ? '' : (account.username || ''),
+    password: '',
+    folders: account.folders.join(', '),
+})
+
+/* ── Settings → Mailboxes (mail admins) ─────────────────────── */
+const MailboxSettings = () => {
+    const [accounts, setAccounts] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState('')
+    const [savedMsg, setSavedMsg] = useState('')
+    const [editing, setEditing] = useState(null) // null | 'new' | account id
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [saving, setSaving] = useState(false)
+    const [testing, setTesting] = useState(false)
+    const [testResult, setTestResult] = useState(null)
+    const [grantInputs, setGrantInputs] = useState({})
+    const [syncQueue, setSyncQueue] = useState({ items: [], counts: {} })
+    const [revocations, setRevocations] = useState([])
+    const [signOutEmail, setSignOutEmail] = useState('')
+
+    const load = useCallback(async () => {
+        try {
+            const [{ accounts }, queue, { revocations }] = await Promise.all([
+                listMailAccounts(),
+                listFlagSync(),
+                listAuthRevocations(),
+            ])
+            setAccounts(accounts || [])
+            setSyncQueue({ items: queue.items || [], counts: queue.counts || {} })
+            setRevocations(revocations || [])
+            setError('')
+        } catch (err) {
+            setError(err.message)
+        }
+        setLoading(false)
+    }, [])
+
+    useEffect(() => { load() }, [load])
+
+    const flash = (msg) => {
+        setSavedMsg(msg)
+        setTimeout(() => setSavedMsg(''), 2500)
+    }
+
+    const replaceAccount = (account) => {
+        setAccounts(prev => prev.some(a => a.id === account.id)
+            ? prev.map(a => a.id === account.id ? account : a)
+            : [...prev, account])
+    }
+
+    const startEdit = (account) => {
+        setEditing(account ? account.id : 'new')
+        setForm(account ? toForm(account) : EMPTY_FORM)
+        setTestResult(null)
+        setError('')
+    }
+
+    const setField = (name) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+        setForm(prev => ({ ...prev, [name]: value }))
+    }
+
+    // Blank password on edit keeps the stored one
+    const formPayload = () => {
+        const { password, ...rest } = form
+        return password ? { ...rest, password } : rest
+    }
+
+    const handleTest = async () => {
+        setTesting(true)
+        setTestResult(null)
+        try {
+            const result = await testMailAccount({
+                ...formPayload(),
+                ...(editing !== 'new' && { accountId: editing }),
+            })
+            setTestResult(result)
+        } catch (err) {
+            setTestResult({ error: err.message })
+        }
+        setTesting(false)
+    }
+
+    const handleSave = async () => {
+        setSaving(true)
+        setError('')
+        try {
+            const { account } = editing === 'new'
+                ? await createMailAccount(formPayload())
+                : await updateMailAccount(editing, formPayload())
+            replaceAccount(account)
+            setEditing(null)
+            flash(editing === 'new' ? 'Mailbox added' : 'Mailbox saved')
+        } catch (err) {
+            setError(err.message)
+        }
+        setSaving(false)
+    }
+
+    const toggleEnabled = async (account) => {
+        try {
+            const { account: updated } = await updateMailAccount(account.id, { enabled: !account.enabled })
+            replaceAccount(updated)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const handleGrant = async (account) => {
+        const userEmail = (grantInputs[account.id] || '').trim()
+        if (!userEmail) return
+        try {
+            const { account: updated } = await grantMailAccess(account.id, userEmail)
+            replaceAccount(updated)
+            setGrantInputs(prev => ({ ...prev, [account.id]: '' }))
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const handleRevoke = async (account, userEmail) => {
+        if (!window.confirm(`Remove ${userEmail}'s access to ${account.email}?`)) return
+        try {
+            const { account: updated } = await revokeMailAccess(account.id, userEmail)
+            replaceAccount(updated)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const handleResolve = async (item, keep) => {
+        try {
+            await resolveFlagSync(item.id, keep)
+            const queue = await listFlagSync()
+            setSyncQueue({ items: queue.items || [], counts: queue.counts || {} })
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    const handleForceSignOut = async () => {
+        const email = signOutEmail.trim()
+        if (!email) return
+        if (!window.confirm(`Sign ${email} out everywhere? They can sign in again.`)) return
+        try {
+            const { revocation } = await revokeUserSessions(email)
+            setRevocations(prev => [revocation, ...prev])
+            setSignOutEmail('')
+            flash(`${email} signed out`)
+        } catch (err) {
+            setError(err.message)
+        }
+    }
+
+    if (loading) return (
+        <div className="settings-loading"><div className="settings-spinner" /></div>
+    )
+
+    return (
+        <div className="settings-page page-enter">
+
+            <div className="settings-topbar">
+                <div>
+                    <h1 className="settings-title">Mailboxes</h1>
+                    <p className="settings-subtitle">Shared mail accounts, server settings and who can read them</p>
+                </div>
+                <div className="mb-topbar-actions">
+                    <Link to="/settings" className="s-link-btn">← Settings</Link>
+                    <button className="settings-save-btn" onClick={() => startEdit(null)}>+ Add mailbox</button>
+                </div>
+            </div>
+
+            {savedMsg && <div className="settings-toast">{savedMsg}</div>}
+            {error && <div className="mb-error">{error}</div>}
+
+            {editing !== null && (
+                <div className="s-card mb-form">
+                    <h3 className="s-card-title">{editing === 'new' ? 'Add mailbox' : `Edit ${form.email}`}</h3>
+
+                    <div className="mb-form-grid">
+                        <label>Email<input value={form.email} onChange={setField('email')} placeholder="ops@seal.co.in" /></label>
+                        <label>Display name<input value={form.displayName} onChange={setField('displayName')} placeholder="SEAL Operations" /></label>
+                        <label>Login username<input value={form.username} onChange={setField('username')} placeholder="Same as email" /></label>
+                        <label>Password
+                            <input
+                                type="password"
+                                value={form.password}
+                                onChange={setField('password')}
+                                placeholder={editing === 'new' ? 'App password' : 'Leave blank to keep (same servers only)'}
+                                autoComplete="new-password"
+                            />
+                        </label>
+                        <label>IMAP host<input value={form.imapHost} onChange={setField('imapHost')} /></label>
+                        <label>IMAP port<input type="number" value={form.imapPort} onChange={setField('imapPort')} /></label>
+                        <label>SMTP host<input value={form.smtpHost} onChange={setField('smtpHost')} /></label>
+                        <label>SMTP port<input type="number" value={form.smtpPort} onChange={setField('smtpPort')} /></label>
+                        <label className="mb-form-wide">Folders to sync (comma-separated)
+                            <input value={form.folders} onChange={setField('folders')} />
+                        </label>
+                    </div>
+
+                    <div className="mb-form-checks">
+                        <label><input type="checkbox" checked={form.imapTls} onChange={setField('imapTls')} /> IMAP over TLS</label>
+                        <label><input type="checkbox" checked={form.smtpSecure} onChange={setField('smtpSecure')} /> SMTP over TLS (465)</label>
+                        <label><input type="checkbox" checked={form.enabled} onChange={setField('enabled')} /> Sync enabled</label>
+                        <label><input type="checkbox" checked={form.flagSync} onChange={setField('flagSync')} /> Push read, star, archive and delete back to the mailbox</label>
+                    </div>
+
+                    {testResult && (
+                        <div className="mb-test-result">
+                            {testResult.error ? (
+                                <p className="mb-bad">❌ {testResult.error}</p>
+                            ) : (
+                                <>
+                                    <p className={testResult.imap.ok ? 'mb-good' : 'mb-bad'}>
+                                        {testResult.imap.ok ? '✅ IMAP login OK' : `❌ IMAP: ${testResult.imap.error}`}
+                                    </p>
+                                    {testResult.imap.folders && (
+                                        <p className="mb-folders">Folders: {testResult.imap.folders.join(', ')}</p>
+                                    )}
+                                    <p className={testResult.smtp.ok ? 'mb-good' : 'mb-bad'}>
+                                        {testResult.smtp.ok ? '✅ SMTP login OK' : `❌ SMTP: ${testResult.smtp.error}`}
+                                    </p>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="mb-form-actions">
+                        <button className="s-link-btn" onClick={handleTest} disabled={testing}>
+                            {testing ? 'Testing…' : 'Test connection'}
+                        </button>
+                        <button className="s-link-btn" onClick={() => setEditing(null)}>Cancel</button>
+                        <button className="settings-save-btn" onClick={handleSave} disabled={saving}>
+                            {saving ? <><span className="settings-btn-spinner" />Saving…</> : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="mb-list">
+                {accounts.length === 0 && (
+                    <div className="s-card"><p className="s-card-desc">No mailboxes configured yet.</p></div>
+                )}
+
+                {accounts.map(account => (
+                    <div key={account.id} className="s-card">
+                        <div className="mb-account-head">
+                            <div>
+                                <h3 className="s-card-title">{account.displayName || account.email}</h3>
+                                <p className="s-card-desc">
+                                    #{account.id} · {account.email} · IMAP {account.imapHost}:{account.imapPort} · SMTP {account.smtpHost}:{account.smtpPort}
+                                </p>
+                                <p className="s-card-desc">Folders: {account.folders.join(', ')}</p>
+                            </div>
+                            <div className="mb-account-actions">
+                                <span className={`s-info-badge ${account.enabled ? 'active' : 'muted'}`}>
+                                    {account.enabled ? 'Syncing' : 'Disabled'}
+                                </span>
+                                {!account.hasPassword && <span className="s-info-badge muted">Password unreadable</span>}
+                                {account.flagSync && <span className="s-info-badge active">Two-way flags</span>}
+                                <button className="s-link-btn" onClick={() => toggleEnabled(account)}>
+                                    {account.enabled ? 'Disable' : 'Enable'}
+                                </button>
+                                <button className="s-link-btn" onClick={() => startEdit(account)}>Edit</button>
+                            </div>
+                        </div>
+
+                        <p className="s-field-label" style={{ marginTop: 16 }}>Users with access</p>
+                        <div className="mb-users">
+                            {account.users.length === 0 && <span className="s-card-desc">Nobody yet</span>}
+                            {account.users.map(userEmail => (
+                                <span key={userEmail} className="mb-user-chip">
+                                    {userEmail}
+                                    <button onClick={() => handleRevoke(account, userEmail)} aria-label={`Revoke ${userEmail}`}>×</button>
+                                </span>
+                            ))}
+                        </div>
+                        <div className="mb-grant-row">
+                            <input
+                                value={grantInputs[account.id] || ''}
+                                onChange={(e) => setGrantInputs(prev => ({ ...prev, [account.id]: e.target.value }))}
+                                onKeyDown={(e) => e.key === 'Enter' && handleGrant(account)}
+                                placeholder="user@seal.co.in"
+                            />
+                            <button className="s-link-btn" onClick={() => handleGrant(account)}>Grant access</button>
+                        </div>
+
+                        {syncQueue.counts[account.id] && (
+                            <>
+                                <p className="s-field-label" style={{ marginTop: 16 }}>
+                                    Flag sync · {syncQueue.counts[account.id].pending} waiting
+                                    · {syncQueue.counts[account.id].conflict} conflicts
+                                    · {syncQueue.counts[account.id].failed} failed
+                                </p>
+                                {syncQueue.items
+                                    .filter(item => item.accountId === account.id && item.status !== 'pending')
+                                    .map(item => (
+                                        <div key={item.id} className="s-info-row">
+                                            <span className="s-info-label">
+                                                {FLAG_SYNC_ACTIONS[item.action](item.value)} · {item.subject || item.messageId}
+                                            </span>
+                                            <span className="s-info-value">
+                                                <span className="mb-bad">{item.status === 'conflict' ? 'Conflict' : 'Failed'}: {item.lastError}</span>
+                                                {' '}
+                                                <button className="s-link-btn" onClick={() => handleResolve(item, 'dashboard')}>
+                                                    {item.status === 'conflict' ? 'Keep dashboard' : 'Retry'}
+                                                </button>
+                                                <button className="s-link-btn" onClick={() => handleResolve(item, 'server')}>
+                                                    {item.status === 'conflict' ? 'Keep mailbox' : 'Drop'}
+                                                </button>
+                                            </span>
+                                        </div>
+                                    ))}
+                            </>
+                        )}
+                    </div>
+                ))}
+
+                <div className="s-card">
+                    <h3 className="s-card-title">Sign a user out</h3>
+                    <p className="s-card-desc">Ends every session of the user at once, e.g. for a lost laptop or a leaver.</p>
+                    <div className="mb-grant-row">
+                        <input
+                            value={signOutEmail}
+                            onChange={(e) => setSignOutEmail(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && handleForceSignOut()}
+                            placeholder="user@seal.co.in"
+                        />
+                        <button className="s-link-btn" onClick={handleForceSignOut}>Sign out everywhere</button>
+                    </div>
+                    {revocations.filter(r => r.reason !== 'logout').map(r => (
+                        <div key={r.id} className="s-info-row">
+                            <span className="s-info-label">{new Date(r.createdAt).toLocaleString()} · {r.email || r.userId}</span>
+                            <span className="s-info-value">by {r.revokedBy}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default MailboxSettings
@@ -1,6 +1,9 @@
 import { useState, useRef, useEffect, useCallback, useMemo, lazy, Suspense } from 'react';
 import { PDFDownloadLink } from '@react-pdf/renderer';
 import { supabase } from '../lib/supabaseClient';
+import { useRole } from '../hooks/useRole';
+import { saveWithMerge, resolveConflict, ConflictError } from '../lib/concurrency';
+import ConflictDialog from './ConflictDialog';
 import './NewShipments.css';
 
 // Lazy load PDFGenerator to reduce initial bundle size
@@ -126,6 +129,7 @@ const INITIAL_ORG_FORM_DATA = {
 };
 
 const NewShipments = () => {
+  const { can } = useRole();
   const [showShipmentForm, setShowShipmentForm] = useState(false);
   const [activeStep, setActiveStep] = useState(1);
   const [shipmentType, setShipmentType] = useState('');
@@ -137,6 +141,9 @@ const NewShipments = () => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [editingShipment, setEditingShipment] = useState(null);
+  // ConflictError of a save that clashed with someone else's
+  const [shipmentConflict, setShipmentConflict] = useState(null);
+  const [resolvingConflict, setResolvingConflict] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [shipmentToDelete, setShipmentToDelete] = useState(null);
   const [jobs, setJobs] = useState([]);
@@ -623,7 +630,7 @@ const NewShipments = () => {
   }, [orgFormData, validationErrors]);
 
   // ============ CRITICAL FIX: PDF Data Preparation ============
-  const preparePDFData = (shipmentData, result, isEditing) => {
+  const preparePDFData = useCallback((shipmentData, result, isEditing) => {
     // Ensure all required fields for PDFGenerator are present
     return {
       ...shipmentData,
@@ -659,7 +666,21 @@ const NewShipments = () => {
       delivery_agent_fax: '',
       jurisdiction: 'INDIAN',
     };
-  };
+  }, [editingShipment]);
+
+  const finishShipmentSave = useCallback((shipmentData, result, isEditing) => {
+    // ============ FIX: Prepare proper PDF data ============
+    const preparedPDFData = preparePDFData(shipmentData, result, isEditing);
+    setPdfShipmentData(preparedPDFData);
+    setGeneratePDF(true);
+    
+    handleCancel();
+    sessionStorage.removeItem('editing_shipment');
+    sessionStorage.removeItem('creating_shipment');
+    
+    setSuccess(isEditing ? 'Shipment updated successfully!' : 'Shipment created successfully!');
+    fetchShipments();
+  }, [preparePDFData, handleCancel]);
 
   const handleConfirmShipment = useCallback(async () => {
     if (validateStep(activeStep)) {
@@ -774,14 +795,7 @@ const NewShipments = () => {
         
         let result;
         if (editingShipment) {
-          const { data: updatedShipment, error } = await supabase
-            .from('shipments')
-            .update(cleanShipmentData)
-            .eq('id', editingShipment.id)
-            .select();
-          
-          if (error) throw error;
-          result = updatedShipment;
+          result = [await saveWithMerge('shipments', editingShipment, cleanShipmentData)];
         } else {
           const { data: newShipment, error } = await supabase
             .from('shipments')
@@ -792,25 +806,41 @@ const NewShipments = () => {
           result = newShipment;
         }
         
-        // ============ FIX: Prepare proper PDF data ============
-        const preparedPDFData = preparePDFData(cleanShipmentData, result, !!editingShipment);
-        setPdfShipmentData(preparedPDFData);
-        setGeneratePDF(true);
-        
-        handleCancel();
-        sessionStorage.removeItem('editing_shipment');
-        sessionStorage.removeItem('creating_shipment');
-        
-        setSuccess(editingShipment ? 'Shipment updated successfully!' : 'Shipment created successfully!');
-        fetchShipments();
+        finishShipmentSave(cleanShipmentData, result, !!editingShipment);
       } catch (error) {
-        console.error('Error saving shipment:', error);
-        setError(error.message);
+        if (error instanceof ConflictError && error.conflicts) {
+          setShipmentConflict(error);
+        } else {
+          console.error('Error saving shipment:', error);
+          setError(error.message);
+        }
       } finally {
         setLoading(false);
       }
     }
-  }, [formData, shipmentType, editingShipment, activeStep, validateStep, handleCancel]);
+  }, [formData, shipmentType, editingShipment, activeStep, validateStep, finishShipmentSave]);
+
+  const handleResolveConflict = async (choices) => {
+    try {
+      setResolvingConflict(true);
+      const saved = await resolveConflict('shipments', shipmentConflict, choices);
+      setShipmentConflict(null);
+      finishShipmentSave(saved, [saved], true);
+    } catch (error) {
+      console.error('Error saving shipment:', error);
+      setShipmentConflict(null);
+      setError(error.message);
+    } finally {
+      setResolvingConflict(false);
+    }
+  };
+
+  // Drop my edits and show the shipment as saved by the other person
+  const handleDiscardConflict = () => {
+    setShipmentConflict(null);
+    handleCancel();
+    fetchShipments();
+  };
 
   const handleEditShipment = useCallback((shipment) => {
     setEditingShipment(shipment);
@@ -1150,10 +1180,12 @@ const NewShipments = () => {
       <div className="card expandable-card">
         <div className="table-header">
           <h2>Current Shipments</h2>
-          <button className="add-shipment-btn" onClick={() => setShowShipmentForm(true)}>
-            <span className="plus-icon">+</span>
-            Add Shipment
-          </button>
+          {can('shipments.edit') && (
+            <button className="add-shipment-btn" onClick={() => setShowShipmentForm(true)}>
+              <span className="plus-icon">+</span>
+              Add Shipment
+            </button>
+          )}
         </div>
         <div
           className="table-container"
@@ -1181,20 +1213,24 @@ const NewShipments = () => {
                     <td>{shipment.por}</td>
                     <td>{shipment.pof}</td>
                     <td className="actions-cell">
-                      <button 
-                        className="edit-btn"
-                        onClick={() => handleEditShipment(shipment)}
-                        title="Edit Shipment"
-                      >
-                        Edit
-                      </button>
-                      <button 
-                        className="delete-btn"
-                        onClick={() => confirmDelete(shipment)}
-                        title="Delete Shipment"
-                      >
-                        Delete
-                      </button>
+                      {can('shipments.edit') && (
+                        <button 
+                          className="edit-btn"
+                          onClick={() => handleEditShipment(shipment)}
+                          title="Edit Shipment"
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {can('shipments.delete') && (
+                        <button 
+                          className="delete-btn"
+                          onClick={() => confirmDelete(shipment)}
+                          title="Delete Shipment"
+                        >
+                          Delete
+                        </button>
+                      )}
                       {/* ============ FIX: Simple PDF button - always shown ============ */}
                       <Suspense fallback={<span style={{ color: '#666' }}>PDF...</span>}>
                         <PDFDownloadLink
@@ -2140,6 +2176,15 @@ const NewShipments = () => {
           </div>
         </div>
       )}
+
+      {shipmentConflict && (
+        <ConflictDialog
+          conflict={shipmentConflict}
+          saving={resolvingConflict}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardConflict}
+        />
+      )}
     </div>
   );
 };
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../lib/supabaseClient';
+import { useRole } from '../hooks/useRole';
 import './Payment.css';
 
 /* ─── Load Razorpay SDK ─── */
@@ -16,6 +17,7 @@ const loadRazorpay = () =>
 const RAZORPAY_KEY = import.meta.env.VITE_RAZORPAY_KEY_ID || '';
 
 const PaymentPage = () => {
+    const { can } = useRole();
     const [shipments, setShipments] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -286,7 +288,7 @@ const PaymentPage = () => {
                                         <td>
                                             {isPaid ? (
                                                 <span className="pay-done-label">Collected</span>
-                                            ) : (
+                                            ) : can('payments.record') && (
                                                 <button
                                                     className="pay-btn"
                                                     onClick={() => handlePayNow(s)}
@@ -2,6 +2,8 @@ import { useState, useEffect, useCallback } from 'react'
 import { Link } from 'react-router-dom'
 import { createClient } from '@supabase/supabase-js'
 
+import { getUserAccounts } from '../lib/emailApi'
+import { useRole } from '../hooks/useRole'
 import './Settings.css'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
@@ -48,6 +50,8 @@ const Settings = ({ user }) => {
     const [saving, setSaving] = useState(false)
     const [savedMsg, setSavedMsg] = useState('')
     const [loading, setLoading] = useState(true)
+    const [isMailAdmin, setIsMailAdmin] = useState(false)
+    const { can } = useRole()
 
     const loadPrefs = useCallback(async () => {
         const lm = localStorage.getItem('sf_color_mode') ?? 'dark'
@@ -75,6 +79,12 @@ const Settings = ({ user }) => {
 
     useEffect(() => { loadPrefs() }, [loadPrefs])
 
+    useEffect(() => {
+        getUserAccounts()
+            .then(({ isMailAdmin }) => setIsMailAdmin(!!isMailAdmin))
+            .catch(() => setIsMailAdmin(false))
+    }, [])
+
     const savePrefs = async () => {
         setSaving(true)
         localStorage.setItem('sf_color_mode', colorMode)
@@ -238,6 +248,61 @@ const Settings = ({ user }) => {
                         </div>
                     </div>
 
+                    {/* Mailboxes (mail admins) */}
+                    {isMailAdmin && (
+                        <div className="s-card">
+                            <div className="s-card-head">
+                                <span className="s-card-icon" style={{ background: 'linear-gradient(135deg,#0284c7,#38bdf8)' }}><MailIcon /></span>
+                                <div><h3 className="s-card-title">Mailboxes</h3><p className="s-card-desc">Shared mail accounts and who can read them</p></div>
+                            </div>
+                            <Link to="/settings/mailboxes" className="s-link-btn"><MailIcon /> Manage mailboxes</Link>
+                        </div>
+                    )}
+
+                    {/* Email rules (mail admins) */}
+                    {isMailAdmin && (
+                        <div className="s-card">
+                            <div className="s-card-head">
+                                <span className="s-card-icon" style={{ background: 'linear-gradient(135deg,#7c3aed,#a78bfa)' }}><MailIcon /></span>
+                                <div><h3 className="s-card-title">Email rules</h3><p className="s-card-desc">Label, forward, link or delete incoming mail automatically</p></div>
+                            </div>
+                            <Link to="/settings/email-rules" className="s-link-btn"><MailIcon /> Manage rules</Link>
+                        </div>
+                    )}
+
+                    {/* DSR templates (admin, operations) */}
+                    {can('dsr.templates') && (
+                        <div className="s-card">
+                            <div className="s-card-head">
+                                <span className="s-card-icon" style={{ background: 'linear-gradient(135deg,#c2410c,#fb923c)' }}><TableIcon /></span>
+                                <div><h3 className="s-card-title">DSR templates</h3><p className="s-card-desc">Columns, headers and date formats of each client's status report</p></div>
+                            </div>
+                            <Link to="/settings/dsr-templates" className="s-link-btn"><TableIcon /> Manage templates</Link>
+                        </div>
+                    )}
+
+                    {/* Scheduled DSR emails (admin, operations) */}
+                    {can('dsr.subscriptions') && (
+                        <div className="s-card">
+                            <div className="s-card-head">
+                                <span className="s-card-icon" style={{ background: 'linear-gradient(135deg,#15803d,#4ade80)' }}><MailIcon /></span>
+                                <div><h3 className="s-card-title">DSR emails</h3><p className="s-card-desc">Send clients their status report on a schedule</p></div>
+                            </div>
+                            <Link to="/settings/dsr-subscriptions" className="s-link-btn"><MailIcon /> Manage schedules</Link>
+                        </div>
+                    )}
+
+                    {/* Users & roles (admins) */}
+                    {can('users.manage') && (
+                        <div className="s-card">
+                            <div className="s-card-head">
+                                <span className="s-card-icon" style={{ background: 'linear-gradient(135deg,#0f766e,#2dd4bf)' }}><ShieldIcon /></span>
+                                <div><h3 className="s-card-title">Users &amp; roles</h3><p className="s-card-desc">What each staff member can see and change</p></div>
+                            </div>
+                            <Link to="/settings/users" className="s-link-btn"><UserIcon /> Manage roles</Link>
+                        </div>
+                    )}
+
                     {/* Danger */}
                     <div className="s-card s-card-danger">
                         <div className="s-card-head">
@@ -265,6 +330,8 @@ const MoonIcon = () => <svg width="15" height="15" viewBox="0 0 24 24" fill="cur
 const BellIcon = () => <svg width="15" height="15" viewBox="0 0 24 24" fill="currentColor"><path d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.9 2 2 2zm6-6v-5c0-3.07-1.64-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68C7.63 5.36 6 7.92 6 11v5l-2 2v1h16v-1l-2-2z" /></svg>
 const ShieldIcon = () => <svg width="15" height="15" viewBox="0 0 24 24" fill="currentColor"><path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4z" /></svg>
 const WarnIcon = () => <svg width="15" height="15" viewBox="0 0 24 24" fill="currentColor"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z" /></svg>
+const MailIcon = () => <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="4" width="20" height="16" rx="2" /><path d="M22 6l-10 7L2 6" /></svg>
+const TableIcon = () => <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" /><path d="M3 9h18M3 15h18M9 3v18" /></svg>
 const TrashIcon = () => <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6" /><path d="M19 6l-1 14H6L5 6" /><path d="M10 11v6M14 11v6" /><path d="M9 6V4h6v2" /></svg>
 
 export default Settings
@@ -1,10 +1,13 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { supabase } from '../lib/supabaseClient';
+import { useRole } from '../hooks/useRole';
 import './ShipmentTracking.css';
 
 import { STATUS_STEPS, STATUS_COLORS } from '../constants/shipment';
 import ShipmentMap from './ShipmentMap';
 import StatusTimeline from './StatusTimeline';
+import LinkedEmails from './inbox/LinkedEmails';
+import AuditHistory from './AuditHistory';
 import './ShipmentTracking.css';
 
 /* ─── Status Update Form ─────────────────────────────── */
@@ -95,7 +98,9 @@ function StatusUpdateForm({ shipment, onUpdated }) {
 }
 
 /* ─── Shipment Detail Panel ─────────────────────────── */
-function ShipmentDetail({ shipment, onBack, onRefresh }) {
+function ShipmentDetail({ shipment, onBack, onRefresh, onRestored }) {
+    const { can } = useRole();
+    const [tab, setTab] = useState('details');
     const [updates, setUpdates] = useState([]);
     const [loadingUpdates, setLoadingUpdates] = useState(true);
 
@@ -212,11 +217,13 @@ function ShipmentDetail({ shipment, onBack, onRefresh }) {
                             <button className="st-refresh-btn" style={{ background: '#25D366', color: '#fff', border: 'none' }} onClick={handleShare}>
                                 🟢 Share WhatsApp
                             </button>
-                            <button className="st-refresh-btn" style={{ background: '#ef4444', color: '#fff', border: 'none' }} onClick={handleDestroyLink}>
-                                🔴 Destroy Link
-                            </button>
+                            {can('shipments.edit') && (
+                                <button className="st-refresh-btn" style={{ background: '#ef4444', color: '#fff', border: 'none' }} onClick={handleDestroyLink}>
+                                    🔴 Destroy Link
+                                </button>
+                            )}
                         </>
-                    ) : (
+                    ) : can('shipments.edit') && (
                         <button className="st-refresh-btn" style={{ background: '#6366f1', color: '#fff', border: 'none' }} onClick={handleGenerateLink}>
                             🔗 Generate Share Link
                         </button>
@@ -225,47 +232,78 @@ function ShipmentDetail({ shipment, onBack, onRefresh }) {
                 </div>
             </div>
 
-            {/* Map */}
-            <div className="st-map-wrapper">
-                <h3 className="st-section-title">🗺️ Route Map</h3>
-                <ShipmentMap
-                    origin={shipment.por || shipment.pol}
-                    destination={shipment.pod || shipment.destination}
-                    currentLocation={shipment.current_location}
-                    status={shipment.status}
-                />
+            <div className="detail-tabs">
+                <button className={`detail-tab ${tab === 'details' ? 'active' : ''}`} onClick={() => setTab('details')}>
+                    Details
+                </button>
+                <button className={`detail-tab ${tab === 'history' ? 'active' : ''}`} onClick={() => setTab('history')}>
+                    History
+                </button>
             </div>
 
-            <div className="st-detail-body">
-                {/* Timeline */}
-                <div className="st-detail-left">
-                    <h3 className="st-section-title">📍 Tracking Timeline</h3>
-                    {loadingUpdates ? (
-                        <div className="st-loading">Loading updates…</div>
-                    ) : (
-                        <StatusTimeline currentStatus={shipment.status} updates={updates} />
-                    )}
+            {tab === 'history' && (
+                <AuditHistory
+                    tables={['shipments']}
+                    rowId={shipment.id}
+                    version={shipment.updated_at ?? null}
+                    canRestore={can('shipments.edit')}
+                    onRestored={onRestored}
+                />
+            )}
+
+            {tab === 'details' && (
+                <>
+                {/* Map */}
+                <div className="st-map-wrapper">
+                    <h3 className="st-section-title">🗺️ Route Map</h3>
+                    <ShipmentMap
+                        origin={shipment.por || shipment.pol}
+                        destination={shipment.pod || shipment.destination}
+                        currentLocation={shipment.current_location}
+                        status={shipment.status}
+                    />
                 </div>
 
-                {/* Info + Update Form */}
-                <div className="st-detail-right">
-                    <h3 className="st-section-title">📦 Shipment Details</h3>
-                    <div className="st-info-grid">
-                        {fields.map(([label, value]) => (
-                            <div key={label} className="st-info-row">
-                                <span className="st-info-label">{label}</span>
-                                <span className="st-info-value">{value}</span>
-                            </div>
-                        ))}
+                <div className="st-detail-body">
+                    {/* Timeline */}
+                    <div className="st-detail-left">
+                        <h3 className="st-section-title">📍 Tracking Timeline</h3>
+                        {loadingUpdates ? (
+                            <div className="st-loading">Loading updates…</div>
+                        ) : (
+                            <StatusTimeline currentStatus={shipment.status} updates={updates} />
+                        )}
                     </div>
 
-                    <div className="st-divider" />
-                    <StatusUpdateForm
-                        shipment={shipment}
-                        onUpdated={() => { fetchUpdates(); onRefresh(); }}
-                    />
+                    {/* Info + Update Form */}
+                    <div className="st-detail-right">
+                        <h3 className="st-section-title">📦 Shipment Details</h3>
+                        <div className="st-info-grid">
+                            {fields.map(([label, value]) => (
+                                <div key={label} className="st-info-row">
+                                    <span className="st-info-label">{label}</span>
+                                    <span className="st-info-value">{value}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="st-divider" />
+                        <h3 className="st-section-title">✉️ Linked Emails</h3>
+                        <LinkedEmails entityType="shipment" entityId={shipment.id} />
+
+                        {can('shipments.edit') && (
+                            <>
+                                <div className="st-divider" />
+                                <StatusUpdateForm
+                                    shipment={shipment}
+                                    onUpdated={() => { fetchUpdates(); onRefresh(); }}
+                                />
+                            </>
+                        )}
+                    </div>
                 </div>
-            </div>
+                </>
+            )}
         </div>
     );
 }
@@ -442,6 +480,7 @@ export default function ShipmentTracking() {
                     shipment={selected}
                     onBack={handleBack}
                     onRefresh={handleRefresh}
+                    onRestored={(table, field, value, saved) => setSelected(s => ({ ...s, [field]: value, updated_at: saved.updated_at }))}
                 />
             ) : (
                 <ShipmentList key={refreshKey} onSelect={s => setSelected(s)} />
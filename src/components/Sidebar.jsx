@@ -1,5 +1,7 @@
 import { Link, useLocation } from 'react-router-dom'
 import sealLogo from '../seal.png'
+import { ROLE_LABELS, ROUTE_PERMISSIONS } from '../lib/permissions'
+import { useRole } from '../hooks/useRole'
 import './Sidebar.css'
 
 const navItems = [
@@ -78,6 +80,15 @@ const navItems = [
       </svg>
     ),
   },
+  {
+    to: '/inbox',
+    label: 'Inbox',
+    icon: (
+      <svg viewBox="0 0 24 24" fill="currentColor">
+        <path d="M19 3H4.99c-1.11 0-1.98.89-1.98 2L3 19c0 1.1.88 2 1.99 2H19c1.1 0 2-.9 2-2V5c0-1.11-.9-2-2-2zm0 12h-4c0 1.66-1.35 3-3 3s-3-1.34-3-3H4.99V5H19v10z" />
+      </svg>
+    ),
+  },
   {
     to: '/dsr',
     label: 'DSR',
@@ -109,6 +120,10 @@ const navItems = [
 
 const Sidebar = ({ mobileMenuOpen, toggleMobileMenu, onLogout, user }) => {
   const location = useLocation()
+  const { role, can } = useRole()
+
+  // Pages the role can't open aren't offered
+  const visibleItems = navItems.filter(item => !ROUTE_PERMISSIONS[item.to] || can(ROUTE_PERMISSIONS[item.to]))
 
   const handleLogoutClick = async () => { await onLogout() }
   const handleLinkClick = () => { if (mobileMenuOpen) toggleMobileMenu() }
@@ -138,7 +153,7 @@ const Sidebar = ({ mobileMenuOpen, toggleMobileMenu, onLogout, user }) => {
         <div className="sidebar-user-avatar">{initials}</div>
         <div className="sidebar-user-info">
           <div className="sidebar-user-name">{emailDisplay}</div>
-          <div className="sidebar-user-role">Freight Admin</div>
+          <div className="sidebar-user-role">{ROLE_LABELS[role]}</div>
         </div>
       </div>
       <div className="sidebar-status-dot">System Online</div>
@@ -175,7 +190,7 @@ const Sidebar = ({ mobileMenuOpen, toggleMobileMenu, onLogout, user }) => {
           </div>
           <div className="sidebar-section-label">Main Menu</div>
           <nav className="mobile-nav-menu">
-            {navItems.map((item) => (
+            {visibleItems.map((item) => (
               <NavItem key={item.to} item={item} onClick={handleLinkClick} />
             ))}
           </nav>
@@ -203,7 +218,7 @@ const Sidebar = ({ mobileMenuOpen, toggleMobileMenu, onLogout, user }) => {
         <div className="sidebar-section-label">Main Menu</div>
 
         <nav className="nav-menu">
-          {navItems.map((item) => (
+          {visibleItems.map((item) => (
             <NavItem key={item.to} item={item} onClick={handleLinkClick} />
           ))}
         </nav>
@@ -0,0 +1,119 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { listUsers, setUserRole } from '../lib/emailApi'
+import { ROLES, ROLE_LABELS } from '../lib/permissions'
+
+import './Settings.css'
+
+const ROLE_HINTS = {
+    admin: 'Everything, including deletes and roles',
+    operations: 'Jobs, shipments, DSR, tracking and vendors',
+    accounts: 'Payments, invoices and vendor bank details',
+    sales: 'Jobs and customers',
+    read_only: 'Views only',
+}
+
+/* ── Settings → Users & roles (admins) ──────────────────────── */
+const UsersSettings = () => {
+    const [users, setUsers] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState('')
+    const [savedMsg, setSavedMsg] = useState('')
+    const [search, setSearch] = useState('')
+    const [savingId, setSavingId] = useState(null)
+
+    const load = useCallback(async () => {
+        try {
+            const { users } = await listUsers()
+            setUsers(users || [])
+            setError('')
+        } catch (err) {
+            setError(err.message)
+        }
+        setLoading(false)
+    }, [])
+
+    useEffect(() => { load() }, [load])
+
+    const flash = (msg) => {
+        setSavedMsg(msg)
+        setTimeout(() => setSavedMsg(''), 2500)
+    }
+
+    const handleRoleChange = async (user, role) => {
+        setSavingId(user.id)
+        setError('')
+        try {
+            const { user: updated } = await setUserRole(user.id, role)
+            setUsers(prev => prev.map(u => u.id === user.id ? { ...u, ...updated } : u))
+            flash(`${user.email} is now ${ROLE_LABELS[role]}`)
+        } catch (err) {
+            setError(err.message)
+        }
+        setSavingId(null)
+    }
+
+    const query = search.trim().toLowerCase()
+    const shown = users.filter(u => !query || `${u.email} ${u.name || ''}`.toLowerCase().includes(query))
+
+    if (loading) return (
+        <div className="settings-loading"><div className="settings-spinner" /></div>
+    )
+
+    return (
+        <div className="settings-page page-enter">
+
+            <div className="settings-topbar">
+                <div>
+                    <h1 className="settings-title">Users &amp; roles</h1>
+                    <p className="settings-subtitle">A role decides which pages and actions someone gets. Changes apply on their next request.</p>
+                </div>
+                <div className="mb-topbar-actions">
+                    <Link to="/settings" className="s-link-btn">← Settings</Link>
+                </div>
+            </div>
+
+            {savedMsg && <div className="settings-toast">{savedMsg}</div>}
+            {error && <div className="mb-error">{error}</div>}
+
+            <div className="mb-list">
+                <div className="s-card">
+                    <h3 className="s-card-title">Roles</h3>
+                    {ROLES.map(role => (
+                        <div key={role} className="s-info-row">
+                            <span className="s-info-label">{ROLE_LABELS[role]}</span>
+                            <span className="s-info-value">{ROLE_HINTS[role]}</span>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="s-card">
+                    <div className="mb-grant-row">
+                        <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search by name or email" />
+                    </div>
+                    {shown.length === 0 && <p className="s-card-desc">No users found</p>}
+                    {shown.map(user => (
+                        <div key={user.id} className="s-info-row">
+                            <span className="s-info-label">
+                                {user.name ? `${user.name} · ` : ''}{user.email}
+                                {user.updatedBy && <span className="s-card-desc"> · set by {user.updatedBy}</span>}
+                            </span>
+                            <span className="s-info-value">
+                                <select
+                                    className="mb-role-select"
+                                    value={user.role}
+                                    disabled={savingId === user.id}
+                                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                                >
+                                    {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                                </select>
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default UsersSettings
@@ -0,0 +1,118 @@
+import { highlightParts, emailKey, DOCUMENT_TYPE_LABELS } from './emailFormat';
+
+/* ── Format time for list rows ── */
+const fmtTime = (ts) => {
+  if (!ts) return '';
+  const d = new Date(ts);
+  const now = new Date();
+  const diff = (now - d) / 86400000;
+  if (diff < 1) return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (diff < 7) return d.toLocaleDateString([], { weekday: 'short' });
+  return d.toLocaleDateString([], { day: 'numeric', month: 'short' });
+};
+
+/* ── "Name <addr>" → "Name" ── */
+const senderName = (from) => {
+  if (!from) return 'Unknown sender';
+  const match = from.match(/^"?([^"<]+?)"?\s*</);
+  return match ? match[1] : from;
+};
+
+const Highlighted = ({ value }) => highlightParts(value).map((part, i) =>
+  part.match ? <mark key={i}>{part.text}</mark> : part.text
+);
+
+// onToggleStar and checked/onCheck (bulk selection) are only passed for the
+// messages view; conversation rows carry no per-user state.
+const EmailList = ({ emails, selectedId, onSelect, loading, accounts, showAccount, onToggleStar, checked, onCheck }) => {
+  const accountLabel = (id) => accounts.find(acc => acc.id === id)?.email || `Account ${id}`;
+
+  if (loading && emails.length === 0) {
+    return (
+      <div className="email-list">
+        <div className="email-list-loading">
+          <div className="spinner" />
+          <p>Loading emails…</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (emails.length === 0) {
+    return (
+      <div className="email-list">
+        <div className="empty-messages">
+          <span className="icon">📭</span>
+          <h3>No emails found</h3>
+          <p>Fetch new mail or change the search and filters</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="email-list">
+      {emails.map(email => (
+        <div
+          key={emailKey(email)}
+          className={`email-item ${selectedId === email.messageId ? 'selected' : ''} ${onToggleStar && !email.isRead ? 'unread' : ''}`}
+          onClick={() => onSelect(email)}
+        >
+          <div className="email-item-header">
+            {onCheck && (
+              <input
+                type="checkbox"
+                className="email-item-check"
+                checked={checked.has(emailKey(email))}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => onCheck(email)}
+                aria-label="Select email"
+              />
+            )}
+            <span className="email-item-sender">
+              {senderName(email.from)}
+              {email.messageCount > 1 && <span className="email-thread-count">{email.messageCount}</span>}
+            </span>
+            <span className="email-item-time">{fmtTime(email.date)}</span>
+            {onToggleStar && (
+              <button
+                className={`email-star ${email.isStarred ? 'starred' : ''}`}
+                onClick={(e) => { e.stopPropagation(); onToggleStar(email); }}
+                title={email.isStarred ? 'Unstar' : 'Star'}
+              >
+                {email.isStarred ? '★' : '☆'}
+              </button>
+            )}
+          </div>
+          <div className="email-item-subject">
+            {email.isImportant && <span className="email-important" title="Important">★</span>}
+            {email.subjectHighlight ? <Highlighted value={email.subjectHighlight} /> : email.subject}
+          </div>
+          {email.snippet && (
+            <div className="email-item-snippet"><Highlighted value={email.snippet} /></div>
+          )}
+          <div className="email-item-meta">
+            {showAccount && <span className="email-account-tag">{accountLabel(email.account_id)}</span>}
+            {email.hasAttachments && (
+              <span className="email-attachment-tag">📎 {email.attachmentsCount}</span>
+            )}
+            {email.documentTypes?.filter(type => DOCUMENT_TYPE_LABELS[type]).map(type => (
+              <span key={type} className="email-document-tag">{DOCUMENT_TYPE_LABELS[type]}</span>
+            ))}
+            {email.clientOrganization && (
+              <span className="email-label-tag">{email.clientOrganization}</span>
+            )}
+            {email.labels?.map(label => (
+              <span key={label} className="email-label-tag">{label}</span>
+            ))}
+            {email.userLabels?.map(label => (
+              <span key={`user:${label}`} className="email-user-label">{label}</span>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EmailList;
@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { downloadAttachment } from '../../lib/emailApi';
+import { useRole } from '../../hooks/useRole';
+import ReplyComposer from './ReplyComposer';
+import { buildSrcDoc, formatSize, DOCUMENT_TYPE_LABELS } from './emailFormat';
+
+// datetime-local value for tomorrow 08:00, the default snooze
+const tomorrowMorning = () => {
+  const d = new Date();
+  d.setDate(d.getDate() + 1);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T08:00`;
+};
+
+const EmailView = ({ email, loading, onBack, onStateChange, onPurge, canPurge }) => {
+  const { can } = useRole();
+  const [downloading, setDownloading] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [snoozeUntil, setSnoozeUntil] = useState('');
+  const [newLabel, setNewLabel] = useState('');
+  const [composing, setComposing] = useState(null);
+  const navigate = useNavigate();
+
+  if (loading || !email) {
+    return (
+      <div className="email-view">
+        <div className="email-list-loading">
+          <div className="spinner" />
+          <p>Loading email…</p>
+        </div>
+      </div>
+    );
+  }
+
+  const handleDownload = async (attachment, index) => {
+    try {
+      setDownloading(index);
+      await downloadAttachment(attachment);
+    } catch (err) {
+      console.error('Attachment download failed:', err);
+      alert(`Could not download ${attachment.filename}: ${err.message}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  // Read, star, archive, snooze and labels are the signed-in user's own
+  const changeState = async (changes) => {
+    try {
+      setBusy(true);
+      await onStateChange(changes);
+    } catch (err) {
+      console.error('Email state update failed:', err);
+      alert(`Failed to update email: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSnooze = async () => {
+    await changeState({ snoozedUntil: new Date(snoozeUntil).toISOString() });
+    setSnoozeUntil('');
+  };
+
+  const handleAddLabel = async (e) => {
+    e.preventDefault();
+    const label = newLabel.trim();
+    if (!label) return;
+    await changeState({ addLabels: [label] });
+    setNewLabel('');
+  };
+
+  const handlePurge = async () => {
+    if (!window.confirm('Delete this email and its attachments for everyone on this mailbox? This cannot be undone.')) return;
+    try {
+      setBusy(true);
+      await onPurge();
+    } catch (err) {
+      console.error('Delete failed:', err);
+      alert(`Failed to delete email: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  const snoozed = email.snoozedUntil && new Date(email.snoozedUntil) > new Date();
+
+  return (
+    <div className="email-view">
+      <div className="email-view-header">
+        <button className="btn-back" onClick={onBack} aria-label="Back to inbox">←</button>
+        <h2 className="email-view-subject">{email.subject}</h2>
+        {can('email.send') && (
+          <>
+            <button className="btn-secondary" onClick={() => setComposing('reply')}>Reply</button>
+            <button className="btn-secondary" onClick={() => setComposing('reply_all')}>Reply all</button>
+            <button className="btn-secondary" onClick={() => setComposing('forward')}>Forward</button>
+          </>
+        )}
+        {can('jobs.edit') && (
+          <button
+            className="btn-secondary"
+            onClick={() => navigate('/job-orders', { state: { fromEmail: { messageId: email.messageId, accountId: email.account_id } } })}
+          >
+            Create job
+          </button>
+        )}
+        <button className="btn-secondary" onClick={() => changeState({ archived: !email.isArchived })} disabled={busy}>
+          {email.isArchived ? 'Move to inbox' : 'Archive'}
+        </button>
+        {canPurge && (
+          <button className="btn-secondary" onClick={handlePurge} disabled={busy} title="Delete for everyone on this mailbox">
+            Delete
+          </button>
+        )}
+      </div>
+
+      <div className="email-view-state">
+        <button
+          className={`email-star ${email.isStarred ? 'starred' : ''}`}
+          onClick={() => changeState({ starred: !email.isStarred })}
+          disabled={busy}
+          title={email.isStarred ? 'Unstar' : 'Star'}
+        >
+          {email.isStarred ? '★' : '☆'}
+        </button>
+        <button className="btn-secondary" onClick={() => changeState({ read: false })} disabled={busy || !email.isRead}>
+          Mark unread
+        </button>
+        {snoozed ? (
+          <span className="email-snoozed">
+            Snoozed until {new Date(email.snoozedUntil).toLocaleString()}
+            <button className="inbox-filter-clear" onClick={() => changeState({ snoozedUntil: null })} disabled={busy}>
+              Unsnooze
+            </button>
+          </span>
+        ) : (
+          <span className="email-snoozed">
+            <input
+              type="datetime-local"
+              value={snoozeUntil}
+              onFocus={() => !snoozeUntil && setSnoozeUntil(tomorrowMorning())}
+              onChange={(e) => setSnoozeUntil(e.target.value)}
+            />
+            <button className="btn-secondary" onClick={handleSnooze} disabled={busy || !snoozeUntil}>Snooze</button>
+          </span>
+        )}
+        <span className="email-user-labels">
+          {email.userLabels?.map(label => (
+            <span key={label} className="email-user-label">
+              {label}
+              <button onClick={() => changeState({ removeLabels: [label] })} disabled={busy} aria-label={`Remove ${label}`}>×</button>
+            </span>
+          ))}
+          <form onSubmit={handleAddLabel}>
+            <input
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              placeholder="Add label"
+              maxLength={50}
+            />
+          </form>
+        </span>
+      </div>
+
+      <div className="email-view-meta">
+        <div><span className="meta-label">From</span>{email.from}</div>
+        <div><span className="meta-label">To</span>{email.to}</div>
+        {email.cc && <div><span className="meta-label">CC</span>{email.cc}</div>}
+        <div><span className="meta-label">Date</span>{email.date ? new Date(email.date).toLocaleString() : ''}</div>
+        {email.clientOrganization && <div><span className="meta-label">Client</span>{email.clientOrganization}</div>}
+        {(email.labels?.length > 0 || email.isImportant) && (
+          <div>
+            <span className="meta-label">Labels</span>
+            {email.isImportant && <span className="email-important" title="Important">★</span>}
+            {email.labels.map(label => <span key={label} className="email-label-tag">{label}</span>)}
+          </div>
+        )}
+      </div>
+
+      {email.attachments?.length > 0 && (
+        <div className="email-attachments">
+          {email.attachments.map((att, index) => (
+            <button
+              key={att.path || index}
+              className="email-attachment"
+              onClick={() => handleDownload(att, index)}
+              disabled={downloading === index}
+              title={`Download ${att.filename}`}
+            >
+              <span>📎 {att.filename}</span>
+              {DOCUMENT_TYPE_LABELS[att.documentType] && (
+                <span className="email-document-tag">{DOCUMENT_TYPE_LABELS[att.documentType]}</span>
+              )}
+              <span className="email-attachment-size">
+                {downloading === index ? 'Downloading…' : formatSize(att.size)}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {composing && (
+        <ReplyComposer
+          key={`${email.messageId}-${composing}`}
+          email={email}
+          type={composing}
+          onClose={() => setComposing(null)}
+        />
+      )}
+
+      <div className="email-view-body">
+        {email.html ? (
+          <iframe
+            title="Email content"
+            className="email-html-frame"
+            sandbox="allow-popups allow-popups-to-escape-sandbox"
+            srcDoc={buildSrcDoc(email.html)}
+          />
+        ) : (
+          <pre className="email-text-body">{email.text || '(No content)'}</pre>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailView;
@@ -0,0 +1,73 @@
+const STATUS_ICON = {
+  pending: '⏳',
+  running: '🔄',
+  done: '✅',
+  failed: '❌'
+};
+
+// Timing keys as returned by fetchAccountEmailsFast on the server (summed
+// over the account's folders)
+const TIMING_LABELS = [
+  ['fetch', 'IMAP'],
+  ['parse', 'Parse'],
+  ['duplicateCheck', 'Dedupe'],
+  ['process', 'Attachments'],
+  ['save', 'Save'],
+  ['total', 'Total']
+];
+
+const FetchProgress = ({ progress, accounts, onClose }) => {
+  if (!progress) return null;
+
+  const entries = Object.entries(progress);
+  const finished = entries.every(([, p]) => p.status === 'done' || p.status === 'failed');
+
+  return (
+    <div className="fetch-progress">
+      <div className="fetch-progress-header">
+        <strong>{finished ? 'Fetch complete' : 'Fetching mail…'}</strong>
+        {finished && <button className="clear-search" onClick={onClose} aria-label="Close">×</button>}
+      </div>
+      {entries.map(([id, { status, result }]) => {
+        const account = accounts.find(acc => String(acc.id) === id);
+        return (
+          <div key={id} className={`fetch-progress-row ${status}`}>
+            <div className="fetch-progress-account">
+              <span>{STATUS_ICON[status]}</span>
+              <span>{account?.email || `Account ${id}`}</span>
+              {status === 'done' && (
+                <span className="fetch-progress-count">
+                  {result.saved || 0} new{result.duplicates ? `, ${result.duplicates} existing` : ''}
+                  {result.remaining > 0 && ` · ${result.remaining} more to sync`}
+                  {result.resync && ' · mailbox resynced'}
+                  {result.backfillComplete && ' · history complete'}
+                </span>
+              )}
+              {status === 'failed' && <span className="fetch-progress-error">{result?.error}</span>}
+            </div>
+            {result?.folders?.length > 1 && (
+              <div className="fetch-progress-timing">
+                {result.folders.map(f => (
+                  <span key={f.folder} className={f.success ? '' : 'fetch-progress-error'}>
+                    {f.folder} {f.success ? `${f.saved || 0} new` : f.error}
+                  </span>
+                ))}
+              </div>
+            )}
+            {result?.timing && (
+              <div className="fetch-progress-timing">
+                {TIMING_LABELS
+                  .filter(([key]) => result.timing[key] !== undefined)
+                  .map(([key, label]) => (
+                    <span key={key}>{label} {(result.timing[key] / 1000).toFixed(1)}s</span>
+                  ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FetchProgress;
@@ -0,0 +1,350 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useEmails, MAILBOX_VIEWS } from '../../hooks/useEmails';
+import { useEmailSubscription } from '../../hooks/useEmailSubscription';
+import { useRole } from '../../hooks/useRole';
+import MessageSearch from '../messages/MessageSearch';
+import EmailList from './EmailList';
+import EmailView from './EmailView';
+import ThreadView from './ThreadView';
+import FetchProgress from './FetchProgress';
+import SearchFilters from './SearchFilters';
+import { emailKey } from './emailFormat';
+import './Inbox.css';
+
+const InboxMain = ({ user }) => {
+  const { can } = useRole();
+  const [selectedEmail, setSelectedEmail] = useState(null);
+  const [emailLoading, setEmailLoading] = useState(false);
+  const [newMailCount, setNewMailCount] = useState(0);
+  // Keys (emailKey) of rows ticked for a bulk action
+  const [checked, setChecked] = useState(() => new Set());
+
+  const {
+    accounts,
+    isMailAdmin,
+    accountId,
+    folder,
+    view,
+    search,
+    filters,
+    mailbox,
+    userLabel,
+    userLabels,
+    page,
+    pageSize,
+    emails,
+    total,
+    hasMore,
+    loading,
+    error,
+    fetchProgress,
+    setPage,
+    changeAccount,
+    changeFolder,
+    changeView,
+    changeSearch,
+    changeFilters,
+    clearFilters,
+    changeMailbox,
+    changeUserLabel,
+    updateEmailState,
+    openEmail,
+    openThread,
+    deleteEmail,
+    syncMailboxes,
+    clearFetchProgress,
+    refetch
+  } = useEmails(user?.id);
+
+  // Live "new email" push from the backend
+  const handleNewEmails = useCallback((event) => {
+    if (accountId !== 'all' && String(event.accountId) !== String(accountId)) return;
+    if (view === 'messages' && folder !== 'all' && event.folder && event.folder !== folder) return;
+    if (page === 1 && !search) {
+      refetch();
+    } else {
+      setNewMailCount(prev => prev + event.emails.length);
+    }
+  }, [accountId, folder, view, page, search, refetch]);
+
+  useEmailSubscription(user?.id, handleNewEmails);
+
+  const showNewMail = () => {
+    setNewMailCount(0);
+    if (page === 1) {
+      refetch();
+    } else {
+      setPage(1);
+    }
+  };
+
+  // Folders synced by the mailboxes in view, for the folder filter
+  const folderOptions = [...new Set(
+    accounts
+      .filter(acc => accountId === 'all' || String(acc.id) === String(accountId))
+      .flatMap(acc => acc.folders || ['INBOX'])
+  )];
+
+  const isFetching = fetchProgress &&
+    Object.values(fetchProgress).some(p => p.status === 'pending' || p.status === 'running');
+
+  const handleSelect = useCallback(async (email) => {
+    setSelectedEmail({ messageId: email.messageId });
+    setEmailLoading(true);
+    try {
+      const full = email.threadId
+        ? { ...await openThread(email.threadId, email.account_id), messageId: email.messageId }
+        : await openEmail(email.messageId, email.account_id);
+      setSelectedEmail(full);
+    } catch (err) {
+      console.error('Error opening email:', err);
+      alert(`Failed to open ${email.threadId ? 'conversation' : 'email'}: ${err.message}`);
+      setSelectedEmail(null);
+    } finally {
+      setEmailLoading(false);
+    }
+  }, [openThread, openEmail]);
+
+  // Changes from the open email's toolbar. Archiving or snoozing closes it,
+  // as it leaves the current view.
+  const handleStateChange = async (changes) => {
+    const [state] = await updateEmailState([selectedEmail], changes);
+    if (changes.archived || changes.snoozedUntil) {
+      setSelectedEmail(null);
+    } else if (state) {
+      const { isRead, isStarred, isArchived, snoozedUntil, userLabels } = state;
+      setSelectedEmail(prev => ({ ...prev, isRead, isStarred, isArchived, snoozedUntil, userLabels }));
+    }
+  };
+
+  const handlePurge = async () => {
+    await deleteEmail(selectedEmail.messageId, { accountId: selectedEmail.account_id, purge: true });
+    setSelectedEmail(null);
+  };
+
+  const toggleStar = (email) => {
+    updateEmailState([email], { starred: !email.isStarred }).catch(err => {
+      console.error('Star failed:', err);
+      alert(`Failed to update email: ${err.message}`);
+    });
+  };
+
+  const toggleChecked = (email) => {
+    setChecked(prev => {
+      const next = new Set(prev);
+      if (next.has(emailKey(email))) next.delete(emailKey(email));
+      else next.add(emailKey(email));
+      return next;
+    });
+  };
+
+  // Ticked rows still on the page; rows that left the view drop out
+  const checkedEmails = emails.filter(email => checked.has(emailKey(email)));
+
+  const handleBulk = async (changes) => {
+    try {
+      await updateEmailState(checkedEmails, changes);
+    } catch (err) {
+      console.error('Bulk update failed:', err);
+      alert(`Failed to update emails: ${err.message}`);
+    }
+  };
+
+  // Deep link from a shipment/job's linked mail: /inbox with
+  // { messageId, accountId } state
+  const location = useLocation();
+  const navigate = useNavigate();
+  const linkedMessageId = location.state?.messageId;
+  const linkedAccountId = location.state?.accountId;
+
+  // Clearing the state first makes this run once per link
+  const { pathname } = location;
+  useEffect(() => {
+    if (!linkedMessageId) return;
+    navigate(pathname, { replace: true, state: null });
+    changeView('messages');
+    changeFolder('all');
+    handleSelect({ messageId: linkedMessageId, account_id: linkedAccountId });
+  }, [linkedMessageId, linkedAccountId, pathname, navigate, changeView, changeFolder, handleSelect]);
+
+  const firstRow = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const lastRow = Math.min(total, page * pageSize);
+
+  return (
+    <div className="inbox-container">
+      <div className="inbox-header">
+        <h1>Inbox</h1>
+        <div className="inbox-header-actions">
+          <select
+            className="inbox-account-select"
+            value={view}
+            onChange={(e) => { setSelectedEmail(null); changeView(e.target.value); }}
+          >
+            <option value="messages">Messages</option>
+            <option value="threads">Conversations</option>
+          </select>
+          <select
+            className="inbox-account-select"
+            value={accountId}
+            onChange={(e) => changeAccount(e.target.value)}
+          >
+            <option value="all">All mailboxes</option>
+            {accounts.map(acc => (
+              <option key={acc.id} value={acc.id}>{acc.email}</option>
+            ))}
+          </select>
+          {view === 'messages' && (
+            <select
+              className="inbox-account-select"
+              value={mailbox}
+              onChange={(e) => { setSelectedEmail(null); changeMailbox(e.target.value); }}
+            >
+              {Object.entries(MAILBOX_VIEWS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          )}
+          {view === 'messages' && userLabels.length > 0 && (
+            <select
+              className="inbox-account-select"
+              value={userLabel}
+              onChange={(e) => changeUserLabel(e.target.value)}
+            >
+              <option value="">Any label</option>
+              {userLabels.map(({ name, count }) => (
+                <option key={name} value={name}>{name} ({count})</option>
+              ))}
+            </select>
+          )}
+          {view === 'messages' && folderOptions.length > 1 && (
+            <select
+              className="inbox-account-select"
+              value={folder}
+              onChange={(e) => changeFolder(e.target.value)}
+            >
+              <option value="all">All folders</option>
+              {folderOptions.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+          {can('email.send') && (
+            <>
+              <button
+                className="btn-secondary"
+                onClick={() => syncMailboxes('backfill')}
+                disabled={isFetching || accounts.length === 0}
+                title="Import the next chunk of older mail"
+              >
+                Load older mail
+              </button>
+              <button
+                className="btn-compose"
+                onClick={() => syncMailboxes()}
+                disabled={isFetching || accounts.length === 0}
+              >
+                <span className="icon">📥</span>
+                {isFetching ? 'Fetching…' : 'Fetch new mail'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <FetchProgress progress={fetchProgress} accounts={accounts} onClose={clearFetchProgress} />
+
+      {newMailCount > 0 && (
+        <button className="inbox-new-mail" onClick={showNewMail}>
+          {newMailCount} new {newMailCount === 1 ? 'email' : 'emails'} — show latest
+        </button>
+      )}
+
+      <div className="inbox-content">
+        <div className={`inbox-sidebar ${selectedEmail ? 'mobile-hidden' : ''}`}>
+          <MessageSearch
+            onSearch={changeSearch}
+            searchQuery={search}
+            placeholder={view === 'messages'
+              ? 'Search subject, sender, body or attachments...'
+              : 'Search conversation subjects...'}
+          />
+
+          {view === 'messages' && (
+            <SearchFilters filters={filters} onChange={changeFilters} onClear={clearFilters} />
+          )}
+
+          {error && (
+            <div className="inbox-error">
+              <span>{error}</span>
+              <button onClick={refetch} className="btn-retry">Retry</button>
+            </div>
+          )}
+
+          {checkedEmails.length > 0 && (
+            <div className="inbox-bulk-bar">
+              <span>{checkedEmails.length} selected</span>
+              <button onClick={() => handleBulk({ read: true })}>Mark read</button>
+              <button onClick={() => handleBulk({ read: false })}>Mark unread</button>
+              <button onClick={() => handleBulk({ starred: true })}>Star</button>
+              {mailbox === 'archived'
+                ? <button onClick={() => handleBulk({ archived: false })}>Move to inbox</button>
+                : <button onClick={() => handleBulk({ archived: true })}>Archive</button>}
+              <button onClick={() => setChecked(new Set())}>Clear</button>
+            </div>
+          )}
+
+          <EmailList
+            emails={emails}
+            selectedId={selectedEmail?.messageId}
+            onSelect={handleSelect}
+            loading={loading}
+            accounts={accounts}
+            showAccount={accountId === 'all' && accounts.length > 1}
+            onToggleStar={view === 'messages' ? toggleStar : undefined}
+            checked={checked}
+            onCheck={view === 'messages' ? toggleChecked : undefined}
+          />
+
+          <div className="inbox-pagination">
+            <span>{firstRow}–{lastRow} of {total}</span>
+            <div>
+              <button onClick={() => setPage(page - 1)} disabled={page <= 1 || loading}>‹</button>
+              <button onClick={() => setPage(page + 1)} disabled={!hasMore || loading}>›</button>
+            </div>
+          </div>
+        </div>
+
+        <div className={`inbox-main ${!selectedEmail ? 'mobile-hidden' : ''}`}>
+          {selectedEmail && view === 'threads' ? (
+            <ThreadView
+              key={selectedEmail.threadId || 'loading'}
+              thread={emailLoading ? null : selectedEmail}
+              loading={emailLoading}
+              onBack={() => setSelectedEmail(null)}
+            />
+          ) : selectedEmail ? (
+            <EmailView
+              email={emailLoading ? null : selectedEmail}
+              loading={emailLoading}
+              onBack={() => setSelectedEmail(null)}
+              onStateChange={handleStateChange}
+              onPurge={handlePurge}
+              canPurge={isMailAdmin}
+            />
+          ) : (
+            <div className="no-message-selected">
+              <div className="empty-state">
+                <span className="icon">📧</span>
+                <h3>No email selected</h3>
+                <p>Select an email from the list to read it</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InboxMain;
@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getLinkedEmails } from '../../lib/emailApi';
+import './LinkedEmails.css';
+
+// Mail the backend matched to a shipment or job by its reference numbers.
+// Rows open the email in the Inbox.
+const LinkedEmails = ({ entityType, entityId }) => {
+  const navigate = useNavigate();
+  const [emails, setEmails] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!entityId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getLinkedEmails({ entityType, entityId })
+      .then(({ emails }) => { if (!cancelled) setEmails(emails || []); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [entityType, entityId]);
+
+  return (
+    <div className="linked-emails">
+      {loading ? (
+        <div className="linked-emails-empty">Loading linked mail…</div>
+      ) : error ? (
+        <div className="linked-emails-empty">{error}</div>
+      ) : emails.length === 0 ? (
+        <div className="linked-emails-empty">No emails reference this {entityType} yet</div>
+      ) : (
+        emails.map(email => (
+          <div
+            key={email.messageId}
+            className="linked-email"
+            onClick={() => navigate('/inbox', { state: { messageId: email.messageId, accountId: email.account_id } })}
+            title="Open in Inbox"
+          >
+            <div className="linked-email-header">
+              <span className="linked-email-from">{email.from}</span>
+              <span className="linked-email-date">
+                {email.date ? new Date(email.date).toLocaleDateString() : ''}
+              </span>
+            </div>
+            <div className="linked-email-subject">
+              {email.hasAttachments && '📎 '}{email.subject}
+            </div>
+            <span className="linked-email-match">{email.matchedField} {email.matchedValue}</span>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default LinkedEmails;
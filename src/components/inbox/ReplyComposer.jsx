@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { getReplyDraft, sendReply } from '../../lib/emailApi';
+
+const TITLES = {
+  reply: 'Reply',
+  reply_all: 'Reply all',
+  forward: 'Forward'
+};
+
+// Compose pane for replying to / forwarding a stored email. The server
+// builds the draft (recipients, Re:/Fwd: subject, In-Reply-To/References)
+// and appends the quoted original when sending.
+const ReplyComposer = ({ email, type, onClose, onSent }) => {
+  const [draft, setDraft] = useState(null);
+  const [fields, setFields] = useState({ to: '', cc: '', bcc: '', subject: '', body: '' });
+  const [keepPaths, setKeepPaths] = useState([]);
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getReplyDraft(email.messageId, { type, accountId: email.account_id })
+      .then(({ draft }) => {
+        if (cancelled) return;
+        setDraft(draft);
+        setFields({
+          to: draft.to.join(', '),
+          cc: draft.cc.join(', '),
+          bcc: '',
+          subject: draft.subject,
+          body: ''
+        });
+        setKeepPaths(draft.attachments.filter(att => att.selected).map(att => att.path));
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [email.messageId, email.account_id, type]);
+
+  const updateField = (name) => (e) => setFields(prev => ({ ...prev, [name]: e.target.value }));
+
+  const toggleAttachment = (path) => {
+    setKeepPaths(prev => prev.includes(path) ? prev.filter(p => p !== path) : [...prev, path]);
+  };
+
+  const handleSend = async () => {
+    if (!fields.to.trim()) {
+      setError('Please enter at least one recipient');
+      return;
+    }
+
+    try {
+      setSending(true);
+      setError(null);
+      await sendReply(email.messageId, {
+        type,
+        accountId: draft.accountId,
+        ...fields,
+        originalAttachments: keepPaths,
+        files
+      });
+      onSent?.();
+      onClose();
+    } catch (err) {
+      console.error('Send reply failed:', err);
+      setError(err.message);
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="reply-composer">
+      <div className="reply-composer-header">
+        <strong>{TITLES[type]}</strong>
+        {draft && <span className="reply-composer-from">from {draft.from}</span>}
+        <button className="clear-search" onClick={onClose} aria-label="Close" disabled={sending}>×</button>
+      </div>
+
+      {loading ? (
+        <div className="email-list-loading"><div className="spinner" /></div>
+      ) : (
+        <>
+          {error && <div className="inbox-error">{error}</div>}
+
+          {draft && (
+            <>
+              <div className="reply-composer-fields">
+                <label>To<input value={fields.to} onChange={updateField('to')} /></label>
+                <label>CC<input value={fields.cc} onChange={updateField('cc')} /></label>
+                <label>BCC<input value={fields.bcc} onChange={updateField('bcc')} /></label>
+                <label>Subject<input value={fields.subject} onChange={updateField('subject')} /></label>
+              </div>
+
+              <textarea
+                className="reply-composer-body"
+                value={fields.body}
+                onChange={updateField('body')}
+                placeholder="Write your message…"
+                rows={6}
+                autoFocus
+              />
+
+              {draft.attachments.length > 0 && (
+                <div className="reply-composer-attachments">
+                  {draft.attachments.map(att => (
+                    <label key={att.path || att.filename} title={att.path ? '' : 'Not available in storage'}>
+                      <input
+                        type="checkbox"
+                        checked={keepPaths.includes(att.path)}
+                        onChange={() => toggleAttachment(att.path)}
+                        disabled={!att.path}
+                      />
+                      📎 {att.filename}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              <div className="reply-composer-actions">
+                <input type="file" multiple onChange={(e) => setFiles(Array.from(e.target.files))} />
+                <button className="btn-compose" onClick={handleSend} disabled={sending}>
+                  {sending ? 'Sending…' : 'Send'}
+                </button>
+              </div>
+
+              <pre className="reply-composer-quote">{draft.quotedText}</pre>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReplyComposer;
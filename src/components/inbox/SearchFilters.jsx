@@ -0,0 +1,60 @@
+import { DOCUMENT_TYPE_LABELS } from './emailFormat';
+
+// Date range, attachment, document and linked-shipment filters for the
+// messages view. Values are the raw strings GET /api/emails expects; ''
+// means "any".
+const SearchFilters = ({ filters, onChange, onClear }) => {
+  const active = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="inbox-filters">
+      <label>
+        From
+        <input
+          type="date"
+          value={filters.dateFrom}
+          max={filters.dateTo || undefined}
+          onChange={(e) => onChange({ dateFrom: e.target.value })}
+        />
+      </label>
+      <label>
+        To
+        <input
+          type="date"
+          value={filters.dateTo}
+          min={filters.dateFrom || undefined}
+          onChange={(e) => onChange({ dateTo: e.target.value })}
+        />
+      </label>
+      <label className="inbox-filter-check">
+        <input
+          type="checkbox"
+          checked={filters.hasAttachments === 'true'}
+          onChange={(e) => onChange({ hasAttachments: e.target.checked ? 'true' : '' })}
+        />
+        📎 Attachments
+      </label>
+      <select
+        className="inbox-filter-select"
+        value={filters.documentType}
+        onChange={(e) => onChange({ documentType: e.target.value })}
+      >
+        <option value="">Any document</option>
+        {Object.entries(DOCUMENT_TYPE_LABELS).map(([type, label]) => (
+          <option key={type} value={type}>Has {label === 'B/L' ? 'a B/L' : label.toLowerCase()}</option>
+        ))}
+      </select>
+      <label className="inbox-filter-check">
+        <input
+          type="checkbox"
+          checked={filters.linkedShipment === 'any'}
+          onChange={(e) => onChange({ linkedShipment: e.target.checked ? 'any' : '' })}
+        />
+        Linked to a shipment
+      </label>
+      {active && <button className="inbox-filter-clear" onClick={onClear}>Clear filters</button>}
+    </div>
+  );
+};
+
+export default SearchFilters;
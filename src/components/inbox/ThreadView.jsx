@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { downloadAttachment } from '../../lib/emailApi';
+import { buildSrcDoc, formatSize, DOCUMENT_TYPE_LABELS } from './emailFormat';
+import ReplyComposer from './ReplyComposer';
+import { useRole } from '../../hooks/useRole';
+
+// A whole conversation, oldest first. Only the latest message starts
+// expanded; earlier ones collapse to a one-line summary.
+const ThreadView = ({ thread, loading, onBack }) => {
+  const { can } = useRole();
+  const [expanded, setExpanded] = useState(() =>
+    new Set(thread?.messages?.length ? [thread.messages[thread.messages.length - 1].messageId] : [])
+  );
+  const [composing, setComposing] = useState(null);
+
+  if (loading || !thread) {
+    return (
+      <div className="email-view">
+        <div className="email-list-loading">
+          <div className="spinner" />
+          <p>Loading conversation…</p>
+        </div>
+      </div>
+    );
+  }
+
+  const toggle = (messageId) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(messageId)) next.delete(messageId);
+      else next.add(messageId);
+      return next;
+    });
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await downloadAttachment(attachment);
+    } catch (err) {
+      console.error('Attachment download failed:', err);
+      alert(`Could not download ${attachment.filename}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="email-view thread-view">
+      <div className="email-view-header">
+        <button className="btn-back" onClick={onBack} aria-label="Back to inbox">←</button>
+        <h2 className="email-view-subject">{thread.subject}</h2>
+        <span className="email-thread-count">{thread.messageCount}</span>
+      </div>
+
+      <div className="thread-messages">
+        {thread.messages.map(message => {
+          const isOpen = expanded.has(message.messageId);
+          return (
+            <div key={message.messageId} className={`thread-message ${isOpen ? 'open' : ''}`}>
+              <div className="thread-message-header" onClick={() => toggle(message.messageId)}>
+                <span className="thread-message-from">{message.from}</span>
+                <span className="email-item-time">
+                  {message.date ? new Date(message.date).toLocaleString() : ''}
+                </span>
+              </div>
+
+              {!isOpen && (
+                <div className="thread-message-snippet">{(message.text || '').slice(0, 140)}</div>
+              )}
+
+              {isOpen && (
+                <>
+                  <div className="email-view-meta">
+                    <div><span className="meta-label">To</span>{message.to}</div>
+                    {message.cc && <div><span className="meta-label">CC</span>{message.cc}</div>}
+                  </div>
+
+                  {message.attachments?.length > 0 && (
+                    <div className="email-attachments">
+                      {message.attachments.map((att, index) => (
+                        <button
+                          key={att.path || index}
+                          className="email-attachment"
+                          onClick={() => handleDownload(att)}
+                          title={`Download ${att.filename}`}
+                        >
+                          <span>📎 {att.filename}</span>
+                          {DOCUMENT_TYPE_LABELS[att.documentType] && (
+                            <span className="email-document-tag">{DOCUMENT_TYPE_LABELS[att.documentType]}</span>
+                          )}
+                          <span className="email-attachment-size">{formatSize(att.size)}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="thread-message-body">
+                    {message.html ? (
+                      <iframe
+                        title={`Message from ${message.from}`}
+                        className="email-html-frame"
+                        sandbox="allow-popups allow-popups-to-escape-sandbox"
+                        srcDoc={buildSrcDoc(message.html)}
+                      />
+                    ) : (
+                      <pre className="email-text-body">{message.text || '(No content)'}</pre>
+                    )}
+                  </div>
+
+                  {can('email.send') && (
+                    <div className="thread-message-actions">
+                      <button className="btn-secondary" onClick={() => setComposing({ message, type: 'reply' })}>Reply</button>
+                      <button className="btn-secondary" onClick={() => setComposing({ message, type: 'reply_all' })}>Reply all</button>
+                      <button className="btn-secondary" onClick={() => setComposing({ message, type: 'forward' })}>Forward</button>
+                    </div>
+                  )}
+
+                  {composing?.message.messageId === message.messageId && (
+                    <ReplyComposer
+                      key={`${message.messageId}-${composing.type}`}
+                      email={message}
+                      type={composing.type}
+                      onClose={() => setComposing(null)}
+                    />
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ThreadView;
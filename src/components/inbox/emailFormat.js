@@ -0,0 +1,47 @@
+// Shared by EmailView, ThreadView and EmailList
+
+// Attachment document types assigned by the server's classifier; 'other'
+// has no label and is not shown.
+export const DOCUMENT_TYPE_LABELS = {
+  bill_of_lading: 'B/L',
+  invoice: 'Invoice',
+  shipping_bill: 'Shipping bill',
+  packing_list: 'Packing list'
+};
+
+// Message-IDs are only unique per mailbox
+export const emailKey = (email) => `${email.account_id}:${email.messageId}`;
+
+export const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Stored html_content is untrusted mail markup. It is rendered inside an
+// iframe with an empty-permission sandbox (no scripts, forms or same-origin
+// access); links open in a new tab via <base target="_blank">.
+export const buildSrcDoc = (html) => `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta http-equiv="Content-Security-Policy" content="script-src 'none'; object-src 'none'; form-action 'none'">
+    <base target="_blank">
+    <style>body{margin:0;padding:16px;font-family:Inter,Arial,sans-serif;font-size:14px;color:#1f2328;background:#fff;word-wrap:break-word}img{max-width:100%;height:auto}</style>
+  </head>
+  <body>${html}</body>
+</html>`;
+
+// Search highlights arrive wrapped in \u0002 … \u0003 (see search_emails in
+// sql/email_search_schema.sql). Splits them into [{ text, match }] so the
+// list can render <mark>s without treating mail text as HTML.
+export const highlightParts = (value) => {
+  const parts = [];
+  (value || '').split('\u0002').forEach((chunk, i) => {
+    const [matched, rest] = i === 0 ? [null, chunk] : chunk.split('\u0003');
+    if (matched) parts.push({ text: matched, match: true });
+    if (rest) parts.push({ text: rest, match: false });
+  });
+  return parts;
+};
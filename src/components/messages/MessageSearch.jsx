@@ -1,7 +1,7 @@
 import { useState, useRef } from 'react';
 import './MessageSearch.css';
 
-const MessageSearch = ({ onSearch, searchQuery }) => {
+const MessageSearch = ({ onSearch, searchQuery, placeholder = 'Search messages...' }) => {
   const [localQuery, setLocalQuery] = useState(searchQuery);
   const searchTimeoutRef = useRef(null);
 
@@ -32,7 +32,7 @@ const MessageSearch = ({ onSearch, searchQuery }) => {
           type="text"
           value={localQuery}
           onChange={handleInputChange}
-          placeholder="Search messages..."
+          placeholder={placeholder}
           className="search-input"
         />
         {localQuery && (
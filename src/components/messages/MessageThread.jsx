@@ -51,7 +51,7 @@ const MessageThread = ({ message, conversation, currentUser, onDelete, onBack, o
   const [loadingChat, setLoadingChat] = useState(false);
   const fileInputRef = useRef(null);
   const bottomRef = useRef(null);
-  const { uploadFile, getFileUrl, getSignedUrl, uploading, progress, uploadError } = useFileUpload();
+  const { uploadFile, getSignedUrl, uploading, progress, uploadError } = useFileUpload();
 
   /* ── Load group messages ── */
   useEffect(() => {
@@ -123,14 +123,11 @@ const MessageThread = ({ message, conversation, currentUser, onDelete, onBack, o
   const downloadAttachment = async (attachment) => {
     try {
       const filePath = attachment.storage_path || attachment.path;
-      // Try public URL first; fall back to signed URL (private bucket)
-      let url = getFileUrl(filePath);
-      if (!url) url = await getSignedUrl(filePath);
+      const url = await getSignedUrl(filePath, { download: attachment.file_name || attachment.name || true });
       if (!url) { console.error('Could not get download URL'); return; }
       const a = document.createElement('a');
       a.href = url;
-      a.download = attachment.file_name || attachment.name || 'download';
-      a.target = '_blank';
+      a.rel = 'noopener';
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
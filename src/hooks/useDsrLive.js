@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+// How often the cell under the pointer is broadcast at most
+const FOCUS_THROTTLE_MS = 250;
+// An edit lock nobody has touched for this long (a forgotten tab) no
+// longer blocks anyone
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Everyone on the DSR grid shares one realtime channel: row changes on
+// shipments (postgres_changes, see sql/dsr_realtime_schema.sql) and
+// presence, where each open tab tracks the cell it is pointing at or
+// editing. Edit mode is a soft lock: others see it and are asked before
+// editing the same cell, nothing is enforced on save beyond the version
+// check.
+export const useDsrLive = (user, onShipmentChange) => {
+  const [peers, setPeers] = useState([]);
+  const channelRef = useRef(null);
+  const focusRef = useRef({ rowId: null, field: null, editing: false });
+  const throttleRef = useRef(null);
+  const callbackRef = useRef(onShipmentChange);
+
+  useEffect(() => {
+    callbackRef.current = onShipmentChange;
+  }, [onShipmentChange]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    // One presence entry per tab, so the same person in two tabs shows twice
+    const presenceKey = `${user.id}:${crypto.randomUUID()}`;
+    const channel = supabase.channel('dsr-grid', { config: { presence: { key: presenceKey } } });
+
+    const publish = () => channel.track({
+      userId: user.id,
+      email: user.email,
+      ...focusRef.current,
+      at: Date.now()
+    });
+
+    channel
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'shipments' }, (payload) => {
+        callbackRef.current?.(payload);
+      })
+      .on('presence', { event: 'sync' }, () => {
+        const state = channel.presenceState();
+        setPeers(Object.entries(state)
+          .filter(([key]) => key !== presenceKey)
+          .map(([key, metas]) => ({ key, ...metas[metas.length - 1] })));
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') publish();
+      });
+
+    channelRef.current = { channel, publish };
+
+    return () => {
+      clearTimeout(throttleRef.current);
+      channelRef.current = null;
+      supabase.removeChannel(channel);
+    };
+  }, [user?.id, user?.email]);
+
+  // focus: { rowId, field, editing }; edit mode changes go out at once,
+  // pointer moves at most every FOCUS_THROTTLE_MS
+  const setFocus = useCallback((focus) => {
+    const previous = focusRef.current;
+    focusRef.current = { rowId: null, field: null, editing: false, ...focus };
+    if (!channelRef.current) return;
+
+    if (focusRef.current.editing !== previous.editing) {
+      clearTimeout(throttleRef.current);
+      throttleRef.current = null;
+      channelRef.current.publish();
+    } else if (!throttleRef.current) {
+      throttleRef.current = setTimeout(() => {
+        throttleRef.current = null;
+        channelRef.current?.publish();
+      }, FOCUS_THROTTLE_MS);
+    }
+  }, []);
+
+  // Peers on a cell; the one editing it (if any) comes first
+  const peersAt = useCallback((rowId, field) => peers
+    .filter(peer => peer.rowId === rowId && peer.field === field)
+    .sort((a, b) => Number(b.editing) - Number(a.editing)), [peers]);
+
+  const lockHolder = useCallback((rowId, field) => peers.find(peer =>
+    peer.editing && peer.rowId === rowId && peer.field === field && Date.now() - peer.at < LOCK_TTL_MS
+  ) || null, [peers]);
+
+  return { peers, setFocus, peersAt, lockHolder };
+};
+
+export default useDsrLive;
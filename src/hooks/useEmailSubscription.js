@@ -0,0 +1,52 @@
+import { useEffect, useRef } from 'react';
+import { streamEmailEvents } from '../lib/emailApi';
+
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+
+// Subscribes to "new-email" events pushed by the backend (IDLE, scheduled
+// or manual fetches) and reconnects with jittered backoff if the stream drops.
+export const useEmailSubscription = (userId, callback) => {
+  const callbackRef = useRef(callback);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const controller = new AbortController();
+    let attempts = 0;
+    let reconnectTimer = null;
+
+    const connect = async () => {
+      try {
+        await streamEmailEvents((event, data) => {
+          if (event === 'ready') {
+            attempts = 0;
+          } else if (event === 'new-email') {
+            callbackRef.current(data);
+          }
+        }, controller.signal);
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Email event stream error:', error.message);
+      }
+
+      if (controller.signal.aborted) return;
+      attempts++;
+      const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (attempts - 1));
+      reconnectTimer = setTimeout(connect, ceiling / 2 + Math.random() * ceiling / 2);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+    };
+  }, [userId]);
+};
+
+export default useEmailSubscription;
@@ -0,0 +1,281 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getUserAccounts,
+  listEmails,
+  listThreads,
+  getEmail,
+  getThread,
+  deleteEmail as deleteEmailRequest,
+  setEmailState,
+  listUserLabels,
+  fetchNewEmails
+} from '../lib/emailApi';
+
+const PAGE_SIZE = 50;
+
+// Messages-view filters passed straight through to GET /api/emails
+const EMPTY_FILTERS = { dateFrom: '', dateTo: '', hasAttachments: '', documentType: '', linkedShipment: '' };
+
+// The caller's own mail views, as per-user state filters on GET /api/emails.
+// Archived and snoozed mail is hidden unless a view asks for it.
+export const MAILBOX_VIEWS = {
+  inbox: { label: 'Inbox', query: {} },
+  unread: { label: 'Unread', query: { read: 'false' } },
+  starred: { label: 'Starred', query: { starred: 'true', archived: 'all' } },
+  snoozed: { label: 'Snoozed', query: { snoozed: 'true' } },
+  archived: { label: 'Archived', query: { archived: 'true', snoozed: 'all' } }
+};
+
+const stateRef = (email) => ({ messageId: email.messageId, accountId: email.account_id });
+
+export const useEmails = (userId) => {
+  const [accounts, setAccounts] = useState([]);
+  const [isMailAdmin, setIsMailAdmin] = useState(false);
+  const [accountId, setAccountId] = useState('all');
+  // IMAP folder filter for the messages view ('all' or a folder name)
+  const [folder, setFolder] = useState('INBOX');
+  // 'messages' lists every email; 'threads' lists one row per conversation
+  const [view, setView] = useState('messages');
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // A MAILBOX_VIEWS key, and optionally one of the user's personal labels
+  const [mailbox, setMailbox] = useState('inbox');
+  const [userLabel, setUserLabel] = useState('');
+  const [userLabels, setUserLabels] = useState([]);
+  const [page, setPage] = useState(1);
+  const [emails, setEmails] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Per-account progress of a manual IMAP fetch: { [accountId]: { status, result } }
+  const [fetchProgress, setFetchProgress] = useState(null);
+
+  // Accounts the signed-in user may read (USER_EMAIL_MAPPING on the server)
+  useEffect(() => {
+    if (!userId) return;
+
+    getUserAccounts()
+      .then(({ accounts, isMailAdmin }) => {
+        setAccounts(accounts || []);
+        setIsMailAdmin(!!isMailAdmin);
+      })
+      .catch(err => {
+        console.error('Error loading mailbox accounts:', err);
+        setError(err.message);
+      });
+  }, [userId]);
+
+  const loadUserLabels = useCallback(async () => {
+    try {
+      const { labels } = await listUserLabels();
+      setUserLabels(labels || []);
+    } catch (err) {
+      console.error('Error loading labels:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userId) loadUserLabels();
+  }, [userId, loadUserLabels]);
+
+  const loadEmails = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      if (view === 'threads') {
+        const result = await listThreads({ accountId, search, page, limit: PAGE_SIZE });
+        // Shaped like email rows so EmailList can render either view
+        setEmails((result.threads || []).map(thread => ({
+          messageId: thread.threadId,
+          threadId: thread.threadId,
+          subject: thread.subject,
+          from: thread.lastFrom,
+          date: thread.lastDate,
+          hasAttachments: thread.hasAttachments,
+          attachmentsCount: thread.attachmentsCount,
+          messageCount: thread.messageCount,
+          account_id: thread.account_id
+        })));
+        setTotal(result.total || 0);
+        setHasMore(!!result.hasMore);
+        return;
+      }
+
+      const result = await listEmails({
+        accountId,
+        folder,
+        search,
+        ...filters,
+        ...MAILBOX_VIEWS[mailbox].query,
+        userLabel,
+        page,
+        limit: PAGE_SIZE
+      });
+      setEmails(result.emails || []);
+      setTotal(result.total || 0);
+      setHasMore(!!result.hasMore);
+    } catch (err) {
+      console.error('Error loading emails:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, view, accountId, folder, search, filters, mailbox, userLabel, page]);
+
+  useEffect(() => {
+    loadEmails();
+  }, [loadEmails]);
+
+  const changeAccount = useCallback((id) => {
+    setAccountId(id);
+    setPage(1);
+  }, []);
+
+  const changeFolder = useCallback((nextFolder) => {
+    setFolder(nextFolder);
+    setPage(1);
+  }, []);
+
+  const changeView = useCallback((nextView) => {
+    setView(nextView);
+    setPage(1);
+  }, []);
+
+  const changeSearch = useCallback((term) => {
+    setSearch(term);
+    setPage(1);
+  }, []);
+
+  const changeFilters = useCallback((next) => {
+    setFilters(prev => ({ ...prev, ...next }));
+    setPage(1);
+  }, []);
+
+  const changeMailbox = useCallback((next) => {
+    setMailbox(next);
+    setPage(1);
+  }, []);
+
+  const changeUserLabel = useCallback((label) => {
+    setUserLabel(label);
+    setPage(1);
+  }, []);
+
+  // Applies state changes to emails ({ messageId, account_id } rows) and
+  // patches the list with what the server saved. Archiving, unarchiving or
+  // snoozing moves mail between views, so the page is reloaded instead.
+  const updateEmailState = useCallback(async (targets, changes) => {
+    const { states } = await setEmailState(targets.map(stateRef), changes);
+    const saved = new Map((states || []).map(state => [`${state.accountId}:${state.messageId}`, state]));
+
+    if (changes.archived !== undefined || changes.snoozedUntil !== undefined) {
+      await loadEmails();
+    } else {
+      setEmails(prev => prev.map(email => {
+        const state = saved.get(`${email.account_id}:${email.messageId}`);
+        if (!state) return email;
+        const { isRead, isStarred, isArchived, snoozedUntil, userLabels } = state;
+        return { ...email, isRead, isStarred, isArchived, snoozedUntil, userLabels };
+      }));
+    }
+    if (changes.labels || changes.addLabels || changes.removeLabels) loadUserLabels();
+    return states || [];
+  }, [loadEmails, loadUserLabels]);
+
+  // Opening an email marks it read for the signed-in user
+  const openEmail = useCallback(async (messageId, emailAccountId) => {
+    const { email } = await getEmail(messageId, { accountId: emailAccountId });
+    if (!email.isRead) {
+      await updateEmailState([email], { read: true }).catch(err => {
+        console.error('Error marking email read:', err);
+      });
+      return { ...email, isRead: true };
+    }
+    return email;
+  }, [updateEmailState]);
+
+  const openThread = useCallback(async (threadId, threadAccountId) => {
+    const { thread } = await getThread(threadId, { accountId: threadAccountId });
+    return thread;
+  }, []);
+
+  // Archives for the caller; `purge` (mail admins) deletes for everyone
+  const deleteEmail = useCallback(async (messageId, { accountId: emailAccountId, purge } = {}) => {
+    await deleteEmailRequest(messageId, { accountId: emailAccountId, purge });
+    setEmails(prev => prev.filter(e => e.messageId !== messageId));
+    setTotal(prev => Math.max(0, prev - 1));
+  }, []);
+
+  // Fetch accounts one at a time so the UI can show each account's timing
+  // summary as soon as it finishes instead of waiting for the whole batch.
+  const syncMailboxes = useCallback(async (mode = 'incremental') => {
+    const targets = accountId === 'all'
+      ? accounts
+      : accounts.filter(acc => String(acc.id) === String(accountId));
+
+    if (!targets.length) return;
+
+    setFetchProgress(Object.fromEntries(targets.map(acc => [acc.id, { status: 'pending', mode }])));
+
+    for (const account of targets) {
+      setFetchProgress(prev => ({ ...prev, [account.id]: { status: 'running', mode } }));
+      try {
+        const response = await fetchNewEmails({ accountId: account.id, mode });
+        const result = response.accounts?.[0] || {};
+        setFetchProgress(prev => ({
+          ...prev,
+          [account.id]: { status: result.success ? 'done' : 'failed', mode, result }
+        }));
+      } catch (err) {
+        setFetchProgress(prev => ({
+          ...prev,
+          [account.id]: { status: 'failed', mode, result: { error: err.message } }
+        }));
+      }
+    }
+
+    await loadEmails();
+  }, [accounts, accountId, loadEmails]);
+
+  return {
+    accounts,
+    isMailAdmin,
+    accountId,
+    folder,
+    view,
+    search,
+    filters,
+    mailbox,
+    userLabel,
+    userLabels,
+    page,
+    pageSize: PAGE_SIZE,
+    emails,
+    total,
+    hasMore,
+    loading,
+    error,
+    fetchProgress,
+    setPage,
+    changeAccount,
+    changeFolder,
+    changeView,
+    changeSearch,
+    changeFilters,
+    clearFilters: () => changeFilters(EMPTY_FILTERS),
+    changeMailbox,
+    changeUserLabel,
+    updateEmailState,
+    openEmail,
+    openThread,
+    deleteEmail,
+    syncMailboxes,
+    clearFetchProgress: () => setFetchProgress(null),
+    refetch: loadEmails
+  };
+};
+
+export default useEmails;
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { supabase } from '../lib/supabaseClient';
+import { getSignedFileUrl } from '../lib/fileApi';
 
 export const useFileUpload = () => {
   const [uploading, setUploading] = useState(false);
@@ -53,27 +54,17 @@ export const useFileUpload = () => {
   };
 
   /**
-   * Returns the public URL for a file in the message-attachments bucket.
-   * Works whether the bucket is public or not (signed URL fallback).
+   * Short-lived signed URL for a file in the (private) message-attachments
+   * bucket. The server checks the caller took part in the message.
    */
-  const getFileUrl = (filePath) => {
+  const getSignedUrl = async (filePath, { download } = {}) => {
     if (!filePath) return null;
-    const { data } = supabase.storage
-      .from('message-attachments')
-      .getPublicUrl(filePath);
-    return data?.publicUrl ?? null;
-  };
-
-  /**
-   * Get a short-lived signed URL (1 hour) — use this if the bucket is private.
-   */
-  const getSignedUrl = async (filePath) => {
-    if (!filePath) return null;
-    const { data, error } = await supabase.storage
-      .from('message-attachments')
-      .createSignedUrl(filePath, 3600);
-    if (error) console.error('Signed URL error:', error);
-    return data?.signedUrl ?? null;
+    try {
+      return await getSignedFileUrl('message-attachments', filePath, { download });
+    } catch (err) {
+      console.error('Signed URL error:', err);
+      return null;
+    }
   };
 
   const deleteFile = async (filePath) => {
@@ -90,7 +81,6 @@ export const useFileUpload = () => {
 
   return {
     uploadFile,
-    getFileUrl,
     getSignedUrl,
     deleteFile,
     uploading,
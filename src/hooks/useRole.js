@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+import { can, DEFAULT_ROLE } from '../lib/permissions';
+
+// Provided by App with the signed-in user's role (user_roles); null while
+// it loads
+export const RoleContext = createContext(null);
+
+export const useRole = () => {
+  const role = useContext(RoleContext);
+  return {
+    role: role || DEFAULT_ROLE,
+    loaded: role !== null,
+    can: (permission) => can(role, permission)
+  };
+};
@@ -0,0 +1,99 @@
+// src/lib/concurrency.js
+// Optimistic concurrency for rows the browser edits directly (shipments,
+// jobs). updated_at is the row version; sql/row_versions_schema.sql moves
+// it on every update. A save only applies while updated_at still holds the
+// value the row was loaded with, so a second coordinator can't silently
+// overwrite the first.
+import { supabase } from './supabaseClient'
+
+export class ConflictError extends Error {
+  // current: the row as it is now, or null when it was deleted.
+  // conflicts / merged: set by saveWithMerge, see mergeChanges
+  constructor(current) {
+    super(current
+      ? 'Someone else changed this record since you opened it'
+      : 'This record was deleted since you opened it')
+    this.name = 'ConflictError'
+    this.current = current
+    this.conflicts = null
+    this.merged = null
+  }
+}
+
+// null, undefined and '' are all empty; numbers match their strings
+const comparable = (value) => {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const sameValue = (a, b) => comparable(a) === comparable(b)
+
+// Resolves to the saved row; throws ConflictError when the row moved on
+export const updateIfUnchanged = async (table, id, version, changes) => {
+  const query = supabase.from(table).update(changes).eq('id', id)
+  const { data, error } = await (version ? query.eq('updated_at', version) : query.is('updated_at', null)).select('*')
+  if (error) throw error
+  if (data.length) return data[0]
+
+  const { data: current, error: readError } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+  if (readError) throw readError
+  // Same version and still nothing updated: RLS refused the write
+  if (current && sameValue(current.updated_at, version)) {
+    throw new Error('Your role is not allowed to change this record')
+  }
+  throw new ConflictError(current)
+}
+
+// Three-way merge of my edits (mine, against the row as loaded: base) onto
+// the row as it is now (theirs). Fields only I changed are kept in merged,
+// fields only someone else changed keep their value, and fields both sides
+// changed to different values are returned as conflicts for the user.
+export const mergeChanges = (base, mine, theirs) => {
+  const merged = {}
+  const conflicts = []
+  Object.keys(mine).forEach(field => {
+    if (field === 'updated_at' || sameValue(mine[field], base[field])) return
+    if (sameValue(theirs[field], base[field]) || sameValue(theirs[field], mine[field])) {
+      merged[field] = mine[field]
+    } else {
+      conflicts.push({ field, base: base[field], mine: mine[field], theirs: theirs[field] })
+    }
+  })
+  return { merged, conflicts }
+}
+
+// Saves changes to a row loaded as base. If someone saved in between and
+// none of the fields clash, my edits are applied on top of theirs;
+// otherwise the ConflictError carries conflicts and merged for
+// resolveConflict.
+export const saveWithMerge = async (table, base, changes) => {
+  try {
+    return await updateIfUnchanged(table, base.id, base.updated_at, changes)
+  } catch (error) {
+    if (!(error instanceof ConflictError) || !error.current) throw error
+    const { merged, conflicts } = mergeChanges(base, changes, error.current)
+    if (conflicts.length) {
+      error.conflicts = conflicts
+      error.merged = merged
+      throw error
+    }
+    if (!Object.keys(merged).length) return error.current
+    return updateIfUnchanged(table, base.id, error.current.updated_at, merged)
+  }
+}
+
+// choices: { [field]: 'mine' | 'theirs' } for each conflict. Applies the
+// merged edits plus the fields kept as mine against the current version.
+export const resolveConflict = async (table, conflict, choices) => {
+  const changes = { ...conflict.merged }
+  conflict.conflicts.forEach(({ field, mine }) => {
+    if (choices[field] === 'mine') changes[field] = mine
+  })
+  if (!Object.keys(changes).length) return conflict.current
+  return updateIfUnchanged(table, conflict.current.id, conflict.current.updated_at, changes)
+}
@@ -0,0 +1,167 @@
+// src/lib/dsrTemplates.js
+// DSR rows and column templates (sql/dsr_templates_schema.sql): how a
+// shipment becomes a DSR row, and which of its fields a client's status
+// report shows, in what order, under which headers and with which date
+// format. The DSR grid, its XLSX export and the scheduled DSR emails
+// (server.js) all go through here; clients without a template get
+// DEFAULT_TEMPLATE. Plain functions only, so the backend can import it.
+
+// yyyy-mm-dd from a timestamp or date string; unparseable values as they are
+const toIsoDate = (value) => {
+  if (!value) return null
+
+  if (typeof value === 'string') {
+    const datePart = value.split(/[T ]/)[0]
+    if (/^\d{4}-\d{2}-\d{2}$/.test(datePart)) return datePart
+  }
+
+  const date = new Date(value)
+  if (isNaN(date.getTime())) return value
+
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+// A shipments row as a DSR row; index is its position in the report (S/NO)
+export const toDsrRow = (item, index) => ({
+  SNO: index + 1,
+  INVNO: item.invoice_no || item.invoiceNo || item.shipment_no || null,
+  INVDT: toIsoDate(item.invoice_date || item.invoiceDate || item.shipment_date),
+  CONSIGNEE: item.consignee || null,
+  DESTINATION: item.destination || item.pod || item.pof || null,
+  GOODS: item.commodity || item.description || null,
+  GrossWeightKGS: item.gr_weight || item.grWeight || item.gross_weight || null,
+  NETWEIGHT: item.net_weight || item.netWeight || item.gross_weight || null,
+  TERM: item.incoterms || item.terms || null,
+  SBILLNO: item.sb_no || item.sbNo || item.hbl_no || null,
+  SBILLDT: toIsoDate(item.sb_date || item.sbDate || item.shipment_date),
+  STUFFINGDT: toIsoDate(item.stuffing_date || item.stuffingDate),
+  HANDOVERDT: toIsoDate(item.ho_date || item.hoDate),
+  SLINE: item.s_line || item.sLine || item.carrier || null,
+  BKGNO: item.job_no || null,
+  CONTAINERNO: item.container_no || item.containerNo || 'N/A',
+  CONTYPE: item.no_of_cntr || item.noOfCntr ? `${item.no_of_cntr || item.noOfCntr} containers` : 'N/A',
+  RAILOUTDT: toIsoDate(item.rail_out_date || item.railOutDate),
+  ARRIVAL: toIsoDate(item.eta),
+  VESSEL: item.vessel || item.vessel_name_summary || null,
+  VOY: item.voy || null,
+  ETD: toIsoDate(item.etd),
+  SOB: toIsoDate(item.sob),
+  ETA: toIsoDate(item.eta),
+  MBHBLNO: item.mbl_no || item.mblNo || item.hbl_no || null,
+  DT: toIsoDate(item.hbl_dt || item.hblDt || item.shipment_date),
+  REMARK: item.remarks || null,
+  CLIENT: item.client || null,
+  Job: item.job_no || null,
+  id: item.id,
+  originalData: item
+})
+
+// Shipment statuses that end a shipment; everything else is open
+export const CLOSED_STATUSES = ['Delivered', 'Cancelled']
+
+// Which of a client's shipments a scheduled DSR covers
+export const DSR_FILTERS = {
+  all: { label: 'All shipments', matches: () => true },
+  open: { label: 'Open shipments only', matches: (shipment) => !CLOSED_STATUSES.includes(shipment.status) }
+}
+
+// Every field a DSR row has (the keys toDsrRow sets), with the
+// header used when a template doesn't set its own. Date fields hold
+// yyyy-mm-dd strings.
+export const DSR_FIELDS = [
+  { key: 'SNO', header: 'S/NO' },
+  { key: 'Job', header: 'Job No' },
+  { key: 'CLIENT', header: 'CLIENT' },
+  { key: 'INVNO', header: 'INV NO.' },
+  { key: 'INVDT', header: 'INV DT', date: true },
+  { key: 'CONSIGNEE', header: 'CONSIGNEE' },
+  { key: 'DESTINATION', header: 'DESTINATION' },
+  { key: 'GOODS', header: 'GOODS' },
+  { key: 'GrossWeightKGS', header: 'Gross Weight KGS' },
+  { key: 'NETWEIGHT', header: 'NET WEIGHT (KGS)' },
+  { key: 'TERM', header: 'TERM' },
+  { key: 'SBILLNO', header: 'SBILL NO.' },
+  { key: 'SBILLDT', header: 'SBILL DT', date: true },
+  { key: 'STUFFINGDT', header: 'STUFFING DT.', date: true },
+  { key: 'HANDOVERDT', header: 'HANDOVER DT.', date: true },
+  { key: 'SLINE', header: 'S/LINE' },
+  { key: 'BKGNO', header: 'BKG NO' },
+  { key: 'CONTAINERNO', header: 'CONTAINER NO.' },
+  { key: 'CONTYPE', header: 'CON TYPE' },
+  { key: 'RAILOUTDT', header: 'RAIL OUT DT.', date: true },
+  { key: 'ARRIVAL', header: 'ARRIVAL @ PORT', date: true },
+  { key: 'VESSEL', header: 'VESSEL' },
+  { key: 'VOY', header: 'VOY' },
+  { key: 'ETD', header: 'E.T.D', date: true },
+  { key: 'SOB', header: 'S.O.B', date: true },
+  { key: 'ETA', header: 'E.T.A', date: true },
+  { key: 'MBHBLNO', header: 'MB/HBL NO' },
+  { key: 'DT', header: 'DT.', date: true },
+  { key: 'REMARK', header: 'REMARK' }
+]
+
+const FIELDS_BY_KEY = Object.fromEntries(DSR_FIELDS.map(field => [field.key, field]))
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MMM-YYYY', 'MM/DD/YYYY']
+
+export const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD'
+
+// The layout the DSR export always had, for clients without a template
+export const DEFAULT_TEMPLATE = {
+  id: null,
+  name: 'Standard',
+  date_format: DEFAULT_DATE_FORMAT,
+  columns: DSR_FIELDS
+    .filter(({ key }) => key !== 'CLIENT')
+    .map(({ key, header }) => ({ field: key, header: key === 'ARRIVAL' ? 'ARRIVAL @ MUNDRA/PIPAVAV' : header }))
+}
+
+export const isDateField = (key) => !!FIELDS_BY_KEY[key]?.date
+
+export const columnHeader = (column) => column.header || FIELDS_BY_KEY[column.field]?.header || column.field
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+// yyyy-mm-dd in one of DATE_FORMATS; anything else is returned as it is
+export const formatDsrDate = (value, format = DEFAULT_DATE_FORMAT) => {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+  if (!match) return value
+  const [, year, month, day] = match
+  switch (format) {
+    case 'DD/MM/YYYY': return `${day}/${month}/${year}`
+    case 'DD-MMM-YYYY': return `${day}-${MONTHS[month - 1]}-${year}`
+    case 'MM/DD/YYYY': return `${month}/${day}/${year}`
+    default: return value
+  }
+}
+
+// A column's value for one DSR row, dates in the column's format or else
+// the template's
+export const dsrCellValue = (row, column, template) => {
+  const value = row[column.field]
+  if (!isDateField(column.field)) return value
+  return formatDsrDate(value, column.dateFormat || template.date_format)
+}
+
+// Header row and one row per DSR row, for XLSX.utils.aoa_to_sheet
+export const dsrSheetRows = (rows, template) => [
+  template.columns.map(columnHeader),
+  ...rows.map(row => template.columns.map(column => dsrCellValue(row, column, template) ?? null))
+]
+
+// Drops columns whose field no longer exists, so an old template can't
+// break the grid
+export const normalizeTemplate = (template) => ({
+  ...template,
+  date_format: template.date_format || DEFAULT_DATE_FORMAT,
+  columns: (template.columns || []).filter(column => FIELDS_BY_KEY[column.field])
+})
+
+// assignments: dsr_template_clients rows ({ client, template_id })
+export const templateForClient = (templates, assignments, client) => {
+  const assignment = client && assignments.find(a => a.client === client)
+  return (assignment && templates.find(t => t.id === assignment.template_id)) || DEFAULT_TEMPLATE
+}
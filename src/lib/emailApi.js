@@ -0,0 +1,278 @@
+// src/lib/emailApi.js
+import { supabase } from './supabaseClient'
+import { downloadStoredFile, storagePathFromUrl } from './fileApi'
+
+// Thin client for the Express email backend (server.js). Every /api/emails*
+// route runs behind authenticateUser, so each call forwards the current
+// Supabase access token as a Bearer header.
+export const apiRequest = async (path, { method = 'GET', body, query } = {}) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session?.access_token) {
+    throw new Error('Not signed in')
+  }
+
+  const params = new URLSearchParams()
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value)
+    }
+  })
+  const qs = params.toString()
+
+  const isFormData = body instanceof FormData
+  const response = await fetch(`/api${path}${qs ? `?${qs}` : ''}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      ...(body && !isFormData && { 'Content-Type': 'application/json' })
+    },
+    body: body ? (isFormData ? body : JSON.stringify(body)) : undefined
+  })
+
+  const payload = await response.json().catch(() => ({}))
+  if (!response.ok || payload.success === false) {
+    throw new Error(payload.error || `Request failed (${response.status})`)
+  }
+  return payload
+}
+
+export const getUserAccounts = () => apiRequest('/user-accounts')
+
+// Mailbox administration (MAIL_ADMIN_EMAILS users only)
+export const listMailAccounts = () => apiRequest('/admin/mail-accounts')
+
+export const createMailAccount = (account) =>
+  apiRequest('/admin/mail-accounts', { method: 'POST', body: account })
+
+export const updateMailAccount = (id, changes) =>
+  apiRequest(`/admin/mail-accounts/${id}`, { method: 'PUT', body: changes })
+
+// Pass accountId to test edits against a saved account without retyping its password
+export const testMailAccount = (settings) =>
+  apiRequest('/admin/mail-accounts/test', { method: 'POST', body: settings })
+
+export const grantMailAccess = (id, userEmail) =>
+  apiRequest(`/admin/mail-accounts/${id}/grants`, { method: 'POST', body: { userEmail } })
+
+export const revokeMailAccess = (id, userEmail) =>
+  apiRequest(`/admin/mail-accounts/${id}/grants/${encodeURIComponent(userEmail)}`, { method: 'DELETE' })
+
+// Read/star/archive/delete changes waiting to be pushed to mailboxes with
+// flag sync on. Returns { items, counts: { [accountId]: { pending, conflict, failed } } }
+export const listFlagSync = ({ accountId, status, limit } = {}) =>
+  apiRequest('/admin/flag-sync', { query: { accountId, status, limit } })
+
+// keep: 'dashboard' pushes the change anyway, 'server' drops it
+export const resolveFlagSync = (id, keep) =>
+  apiRequest(`/admin/flag-sync/${id}/resolve`, { method: 'POST', body: { keep } })
+
+// Ends the caller's session on the server too, so its access token stops
+// working before it expires
+export const signOutSession = () => apiRequest('/auth/logout', { method: 'POST' })
+
+// Forced logout (mail admins): every session of the user with that email
+export const revokeUserSessions = (email, reason) =>
+  apiRequest('/admin/auth/revoke', { method: 'POST', body: { email, reason } })
+
+export const listAuthRevocations = () => apiRequest('/admin/auth/revocations')
+
+// Staff roles (admin role only). Returns { roles, users: [{ id, email, name, role }] }
+export const listUsers = () => apiRequest('/admin/users')
+
+export const setUserRole = (userId, role) =>
+  apiRequest(`/admin/users/${userId}/role`, { method: 'PUT', body: { role } })
+
+// Inbound mail rules (MAIL_ADMIN_EMAILS users only). A rule is
+// { name, enabled, priority, stopProcessing, conditions, actions }; see
+// sql/email_rules_schema.sql for the conditions/actions shape.
+export const listEmailRules = () => apiRequest('/admin/email-rules')
+
+export const createEmailRule = (rule) =>
+  apiRequest('/admin/email-rules', { method: 'POST', body: rule })
+
+export const updateEmailRule = (id, changes) =>
+  apiRequest(`/admin/email-rules/${id}`, { method: 'PUT', body: changes })
+
+export const deleteEmailRule = (id) =>
+  apiRequest(`/admin/email-rules/${id}`, { method: 'DELETE' })
+
+export const listEmailRuleHits = ({ ruleId, limit = 50 } = {}) =>
+  apiRequest('/admin/email-rules/hits', { query: { ruleId, limit } })
+
+// Scheduled DSR emails to clients (dsr.subscriptions). A subscription is
+// { client, enabled, accountId, recipients, cc, frequency, weekday,
+// sendTime, timezone, templateId, filter, subject, body }; see
+// sql/dsr_subscriptions_schema.sql.
+export const listDsrSubscriptions = () => apiRequest('/dsr-subscriptions')
+
+export const createDsrSubscription = (subscription) =>
+  apiRequest('/dsr-subscriptions', { method: 'POST', body: subscription })
+
+export const updateDsrSubscription = (id, changes) =>
+  apiRequest(`/dsr-subscriptions/${id}`, { method: 'PUT', body: changes })
+
+export const deleteDsrSubscription = (id) =>
+  apiRequest(`/dsr-subscriptions/${id}`, { method: 'DELETE' })
+
+export const sendDsrSubscriptionNow = (id) =>
+  apiRequest(`/dsr-subscriptions/${id}/send`, { method: 'POST' })
+
+export const listDsrSubscriptionSends = ({ subscriptionId, limit = 50 } = {}) =>
+  apiRequest('/dsr-subscriptions/sends', { query: { subscriptionId, limit } })
+
+// folder: an IMAP folder name (e.g. INBOX, [Gmail]/Sent Mail) or 'all'.
+// With a search term results are ranked (sort 'relevance' by default) and
+// carry subjectHighlight/snippet with matches between \u0002 and \u0003.
+// Filters: dateFrom/dateTo (YYYY-MM-DD, inclusive), hasAttachments (bool),
+// documentType (invoice, bill_of_lading, shipping_bill, packing_list, other),
+// label (set by email rules), linkedShipment (shipment id or 'any').
+// Per-user state filters take 'true', 'false' or 'all': read, starred,
+// archived (default false), snoozed (default false, i.e. hide snoozed mail)
+// and userLabel (one of the caller's own labels).
+export const listEmails = ({
+  accountId = 'all',
+  folder = 'all',
+  search = '',
+  sort,
+  page = 1,
+  limit = 50,
+  dateFrom,
+  dateTo,
+  hasAttachments,
+  documentType,
+  label,
+  linkedShipment,
+  read,
+  starred,
+  archived,
+  snoozed,
+  userLabel
+} = {}) =>
+  apiRequest('/emails', {
+    query: {
+      accountId, folder, search, sort, page, limit, dateFrom, dateTo, hasAttachments, documentType, label, linkedShipment,
+      read, starred, archived, snoozed, userLabel
+    }
+  })
+
+// accountId picks the mailbox when the same Message-ID reached several
+export const getEmail = (messageId, { accountId } = {}) =>
+  apiRequest(`/emails/${encodeURIComponent(messageId)}`, { query: { accountId } })
+
+// Conversations grouped server-side by Message-ID/In-Reply-To/References
+export const listThreads = ({ accountId = 'all', search = '', page = 1, limit = 50 } = {}) =>
+  apiRequest('/threads', { query: { accountId, search, page, limit } })
+
+export const getThread = (threadId, { accountId } = {}) =>
+  apiRequest(`/threads/${encodeURIComponent(threadId)}`, { query: { accountId } })
+
+// entityType: shipment or job
+export const getLinkedEmails = ({ entityType, entityId }) =>
+  apiRequest('/email-links', { query: { entityType, entityId } })
+
+// Pre-fill for ActiveJob's wizard: { jobType, tradeDirection, fields, sources, email }
+export const getJobDraft = (messageId, { accountId } = {}) =>
+  apiRequest(`/emails/${encodeURIComponent(messageId)}/job-draft`, { query: { accountId } })
+
+// After saving a job drafted from an email (jobs.source_message_id set)
+export const linkJobToEmail = (messageId, { accountId, jobId }) =>
+  apiRequest(`/emails/${encodeURIComponent(messageId)}/job-link`, { method: 'POST', body: { accountId, jobId } })
+
+// Archives the email for the caller only; purge (mail admins) removes it
+// for everyone
+export const deleteEmail = (messageId, { accountId, purge } = {}) =>
+  apiRequest(`/emails/${encodeURIComponent(messageId)}`, {
+    method: 'DELETE',
+    query: { accountId, purge: purge ? 'true' : undefined }
+  })
+
+// The caller's own read/starred/archived/snoozed state and labels.
+// emails: [{ messageId, accountId }]; changes: any of read, starred,
+// archived, snoozedUntil (ISO date, or null to wake), labels (replace) or
+// addLabels/removeLabels
+export const setEmailState = (emails, changes) =>
+  apiRequest('/emails/state', { method: 'POST', body: { emails, ...changes } })
+
+// [{ name, count }] of the caller's personal labels
+export const listUserLabels = () => apiRequest('/email-labels')
+
+// type: reply, reply_all or forward. The draft carries the recipients,
+// threading headers, quoted original and the original's attachments.
+export const getReplyDraft = (messageId, { type = 'reply', accountId } = {}) =>
+  apiRequest(`/emails/${encodeURIComponent(messageId)}/draft`, { query: { type, accountId } })
+
+// Sends from the mailbox the original arrived in. `originalAttachments` are
+// storage paths of the original's attachments to re-attach; `files` are new
+// uploads.
+export const sendReply = (messageId, { type, accountId, to, cc, bcc, subject, body, originalAttachments = [], files = [] }) => {
+  const formData = new FormData()
+  formData.append('type', type)
+  if (accountId) formData.append('accountId', accountId)
+  formData.append('to', to)
+  formData.append('cc', cc || '')
+  formData.append('bcc', bcc || '')
+  formData.append('subject', subject || '')
+  formData.append('body', body || '')
+  formData.append('originalAttachments', JSON.stringify(originalAttachments))
+  files.forEach(file => formData.append('files', file))
+  return apiRequest(`/emails/${encodeURIComponent(messageId)}/respond`, { method: 'POST', body: formData })
+}
+
+// mode: incremental (new UIDs since last sync), backfill (older history in
+// chunks of `count`), full (restart the sync cursor) or latest (newest `count`)
+export const fetchNewEmails = ({ accountId = 'all', count = 50, mode = 'incremental' } = {}) =>
+  apiRequest('/fetch-emails', { method: 'POST', body: { accountId, count, mode } })
+
+// Downloads a mail attachment through a signed URL. Rows that predate
+// `path` carry only the (now dead) public URL, which still names the path.
+export const downloadAttachment = async (attachment) => {
+  const path = attachment.path || storagePathFromUrl(attachment.url, 'attachments')
+  if (!path) {
+    throw new Error('Attachment has no storage location')
+  }
+  await downloadStoredFile('attachments', path, attachment.filename || 'attachment')
+}
+
+// Reads the /api/emails/events server-sent-events stream. EventSource cannot
+// send an Authorization header, so the stream is consumed through fetch.
+// Resolves when the stream ends; abort `signal` to close it.
+export const streamEmailEvents = async (onEvent, signal) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session?.access_token) {
+    throw new Error('Not signed in')
+  }
+
+  const response = await fetch('/api/emails/events', {
+    headers: { Authorization: `Bearer ${session.access_token}` },
+    signal
+  })
+  if (!response.ok || !response.body) {
+    throw new Error(`Event stream failed (${response.status})`)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) return
+    buffer += decoder.decode(value, { stream: true })
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let event = 'message'
+      let data = ''
+      frame.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data += line.slice(5).trim()
+      })
+      if (data) {
+        onEvent(event, JSON.parse(data))
+      }
+    }
+  }
+}
@@ -0,0 +1,15 @@
+// src/lib/fieldFormat.js
+// Showing raw column names and values outside their own forms (audit
+// history, save conflicts).
+
+// bankRtgsIfscCode / current_location → "Bank rtgs ifsc code" / "Current location"
+export const fieldLabel = (field) => {
+  const words = field.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()
+  return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+export const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
@@ -0,0 +1,45 @@
+// src/lib/fileApi.js
+import { apiRequest } from './emailApi'
+
+// Every storage bucket is private. Files are read through short-lived signed
+// URLs from POST /api/files/signed-url, which checks the caller's access
+// (mailbox grant for mail attachments, participation for chat attachments).
+
+// `download`: a filename to serve the file as a download instead of inline
+export const getSignedFileUrl = async (bucket, path, { download } = {}) => {
+  const { url } = await apiRequest('/files/signed-url', {
+    method: 'POST',
+    body: { bucket, path, download }
+  })
+  return url
+}
+
+// Rows saved while the buckets were public may only hold the public URL
+export const storagePathFromUrl = (url, bucket) => {
+  const match = (url || '').match(new RegExp(`/storage/v1/object/public/${bucket}/([^?]+)`))
+  return match ? decodeURIComponent(match[1]) : null
+}
+
+export const downloadStoredFile = async (bucket, path, filename) => {
+  const url = await getSignedFileUrl(bucket, path, { download: filename || true })
+  const a = document.createElement('a')
+  a.href = url
+  a.rel = 'noopener'
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+}
+
+// Opens the tab synchronously so popup blockers allow it, then points it
+// at the signed URL once that arrives.
+export const openStoredFile = async (bucket, path) => {
+  const tab = window.open('', '_blank')
+  try {
+    const url = await getSignedFileUrl(bucket, path)
+    if (tab) tab.location.href = url
+    else window.location.assign(url)
+  } catch (err) {
+    tab?.close()
+    throw err
+  }
+}
@@ -0,0 +1,52 @@
+// src/lib/permissions.js
+// Staff roles and what each may do. Shared by the React app (hiding routes
+// and actions) and server.js (requirePermission on the email API). The
+// Supabase side enforces the same table rules as RLS policies in
+// sql/user_roles_schema.sql; change both together.
+
+export const ROLES = ['admin', 'operations', 'accounts', 'sales', 'read_only']
+
+// Users without a user_roles row
+export const DEFAULT_ROLE = 'read_only'
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  operations: 'Operations',
+  accounts: 'Accounts',
+  sales: 'Sales',
+  read_only: 'Read-only'
+}
+
+export const PERMISSIONS = {
+  'jobs.edit': ['admin', 'operations', 'sales'],
+  'jobs.delete': ['admin'],
+  'shipments.edit': ['admin', 'operations'],
+  'shipments.delete': ['admin'],
+  // DSR column templates and which client uses which
+  'dsr.templates': ['admin', 'operations'],
+  // Scheduled DSR emails to clients (routes/dsr-subscriptions.js)
+  'dsr.subscriptions': ['admin', 'operations'],
+  'customers.edit': ['admin', 'operations', 'sales'],
+  'vendors.edit': ['admin', 'operations', 'accounts'],
+  'vendors.delete': ['admin'],
+  // Vendor bank account details (vendor_bank_details)
+  'vendors.bank': ['admin', 'accounts'],
+  'invoices.view': ['admin', 'operations', 'accounts', 'sales'],
+  'payments.view': ['admin', 'accounts'],
+  'payments.record': ['admin', 'accounts'],
+  // Sending, replying and fetching on the email API; reading mail only
+  // needs a mailbox grant
+  'email.send': ['admin', 'operations', 'accounts', 'sales'],
+  'users.manage': ['admin']
+}
+
+export const can = (role, permission) => !!PERMISSIONS[permission]?.includes(role || DEFAULT_ROLE)
+
+// Routes that need more than being signed in
+export const ROUTE_PERMISSIONS = {
+  '/invoices': 'invoices.view',
+  '/payments': 'payments.view',
+  '/settings/users': 'users.manage',
+  '/settings/dsr-templates': 'dsr.templates',
+  '/settings/dsr-subscriptions': 'dsr.subscriptions'
+}